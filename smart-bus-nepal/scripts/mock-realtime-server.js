@@ -0,0 +1,267 @@
+// Local stand-in for a realtime bus feed, for trying the live vehicle sources without a real AVL system.
+// Run `npm run realtime:mock`, then pick a source in the app's "Live Vehicles" panel:
+//   GTFS-Realtime  http://localhost:8789/vehicle-positions.pb  (trip updates: http://localhost:8789/trip-updates.pb)
+//   JSON feed      http://localhost:8789/feed.json
+//   WebSocket      ws://localhost:8789/ws  (add ?format=protobuf for binary GTFS-RT frames)
+// Buses run the GTFS schedule in public/gtfs/kathmandu (or GTFS_DIR), each a little late.
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+};
+
+const DEFAULT_GTFS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../public/gtfs/kathmandu');
+const PUSH_INTERVAL = 5000;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// ----- GTFS schedule -----
+
+// Plain comma split: enough for the bundled feed, which has no quoted fields
+function readCsv(dir, name) {
+  const [header, ...lines] = fs.readFileSync(path.join(dir, `${name}.txt`), 'utf8').trim().split(/\r?\n/);
+  const keys = header.split(',');
+  return lines.map((line) => Object.fromEntries(line.split(',').map((cell, i) => [keys[i], cell])));
+}
+
+function toSeconds(time) {
+  const [h, m, s] = time.split(':').map(Number);
+  return h * 3600 + m * 60 + s;
+}
+
+export function loadSchedule(dir) {
+  const stops = new Map(readCsv(dir, 'stops').map((row) => [row.stop_id, { lat: Number(row.stop_lat), lng: Number(row.stop_lon) }]));
+  const trips = new Map(readCsv(dir, 'trips').map((row) => [row.trip_id, {
+    id: row.trip_id,
+    routeId: row.route_id,
+    directionId: Number(row.direction_id) || 0,
+    stopTimes: [],
+  }]));
+  readCsv(dir, 'stop_times').forEach((row) => {
+    trips.get(row.trip_id)?.stopTimes.push({
+      stopId: row.stop_id,
+      sequence: Number(row.stop_sequence),
+      arrival: toSeconds(row.arrival_time),
+      departure: toSeconds(row.departure_time || row.arrival_time),
+    });
+  });
+  const list = [...trips.values()].filter((trip) => trip.stopTimes.length >= 2);
+  list.forEach((trip) => trip.stopTimes.sort((a, b) => a.sequence - b.sequence));
+  return { stops, trips: list };
+}
+
+// Stable per-trip numbers so a bus keeps its delay and load between requests
+function tripHash(id) {
+  return [...id].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+}
+
+// Where every bus is at `now`. Outside service hours the schedule is replayed on a loop so there is always traffic.
+export function snapshot(schedule, now = new Date()) {
+  const first = Math.min(...schedule.trips.map((trip) => trip.stopTimes[0].departure));
+  const last = Math.max(...schedule.trips.map((trip) => trip.stopTimes.at(-1).arrival));
+  const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime() / 1000;
+  let clock = (now.getTime() / 1000) - midnight;
+  if (clock < first || clock > last) clock = first + ((clock - first) % (last - first) + (last - first)) % (last - first);
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+
+  const vehicles = [];
+  const tripUpdates = [];
+  schedule.trips.forEach((trip) => {
+    const hash = tripHash(trip.id);
+    const delay = hash % 240; // up to 4 minutes late
+    const t = clock - delay;
+    const times = trip.stopTimes;
+    if (t < times[0].departure || t > times.at(-1).arrival) return;
+
+    // The stop the bus is at, or the next one it is driving to
+    const index = times.findIndex((stopTime) => t <= stopTime.departure);
+    const target = times[index];
+    const stopped = t >= target.arrival;
+    let position = schedule.stops.get(target.stopId);
+    let speed = 0;
+    if (!stopped) {
+      const from = times[index - 1];
+      const a = schedule.stops.get(from.stopId);
+      const b = position;
+      const ratio = (t - from.departure) / Math.max(1, target.arrival - from.departure);
+      position = { lat: a.lat + (b.lat - a.lat) * ratio, lng: a.lng + (b.lng - a.lng) * ratio };
+      const km = Math.hypot((b.lat - a.lat) * 111, (b.lng - a.lng) * 98.6);
+      speed = (km * 1000) / Math.max(1, target.arrival - from.departure);
+    }
+
+    vehicles.push({
+      id: `veh-${trip.id}`,
+      label: `Ba ${1 + (hash % 9)} Kha ${1000 + (hash % 9000)}`,
+      tripId: trip.id,
+      routeId: trip.routeId,
+      directionId: trip.directionId,
+      lat: Number(position.lat.toFixed(6)),
+      lng: Number(position.lng.toFixed(6)),
+      speed: Number(speed.toFixed(1)),
+      stopId: target.stopId,
+      stopSequence: target.sequence,
+      status: stopped ? 'STOPPED_AT' : 'IN_TRANSIT_TO',
+      occupancy: hash % 101,
+      timestamp: nowSeconds,
+    });
+    tripUpdates.push({
+      tripId: trip.id,
+      routeId: trip.routeId,
+      directionId: trip.directionId,
+      vehicleId: `veh-${trip.id}`,
+      delay,
+      stopTimeUpdates: times.slice(index).map((stopTime) => ({
+        stopId: stopTime.stopId,
+        stopSequence: stopTime.sequence,
+        arrival: Math.round(nowSeconds + (stopTime.arrival + delay - clock)),
+        delay,
+      })),
+    });
+  });
+  return { timestamp: nowSeconds, vehicles, tripUpdates };
+}
+
+// ----- GTFS-RT protobuf encoding (only the fields the app reads) -----
+
+function varint(value) {
+  let v = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  while (v > 127n) {
+    bytes.push(Number(v & 127n) | 128);
+    v >>= 7n;
+  }
+  bytes.push(Number(v));
+  return bytes;
+}
+
+const pb = {
+  varint: (field, value) => [...varint((field << 3) | 0), ...varint(value)],
+  bytes: (field, bytes) => [...varint((field << 3) | 2), ...varint(bytes.length), ...bytes],
+  string: (field, text) => pb.bytes(field, [...Buffer.from(text)]),
+  message: (field, parts) => pb.bytes(field, parts.flat()),
+  float: (field, value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeFloatLE(value);
+    return [...varint((field << 3) | 5), ...buffer];
+  },
+};
+
+const STATUS_CODES = { INCOMING_AT: 0, STOPPED_AT: 1, IN_TRANSIT_TO: 2 };
+
+function tripDescriptor(item) {
+  return pb.message(1, [pb.string(1, item.tripId), pb.string(5, item.routeId), pb.varint(6, item.directionId)]);
+}
+
+export function encodeFeed({ timestamp, vehicles = [], tripUpdates = [] }) {
+  const header = pb.message(1, [pb.string(1, '2.0'), pb.varint(2, 0), pb.varint(3, timestamp)]);
+  const entities = [
+    ...vehicles.map((v) => pb.message(2, [
+      pb.string(1, v.id),
+      pb.message(4, [
+        tripDescriptor(v),
+        pb.message(2, [pb.float(1, v.lat), pb.float(2, v.lng), pb.float(5, v.speed)]),
+        pb.varint(3, v.stopSequence),
+        pb.varint(4, STATUS_CODES[v.status]),
+        pb.varint(5, v.timestamp),
+        pb.string(7, v.stopId),
+        pb.message(8, [pb.string(1, v.id), pb.string(2, v.label)]),
+        pb.varint(10, v.occupancy),
+      ]),
+    ])),
+    ...tripUpdates.map((u) => pb.message(2, [
+      pb.string(1, `tu-${u.tripId}`),
+      pb.message(3, [
+        tripDescriptor(u),
+        ...u.stopTimeUpdates.map((s) => pb.message(2, [
+          pb.varint(1, s.stopSequence),
+          pb.message(2, [pb.varint(1, s.delay), pb.varint(2, s.arrival)]),
+          pb.string(4, s.stopId),
+        ])),
+        pb.message(3, [pb.string(1, u.vehicleId)]),
+        pb.varint(5, u.delay),
+      ]),
+    ])),
+  ];
+  return Buffer.from([...header, ...entities.flat()]);
+}
+
+// ----- WebSocket (server side of RFC 6455, unfragmented frames only) -----
+
+function frame(payload, binary) {
+  const length = payload.length;
+  const head = length < 126 ? [length] : length < 65536 ? [126, length >> 8, length & 255] : [127, ...uint64BE(length)];
+  return Buffer.concat([Buffer.from([binary ? 0x82 : 0x81, ...head]), payload]);
+}
+
+function uint64BE(length) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(length));
+  return [...buffer];
+}
+
+// ----- Server -----
+
+export function createMockRealtimeServer({ gtfsDir = DEFAULT_GTFS_DIR, now = () => new Date() } = {}) {
+  const schedule = loadSchedule(gtfsDir);
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS).end();
+      return;
+    }
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const feed = snapshot(schedule, now());
+    if (pathname === '/vehicle-positions.pb') {
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/x-protobuf' });
+      res.end(encodeFeed({ timestamp: feed.timestamp, vehicles: feed.vehicles }));
+    } else if (pathname === '/trip-updates.pb') {
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/x-protobuf' });
+      res.end(encodeFeed({ timestamp: feed.timestamp, tripUpdates: feed.tripUpdates }));
+    } else if (pathname === '/feed.json') {
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(feed));
+    } else {
+      res.writeHead(404, CORS_HEADERS).end();
+    }
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    const key = req.headers['sec-websocket-key'];
+    if (url.pathname !== '/ws' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    const binary = url.searchParams.get('format') === 'protobuf';
+    const push = () => {
+      const feed = snapshot(schedule, now());
+      socket.write(frame(binary ? encodeFeed(feed) : Buffer.from(JSON.stringify(feed)), binary));
+    };
+    push();
+    const timer = setInterval(push, PUSH_INTERVAL);
+    const close = () => {
+      clearInterval(timer);
+      socket.destroy();
+    };
+    // Anything the client sends is treated as a close; the app never sends data
+    socket.on('data', close);
+    socket.on('error', close);
+    socket.on('close', () => clearInterval(timer));
+  });
+
+  return server;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8789;
+  createMockRealtimeServer({ gtfsDir: process.env.GTFS_DIR || DEFAULT_GTFS_DIR }).listen(port, () => {
+    console.log(`Mock realtime feed on http://localhost:${port} (vehicle-positions.pb, trip-updates.pb, feed.json, ws://…/ws)`);
+  });
+}
@@ -1,11 +1,21 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import MapView from './components/MapView';
 import ETAList from './components/ETAList';
 import QRTicket from './components/QRTicket';
+import FeedPanel from './components/FeedPanel';
+import VehicleSourcePanel from './components/VehicleSourcePanel';
+import JourneyPlanner from './components/JourneyPlanner';
+import { useLanguage } from './context/LanguageContext';
+import { useTransit } from './context/TransitContext';
+import { useVehicles } from './context/VehiclesContext';
+import { LANGUAGES, NUMERAL_SYSTEMS } from './utils/i18n';
+import { routeLines, servedStops } from './utils/gtfs';
+import { calculateDistance } from './utils/geo';
+import { STOP_PAUSE_TIME } from './utils/simulator';
+import { FARE_CATEGORIES, directFare, rideFare } from './utils/fares';
 
-// Import data files (will be created in next steps)
-import stopsData from './data/stops.json';
-import faresData from './data/fares.json';
+// Passenger category for fares, remembered between visits
+const FARE_CATEGORY_KEY = 'smartBusNepal:fareCategory';
 
 /**
  * Smart Bus Nepal - Main App Component
@@ -15,94 +25,64 @@ import faresData from './data/fares.json';
  * - Real-time bus tracking with smooth animation
  * - User location detection and nearest stop calculation  
  * - ETA calculations updated every 5 seconds
+ * - Journey planner with transfers and walking between stops
  * - Bus occupancy simulation (0-100%)
- * - Fare calculation and ticket generation
+ * - Distance-based fares with concessions and transfer discounts, and ticket generation
  * - QR code ticket system
- * - Interactive map with Leaflet
+ * - Interactive map with Leaflet, route lines and per-route toggles
+ * - English/Nepali interface with optional Devanagari numerals
+ * - Routes and stops loaded from a GTFS feed (bundled sample or a user-picked zip/folder)
+ * - Buses from a GTFS-Realtime, JSON or WebSocket feed, or the built-in demo simulator
  */
 
 const App = () => {
   // ============= STATE MANAGEMENT =============
+
+  // Interface language, persisted by LanguageProvider
+  const { language, numerals, setLanguage, setNumerals, t } = useLanguage();
+
+  // GTFS transit model, loaded by TransitProvider
+  const { model: transit, error: transitError } = useTransit();
+  const stopsData = useMemo(() => (transit ? servedStops(transit) : []), [transit]);
+  // Route lines for the map, drawn from the feed's shapes
+  const mapRoutes = useMemo(() => (transit ? transit.routes.map(route => ({
+    id: route.id,
+    name: route.name,
+    shortName: route.shortName,
+    color: route.color,
+    lines: routeLines(transit, route)
+  })) : []), [transit]);
   
   // User location state
   const [userLocation, setUserLocation] = useState(null);
   const [nearestStop, setNearestStop] = useState(null);
   const [locationError, setLocationError] = useState(null);
   
-  // Bus tracking state
-  const [buses, setBuses] = useState([]);
+  // Bus tracking state; buses come from the vehicle source run by VehiclesProvider
+  const { buses } = useVehicles();
   const [busETAs, setBusETAs] = useState([]);
   const [selectedDestination, setSelectedDestination] = useState('');
   
   // Ticket system state
+  const [fareCategory, setFareCategory] = useState(() => {
+    const saved = localStorage.getItem(FARE_CATEGORY_KEY);
+    return FARE_CATEGORIES.includes(saved) ? saved : 'regular';
+  });
   const [ticket, setTicket] = useState(null);
   const [showTicket, setShowTicket] = useState(false);
   
   // App loading state
   const [isLoading, setIsLoading] = useState(true);
   
-  // Animation reference for smooth bus movement
-  const animationRef = useRef();
-  const lastUpdateTime = useRef(Date.now());
-
-  // ============= CONSTANTS =============
-  
-  // Bus routes configuration - Multiple routes covering Kathmandu Valley
-  const BUS_ROUTES = {
-    'Ring Road': {
-      id: 'ring_road',
-      color: '#3B82F6', // Blue
-      stops: ['Kalanki', 'Kalimati', 'Tripureshwor', 'New Baneshwor', 'Koteshwor', 'Jadibuti', 'Gwarko', 'Satdobato', 'Lagankhel']
-    },
-    'Inside Ring Road': {
-      id: 'inside_ring',
-      color: '#EF4444', // Red
-      stops: ['Ratna Park', 'Asan', 'Indra Chowk', 'Basantapur', 'Bhotahity', 'Singha Durbar', 'Babar Mahal']
-    },
-    'Kathmandu-Lalitpur': {
-      id: 'ktm_lalitpur',
-      color: '#10B981', // Green
-      stops: ['Ratna Park', 'Tripureshwor', 'Kupondole', 'Pulchowk', 'Mangal Bazaar', 'Patan Dhoka']
-    },
-    'Kathmandu-Bhaktapur': {
-      id: 'ktm_bhaktapur',
-      color: '#F59E0B', // Amber
-      stops: ['Ratna Park', 'New Baneshwor', 'Jadibuti', 'Bhaktapur Bus Park', 'Durbar Square']
-    }
-  };
-
-  // Bus speed configuration (km/h)
-  const BUS_SPEED = 25; // Average city bus speed
-  const STOP_PAUSE_TIME = 120; // 2 minutes pause at each stop
-
   // ============= HELPER FUNCTIONS =============
 
-  /**
-   * Calculate distance between two points using Haversine formula
-   * @param {number} lat1 - Latitude of first point
-   * @param {number} lon1 - Longitude of first point  
-   * @param {number} lat2 - Latitude of second point
-   * @param {number} lon2 - Longitude of second point
-   * @returns {number} Distance in kilometers
-   */
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-  };
-
   /**
    * Find nearest bus stop to user location
    * @param {object} userPos - User's current position {lat, lng}
    * @returns {object} Nearest stop object
    */
-  const findNearestStop = (userPos) => {
-    if (!userPos || !stopsData) return null;
+  const findNearestStop = useCallback((userPos) => {
+    if (!userPos || stopsData.length === 0) return null;
     
     let nearest = null;
     let minDistance = Infinity;
@@ -116,59 +96,22 @@ const App = () => {
     });
     
     return nearest;
-  };
-
-  /**
-   * Initialize buses on different routes with random positions
-   * Each route gets 2-3 buses for better coverage
-   */
-  const initializeBuses = () => {
-    const initialBuses = [];
-    let busIdCounter = 1;
-    
-    Object.entries(BUS_ROUTES).forEach(([routeName, route]) => {
-      const busCount = Math.floor(Math.random() * 2) + 2; // 2-3 buses per route
-      
-      for (let i = 0; i < busCount; i++) {
-        const randomStopIndex = Math.floor(Math.random() * route.stops.length);
-        const currentStop = stopsData.find(stop => stop.name === route.stops[randomStopIndex]);
-        const nextStopIndex = (randomStopIndex + 1) % route.stops.length;
-        const nextStop = stopsData.find(stop => stop.name === route.stops[nextStopIndex]);
-        
-        if (currentStop && nextStop) {
-          initialBuses.push({
-            id: `Bus-${String(busIdCounter).padStart(3, '0')}`,
-            route: routeName,
-            routeId: route.id,
-            color: route.color,
-            currentStopIndex: randomStopIndex,
-            position: { lat: currentStop.lat, lng: currentStop.lng },
-            nextStop: nextStop,
-            occupancy: Math.floor(Math.random() * 101), // 0-100% occupancy
-            speed: BUS_SPEED + (Math.random() * 10 - 5), // Slight speed variation
-            isAtStop: Math.random() < 0.3, // 30% chance bus is currently at stop
-            stopArrivalTime: Date.now() - Math.random() * STOP_PAUSE_TIME * 1000,
-            stops: route.stops
-          });
-          busIdCounter++;
-        }
-      }
-    });
-    
-    return initialBuses;
-  };
+  }, [stopsData]);
 
   /**
    * Calculate ETA for a bus to reach a specific stop
    * @param {object} bus - Bus object
-   * @param {string} targetStopName - Name of target stop
+   * @param {string} targetStopId - GTFS stop_id of target stop
    * @returns {number} ETA in minutes
    */
-  const calculateBusETA = (bus, targetStopName) => {
-    if (!bus || !targetStopName) return 0;
+  const calculateBusETA = (bus, targetStopId) => {
+    if (!bus || !targetStopId) return 0;
+    
+    if (!bus.stops.some(stop => stop.id === targetStopId)) return 0;
     
-    const targetStopIndex = bus.stops.indexOf(targetStopName);
-    if (targetStopIndex === -1) return 0;
+    // Realtime feeds with trip updates predict the arrival outright
+    const predicted = bus.arrivals?.[targetStopId];
+    if (predicted && predicted >= Date.now()) return Math.round((predicted - Date.now()) / 60000);
     
     let totalTime = 0;
     let currentIndex = bus.currentStopIndex;
@@ -179,35 +122,21 @@ const App = () => {
       const remainingPauseTime = Math.max(0, STOP_PAUSE_TIME - timeAtStop);
       totalTime += remainingPauseTime;
     } else {
-      // Add time to reach next stop
-      const currentStop = stopsData.find(stop => stop.name === bus.stops[currentIndex]);
-      if (currentStop) {
-        const distance = calculateDistance(
-          bus.position.lat, bus.position.lng,
-          bus.nextStop.lat, bus.nextStop.lng
-        );
-        totalTime += (distance / bus.speed) * 3600; // Convert to seconds
-      }
+      // Add time to reach next stop, by road
+      const distance = bus.paths[currentIndex].length - bus.pathDistance;
+      totalTime += (Math.max(0, distance) / bus.speed) * 3600; // Convert to seconds
       currentIndex = (currentIndex + 1) % bus.stops.length;
     }
     
-    // Add time for intermediate stops
-    while (currentIndex !== targetStopIndex) {
-      const currentStop = stopsData.find(stop => stop.name === bus.stops[currentIndex]);
+    // Add time for intermediate stops; a stop may appear in both directions, so stop at the first pass
+    while (bus.stops[currentIndex].id !== targetStopId) {
       const nextStopIndex = (currentIndex + 1) % bus.stops.length;
-      const nextStop = stopsData.find(stop => stop.name === bus.stops[nextStopIndex]);
       
-      if (currentStop && nextStop) {
-        // Add pause time at intermediate stop
-        totalTime += STOP_PAUSE_TIME;
-        
-        // Add travel time to next stop
-        const distance = calculateDistance(
-          currentStop.lat, currentStop.lng,
-          nextStop.lat, nextStop.lng
-        );
-        totalTime += (distance / bus.speed) * 3600;
-      }
+      // Add pause time at intermediate stop
+      totalTime += STOP_PAUSE_TIME;
+      
+      // Add travel time to next stop along the route shape
+      totalTime += (bus.paths[currentIndex].length / bus.speed) * 3600;
       
       currentIndex = nextStopIndex;
     }
@@ -216,115 +145,63 @@ const App = () => {
   };
 
   /**
-   * Update bus positions with smooth linear interpolation
-   * Called every animation frame for smooth movement
+   * Whether a bus can take the user from one stop to another without changing
+   * @param {object} bus - Bus object
+   * @param {string} fromStopId - GTFS stop_id where the user boards
+   * @param {string} toStopId - GTFS stop_id where the user gets off
+   * @returns {boolean} True if the bus calls at both stops
    */
-  const updateBusPositions = () => {
-    const currentTime = Date.now();
-    const deltaTime = (currentTime - lastUpdateTime.current) / 1000; // Convert to seconds
-    lastUpdateTime.current = currentTime;
-    
-    setBuses(prevBuses => 
-      prevBuses.map(bus => {
-        let updatedBus = { ...bus };
-        
-        // If bus is at stop, check if pause time is over
-        if (updatedBus.isAtStop) {
-          const timeAtStop = (currentTime - updatedBus.stopArrivalTime) / 1000;
-          if (timeAtStop >= STOP_PAUSE_TIME) {
-            // Move to next stop
-            updatedBus.isAtStop = false;
-            updatedBus.currentStopIndex = (updatedBus.currentStopIndex + 1) % updatedBus.stops.length;
-            const nextStopIndex = (updatedBus.currentStopIndex + 1) % updatedBus.stops.length;
-            updatedBus.nextStop = stopsData.find(stop => stop.name === updatedBus.stops[nextStopIndex]);
-          }
-        } else {
-          // Bus is moving - interpolate position
-          const currentStop = stopsData.find(stop => stop.name === updatedBus.stops[updatedBus.currentStopIndex]);
-          const targetStop = updatedBus.nextStop;
-          
-          if (currentStop && targetStop) {
-            const distance = calculateDistance(
-              updatedBus.position.lat, updatedBus.position.lng,
-              targetStop.lat, targetStop.lng
-            );
-            
-            // Check if arrived at next stop
-            if (distance < 0.1) { // 100 meters threshold
-              updatedBus.position = { lat: targetStop.lat, lng: targetStop.lng };
-              updatedBus.isAtStop = true;
-              updatedBus.stopArrivalTime = currentTime;
-              // Simulate occupancy change at stops
-              updatedBus.occupancy = Math.max(10, Math.min(100, updatedBus.occupancy + (Math.random() * 20 - 10)));
-            } else {
-              // Linear interpolation for smooth movement
-              const speed = updatedBus.speed / 3600; // Convert km/h to km/s
-              const moveDistance = speed * deltaTime; // Distance to move this frame
-              const totalDistance = calculateDistance(currentStop.lat, currentStop.lng, targetStop.lat, targetStop.lng);
-              const ratio = moveDistance / totalDistance;
-              
-              updatedBus.position = {
-                lat: updatedBus.position.lat + (targetStop.lat - updatedBus.position.lat) * ratio,
-                lng: updatedBus.position.lng + (targetStop.lng - updatedBus.position.lng) * ratio
-              };
-            }
-          }
-        }
-        
-        return updatedBus;
-      })
-    );
-  };
+  const busServes = (bus, fromStopId, toStopId) =>
+    fromStopId !== toStopId &&
+    bus.stops.some(stop => stop.id === fromStopId) &&
+    bus.stops.some(stop => stop.id === toStopId);
 
   /**
-   * Update ETAs for all buses to nearest stop
+   * Update ETAs to nearest stop for the buses that call there
    * Called every 5 seconds for stable ETA display
    */
   const updateETAs = () => {
     if (!nearestStop || buses.length === 0) return;
     
-    const etas = buses.map(bus => ({
+    const etas = buses.filter(bus => bus.stops.some(stop => stop.id === nearestStop.id)).map(bus => ({
       busId: bus.id,
       route: bus.route,
-      eta: calculateBusETA(bus, nearestStop.name),
+      eta: calculateBusETA(bus, nearestStop.id),
       occupancy: Math.round(bus.occupancy),
       color: bus.color,
-      nextStop: bus.nextStop?.name || bus.stops[0]
+      nextStop: bus.nextStop?.name || bus.stops[0].name,
+      goesToDestination: !selectedDestination || busServes(bus, nearestStop.id, selectedDestination)
     })).sort((a, b) => a.eta - b.eta); // Sort by ETA
     
     setBusETAs(etas);
   };
 
-  /**
-   * Calculate fare between two stops
-   * @param {string} fromStop - Origin stop name
-   * @param {string} toStop - Destination stop name  
-   * @returns {number} Fare amount
-   */
-  const calculateFare = (fromStop, toStop) => {
-    if (!fromStop || !toStop || !faresData) return 0;
-    return faresData[fromStop]?.[toStop] || faresData[toStop]?.[fromStop] || 0;
-  };
-
   /**
    * Handle ticket purchase
    * @param {string} busId - Selected bus ID
    */
   const purchaseTicket = (busId) => {
     if (!nearestStop || !selectedDestination) {
-      alert('Please select a destination first!');
+      alert(t('eta.selectDestinationAlert'));
       return;
     }
     
     const selectedBus = buses.find(bus => bus.id === busId);
-    const fare = calculateFare(nearestStop.name, selectedDestination);
-    const eta = calculateBusETA(selectedBus, nearestStop.name);
+    const destinationStop = transit.stopsById.get(selectedDestination);
+    if (!selectedBus || !busServes(selectedBus, nearestStop.id, selectedDestination)) {
+      alert(t('eta.busNotToDestination', { bus: busId, stop: destinationStop.name }));
+      return;
+    }
+    const { fare, distance } = rideFare(transit, transit.routesById.get(selectedBus.routeId), nearestStop.id, selectedDestination, { category: fareCategory });
+    const eta = calculateBusETA(selectedBus, nearestStop.id);
     
     const newTicket = {
       id: `TICKET-${Date.now()}`,
       from: nearestStop.name,
-      to: selectedDestination,
+      to: destinationStop.name,
       fare: fare,
+      fareCategory: fareCategory,
+      distance: Math.round(distance * 10) / 10,
       busId: busId,
       route: selectedBus.route,
       eta: eta,
@@ -333,9 +210,10 @@ const App = () => {
       qrData: JSON.stringify({
         ticketId: `TICKET-${Date.now()}`,
         from: nearestStop.name,
-        to: selectedDestination,
+        to: destinationStop.name,
         busId: busId,
         fare: fare,
+        fareCategory: fareCategory,
         timestamp: Date.now()
       })
     };
@@ -359,11 +237,6 @@ const App = () => {
             lng: position.coords.longitude
           };
           setUserLocation(userPos);
-          
-          // Find nearest stop
-          const nearest = findNearestStop(userPos);
-          setNearestStop(nearest);
-          
           setIsLoading(false);
         },
         (error) => {
@@ -373,7 +246,6 @@ const App = () => {
           // Use default location (Kathmandu center)
           const defaultPos = { lat: 27.7172, lng: 85.3240 };
           setUserLocation(defaultPos);
-          setNearestStop(findNearestStop(defaultPos));
           setIsLoading(false);
         },
         {
@@ -386,33 +258,30 @@ const App = () => {
       setLocationError('Geolocation not supported by browser.');
       const defaultPos = { lat: 27.7172, lng: 85.3240 };
       setUserLocation(defaultPos);
-      setNearestStop(findNearestStop(defaultPos));
       setIsLoading(false);
     }
-    
-    // Initialize buses
-    setBuses(initializeBuses());
   }, []);
 
   /**
-   * Animation loop for smooth bus movement
+   * Remember the passenger category for next time
    */
   useEffect(() => {
-    const animate = () => {
-      updateBusPositions();
-      animationRef.current = requestAnimationFrame(animate);
-    };
-    
-    if (buses.length > 0) {
-      animationRef.current = requestAnimationFrame(animate);
-    }
-    
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    };
-  }, [buses.length]);
+    localStorage.setItem(FARE_CATEGORY_KEY, fareCategory);
+  }, [fareCategory]);
+
+  /**
+   * A new transit feed brings new stops, so the destination is cleared and the nearest stop recomputed
+   */
+  useEffect(() => {
+    setSelectedDestination('');
+  }, [transit]);
+
+  /**
+   * Find the nearest stop once both the user's position and the stops are known
+   */
+  useEffect(() => {
+    if (userLocation) setNearestStop(findNearestStop(userLocation));
+  }, [userLocation, findNearestStop]);
 
   /**
    * ETA update interval - every 5 seconds for stable display
@@ -422,16 +291,32 @@ const App = () => {
     updateETAs(); // Initial update
     
     return () => clearInterval(interval);
-  }, [buses, nearestStop]);
+  }, [buses, nearestStop, selectedDestination]);
 
   // ============= RENDER =============
 
-  if (isLoading) {
+  // Cheapest bus from the nearest stop to the destination without changing
+  const directTrip = transit && nearestStop && selectedDestination
+    ? directFare(transit, nearestStop.id, selectedDestination, { category: fareCategory })
+    : null;
+
+  // Without a feed there is nothing to show; let the user supply one instead
+  if (!transit && transitError) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+        <div className="w-full max-w-md">
+          <FeedPanel />
+        </div>
+      </div>
+    );
+  }
+
+  if (isLoading || !transit) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
         <div className="text-center">
           <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto"></div>
-          <p className="mt-4 text-lg text-gray-600">Loading Smart Bus Nepal...</p>
+          <p className="mt-4 text-lg text-gray-600">{t('app.loading')}</p>
         </div>
       </div>
     );
@@ -452,17 +337,45 @@ const App = () => {
               </div>
               <div>
                 <h1 className="text-2xl font-bold text-gray-900">Smart Bus Nepal</h1>
-                <p className="text-sm text-gray-600">Real-time Bus Tracking - Kathmandu Valley</p>
+                <p className="text-sm text-gray-600">{t('app.subtitle')}</p>
               </div>
             </div>
             
-            {nearestStop && (
-              <div className="text-right">
-                <p className="text-sm text-gray-600">Nearest Stop</p>
-                <p className="font-semibold text-blue-600">{nearestStop.name}</p>
-                <p className="text-xs text-gray-500">{nearestStop.distance?.toFixed(1)} km away</p>
+            <div className="flex items-center space-x-6">
+              {/* Language & Numeral Toggles */}
+              <div className="flex flex-col space-y-1 text-sm">
+                <div className="flex rounded-lg overflow-hidden border border-blue-600">
+                  {Object.entries(LANGUAGES).map(([value, label]) => (
+                    <button
+                      key={value}
+                      onClick={() => setLanguage(value)}
+                      className={`px-3 py-1 transition-colors ${language === value ? 'bg-blue-600 text-white' : 'text-blue-600 hover:bg-blue-50'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex rounded-lg overflow-hidden border border-blue-600">
+                  {Object.entries(NUMERAL_SYSTEMS).map(([value, label]) => (
+                    <button
+                      key={value}
+                      onClick={() => setNumerals(value)}
+                      className={`flex-1 px-3 py-1 transition-colors ${numerals === value ? 'bg-blue-600 text-white' : 'text-blue-600 hover:bg-blue-50'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
               </div>
-            )}
+
+              {nearestStop && (
+                <div className="text-right">
+                  <p className="text-sm text-gray-600">{t('app.nearestStop')}</p>
+                  <p className="font-semibold text-blue-600">{nearestStop.name}</p>
+                  <p className="text-xs text-gray-500">{t('app.kmAway', { distance: nearestStop.distance?.toFixed(1) })}</p>
+                </div>
+              )}
+            </div>
           </div>
         </div>
       </header>
@@ -488,6 +401,7 @@ const App = () => {
                   userLocation={userLocation}
                   nearestStop={nearestStop}
                   stops={stopsData}
+                  routes={mapRoutes}
                 />
               </div>
             </div>
@@ -497,26 +411,47 @@ const App = () => {
           <div className="space-y-6">
             {/* Destination Selection */}
             <div className="bg-white rounded-lg shadow-lg p-6">
-              <h3 className="text-lg font-semibold mb-4 text-gray-900">Select Destination</h3>
+              <h3 className="text-lg font-semibold mb-4 text-gray-900">{t('app.selectDestination')}</h3>
               <select 
                 className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 value={selectedDestination}
                 onChange={(e) => setSelectedDestination(e.target.value)}
               >
-                <option value="">Choose destination...</option>
-                {stopsData?.map(stop => (
-                  <option key={stop.id} value={stop.name}>{stop.name}</option>
+                <option value="">{t('app.chooseDestination')}</option>
+                {stopsData.map(stop => (
+                  <option key={stop.id} value={stop.id}>{stop.name}</option>
                 ))}
               </select>
+              <label className="block mt-3 text-sm text-gray-600">
+                {t('fare.category')}
+                <select
+                  className="mt-1 w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  value={fareCategory}
+                  onChange={(e) => setFareCategory(e.target.value)}
+                >
+                  {FARE_CATEGORIES.map(category => (
+                    <option key={category} value={category}>{t(`fare.category.${category}`)}</option>
+                  ))}
+                </select>
+              </label>
               {selectedDestination && nearestStop && (
                 <div className="mt-3 p-3 bg-green-50 rounded-lg">
                   <p className="text-sm text-green-700">
-                    Fare: Rs. {calculateFare(nearestStop.name, selectedDestination)}
+                    {directTrip
+                      ? t('fare.direct', { amount: directTrip.fare, distance: directTrip.distance.toFixed(1), route: directTrip.route.name })
+                      : t('fare.noDirect')}
                   </p>
                 </div>
               )}
             </div>
 
+            {/* Journey Planner */}
+            <JourneyPlanner
+              origin={userLocation}
+              destinationId={selectedDestination}
+              fareCategory={fareCategory}
+            />
+
             {/* ETA List */}
             <ETAList 
               busETAs={busETAs}
@@ -532,6 +467,12 @@ const App = () => {
                 onClose={() => setShowTicket(false)}
               />
             )}
+
+            {/* Vehicle Source */}
+            <VehicleSourcePanel />
+
+            {/* Transit Feed */}
+            <FeedPanel />
           </div>
         </div>
       </main>
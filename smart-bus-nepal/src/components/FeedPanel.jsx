@@ -0,0 +1,62 @@
+import React from 'react';
+import { useTransit } from '../context/TransitContext';
+import { useLanguage } from '../context/LanguageContext';
+import { servedStops } from '../utils/gtfs';
+
+/**
+ * FeedPanel Component - GTFS feed status and loader for Smart Bus Nepal
+ *
+ * Features:
+ * - Shows which feed is loaded and how many routes and stops it has
+ * - Loads a different feed from a .zip or a folder of GTFS .txt files
+ * - Reports feeds that could not be read without dropping the current one
+ */
+
+const FeedPanel = () => {
+  const { model, source, status, error, loadFiles } = useTransit();
+  const { t } = useLanguage();
+
+  /**
+   * Hand the picked files to the transit loader and reset the input so the same feed can be picked again
+   * @param {Event} event - Change event from a file input
+   */
+  const handleFiles = (event) => {
+    const files = [...event.target.files];
+    event.target.value = '';
+    loadFiles(files);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h3 className="text-lg font-semibold mb-2 text-gray-900">{t('feed.title')}</h3>
+      {status === 'loading' && <p className="text-sm text-gray-600">{t('feed.loading')}</p>}
+      {model && status !== 'loading' && (
+        <div className="text-sm text-gray-600 space-y-1">
+          {model.agencies.length > 0 && (
+            <p className="font-medium text-gray-800">{model.agencies.map((agency) => agency.name).join(', ')}</p>
+          )}
+          <p>{t('feed.summary', { routes: model.routes.length, stops: servedStops(model).length })}</p>
+          <p className="text-xs text-gray-500 truncate" title={source}>{t('feed.source', { source })}</p>
+        </div>
+      )}
+      {error && (
+        <div className="mt-3 bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded text-sm">
+          {t('feed.error', { message: error })}
+        </div>
+      )}
+      <p className="mt-3 text-xs text-gray-500">{t('feed.hint')}</p>
+      <div className="mt-3 flex gap-2">
+        <label className="flex-1 text-center px-3 py-2 bg-blue-600 text-white rounded-lg text-sm cursor-pointer hover:bg-blue-700 transition-colors">
+          {t('feed.loadZip')}
+          <input type="file" accept=".zip,application/zip" onChange={handleFiles} className="hidden" />
+        </label>
+        <label className="flex-1 text-center px-3 py-2 border border-blue-600 text-blue-600 rounded-lg text-sm cursor-pointer hover:bg-blue-50 transition-colors">
+          {t('feed.loadFolder')}
+          <input type="file" webkitdirectory="" multiple onChange={handleFiles} className="hidden" />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default FeedPanel;
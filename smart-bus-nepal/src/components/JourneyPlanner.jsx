@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { useTransit } from '../context/TransitContext';
+import { journeyFare } from '../utils/fares';
+import { planJourneys } from '../utils/journeyPlanner';
+
+/**
+ * JourneyPlanner Component - ranked ways to get from the user to the chosen stop
+ *
+ * Features:
+ * - Plans over the GTFS timetable with transfers between routes and walks between nearby stops
+ * - Lists each option's departure, arrival, total time, transfers and total fare (with transfer discounts)
+ * - Spells out every leg: walks with distance, rides with route colour, stops and times
+ * - Re-plans every minute so the options follow the clock
+ */
+
+const REPLAN_INTERVAL = 60000; // 1 minute
+
+const JourneyPlanner = ({ origin, destinationId, fareCategory }) => {
+  const { model } = useTransit();
+  const { t, digits } = useLanguage();
+  const [journeys, setJourneys] = useState([]);
+
+  /**
+   * Plan when the trip changes, then keep the options current
+   */
+  useEffect(() => {
+    if (!model || !origin || !destinationId) {
+      setJourneys([]);
+      return;
+    }
+
+    const plan = () => setJourneys(planJourneys(model, origin, destinationId, new Date()));
+    plan();
+    const interval = setInterval(plan, REPLAN_INTERVAL);
+    return () => clearInterval(interval);
+  }, [model, origin, destinationId]);
+
+  // ============= HELPER FUNCTIONS =============
+
+  /**
+   * Clock time in the active numeral system
+   * @param {Date} date - Time to show
+   * @returns {string} e.g. "09:30"
+   */
+  const formatTime = (date) => digits(date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+
+  /**
+   * One line describing a leg
+   * @param {object} leg - Walk or ride leg
+   * @returns {string} Translated description
+   */
+  const describeLeg = (leg) => {
+    if (leg.type === 'walk') {
+      return t(leg.from ? 'journey.walkTo' : 'journey.walkFromYou', {
+        from: leg.from?.name,
+        stop: leg.to.name,
+        minutes: Math.max(1, Math.round((leg.arrival - leg.departure) / 60000)),
+        metres: Math.round(leg.distance * 1000)
+      });
+    }
+    return t('journey.ride', {
+      from: leg.from.name,
+      to: leg.to.name,
+      departure: formatTime(leg.departure),
+      arrival: formatTime(leg.arrival),
+      stops: leg.stops
+    });
+  };
+
+  // ============= RENDER =============
+
+  /**
+   * Render one journey option with its legs
+   * @param {object} journey - Journey from planJourneys
+   * @param {number} index - Rank, 0 for the best
+   * @returns {JSX.Element} Journey card
+   */
+  const renderJourney = (journey, index) => {
+    const isTomorrow = journey.departure.toDateString() !== new Date().toDateString();
+    const fare = journeyFare(model, journey.legs, { category: fareCategory });
+
+    return (
+      <li
+        key={journey.legs.map(leg => leg.tripId || leg.to.id).join('>') || 'here'}
+        className={`rounded-lg border p-3 ${index === 0 ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}`}
+      >
+        <div className="flex items-center justify-between">
+          <span className="font-semibold text-gray-900">{t('journey.option', { number: index + 1 })}</span>
+          <span className="text-sm font-semibold text-blue-600">
+            {t('journey.duration', { minutes: Math.round(journey.duration / 60) })}
+          </span>
+        </div>
+        <p className="text-xs text-gray-600 mt-1">
+          {t('journey.times', { departure: formatTime(journey.departure), arrival: formatTime(journey.arrival) })}
+          {isTomorrow && <span className="ml-2 px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full">{t('journey.tomorrow')}</span>}
+        </p>
+        <p className="text-xs text-gray-600">
+          {journey.transfers === 0 ? t('journey.direct') : t('journey.transfers', { count: journey.transfers })}
+          {' · '}
+          {t('app.fare', { amount: fare.total })}
+          {fare.rides.some(ride => ride.transfer) && ` (${t('fare.transferDiscountApplied')})`}
+        </p>
+
+        <ul className="mt-2 space-y-1 text-sm text-gray-700">
+          {journey.legs.length === 0 && <li>{t('journey.alreadyThere')}</li>}
+          {journey.legs.map((leg, legIndex) => (
+            <li key={legIndex} className="flex items-start space-x-2">
+              {leg.type === 'ride' ? (
+                <span
+                  className="px-2 py-0.5 rounded text-xs font-semibold flex-shrink-0"
+                  style={{ backgroundColor: leg.route.color, color: leg.route.textColor }}
+                  title={leg.route.name}
+                >
+                  {leg.route.shortName || leg.route.name}
+                </span>
+              ) : (
+                <span className="px-2 py-0.5 rounded text-xs font-semibold flex-shrink-0 bg-gray-100 text-gray-600">
+                  {t('journey.walk')}
+                </span>
+              )}
+              <span>{describeLeg(leg)}</span>
+            </li>
+          ))}
+        </ul>
+      </li>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h3 className="text-lg font-semibold mb-4 text-gray-900">{t('journey.title')}</h3>
+
+      {!destinationId ? (
+        <p className="text-sm text-gray-500">{t('journey.chooseDestination')}</p>
+      ) : journeys.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('journey.none')}</p>
+      ) : (
+        <ol className="space-y-3">
+          {journeys.map(renderJourney)}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default JourneyPlanner;
@@ -1,6 +1,7 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import { useLanguage } from '../context/LanguageContext';
 
 /**
  * MapView Component - Interactive Leaflet Map for Smart Bus Nepal`
@@ -8,34 +9,50 @@ import 'leaflet/dist/leaflet.css';
  * 
  * Features:
  * - Interactive Leaflet map centered on Kathmandu Valley
- * - Real-time bus position markers with color coding by occupancy
+ * - Real-time bus position markers with color coding by occupancy, ringed in their route colour
+ * - Route lines drawn from the feed's shapes in each route's colour
+ * - Legend with a toggle per route to show or hide its line and buses
  * - Bus stop markers with custom icons
  * - User location marker with accuracy circle
  * - Popups showing bus info (ID, ETA, occupancy, next stop)
  * - Responsive design with Tailwind CSS integration
  * - Smooth marker updates without flickering
+ * - Popups and legend follow the English/Nepali language toggle
  */
 
-const MapView = ({ buses, userLocation, nearestStop, stops }) => {
+const MapView = ({ buses, userLocation, nearestStop, stops, routes }) => {
+  const { t, digits } = useLanguage();
+
+  // Routes the user switched off in the legend
+  const [hiddenRoutes, setHiddenRoutes] = useState(() => new Set());
+  const visibleBuses = useMemo(
+    () => (buses || []).filter(bus => !hiddenRoutes.has(bus.routeId)),
+    [buses, hiddenRoutes]
+  );
+
   // Map and marker references for cleanup and updates
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const markersRef = useRef({
     buses: new Map(),
     stops: new Map(),
+    routes: new Map(),
     user: null,
     nearest: null
   });
+  // Popup builder the bus markers were last filled with
+  const busPopupBuilderRef = useRef(null);
 
   // ============= ICON CONFIGURATIONS =============
 
   /**
    * Create custom bus icon based on occupancy percentage
-   * Color coding: Green (0-30%), Yellow (31-70%), Red (71-100%)
+   * Color coding: Green (0-30%), Yellow (31-70%), Red (71-100%), with a ring in the route colour
    * @param {number} occupancy - Bus occupancy percentage (0-100)
+   * @param {string} routeColor - Route colour as a CSS hex value
    * @returns {L.DivIcon} Leaflet div icon
    */
-  const createBusIcon = (occupancy) => {
+  const createBusIcon = (occupancy, routeColor) => {
     let color, bgColor, textColor;
     
     if (occupancy <= 30) {
@@ -56,7 +73,7 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
       className: 'custom-bus-marker',
       html: `
         <div class="relative">
-          <div class="${bgColor} ${textColor} rounded-full w-8 h-8 flex items-center justify-center border-2 border-white shadow-lg transform transition-transform hover:scale-110">
+          <div class="${bgColor} ${textColor} rounded-full w-8 h-8 flex items-center justify-center border-2 shadow-lg transform transition-transform hover:scale-110" style="border-color: ${routeColor}">
             <svg class="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
               <path d="M8 16.5a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zM15 16.5a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0z"/>
               <path d="M3 4a1 1 0 00-1 1v10a1 1 0 001 1h1.05a2.5 2.5 0 014.9 0H14a1 1 0 001-1V5a1 1 0 00-1-1H3zM14 7a1 1 0 100-2 1 1 0 000 2z"/>
@@ -121,9 +138,10 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
   /**
    * Generate popup content for bus markers
    * @param {object} bus - Bus object with all properties
+   * Memoised on the language so effects rebuild popups only when it changes
    * @returns {string} HTML string for popup content
    */
-  const createBusPopupContent = (bus) => {
+  const createBusPopupContent = useCallback((bus) => {
     const occupancyColor = bus.occupancy <= 30 ? 'text-green-600' : 
                           bus.occupancy <= 70 ? 'text-yellow-600' : 'text-red-600';
     
@@ -138,25 +156,25 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
         
         <div class="space-y-1 text-sm">
           <div class="flex justify-between">
-            <span class="text-gray-600">Occupancy:</span>
-            <span class="${occupancyColor} font-semibold">${Math.round(bus.occupancy)}%</span>
+            <span class="text-gray-600">${t('map.occupancy')}</span>
+            <span class="${occupancyColor} font-semibold">${digits(`${Math.round(bus.occupancy)}%`)}</span>
           </div>
           
           <div class="flex justify-between">
-            <span class="text-gray-600">Next Stop:</span>
-            <span class="font-medium text-gray-800">${bus.nextStop?.name || 'Unknown'}</span>
+            <span class="text-gray-600">${t('map.nextStop')}</span>
+            <span class="font-medium text-gray-800">${bus.nextStop?.name || t('map.unknown')}</span>
           </div>
           
           <div class="flex justify-between">
-            <span class="text-gray-600">Status:</span>
+            <span class="text-gray-600">${t('map.status')}</span>
             <span class="font-medium ${bus.isAtStop ? 'text-red-600' : 'text-green-600'}">
-              ${bus.isAtStop ? 'At Stop' : 'In Transit'}
+              ${bus.isAtStop ? t('map.atStop') : t('map.inTransit')}
             </span>
           </div>
           
           <div class="flex justify-between">
-            <span class="text-gray-600">Speed:</span>
-            <span class="font-medium text-gray-800">${Math.round(bus.speed)} km/h</span>
+            <span class="text-gray-600">${t('map.speed')}</span>
+            <span class="font-medium text-gray-800">${t('map.kmh', { speed: Math.round(bus.speed) })}</span>
           </div>
         </div>
         
@@ -167,11 +185,11 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
               bus.occupancy <= 70 ? 'bg-yellow-500' : 'bg-red-500'
             }" style="width: ${bus.occupancy}%"></div>
           </div>
-          <p class="text-xs text-gray-500 mt-1 text-center">Bus Occupancy</p>
+          <p class="text-xs text-gray-500 mt-1 text-center">${t('map.busOccupancy')}</p>
         </div>
       </div>
     `;
-  };
+  }, [t, digits]);
 
   /**
    * Generate popup content for stop markers
@@ -179,41 +197,41 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
    * @param {boolean} isNearest - Whether this is the nearest stop
    * @returns {string} HTML string for popup content
    */
-  const createStopPopupContent = (stop, isNearest) => {
+  const createStopPopupContent = useCallback((stop, isNearest) => {
     return `
       <div class="p-2">
         <div class="flex items-center justify-between mb-2">
           <h3 class="font-bold text-lg text-gray-800">${stop.name}</h3>
-          ${isNearest ? '<span class="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full font-semibold">Nearest</span>' : ''}
+          ${isNearest ? `<span class="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full font-semibold">${t('map.nearest')}</span>` : ''}
         </div>
         
         <div class="space-y-1 text-sm">
           <div class="flex justify-between">
-            <span class="text-gray-600">Zone:</span>
-            <span class="font-medium text-gray-800">${stop.zone || 'Central'}</span>
+            <span class="text-gray-600">${t('map.zone')}</span>
+            <span class="font-medium text-gray-800">${stop.zone || t('map.zoneCentral')}</span>
           </div>
           
           <div class="flex justify-between">
-            <span class="text-gray-600">Type:</span>
-            <span class="font-medium text-gray-800">${stop.type || 'Regular'}</span>
+            <span class="text-gray-600">${t('map.type')}</span>
+            <span class="font-medium text-gray-800">${stop.type || t('map.typeRegular')}</span>
           </div>
           
           ${isNearest && stop.distance ? `
             <div class="flex justify-between">
-              <span class="text-gray-600">Distance:</span>
-              <span class="font-medium text-blue-600">${stop.distance.toFixed(2)} km</span>
+              <span class="text-gray-600">${t('map.distance')}</span>
+              <span class="font-medium text-blue-600">${t('map.km', { distance: stop.distance.toFixed(2) })}</span>
             </div>
           ` : ''}
         </div>
         
         <div class="mt-2 pt-2 border-t border-gray-200">
           <p class="text-xs text-gray-500 text-center">
-            ${isNearest ? 'Your nearest bus stop' : 'Bus stop in Kathmandu Valley'}
+            ${isNearest ? t('map.yourNearestStop') : t('map.valleyStop')}
           </p>
         </div>
       </div>
     `;
-  };
+  }, [t]);
 
   // ============= MAP INITIALIZATION =============
 
@@ -281,24 +299,32 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
       zIndexOffset: 1000
     }).addTo(map);
 
-    // Add popup to user marker
-    markers.user.bindPopup(`
+    // Pan to user location on first load
+    map.setView([userLocation.lat, userLocation.lng], 13);
+
+  }, [userLocation]);
+
+  /**
+   * (Re)bind the user marker popup so it follows the language toggle
+   * Kept separate from the marker effect so switching language does not re-pan the map
+   */
+  useEffect(() => {
+    const userMarker = markersRef.current.user;
+    if (!userMarker || !userLocation) return;
+
+    userMarker.bindPopup(`
       <div class="p-2">
-        <h3 class="font-bold text-lg text-blue-600 mb-2">Your Location</h3>
+        <h3 class="font-bold text-lg text-blue-600 mb-2">${t('map.yourLocation')}</h3>
         <p class="text-sm text-gray-600">
-          Lat: ${userLocation.lat.toFixed(6)}<br>
-          Lng: ${userLocation.lng.toFixed(6)}
+          ${t('map.lat')}: ${digits(userLocation.lat.toFixed(6))}<br>
+          ${t('map.lng')}: ${digits(userLocation.lng.toFixed(6))}
         </p>
         <p class="text-xs text-gray-500 mt-2">
-          Location accuracy: GPS enabled
+          ${t('map.gps')}
         </p>
       </div>
     `);
-
-    // Pan to user location on first load
-    map.setView([userLocation.lat, userLocation.lng], 13);
-
-  }, [userLocation]);
+  }, [userLocation, t, digits]);
 
   // ============= BUS STOPS UPDATES =============
 
@@ -339,21 +365,70 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
       }
     });
 
-  }, [stops, nearestStop]);
+  }, [stops, nearestStop, createStopPopupContent]);
+
+  // ============= ROUTE LINES =============
+
+  /**
+   * Draw a line per visible route in its colour
+   */
+  useEffect(() => {
+    if (!mapInstanceRef.current || !routes) return;
+
+    const map = mapInstanceRef.current;
+    const markers = markersRef.current;
+
+    // Clear existing route lines
+    markers.routes.forEach(line => map.removeLayer(line));
+    markers.routes.clear();
+
+    routes.forEach(route => {
+      if (hiddenRoutes.has(route.id)) return;
+
+      const line = L.polyline(
+        route.lines.map(points => points.map(point => [point.lat, point.lng])),
+        { color: route.color, weight: 5, opacity: 0.7 }
+      ).addTo(map);
+
+      line.bindTooltip(route.shortName ? `${route.shortName} · ${route.name}` : route.name, { sticky: true });
+      markers.routes.set(route.id, line);
+    });
+
+  }, [routes, hiddenRoutes]);
+
+  /**
+   * Show or hide one route's line and buses
+   * @param {string} routeId - GTFS route_id
+   */
+  const toggleRoute = (routeId) => {
+    setHiddenRoutes(previous => {
+      const next = new Set(previous);
+      if (next.has(routeId)) {
+        next.delete(routeId);
+      } else {
+        next.add(routeId);
+      }
+      return next;
+    });
+  };
 
   // ============= BUS POSITION UPDATES =============
 
   /**
    * Update bus markers with smooth position transitions
+   * Buses on hidden routes lose their markers like buses that left the feed
    */
   useEffect(() => {
-    if (!mapInstanceRef.current || !buses || buses.length === 0) return;
+    if (!mapInstanceRef.current) return;
 
     const map = mapInstanceRef.current;
     const markers = markersRef.current;
+    // A new popup builder means the language or numerals changed, so every popup is rebuilt
+    const languageChanged = busPopupBuilderRef.current !== createBusPopupContent;
+    busPopupBuilderRef.current = createBusPopupContent;
 
     // Get current bus IDs
-    const currentBusIds = new Set(buses.map(bus => bus.id));
+    const currentBusIds = new Set(visibleBuses.map(bus => bus.id));
 
     // Remove markers for buses that no longer exist
     markers.buses.forEach((marker, busId) => {
@@ -364,7 +439,7 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
     });
 
     // Update or create markers for each bus
-    buses.forEach(bus => {
+    visibleBuses.forEach(bus => {
       const existingMarker = markers.buses.get(bus.id);
       
       if (existingMarker) {
@@ -379,17 +454,20 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
           // Update icon if occupancy changed significantly
           const currentOccupancy = existingMarker._occupancy || 0;
           if (Math.abs(bus.occupancy - currentOccupancy) > 5) {
-            existingMarker.setIcon(createBusIcon(bus.occupancy));
+            existingMarker.setIcon(createBusIcon(bus.occupancy, bus.color));
             existingMarker._occupancy = bus.occupancy;
           }
           
           // Update popup content
           existingMarker.setPopupContent(createBusPopupContent(bus));
+        } else if (languageChanged) {
+          // Language or numerals changed while the bus was standing still
+          existingMarker.setPopupContent(createBusPopupContent(bus));
         }
       } else {
         // Create new marker
         const marker = L.marker([bus.position.lat, bus.position.lng], {
-          icon: createBusIcon(bus.occupancy),
+          icon: createBusIcon(bus.occupancy, bus.color),
           zIndexOffset: 200
         }).addTo(map);
 
@@ -400,7 +478,7 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
       }
     });
 
-  }, [buses]);
+  }, [visibleBuses, createBusPopupContent]);
 
   // ============= MAP BOUNDS ADJUSTMENT =============
 
@@ -450,20 +528,20 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
       {/* Map Controls Overlay */}
       <div className="absolute top-4 left-4 z-[1000]">
         <div className="bg-white rounded-lg shadow-lg p-3 space-y-2">
-          <div className="text-xs font-semibold text-gray-700 mb-2">Legend</div>
+          <div className="text-xs font-semibold text-gray-700 mb-2">{t('map.legend')}</div>
           
           {/* Bus Occupancy Legend */}
           <div className="flex items-center space-x-2">
             <div className="w-4 h-4 bg-green-500 rounded-full"></div>
-            <span className="text-xs text-gray-600">Low (0-30%)</span>
+            <span className="text-xs text-gray-600">{t('map.legendLow')}</span>
           </div>
           <div className="flex items-center space-x-2">
             <div className="w-4 h-4 bg-yellow-500 rounded-full"></div>
-            <span className="text-xs text-gray-600">Medium (31-70%)</span>
+            <span className="text-xs text-gray-600">{t('map.legendMedium')}</span>
           </div>
           <div className="flex items-center space-x-2">
             <div className="w-4 h-4 bg-red-500 rounded-full"></div>
-            <span className="text-xs text-gray-600">High (71-100%)</span>
+            <span className="text-xs text-gray-600">{t('map.legendHigh')}</span>
           </div>
           
           <hr className="my-2 border-gray-200" />
@@ -471,16 +549,48 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
           {/* Other Markers Legend */}
           <div className="flex items-center space-x-2">
             <div className="w-3 h-3 bg-blue-500 rounded-full animate-pulse"></div>
-            <span className="text-xs text-gray-600">Your Location</span>
+            <span className="text-xs text-gray-600">{t('map.yourLocation')}</span>
           </div>
           <div className="flex items-center space-x-2">
             <div className="w-3 h-3 bg-blue-600 rounded-full"></div>
-            <span className="text-xs text-gray-600">Nearest Stop</span>
+            <span className="text-xs text-gray-600">{t('map.nearestStop')}</span>
           </div>
           <div className="flex items-center space-x-2">
             <div className="w-3 h-3 bg-gray-600 rounded-full"></div>
-            <span className="text-xs text-gray-600">Bus Stop</span>
+            <span className="text-xs text-gray-600">{t('map.busStop')}</span>
           </div>
+
+          {routes && routes.length > 0 && (
+            <div className="space-y-2">
+              <hr className="my-2 border-gray-200" />
+
+              {/* Route Toggles */}
+              <div className="flex items-center justify-between space-x-3">
+                <span className="text-xs font-semibold text-gray-700">{t('map.routes')}</span>
+                <button
+                  type="button"
+                  className="text-xs text-blue-600 hover:underline"
+                  onClick={() => setHiddenRoutes(hiddenRoutes.size > 0 ? new Set() : new Set(routes.map(route => route.id)))}
+                >
+                  {hiddenRoutes.size > 0 ? t('map.showAllRoutes') : t('map.hideAllRoutes')}
+                </button>
+              </div>
+              <div className="max-h-40 overflow-y-auto space-y-1">
+                {routes.map(route => (
+                  <label key={route.id} className="flex items-center space-x-2 cursor-pointer" title={route.name}>
+                    <input
+                      type="checkbox"
+                      className="rounded"
+                      checked={!hiddenRoutes.has(route.id)}
+                      onChange={() => toggleRoute(route.id)}
+                    />
+                    <span className="w-4 h-1 rounded-full" style={{ backgroundColor: route.color }}></span>
+                    <span className="text-xs text-gray-600">{route.shortName || route.name}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </div>
       
@@ -489,7 +599,7 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
         <div className="absolute inset-0 bg-white bg-opacity-75 flex items-center justify-center z-[1000]">
           <div className="text-center">
             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
-            <p className="mt-2 text-sm text-gray-600">Loading buses...</p>
+            <p className="mt-2 text-sm text-gray-600">{t('map.loading')}</p>
           </div>
         </div>
       )}
@@ -503,7 +613,7 @@ const MapView = ({ buses, userLocation, nearestStop, stops }) => {
               <path d="M3 4a1 1 0 00-1 1v10a1 1 0 001 1h1.05a2.5 2.5 0 014.9 0H14a1 1 0 001-1V5a1 1 0 00-1-1H3zM14 7a1 1 0 100-2 1 1 0 000 2z"/>
             </svg>
             <span className="text-sm font-medium text-gray-700">
-              {buses ? buses.length : 0} buses active
+              {t('map.busesActive', { count: buses ? buses.length : 0 })}
             </span>
           </div>
         </div>
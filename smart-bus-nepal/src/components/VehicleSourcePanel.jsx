@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { useVehicles } from '../context/VehiclesContext';
+import { useLanguage } from '../context/LanguageContext';
+import { SOURCE_TYPES, isValidSourceUrl } from '../utils/vehicleSources';
+
+/**
+ * VehicleSourcePanel Component - picks where Smart Bus Nepal's buses come from
+ *
+ * Features:
+ * - Switches between the demo simulator and live GTFS-RT, JSON or WebSocket feeds
+ * - Edits the feed URLs as a draft, applied together so half-typed URLs aren't fetched
+ * - Refuses URLs the chosen source cannot connect to, so a typo is never saved and retried on every load
+ * - Shows whether the feed is live, when it last updated and how many vehicles matched a trip
+ */
+
+const VehicleSourcePanel = () => {
+  const { status, source, setSource } = useVehicles();
+  const { t } = useLanguage();
+  const [draft, setDraft] = useState(source);
+  const [invalidUrl, setInvalidUrl] = useState(null);
+
+  const isDemo = draft.type === 'demo';
+  const isChanged = ['type', 'url', 'tripUpdatesUrl'].some(key => draft[key] !== source[key]);
+
+  /**
+   * Apply the draft settings; the provider restarts the source
+   * @param {Event} event - Form submit event
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (isDemo) {
+      setInvalidUrl(null);
+      setSource({ ...draft, url: '', tripUpdatesUrl: '' });
+      return;
+    }
+    const invalid = [draft.url, draft.tripUpdatesUrl].find(url => url && !isValidSourceUrl(draft.type, url));
+    setInvalidUrl(invalid ?? null);
+    if (invalid === undefined) setSource(draft);
+  };
+
+  /**
+   * One-line description of the running source
+   * @returns {string|null} Status text
+   */
+  const describeStatus = () => {
+    if (!status) return null;
+    switch (status.state) {
+      case 'demo': return t('vehicles.status.demo', { count: status.vehicles });
+      case 'connecting': return t('vehicles.status.connecting');
+      case 'reconnecting': return t('vehicles.status.reconnecting');
+      default:
+        return status.updatedAt
+          ? t('vehicles.status.live', { count: status.vehicles, time: new Date(status.updatedAt).toLocaleTimeString() })
+          : null;
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h3 className="text-lg font-semibold mb-2 text-gray-900">{t('vehicles.title')}</h3>
+
+      <div className="text-sm text-gray-600 space-y-1">
+        <p className="flex items-center">
+          <span className={`w-2 h-2 rounded-full mr-2 ${status?.state === 'live' ? 'bg-green-500 animate-pulse' : status?.state === 'demo' ? 'bg-blue-500' : 'bg-yellow-500'}`}></span>
+          {describeStatus()}
+        </p>
+        {status?.unmatched > 0 && <p className="text-xs text-gray-500">{t('vehicles.unmatched', { count: status.unmatched })}</p>}
+      </div>
+      {status?.error && (
+        <div className="mt-3 bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded text-sm">
+          {t('vehicles.error', { message: status.error })}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+        <select
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          value={draft.type}
+          onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+        >
+          {SOURCE_TYPES.map(type => (
+            <option key={type} value={type}>{t(`vehicles.type.${type}`)}</option>
+          ))}
+        </select>
+        {!isDemo && (
+          <input
+            type="text"
+            required
+            className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+            placeholder={t(draft.type === 'websocket' ? 'vehicles.wsUrl' : 'vehicles.url')}
+            value={draft.url}
+            onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+          />
+        )}
+        {draft.type === 'gtfs-rt' && (
+          <input
+            type="text"
+            className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+            placeholder={t('vehicles.tripUpdatesUrl')}
+            value={draft.tripUpdatesUrl}
+            onChange={(e) => setDraft({ ...draft, tripUpdatesUrl: e.target.value })}
+          />
+        )}
+        {invalidUrl !== null && (
+          <p className="text-xs text-red-600">
+            {t(draft.type === 'websocket' ? 'vehicles.invalidWsUrl' : 'vehicles.invalidUrl', { url: invalidUrl })}
+          </p>
+        )}
+        <button
+          type="submit"
+          disabled={!isChanged}
+          className="w-full px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          {t('vehicles.apply')}
+        </button>
+      </form>
+      <p className="mt-3 text-xs text-gray-500">{t('vehicles.hint')}</p>
+    </div>
+  );
+};
+
+export default VehicleSourcePanel;
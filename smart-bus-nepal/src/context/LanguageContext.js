@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Language context for Smart Bus Nepal
+ * Provided by LanguageProvider; holds the active language, numeral system and `t()`
+ */
+export const LanguageContext = createContext(null);
+
+/**
+ * Access the active language and translation helpers
+ * @returns {object} { language, numerals, setLanguage, setNumerals, t, digits }
+ */
+export const useLanguage = () => {
+  const context = useContext(LanguageContext);
+  if (!context) throw new Error('useLanguage must be used inside <LanguageProvider>');
+  return context;
+};
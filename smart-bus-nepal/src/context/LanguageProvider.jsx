@@ -0,0 +1,51 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { LanguageContext } from './LanguageContext';
+import { localizeDigits, translate } from '../utils/i18n';
+
+/**
+ * LanguageProvider - English/Nepali switch for Smart Bus Nepal
+ *
+ * Features:
+ * - Persists the chosen language and numeral system in localStorage
+ * - Keeps <html lang> in sync for screen readers and font selection
+ * - `t(key, params)` translates and renders digits in the chosen numeral system
+ */
+
+const STORAGE_KEY = 'smartBusNepal:locale';
+const DEFAULT_LOCALE = { language: 'en', numerals: 'latin' };
+
+/**
+ * Read the saved locale, ignoring storage that is unavailable or corrupt
+ * @returns {object} { language, numerals }
+ */
+const loadLocale = () => {
+  try {
+    return { ...DEFAULT_LOCALE, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+};
+
+const LanguageProvider = ({ children }) => {
+  const [locale, setLocale] = useState(loadLocale);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(locale));
+    document.documentElement.lang = locale.language;
+  }, [locale]);
+
+  const value = useMemo(() => {
+    const digits = (text) => localizeDigits(text, locale.numerals);
+    return {
+      ...locale,
+      setLanguage: (language) => setLocale((prev) => ({ ...prev, language })),
+      setNumerals: (numerals) => setLocale((prev) => ({ ...prev, numerals })),
+      t: (key, params) => digits(translate(locale.language, key, params)),
+      digits
+    };
+  }, [locale]);
+
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+};
+
+export default LanguageProvider;
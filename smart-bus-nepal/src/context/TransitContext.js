@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Transit context for Smart Bus Nepal
+ * Provided by TransitProvider; holds the GTFS transit model the map, buses and destination select use
+ */
+export const TransitContext = createContext(null);
+
+/**
+ * Access the loaded transit model and the feed loader
+ * @returns {object} { model, source, status, error, loadFiles }
+ */
+export const useTransit = () => {
+  const context = useContext(TransitContext);
+  if (!context) throw new Error('useTransit must be used inside <TransitProvider>');
+  return context;
+};
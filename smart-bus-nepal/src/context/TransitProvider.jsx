@@ -0,0 +1,54 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { TransitContext } from './TransitContext';
+import { DEFAULT_FEED_URL, loadGtfsFromFiles, loadGtfsFromUrl } from '../utils/gtfs';
+
+/**
+ * TransitProvider - GTFS feed loading for Smart Bus Nepal
+ *
+ * Features:
+ * - Loads the bundled (or VITE_GTFS_URL) feed on start
+ * - `loadFiles(fileList)` swaps in a feed the user picked, as a zip or a folder
+ * - A failed swap keeps the previous model so the map never goes blank
+ */
+
+const TransitProvider = ({ children }) => {
+  const [feed, setFeed] = useState({ model: null, source: DEFAULT_FEED_URL, status: 'loading', error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadGtfsFromUrl(DEFAULT_FEED_URL)
+      .then((model) => {
+        if (!cancelled) setFeed({ model, source: DEFAULT_FEED_URL, status: 'ready', error: null });
+      })
+      .catch((error) => {
+        if (!cancelled) setFeed((prev) => ({ ...prev, status: 'error', error: error.message }));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const value = useMemo(() => ({
+    ...feed,
+    /**
+     * Replace the transit model with a user-picked feed
+     * @param {FileList} fileList - One .zip, or the .txt files of a GTFS folder
+     */
+    loadFiles: async (fileList) => {
+      const files = [...fileList];
+      if (files.length === 0) return;
+      const source = files.length === 1 ? files[0].name : files[0].webkitRelativePath.split('/')[0] || files[0].name;
+      setFeed((prev) => ({ ...prev, status: 'loading', error: null }));
+      try {
+        const model = await loadGtfsFromFiles(files);
+        setFeed({ model, source, status: 'ready', error: null });
+      } catch (error) {
+        setFeed((prev) => ({ ...prev, status: prev.model ? 'ready' : 'error', error: error.message }));
+      }
+    }
+  }), [feed]);
+
+  return <TransitContext.Provider value={value}>{children}</TransitContext.Provider>;
+};
+
+export default TransitProvider;
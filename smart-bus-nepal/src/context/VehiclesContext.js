@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Vehicles context for Smart Bus Nepal
+ * Provided by VehiclesProvider; holds the buses on the map and the source they come from
+ */
+export const VehiclesContext = createContext(null);
+
+/**
+ * Access the buses and the vehicle source settings
+ * @returns {object} { buses, status, source, setSource }
+ */
+export const useVehicles = () => {
+  const context = useContext(VehiclesContext);
+  if (!context) throw new Error('useVehicles must be used inside <VehiclesProvider>');
+  return context;
+};
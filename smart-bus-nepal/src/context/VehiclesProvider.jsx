@@ -0,0 +1,51 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { VehiclesContext } from './VehiclesContext';
+import { useTransit } from './TransitContext';
+import { DEFAULT_VEHICLE_SOURCE, SOURCE_TYPES, startVehicleSource } from '../utils/vehicleSources';
+
+/**
+ * VehiclesProvider - where Smart Bus Nepal's buses come from
+ *
+ * Features:
+ * - Runs the chosen vehicle source (demo simulator, GTFS-RT, JSON or WebSocket) against the loaded transit model
+ * - Restarts it when the source settings or the transit feed change
+ * - Persists the chosen source in localStorage
+ */
+
+const STORAGE_KEY = 'smartBusNepal:vehicleSource';
+
+/**
+ * Read the saved vehicle source, ignoring storage that is unavailable, corrupt or names an unknown type
+ * @returns {object} { type, url, tripUpdatesUrl }
+ */
+const loadSource = () => {
+  try {
+    const saved = { ...DEFAULT_VEHICLE_SOURCE, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    return SOURCE_TYPES.includes(saved.type) ? saved : DEFAULT_VEHICLE_SOURCE;
+  } catch {
+    return DEFAULT_VEHICLE_SOURCE;
+  }
+};
+
+const VehiclesProvider = ({ children }) => {
+  const { model } = useTransit();
+  const [source, setSource] = useState(loadSource);
+  const [buses, setBuses] = useState([]);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(source));
+  }, [source]);
+
+  useEffect(() => {
+    if (!model) return;
+    setBuses([]);
+    return startVehicleSource(source, model, { onBuses: setBuses, onStatus: setStatus });
+  }, [model, source]);
+
+  const value = useMemo(() => ({ buses, status, source, setSource }), [buses, status, source]);
+
+  return <VehiclesContext.Provider value={value}>{children}</VehiclesContext.Provider>;
+};
+
+export default VehiclesProvider;
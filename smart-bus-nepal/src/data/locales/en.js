@@ -0,0 +1,143 @@
+/**
+ * English UI strings for Smart Bus Nepal
+ * `{name}` marks a placeholder filled in by translate()
+ */
+export const en = {
+  // ============= APP SHELL =============
+  'app.loading': 'Loading Smart Bus Nepal...',
+  'app.subtitle': 'Real-time Bus Tracking - Kathmandu Valley',
+  'app.nearestStop': 'Nearest Stop',
+  'app.kmAway': '{distance} km away',
+  'app.selectDestination': 'Select Destination',
+  'app.chooseDestination': 'Choose destination...',
+  'app.fare': 'Fare: Rs. {amount}',
+
+  // ============= ETA LIST =============
+  'eta.title': 'Live Bus ETAs',
+  'eta.toStop': 'To {stop}',
+  'eta.selectLocation': 'Select your location',
+  'eta.busesTracked': 'buses tracked',
+  'eta.occupancy.low': 'Low',
+  'eta.occupancy.medium': 'Medium',
+  'eta.occupancy.high': 'High',
+  'eta.seats.low': 'Plenty of seats available',
+  'eta.seats.medium': 'Some seats available',
+  'eta.seats.high': 'Limited seats available',
+  'eta.arrivingNow': 'Arriving now',
+  'eta.oneMinute': '1 min',
+  'eta.minutes': '{minutes} mins',
+  'eta.hours': '{hours}h',
+  'eta.hoursMinutes': '{hours}h {minutes}m',
+  'eta.label': 'ETA',
+  'eta.now': 'NOW',
+  'eta.nextStop': 'Next Stop:',
+  'eta.occupancy': 'Occupancy:',
+  'eta.purchase': 'Purchase Ticket',
+  'eta.selectDestinationFirst': 'Select Destination First',
+  'eta.selectDestinationAlert': 'Please select a destination first!',
+  'eta.notToDestination': 'Does not go to your destination',
+  'eta.busNotToDestination': 'Bus {bus} does not go to {stop}. The Journey Planner shows routes with changes.',
+  'eta.updatedNow': 'Updated now',
+  'eta.liveTracking': 'Live tracking',
+  'eta.locationNotFound': 'Location Not Found',
+  'eta.enableLocation': 'Please enable location access to see nearby bus ETAs',
+  'eta.retryLocation': 'Retry Location Access',
+  'eta.loading': 'Loading Buses...',
+  'eta.fetching': 'Fetching real-time bus information for {stop}',
+  'eta.howTo': 'How to use:',
+  'eta.howToBody': 'Select your destination, then click "Purchase Ticket" on your preferred bus. Buses are sorted by arrival time - nearest first!',
+  'eta.sorted': 'Sorted by arrival time',
+  'eta.updatesEvery': 'Updates every {seconds} seconds',
+  'eta.lastUpdated': 'Last updated: {time}',
+
+  // ============= FARES =============
+  'fare.category': 'Passenger',
+  'fare.category.regular': 'Regular',
+  'fare.category.student': 'Student',
+  'fare.category.senior': 'Senior citizen',
+  'fare.category.disabled': 'Person with disability',
+  'fare.direct': 'Fare: Rs. {amount} ({distance} km on {route})',
+  'fare.noDirect': 'No direct bus to this stop - see the Journey Planner for fares with a change.',
+  'fare.transferDiscountApplied': 'transfer discount applied',
+
+  // ============= JOURNEY PLANNER =============
+  'journey.title': 'Journey Planner',
+  'journey.chooseDestination': 'Choose a destination to see the ways there, including changes between routes.',
+  'journey.none': 'No bus journey found to this stop.',
+  'journey.option': 'Option {number}',
+  'journey.duration': '{minutes} min',
+  'journey.times': 'Leave {departure} · arrive {arrival}',
+  'journey.tomorrow': 'Tomorrow',
+  'journey.direct': 'Direct',
+  'journey.transfers': '{count} change(s)',
+  'journey.alreadyThere': 'You are already at this stop.',
+  'journey.walk': 'Walk',
+  'journey.walkFromYou': '{minutes} min ({metres} m) to {stop}',
+  'journey.walkTo': '{minutes} min ({metres} m) from {from} to {stop}',
+  'journey.ride': '{from} {departure} → {to} {arrival} ({stops} stops)',
+
+  // ============= MAP VIEW =============
+  'map.occupancy': 'Occupancy:',
+  'map.nextStop': 'Next Stop:',
+  'map.unknown': 'Unknown',
+  'map.status': 'Status:',
+  'map.atStop': 'At Stop',
+  'map.inTransit': 'In Transit',
+  'map.speed': 'Speed:',
+  'map.kmh': '{speed} km/h',
+  'map.busOccupancy': 'Bus Occupancy',
+  'map.nearest': 'Nearest',
+  'map.zone': 'Zone:',
+  'map.zoneCentral': 'Central',
+  'map.type': 'Type:',
+  'map.typeRegular': 'Regular',
+  'map.distance': 'Distance:',
+  'map.km': '{distance} km',
+  'map.yourNearestStop': 'Your nearest bus stop',
+  'map.valleyStop': 'Bus stop in Kathmandu Valley',
+  'map.yourLocation': 'Your Location',
+  'map.lat': 'Lat',
+  'map.lng': 'Lng',
+  'map.gps': 'Location accuracy: GPS enabled',
+  'map.legend': 'Legend',
+  'map.legendLow': 'Low (0-30%)',
+  'map.legendMedium': 'Medium (31-70%)',
+  'map.legendHigh': 'High (71-100%)',
+  'map.nearestStop': 'Nearest Stop',
+  'map.busStop': 'Bus Stop',
+  'map.routes': 'Routes',
+  'map.showAllRoutes': 'Show all',
+  'map.hideAllRoutes': 'Hide all',
+  'map.loading': 'Loading buses...',
+  'map.busesActive': '{count} buses active',
+
+  // ============= TRANSIT FEED =============
+  'feed.title': 'Transit Data',
+  'feed.loading': 'Loading transit data...',
+  'feed.summary': '{routes} routes · {stops} stops',
+  'feed.source': 'Source: {source}',
+  'feed.loadZip': 'Load GTFS zip',
+  'feed.loadFolder': 'Load GTFS folder',
+  'feed.hint': 'Load a GTFS feed (e.g. Sajha Yatayat or Mahanagar) as a .zip or a folder of .txt files.',
+  'feed.error': 'Could not load the transit feed: {message}',
+
+  // ============= VEHICLE SOURCE =============
+  'vehicles.title': 'Live Vehicles',
+  'vehicles.type.demo': 'Demo (simulated buses)',
+  'vehicles.type.gtfs-rt': 'GTFS-Realtime feed',
+  'vehicles.type.json': 'JSON feed',
+  'vehicles.type.websocket': 'WebSocket stream',
+  'vehicles.url': 'Vehicle positions URL',
+  'vehicles.wsUrl': 'WebSocket URL (ws:// or wss://)',
+  'vehicles.tripUpdatesUrl': 'Trip updates URL (optional)',
+  'vehicles.apply': 'Use this source',
+  'vehicles.invalidUrl': '"{url}" is not a valid http:// or https:// URL',
+  'vehicles.invalidWsUrl': '"{url}" is not a valid ws:// or wss:// URL',
+  'vehicles.status.demo': '{count} simulated buses',
+  'vehicles.status.connecting': 'Connecting to the live feed...',
+  'vehicles.status.reconnecting': 'Connection lost, reconnecting...',
+  'vehicles.status.live': '{count} buses live · updated {time}',
+  'vehicles.unmatched': '{count} vehicles could not be matched to a trip',
+  'vehicles.error': 'Live feed error: {message}',
+  'vehicles.hint': 'Run "npm run realtime:mock" for a local test feed.'
+};
@@ -0,0 +1,143 @@
+/**
+ * नेपाली UI strings for Smart Bus Nepal
+ * Digits stay Latin here; the numeral setting converts them to Devanagari when shown
+ */
+export const ne = {
+  // ============= APP SHELL =============
+  'app.loading': 'स्मार्ट बस नेपाल खुल्दैछ...',
+  'app.subtitle': 'प्रत्यक्ष बस ट्र्याकिङ - काठमाडौं उपत्यका',
+  'app.nearestStop': 'नजिकको स्टप',
+  'app.kmAway': '{distance} कि.मि. टाढा',
+  'app.selectDestination': 'गन्तव्य छान्नुहोस्',
+  'app.chooseDestination': 'गन्तव्य छान्नुहोस्...',
+  'app.fare': 'भाडा: रु. {amount}',
+
+  // ============= ETA LIST =============
+  'eta.title': 'बस आइपुग्ने समय',
+  'eta.toStop': '{stop} सम्म',
+  'eta.selectLocation': 'आफ्नो स्थान छान्नुहोस्',
+  'eta.busesTracked': 'बस ट्र्याक हुँदै',
+  'eta.occupancy.low': 'कम',
+  'eta.occupancy.medium': 'मध्यम',
+  'eta.occupancy.high': 'धेरै',
+  'eta.seats.low': 'प्रशस्त सिट खाली छन्',
+  'eta.seats.medium': 'केही सिट खाली छन्',
+  'eta.seats.high': 'थोरै सिट मात्र खाली छन्',
+  'eta.arrivingNow': 'आइपुग्दैछ',
+  'eta.oneMinute': '1 मिनेट',
+  'eta.minutes': '{minutes} मिनेट',
+  'eta.hours': '{hours} घण्टा',
+  'eta.hoursMinutes': '{hours} घण्टा {minutes} मिनेट',
+  'eta.label': 'आइपुग्ने',
+  'eta.now': 'अहिले',
+  'eta.nextStop': 'अर्को स्टप:',
+  'eta.occupancy': 'भीड:',
+  'eta.purchase': 'टिकट किन्नुहोस्',
+  'eta.selectDestinationFirst': 'पहिले गन्तव्य छान्नुहोस्',
+  'eta.selectDestinationAlert': 'कृपया पहिले गन्तव्य छान्नुहोस्!',
+  'eta.notToDestination': 'तपाईंको गन्तव्यमा जाँदैन',
+  'eta.busNotToDestination': 'बस {bus} {stop} जाँदैन। बस फेरेर जाने बाटो यात्रा योजनामा हेर्नुहोस्।',
+  'eta.updatedNow': 'भर्खरै अद्यावधिक',
+  'eta.liveTracking': 'प्रत्यक्ष ट्र्याकिङ',
+  'eta.locationNotFound': 'स्थान भेटिएन',
+  'eta.enableLocation': 'नजिकका बस आइपुग्ने समय हेर्न स्थान पहुँच खोल्नुहोस्',
+  'eta.retryLocation': 'फेरि स्थान खोज्नुहोस्',
+  'eta.loading': 'बस खोज्दै...',
+  'eta.fetching': '{stop} का लागि प्रत्यक्ष बस विवरण ल्याउँदै',
+  'eta.howTo': 'कसरी प्रयोग गर्ने:',
+  'eta.howToBody': 'गन्तव्य छान्नुहोस्, अनि मनपर्ने बसमा "टिकट किन्नुहोस्" थिच्नुहोस्। बसहरू आइपुग्ने समयअनुसार मिलाइएका छन् - सबैभन्दा नजिकको पहिले!',
+  'eta.sorted': 'आइपुग्ने समयअनुसार',
+  'eta.updatesEvery': 'हरेक {seconds} सेकेन्डमा अद्यावधिक',
+  'eta.lastUpdated': 'पछिल्लो अद्यावधिक: {time}',
+
+  // ============= FARES =============
+  'fare.category': 'यात्रु',
+  'fare.category.regular': 'साधारण',
+  'fare.category.student': 'विद्यार्थी',
+  'fare.category.senior': 'ज्येष्ठ नागरिक',
+  'fare.category.disabled': 'अपाङ्गता भएका व्यक्ति',
+  'fare.direct': 'भाडा: रु. {amount} ({route} मा {distance} कि.मि.)',
+  'fare.noDirect': 'यो स्टपसम्म सीधा बस छैन - बस फेरेर जाने भाडा यात्रा योजनामा हेर्नुहोस्।',
+  'fare.transferDiscountApplied': 'बस फेर्दा छुट लागू',
+
+  // ============= JOURNEY PLANNER =============
+  'journey.title': 'यात्रा योजना',
+  'journey.chooseDestination': 'बस फेर्नुपर्ने बाटोसमेत हेर्न गन्तव्य छान्नुहोस्।',
+  'journey.none': 'यो स्टपसम्म कुनै बस यात्रा भेटिएन।',
+  'journey.option': 'विकल्प {number}',
+  'journey.duration': '{minutes} मिनेट',
+  'journey.times': '{departure} मा निस्कने · {arrival} मा पुग्ने',
+  'journey.tomorrow': 'भोलि',
+  'journey.direct': 'सीधा',
+  'journey.transfers': '{count} पटक बस फेर्ने',
+  'journey.alreadyThere': 'तपाईं यही स्टपमा हुनुहुन्छ।',
+  'journey.walk': 'पैदल',
+  'journey.walkFromYou': '{stop} सम्म {minutes} मिनेट ({metres} मि.)',
+  'journey.walkTo': '{from} बाट {stop} सम्म {minutes} मिनेट ({metres} मि.)',
+  'journey.ride': '{from} {departure} → {to} {arrival} ({stops} स्टप)',
+
+  // ============= MAP VIEW =============
+  'map.occupancy': 'भीड:',
+  'map.nextStop': 'अर्को स्टप:',
+  'map.unknown': 'थाहा छैन',
+  'map.status': 'अवस्था:',
+  'map.atStop': 'स्टपमा',
+  'map.inTransit': 'यात्रामा',
+  'map.speed': 'गति:',
+  'map.kmh': '{speed} कि.मि./घण्टा',
+  'map.busOccupancy': 'बसको भीड',
+  'map.nearest': 'नजिकको',
+  'map.zone': 'क्षेत्र:',
+  'map.zoneCentral': 'केन्द्रीय',
+  'map.type': 'प्रकार:',
+  'map.typeRegular': 'सामान्य',
+  'map.distance': 'दूरी:',
+  'map.km': '{distance} कि.मि.',
+  'map.yourNearestStop': 'तपाईंको नजिकको बस स्टप',
+  'map.valleyStop': 'काठमाडौं उपत्यकाको बस स्टप',
+  'map.yourLocation': 'तपाईंको स्थान',
+  'map.lat': 'अक्षांश',
+  'map.lng': 'देशान्तर',
+  'map.gps': 'स्थान शुद्धता: GPS सक्रिय',
+  'map.legend': 'संकेत',
+  'map.legendLow': 'कम (0-30%)',
+  'map.legendMedium': 'मध्यम (31-70%)',
+  'map.legendHigh': 'धेरै (71-100%)',
+  'map.nearestStop': 'नजिकको स्टप',
+  'map.busStop': 'बस स्टप',
+  'map.routes': 'रुटहरू',
+  'map.showAllRoutes': 'सबै देखाउनुहोस्',
+  'map.hideAllRoutes': 'सबै लुकाउनुहोस्',
+  'map.loading': 'बस खोज्दै...',
+  'map.busesActive': '{count} बस सञ्चालनमा',
+
+  // ============= TRANSIT FEED =============
+  'feed.title': 'यातायात डाटा',
+  'feed.loading': 'यातायात डाटा खुल्दैछ...',
+  'feed.summary': '{routes} रुट · {stops} स्टप',
+  'feed.source': 'स्रोत: {source}',
+  'feed.loadZip': 'GTFS zip खोल्नुहोस्',
+  'feed.loadFolder': 'GTFS फोल्डर खोल्नुहोस्',
+  'feed.hint': 'GTFS फिड (जस्तै साझा यातायात वा महानगर) .zip वा .txt फाइलहरूको फोल्डरको रूपमा खोल्नुहोस्।',
+  'feed.error': 'यातायात फिड खुल्न सकेन: {message}',
+
+  // ============= VEHICLE SOURCE =============
+  'vehicles.title': 'लाइभ गाडीहरू',
+  'vehicles.type.demo': 'डेमो (नक्कली बसहरू)',
+  'vehicles.type.gtfs-rt': 'GTFS-Realtime फिड',
+  'vehicles.type.json': 'JSON फिड',
+  'vehicles.type.websocket': 'WebSocket स्ट्रिम',
+  'vehicles.url': 'गाडीको स्थान URL',
+  'vehicles.wsUrl': 'WebSocket URL (ws:// वा wss://)',
+  'vehicles.tripUpdatesUrl': 'यात्रा अपडेट URL (ऐच्छिक)',
+  'vehicles.apply': 'यो स्रोत प्रयोग गर्नुहोस्',
+  'vehicles.invalidUrl': '"{url}" मान्य http:// वा https:// URL होइन',
+  'vehicles.invalidWsUrl': '"{url}" मान्य ws:// वा wss:// URL होइन',
+  'vehicles.status.demo': '{count} नक्कली बसहरू',
+  'vehicles.status.connecting': 'लाइभ फिडमा जोडिँदैछ...',
+  'vehicles.status.reconnecting': 'जडान टुट्यो, फेरि जोडिँदैछ...',
+  'vehicles.status.live': '{count} बस लाइभ · {time} मा अपडेट',
+  'vehicles.unmatched': '{count} गाडी कुनै यात्रासँग मिलेनन्',
+  'vehicles.error': 'लाइभ फिड त्रुटि: {message}',
+  'vehicles.hint': 'स्थानीय परीक्षण फिडका लागि "npm run realtime:mock" चलाउनुहोस्।'
+};
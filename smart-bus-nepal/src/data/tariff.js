@@ -0,0 +1,27 @@
+/**
+ * Bus tariff for Smart Bus Nepal
+ * A per-km fare with a minimum, as in the government's public transport tariff
+ * notices; update the numbers here when a new tariff is published.
+ * Used by the fare engine in utils/fares.js.
+ */
+
+export const TARIFF = {
+  minimumFare: 15, // Rs., charged for any ride shorter than minimumFare / perKm kilometres
+  perKm: 3.5, // Rs. per km along the route
+  rounding: 5, // Fares are rounded to the nearest Rs. 5
+
+  // Share of the fare taken off for each concession category
+  concessions: {
+    student: 0.45,
+    senior: 0.5,
+    disabled: 0.5
+  },
+
+  transferDiscount: 5, // Rs. off a ride boarded within transferWindow of leaving the previous bus
+  transferWindow: 60, // minutes
+
+  // Rules replacing the ones above on particular routes, by GTFS route_id, e.g.
+  //   ring_road: { perKm: 3 }
+  //   airport_express: { flatFare: 200 }
+  routes: {}
+};
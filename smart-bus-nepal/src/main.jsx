@@ -2,9 +2,18 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import LanguageProvider from './context/LanguageProvider.jsx'
+import TransitProvider from './context/TransitProvider.jsx'
+import VehiclesProvider from './context/VehiclesProvider.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <LanguageProvider>
+      <TransitProvider>
+        <VehiclesProvider>
+          <App />
+        </VehiclesProvider>
+      </TransitProvider>
+    </LanguageProvider>
   </StrictMode>,
 )
@@ -0,0 +1,107 @@
+import { TARIFF } from '../data/tariff';
+import { routeLoop, routePaths } from './gtfs';
+
+/**
+ * Fare engine for Smart Bus Nepal
+ * Fares are worked out from the distance ridden along the route's road path and
+ * the tariff in data/tariff.js: the per-km rate with a minimum fare, then any
+ * concession, then the transfer discount for a connecting ride, rounded as the
+ * tariff says. Route overrides in the tariff replace the general rules on that route.
+ */
+
+// ============= CONSTANTS =============
+
+/** Passenger categories offered when buying a ticket; all but 'regular' get a concession */
+export const FARE_CATEGORIES = ['regular', 'student', 'senior', 'disabled'];
+
+// ============= DISTANCES =============
+
+/**
+ * Distance along the road from one stop to another on a route
+ * Follows the route's loop forward from the boarding stop; where a stop is served
+ * in both directions the shorter way is used
+ * @param {object} model - GTFS transit model
+ * @param {object} route - Route from the model
+ * @param {string} fromStopId - Boarding stop_id
+ * @param {string} toStopId - Alighting stop_id
+ * @returns {number|null} Kilometres, or null when the route doesn't serve both stops
+ */
+export const rideDistance = (model, route, fromStopId, toStopId) => {
+  if (fromStopId === toStopId) return null;
+  const loop = routeLoop(route);
+  const paths = routePaths(model, route);
+  if (!loop.some(stop => stop.id === toStopId)) return null;
+
+  let shortest = null;
+  loop.forEach((stop, start) => {
+    if (stop.id !== fromStopId) return;
+    let distance = 0;
+    for (let i = start; loop[i].id !== toStopId; i = (i + 1) % loop.length) distance += paths[i].length;
+    if (shortest === null || distance < shortest) shortest = distance;
+  });
+  return shortest;
+};
+
+// ============= FARES =============
+
+/**
+ * Fare for riding a distance
+ * @param {number} distance - Kilometres along the route
+ * @param {object} [options] - { routeId, category ('regular' by default), transfer, tariff }
+ * @returns {number} Fare in rupees
+ */
+export const fareForDistance = (distance, { routeId = null, category = 'regular', transfer = false, tariff = TARIFF } = {}) => {
+  const rules = { ...tariff, ...tariff.routes?.[routeId] };
+  const fullFare = rules.flatFare ?? Math.max(rules.minimumFare, distance * rules.perKm);
+  const afterConcession = fullFare * (1 - (rules.concessions[category] || 0));
+  const afterTransfer = transfer ? afterConcession - rules.transferDiscount : afterConcession;
+  return Math.max(0, Math.round(afterTransfer / rules.rounding) * rules.rounding);
+};
+
+/**
+ * Fare for a single ride on a route
+ * @param {object} model - GTFS transit model
+ * @param {object} route - Route from the model
+ * @param {string} fromStopId - Boarding stop_id
+ * @param {string} toStopId - Alighting stop_id
+ * @param {object} [options] - { category, transfer, tariff } as for fareForDistance
+ * @returns {object|null} { distance, fare }, or null when the route doesn't serve both stops
+ */
+export const rideFare = (model, route, fromStopId, toStopId, options = {}) => {
+  const distance = rideDistance(model, route, fromStopId, toStopId);
+  if (distance === null) return null;
+  return { distance, fare: fareForDistance(distance, { ...options, routeId: route.id }) };
+};
+
+/**
+ * Cheapest fare between two stops without changing buses
+ * @param {object} model - GTFS transit model
+ * @param {string} fromStopId - Boarding stop_id
+ * @param {string} toStopId - Alighting stop_id
+ * @param {object} [options] - { category, tariff } as for fareForDistance
+ * @returns {object|null} { route, distance, fare }, or null when no route serves both stops
+ */
+export const directFare = (model, fromStopId, toStopId, options = {}) =>
+  model.routes.reduce((best, route) => {
+    const ride = rideFare(model, route, fromStopId, toStopId, options);
+    return ride && (!best || ride.fare < best.fare) ? { route, ...ride } : best;
+  }, null);
+
+/**
+ * Fare for a journey from the planner
+ * A ride boarded within the tariff's transfer window of the previous one gets the transfer discount
+ * @param {object} model - GTFS transit model
+ * @param {object[]} legs - Journey legs (see journeyPlanner.js); walks are free
+ * @param {object} [options] - { category, tariff } as for fareForDistance
+ * @returns {object} { total, rides: [{ leg, distance, fare, transfer }] }
+ */
+export const journeyFare = (model, legs, { category = 'regular', tariff = TARIFF } = {}) => {
+  let lastArrival = null;
+  const rides = legs.filter(leg => leg.type === 'ride').map(leg => {
+    const transfer = lastArrival !== null && leg.departure - lastArrival <= tariff.transferWindow * 60000;
+    lastArrival = leg.arrival;
+    const distance = rideDistance(model, leg.route, leg.from.id, leg.to.id) ?? 0;
+    return { leg, distance, transfer, fare: fareForDistance(distance, { routeId: leg.route.id, category, transfer, tariff }) };
+  });
+  return { total: rides.reduce((sum, ride) => sum + ride.fare, 0), rides };
+};
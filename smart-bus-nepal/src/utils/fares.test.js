@@ -0,0 +1,127 @@
+import { describe, expect, it } from 'vitest';
+import { TARIFF } from '../data/tariff';
+import { buildTransitModel } from './gtfs';
+import { directFare, fareForDistance, journeyFare, rideDistance, rideFare } from './fares';
+
+// Stops due north of A at 0, 1, 4 and 10 km; r1 runs A -> D and back, r2 runs A -> D only
+const lat = (km) => (27.7 + km / 111.195).toFixed(6);
+const model = buildTransitModel({
+  stops: [
+    'stop_id,stop_name,stop_lat,stop_lon',
+    `A,Stop A,${lat(0)},85.3000`,
+    `B,Stop B,${lat(1)},85.3000`,
+    `C,Stop C,${lat(4)},85.3000`,
+    `D,Stop D,${lat(10)},85.3000`
+  ].join('\n'),
+  routes: 'route_id,route_short_name,route_long_name\nr1,1,Line 1\nr2,2,Express',
+  trips: 'route_id,service_id,trip_id\nr1,daily,t1\nr2,daily,t2',
+  stop_times: [
+    'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+    't1,09:00:00,09:00:00,A,1',
+    't1,09:05:00,09:05:00,B,2',
+    't1,09:15:00,09:15:00,C,3',
+    't1,09:35:00,09:35:00,D,4',
+    't2,09:00:00,09:00:00,A,1',
+    't2,09:30:00,09:30:00,D,2'
+  ].join('\n')
+});
+const r1 = model.routesById.get('r1');
+const stop = (id) => model.stopsById.get(id);
+const overrides = { ...TARIFF, routes: { r2: { flatFare: 25 }, r1: { perKm: 5 } } };
+
+describe('fareForDistance', () => {
+  it('charges the minimum fare on short rides', () => {
+    expect(fareForDistance(1)).toBe(TARIFF.minimumFare);
+    expect(fareForDistance(4)).toBe(15);
+  });
+
+  it('charges per km beyond the minimum, rounded to the nearest Rs 5', () => {
+    expect(fareForDistance(6)).toBe(20); // Rs 21
+    expect(fareForDistance(7)).toBe(25); // Rs 24.50
+    expect(fareForDistance(10)).toBe(35);
+  });
+
+  it('takes each concession off the fare before rounding', () => {
+    expect(fareForDistance(20, { category: 'regular' })).toBe(70);
+    expect(fareForDistance(20, { category: 'student' })).toBe(40); // Rs 38.50
+    expect(fareForDistance(20, { category: 'senior' })).toBe(35);
+    expect(fareForDistance(20, { category: 'disabled' })).toBe(35);
+    expect(fareForDistance(20, { category: 'tourist' })).toBe(70);
+  });
+
+  it('applies a route\'s flat fare or per-km rate in place of the general ones', () => {
+    expect(fareForDistance(10, { routeId: 'r2', tariff: overrides })).toBe(25);
+    expect(fareForDistance(10, { routeId: 'r2', category: 'student', tariff: overrides })).toBe(15); // Rs 13.75
+    expect(fareForDistance(10, { routeId: 'r1', tariff: overrides })).toBe(50);
+    expect(fareForDistance(10, { routeId: 'other', tariff: overrides })).toBe(35);
+  });
+
+  it('works with a tariff that has no route overrides', () => {
+    const { routes, ...general } = TARIFF;
+    expect(routes).toEqual({});
+    expect(fareForDistance(10, { routeId: 'r1', tariff: general })).toBe(35);
+  });
+
+  it('takes the transfer discount off but never goes below zero', () => {
+    expect(fareForDistance(10, { transfer: true })).toBe(30);
+    expect(fareForDistance(1, { transfer: true, tariff: { ...TARIFF, transferDiscount: 20 } })).toBe(0);
+  });
+});
+
+describe('rideDistance', () => {
+  it('measures along the route', () => {
+    expect(rideDistance(model, r1, 'A', 'D')).toBeCloseTo(10, 2);
+    expect(rideDistance(model, r1, 'B', 'C')).toBeCloseTo(3, 2);
+  });
+
+  it('takes the shorter way when a stop is served in both directions', () => {
+    // C comes before B on the way back; going on to D and back would be 15 km
+    expect(rideDistance(model, r1, 'C', 'B')).toBeCloseTo(3, 2);
+    expect(rideDistance(model, r1, 'D', 'A')).toBeCloseTo(10, 2);
+  });
+
+  it('is null for the same stop or a stop the route does not serve', () => {
+    expect(rideDistance(model, r1, 'B', 'B')).toBeNull();
+    expect(rideDistance(model, model.routesById.get('r2'), 'A', 'B')).toBeNull();
+  });
+});
+
+describe('rideFare and directFare', () => {
+  it('prices a ride by its distance on the route', () => {
+    const ride = rideFare(model, r1, 'A', 'D', { category: 'student' });
+    expect(ride.distance).toBeCloseTo(10, 2);
+    expect(ride.fare).toBe(20); // Rs 19.25
+    expect(rideFare(model, model.routesById.get('r2'), 'A', 'B')).toBeNull();
+  });
+
+  it('picks the cheapest route serving both stops', () => {
+    expect(directFare(model, 'A', 'D', { tariff: overrides })).toMatchObject({ route: { id: 'r2' }, fare: 25 });
+    expect(directFare(model, 'A', 'B')).toMatchObject({ route: { id: 'r1' }, fare: 15 });
+    expect(directFare(model, 'B', 'Z')).toBeNull();
+  });
+});
+
+describe('journeyFare', () => {
+  const at = (minutes) => new Date(2025, 0, 6, 9, minutes);
+  const ride = (from, to, departure, arrival) => ({ type: 'ride', route: r1, from: stop(from), to: stop(to), departure: at(departure), arrival: at(arrival) });
+  const walk = { type: 'walk', from: stop('B'), to: stop('C'), departure: at(5), arrival: at(50), distance: 3 };
+
+  it('gives the transfer discount to a ride boarded within the transfer window', () => {
+    const fare = journeyFare(model, [ride('A', 'B', 0, 5), walk, ride('C', 'D', 5 + TARIFF.transferWindow, 90)]);
+
+    expect(fare.rides.map((r) => [r.fare, r.transfer])).toEqual([[15, false], [15, true]]);
+    expect(fare.total).toBe(30);
+  });
+
+  it('charges the full fare once the transfer window has passed', () => {
+    const fare = journeyFare(model, [ride('A', 'B', 0, 5), ride('C', 'D', 6 + TARIFF.transferWindow, 90)]);
+
+    expect(fare.rides.map((r) => [r.fare, r.transfer])).toEqual([[15, false], [20, false]]);
+    expect(fare.total).toBe(35);
+  });
+
+  it('applies the concession to every ride', () => {
+    const fare = journeyFare(model, [ride('A', 'D', 0, 35)], { category: 'student' });
+    expect(fare.total).toBe(20); // Rs 19.25
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Geographic helpers for Smart Bus Nepal
+ * Distances are in kilometres; paths are road geometry a bus follows between stops
+ */
+
+/**
+ * Calculate distance between two points using Haversine formula
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lon1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lon2 - Longitude of second point
+ * @returns {number} Distance in kilometers
+ */
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+};
+
+// ============= PATHS =============
+
+/**
+ * Flat x/y in kilometres around a reference latitude, accurate enough for city-sized distances
+ * @param {object} point - { lat, lng }
+ * @param {number} cosLat - Cosine of the reference latitude
+ * @returns {object} { x, y }
+ */
+const toPlane = (point, cosLat) => ({ x: point.lng * 111.32 * cosLat, y: point.lat * 110.57 });
+
+/**
+ * Measure a polyline so positions along it can be looked up by distance
+ * @param {object[]} points - [{ lat, lng }] in travel order
+ * @returns {object} { points, distances, length } with distances[i] the km from the start to points[i]
+ */
+export const measurePath = (points) => {
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng));
+  }
+  return { points, distances, length: distances[distances.length - 1] };
+};
+
+/**
+ * Position a given distance along a measured path, clamped to its ends
+ * @param {object} path - From measurePath
+ * @param {number} distance - Kilometres from the start
+ * @returns {object} { lat, lng }
+ */
+export const pointAlongPath = (path, distance) => {
+  const { points, distances } = path;
+  if (distance <= 0) return points[0];
+  if (distance >= path.length) return points[points.length - 1];
+  let i = 1;
+  while (distances[i] < distance) i++;
+  const ratio = (distance - distances[i - 1]) / (distances[i] - distances[i - 1] || 1);
+  return {
+    lat: points[i - 1].lat + (points[i].lat - points[i - 1].lat) * ratio,
+    lng: points[i - 1].lng + (points[i].lng - points[i - 1].lng) * ratio
+  };
+};
+
+/**
+ * Distance along a path to the spot closest to a point
+ * @param {object} path - From measurePath
+ * @param {object} point - { lat, lng }
+ * @param {number} [fromDistance=0] - Only consider the path from here on, so stops project in order
+ * @returns {number} Kilometres from the start of the path
+ */
+export const projectOntoPath = (path, point, fromDistance = 0) => {
+  const { points, distances } = path;
+  if (points.length < 2) return 0;
+  const cosLat = Math.cos(point.lat * Math.PI / 180);
+  const p = toPlane(point, cosLat);
+  let best = fromDistance;
+  let bestGap = Infinity;
+
+  for (let i = 1; i < points.length; i++) {
+    if (distances[i] < fromDistance) continue;
+    const a = toPlane(points[i - 1], cosLat);
+    const b = toPlane(points[i], cosLat);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+    const gap = Math.hypot(a.x + dx * t - p.x, a.y + dy * t - p.y);
+    const along = Math.max(fromDistance, distances[i - 1] + (distances[i] - distances[i - 1]) * t);
+    if (gap < bestGap) {
+      best = along;
+      bestGap = gap;
+    }
+  }
+  return best;
+};
+
+/**
+ * The part of a path between two distances along it
+ * @param {object} path - From measurePath
+ * @param {number} from - Start, km along the path
+ * @param {number} to - End, km along the path (after from)
+ * @returns {object[]} [{ lat, lng }] from the start point to the end point
+ */
+export const slicePath = (path, from, to) => {
+  const inner = path.points.filter((point, i) => path.distances[i] > from && path.distances[i] < to);
+  return [pointAlongPath(path, from), ...inner, pointAlongPath(path, to)];
+};
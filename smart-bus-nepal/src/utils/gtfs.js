@@ -0,0 +1,440 @@
+import { calculateDistance, measurePath, projectOntoPath, slicePath } from './geo';
+import { readZip } from './zip';
+
+/**
+ * GTFS static feed loader for Smart Bus Nepal
+ * Builds the in-memory transit model the app runs on from stops.txt, routes.txt,
+ * trips.txt, stop_times.txt, shapes.txt and calendar.txt, read from a zip or a
+ * folder of .txt files (fetched from a URL or picked by the user).
+ *
+ * Model shape:
+ * - agencies: [{ id, name }]
+ * - stops / stopsById: boarding points { id, code, name, lat, lng, zone }
+ * - routes / routesById: { id, name, shortName, color, textColor, tripIds, directions, directionShapes, shapeIds }
+ *   where directions[0|1] is the stop pattern of that direction's longest trip and
+ *   directionShapes[0|1] that trip's shape_id
+ * - trips: Map of { id, routeId, serviceId, directionId, headsign, shapeId, stopTimes }
+ *   with stop times in seconds after midnight (GTFS allows values past 24:00:00); stops that
+ *   are not timepoints get times interpolated between the timepoints around them
+ * - shapes: Map of [{ lat, lng, distance }] in sequence order
+ * - calendar: Map of { days (Sunday first), start, end } with YYYYMMDD dates
+ */
+
+// ============= CONSTANTS =============
+
+export const REQUIRED_FILES = ['stops', 'routes', 'trips', 'stop_times'];
+export const OPTIONAL_FILES = ['agency', 'shapes', 'calendar'];
+
+/** Feed bundled with the app; override with VITE_GTFS_URL (a folder or a .zip) */
+export const DEFAULT_FEED_URL = import.meta.env.VITE_GTFS_URL || '/gtfs/kathmandu';
+
+// Colours for routes whose feed leaves route_color empty
+const FALLBACK_COLORS = ['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316'];
+
+// calendar.txt weekday columns, in Date#getDay() order
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Raised for feeds that cannot be used; `file` names the GTFS file at fault
+ */
+export class GtfsError extends Error {
+  constructor(message, file) {
+    super(message);
+    this.name = 'GtfsError';
+    this.file = file;
+  }
+}
+
+// ============= PARSING =============
+
+/**
+ * Parse a GTFS CSV file (RFC 4180 quoting, optional BOM, LF or CRLF)
+ * @param {string} text - File contents
+ * @returns {object[]} One object per row, keyed by the header names
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+  const keys = header.map((key) => key.trim());
+  return records.map((cells) => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()])));
+};
+
+/**
+ * Convert a GTFS time to seconds after midnight
+ * @param {string} time - 'HH:MM:SS', hours may exceed 23 for trips running past midnight
+ * @returns {number|null} Seconds, or null when the stop has no scheduled time
+ */
+export const parseTime = (time) => {
+  if (!time) return null;
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + (seconds || 0);
+};
+
+/**
+ * Read an optional numeric column such as shape_dist_traveled
+ * @param {string} value - Cell text, possibly empty
+ * @returns {number|null} The number, or null when the column is blank or absent
+ */
+const optionalNumber = (value) => (value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Format a Date as a GTFS service date
+ * @param {Date} date - Local date
+ * @returns {string} YYYYMMDD
+ */
+export const toServiceDate = (date) =>
+  `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Fill in times at stops that are not timepoints (blank arrival and departure)
+ * Times are spread between the surrounding timepoints by distance travelled: shape_dist_traveled
+ * when the trip has it, otherwise straight-line distance between the stops.
+ * Stops before the first or after the last timepoint keep null times.
+ * @param {object[]} stopTimes - A trip's stop times in sequence order, changed in place
+ * @param {Map} stopsById - Stops by stop_id
+ */
+const interpolateStopTimes = (stopTimes, stopsById) => {
+  const useShapeDistance = stopTimes.every((stopTime) => stopTime.distance !== null);
+  const along = [0];
+  for (let i = 1; i < stopTimes.length; i++) {
+    const from = stopsById.get(stopTimes[i - 1].stopId);
+    const to = stopsById.get(stopTimes[i].stopId);
+    along.push(useShapeDistance
+      ? stopTimes[i].distance
+      : along[i - 1] + calculateDistance(from.lat, from.lng, to.lat, to.lng));
+  }
+
+  let previous = -1;
+  stopTimes.forEach((stopTime, i) => {
+    if (stopTime.departure === null) return;
+    if (previous >= 0 && i - previous > 1) {
+      const start = stopTimes[previous].departure;
+      const span = along[i] - along[previous];
+      for (let j = previous + 1; j < i; j++) {
+        // Evenly spaced when the stops are all in one place
+        const share = span > 0 ? (along[j] - along[previous]) / span : (j - previous) / (i - previous);
+        stopTimes[j].arrival = stopTimes[j].departure = Math.round(start + (stopTime.arrival - start) * share);
+      }
+    }
+    previous = i;
+  });
+};
+
+// ============= MODEL BUILDING =============
+
+/**
+ * Build the transit model from the text of each GTFS file
+ * @param {object} files - { stops, routes, trips, stop_times, shapes?, calendar?, agency? } file contents
+ * @returns {object} Transit model (see the module comment)
+ */
+export const buildTransitModel = (files) => {
+  REQUIRED_FILES.forEach((name) => {
+    if (!files[name]) throw new GtfsError(`The feed has no ${name}.txt`, name);
+  });
+
+  const agencies = parseCsv(files.agency || '').map((row) => ({ id: row.agency_id, name: row.agency_name }));
+
+  // Only boarding points (location_type 0 or blank); stations and entrances are not shown
+  const stops = parseCsv(files.stops)
+    .filter((row) => !row.location_type || row.location_type === '0')
+    .map((row) => ({
+      id: row.stop_id,
+      code: row.stop_code || null,
+      name: row.stop_name,
+      lat: Number(row.stop_lat),
+      lng: Number(row.stop_lon),
+      zone: row.zone_id || null
+    }))
+    .filter((stop) => Number.isFinite(stop.lat) && Number.isFinite(stop.lng));
+  const stopsById = new Map(stops.map((stop) => [stop.id, stop]));
+  if (stops.length === 0) throw new GtfsError('stops.txt has no usable stops', 'stops');
+
+  const routes = parseCsv(files.routes).map((row, i) => ({
+    id: row.route_id,
+    name: row.route_long_name || row.route_short_name || row.route_id,
+    shortName: row.route_short_name || null,
+    agencyId: row.agency_id || null,
+    color: row.route_color ? `#${row.route_color.toUpperCase()}` : FALLBACK_COLORS[i % FALLBACK_COLORS.length],
+    textColor: row.route_text_color ? `#${row.route_text_color.toUpperCase()}` : '#FFFFFF',
+    tripIds: [],
+    directions: {},
+    directionShapes: {},
+    shapeIds: []
+  }));
+  const routesById = new Map(routes.map((route) => [route.id, route]));
+
+  const trips = new Map();
+  parseCsv(files.trips).forEach((row) => {
+    const route = routesById.get(row.route_id);
+    if (!route) return;
+    trips.set(row.trip_id, {
+      id: row.trip_id,
+      routeId: row.route_id,
+      serviceId: row.service_id,
+      directionId: Number(row.direction_id) || 0,
+      headsign: row.trip_headsign || null,
+      shapeId: row.shape_id || null,
+      stopTimes: []
+    });
+    route.tripIds.push(row.trip_id);
+    if (row.shape_id && !route.shapeIds.includes(row.shape_id)) route.shapeIds.push(row.shape_id);
+  });
+
+  parseCsv(files.stop_times).forEach((row) => {
+    const trip = trips.get(row.trip_id);
+    if (!trip || !stopsById.has(row.stop_id)) return;
+    trip.stopTimes.push({
+      stopId: row.stop_id,
+      sequence: Number(row.stop_sequence),
+      arrival: parseTime(row.arrival_time || row.departure_time),
+      departure: parseTime(row.departure_time || row.arrival_time),
+      distance: optionalNumber(row.shape_dist_traveled)
+    });
+  });
+  trips.forEach((trip) => {
+    trip.stopTimes.sort((a, b) => a.sequence - b.sequence);
+    interpolateStopTimes(trip.stopTimes, stopsById);
+  });
+
+  // Each direction's stop pattern comes from its longest trip, so short turns don't hide stops
+  routes.forEach((route) => {
+    route.tripIds.forEach((tripId) => {
+      const trip = trips.get(tripId);
+      const current = route.directions[trip.directionId];
+      if (trip.stopTimes.length >= 2 && (!current || trip.stopTimes.length > current.length)) {
+        route.directions[trip.directionId] = trip.stopTimes.map((stopTime) => stopsById.get(stopTime.stopId));
+        route.directionShapes[trip.directionId] = trip.shapeId;
+      }
+    });
+  });
+
+  const shapes = new Map();
+  parseCsv(files.shapes || '').forEach((row) => {
+    if (!shapes.has(row.shape_id)) shapes.set(row.shape_id, []);
+    shapes.get(row.shape_id).push({
+      lat: Number(row.shape_pt_lat),
+      lng: Number(row.shape_pt_lon),
+      sequence: Number(row.shape_pt_sequence),
+      distance: optionalNumber(row.shape_dist_traveled)
+    });
+  });
+  shapes.forEach((points) => points.sort((a, b) => a.sequence - b.sequence));
+
+  const calendar = new Map(parseCsv(files.calendar || '').map((row) => [row.service_id, {
+    days: WEEKDAYS.map((day) => row[day] === '1'),
+    start: row.start_date,
+    end: row.end_date
+  }]));
+
+  const servedRoutes = routes.filter((route) => route.directions[0] || route.directions[1]);
+  if (servedRoutes.length === 0) throw new GtfsError('No route has any trips with stop times', 'stop_times');
+
+  return {
+    agencies,
+    stops,
+    stopsById,
+    routes: servedRoutes,
+    routesById: new Map(servedRoutes.map((route) => [route.id, route])),
+    trips,
+    shapes,
+    calendar
+  };
+};
+
+// ============= LOADING =============
+
+/**
+ * Pick the GTFS files out of a name -> bytes map, ignoring any folder the zip wraps them in
+ * @param {Map<string, Uint8Array>} entries - Zip contents
+ * @returns {object} File name (without .txt) -> text
+ */
+const gtfsFilesFromZip = (entries) => {
+  const decoder = new TextDecoder();
+  const files = {};
+  entries.forEach((bytes, path) => {
+    const name = path.split('/').pop().replace(/\.txt$/, '');
+    if (REQUIRED_FILES.includes(name) || OPTIONAL_FILES.includes(name)) files[name] = decoder.decode(bytes);
+  });
+  return files;
+};
+
+/**
+ * Load a feed from a URL: either a .zip or a folder holding the .txt files
+ * @param {string} url - e.g. '/gtfs/kathmandu' or '/gtfs/sajha.zip'
+ * @returns {Promise<object>} Transit model
+ */
+export const loadGtfsFromUrl = async (url) => {
+  if (url.endsWith('.zip')) {
+    const response = await fetch(url);
+    if (!response.ok) throw new GtfsError(`Could not download ${url} (HTTP ${response.status})`);
+    return buildTransitModel(gtfsFilesFromZip(await readZip(await response.arrayBuffer())));
+  }
+
+  const files = {};
+  await Promise.all([...REQUIRED_FILES, ...OPTIONAL_FILES].map(async (name) => {
+    const response = await fetch(`${url.replace(/\/$/, '')}/${name}.txt`);
+    // Dev servers answer missing files with index.html, so check the type as well as the status
+    const isText = !(response.headers.get('content-type') || '').includes('text/html');
+    if (response.ok && isText) files[name] = await response.text();
+  }));
+  return buildTransitModel(files);
+};
+
+/**
+ * Load a feed the user picked: one .zip, or the .txt files of a folder
+ * @param {FileList|File[]} fileList - From an <input type="file"> (with webkitdirectory for folders)
+ * @returns {Promise<object>} Transit model
+ */
+export const loadGtfsFromFiles = async (fileList) => {
+  const list = [...fileList];
+  const zip = list.find((file) => file.name.toLowerCase().endsWith('.zip'));
+  if (zip) return buildTransitModel(gtfsFilesFromZip(await readZip(await zip.arrayBuffer())));
+
+  const files = {};
+  await Promise.all(list.map(async (file) => {
+    const name = file.name.replace(/\.txt$/, '');
+    if (REQUIRED_FILES.includes(name) || OPTIONAL_FILES.includes(name)) files[name] = await file.text();
+  }));
+  return buildTransitModel(files);
+};
+
+// ============= QUERIES =============
+
+/**
+ * Whether a service runs on a date according to calendar.txt
+ * Services without a calendar row (e.g. calendar_dates.txt-only feeds) are treated as running
+ * @param {object} model - Transit model
+ * @param {string} serviceId - GTFS service_id
+ * @param {Date} date - Local date
+ * @returns {boolean}
+ */
+export const isServiceActive = (model, serviceId, date) => {
+  const service = model.calendar.get(serviceId);
+  if (!service) return true;
+  const day = toServiceDate(date);
+  return service.days[date.getDay()] && day >= service.start && day <= service.end;
+};
+
+/**
+ * Routes with at least one trip running on a date
+ * Falls back to every route when the calendar has nothing that day (e.g. an expired sample feed)
+ * @param {object} model - Transit model
+ * @param {Date} date - Local date
+ * @returns {object[]} Routes
+ */
+export const activeRoutes = (model, date) => {
+  const running = model.routes.filter((route) =>
+    route.tripIds.some((tripId) => isServiceActive(model, model.trips.get(tripId).serviceId, date)));
+  return running.length > 0 ? running : model.routes;
+};
+
+/**
+ * The stop cycle a simulated bus drives round: out in direction 0 and back in direction 1
+ * Routes with one direction run back along the same stops
+ * @param {object} route - Route from the model
+ * @returns {object[]} Stops in driving order; the last stop leads back to the first
+ */
+export const routeLoop = (route) => {
+  const outbound = route.directions[0] || route.directions[1];
+  // A circular route already ends where it started
+  if (outbound.length > 1 && outbound[0].id === outbound[outbound.length - 1].id) return outbound.slice(0, -1);
+  const inbound = route.directions[0] && route.directions[1] ? route.directions[1] : [...outbound].reverse();
+  // Drop the shared terminus at each end so the bus doesn't stop there twice
+  const back = inbound.filter((stop, i) =>
+    !(i === 0 && stop.id === outbound[outbound.length - 1].id) && !(i === inbound.length - 1 && stop.id === outbound[0].id));
+  return [...outbound, ...back];
+};
+
+// routePaths results, worked out once per route object
+const pathCache = new WeakMap();
+
+/**
+ * Road paths a bus follows between the stops of routeLoop(route), cut from each direction's shape
+ * Legs the shapes don't cover are taken from the opposite direction reversed, or else drawn straight
+ * @param {object} model - Transit model
+ * @param {object} route - Route from the model
+ * @returns {object[]} paths[i] is the measured path (see measurePath) from loop stop i to stop i + 1, wrapping round
+ */
+export const routePaths = (model, route) => {
+  if (pathCache.has(route)) return pathCache.get(route);
+
+  const legs = new Map();
+  Object.entries(route.directions).forEach(([direction, pattern]) => {
+    const points = model.shapes.get(route.directionShapes[direction]);
+    if (!points || points.length < 2) return;
+    const shape = measurePath(points);
+    // Stops are projected in order so a shape that passes a stop twice is cut at the right pass
+    let from = projectOntoPath(shape, pattern[0]);
+    for (let i = 1; i < pattern.length; i++) {
+      const to = projectOntoPath(shape, pattern[i], from);
+      legs.set(`${pattern[i - 1].id}>${pattern[i].id}`, slicePath(shape, from, to));
+      from = to;
+    }
+  });
+
+  const loop = routeLoop(route);
+  const paths = loop.map((stop, i) => {
+    const next = loop[(i + 1) % loop.length];
+    const reverse = legs.get(`${next.id}>${stop.id}`);
+    return measurePath(legs.get(`${stop.id}>${next.id}`) || (reverse && [...reverse].reverse()) || [stop, next]);
+  });
+  pathCache.set(route, paths);
+  return paths;
+};
+
+/**
+ * Lines to draw for a route: each of its shapes, or its stop patterns when the feed has no shapes.txt
+ * @param {object} model - Transit model
+ * @param {object} route - Route from the model
+ * @returns {object[][]} Lines of { lat, lng } points
+ */
+export const routeLines = (model, route) => {
+  const shapes = route.shapeIds.map((id) => model.shapes.get(id)).filter((points) => points?.length >= 2);
+  return shapes.length > 0 ? shapes : Object.values(route.directions);
+};
+
+/**
+ * Stops served by at least one route, sorted by name for the destination select
+ * @param {object} model - Transit model
+ * @returns {object[]} Stops
+ */
+export const servedStops = (model) => {
+  const served = new Set(model.routes.flatMap((route) => Object.values(route.directions).flat().map((stop) => stop.id)));
+  return model.stops.filter((stop) => served.has(stop.id)).sort((a, b) => a.name.localeCompare(b.name));
+};
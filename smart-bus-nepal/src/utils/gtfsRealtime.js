@@ -0,0 +1,293 @@
+/**
+ * GTFS-Realtime decoding for Smart Bus Nepal
+ * Reads VehiclePositions and TripUpdates from GTFS-RT protobuf feeds, or from
+ * the simpler JSON feed below, into one plain shape the rest of the app uses.
+ * Only the protobuf fields the app needs are decoded; extensions and unknown
+ * fields are skipped, as the protobuf rules require.
+ *
+ * Decoded feed (also the JSON feed format, field for field):
+ * {
+ *   timestamp,                       // POSIX seconds
+ *   vehicles: [{ id, label, tripId, routeId, directionId, startDate, lat, lng,
+ *                bearing, speed,     // metres per second
+ *                stopId, stopSequence,
+ *                status,             // 'INCOMING_AT' | 'STOPPED_AT' | 'IN_TRANSIT_TO'
+ *                occupancy,          // 0-100, or null when unknown
+ *                timestamp }],
+ *   tripUpdates: [{ tripId, routeId, directionId, startDate, vehicleId, delay,
+ *                   stopTimeUpdates: [{ stopId, stopSequence, arrival, departure, delay, skipped }] }]
+ * }
+ * Anything not in the feed is null.
+ */
+
+// ============= CONSTANTS =============
+
+const REPEATED = true;
+
+// Field number -> [name, type, repeated] for the parts of gtfs-realtime.proto we read
+const SCHEMA = {
+  FeedMessage: { 1: ['header', 'FeedHeader'], 2: ['entity', 'FeedEntity', REPEATED] },
+  FeedHeader: { 1: ['version', 'string'], 2: ['incrementality', 'enum'], 3: ['timestamp', 'uint64'] },
+  FeedEntity: { 1: ['id', 'string'], 2: ['isDeleted', 'bool'], 3: ['tripUpdate', 'TripUpdate'], 4: ['vehicle', 'VehiclePosition'] },
+  TripUpdate: {
+    1: ['trip', 'TripDescriptor'],
+    2: ['stopTimeUpdate', 'StopTimeUpdate', REPEATED],
+    3: ['vehicle', 'VehicleDescriptor'],
+    4: ['timestamp', 'uint64'],
+    5: ['delay', 'int32']
+  },
+  StopTimeUpdate: {
+    1: ['stopSequence', 'uint32'],
+    2: ['arrival', 'StopTimeEvent'],
+    3: ['departure', 'StopTimeEvent'],
+    4: ['stopId', 'string'],
+    5: ['scheduleRelationship', 'enum']
+  },
+  StopTimeEvent: { 1: ['delay', 'int32'], 2: ['time', 'int64'], 3: ['uncertainty', 'int32'] },
+  VehiclePosition: {
+    1: ['trip', 'TripDescriptor'],
+    2: ['position', 'Position'],
+    3: ['currentStopSequence', 'uint32'],
+    4: ['currentStatus', 'enum'],
+    5: ['timestamp', 'uint64'],
+    7: ['stopId', 'string'],
+    8: ['vehicle', 'VehicleDescriptor'],
+    9: ['occupancyStatus', 'enum'],
+    10: ['occupancyPercentage', 'uint32']
+  },
+  TripDescriptor: {
+    1: ['tripId', 'string'],
+    2: ['startTime', 'string'],
+    3: ['startDate', 'string'],
+    4: ['scheduleRelationship', 'enum'],
+    5: ['routeId', 'string'],
+    6: ['directionId', 'uint32']
+  },
+  Position: { 1: ['latitude', 'float'], 2: ['longitude', 'float'], 3: ['bearing', 'float'], 5: ['speed', 'float'] },
+  VehicleDescriptor: { 1: ['id', 'string'], 2: ['label', 'string'], 3: ['licensePlate', 'string'] }
+};
+
+// VehiclePosition.VehicleStopStatus; the spec's default is IN_TRANSIT_TO
+const STOP_STATUS = ['INCOMING_AT', 'STOPPED_AT', 'IN_TRANSIT_TO'];
+
+// OccupancyStatus -> a representative percentage for the occupancy bars
+// (EMPTY, MANY_SEATS_AVAILABLE, FEW_SEATS_AVAILABLE, STANDING_ROOM_ONLY,
+// CRUSHED_STANDING_ROOM_ONLY, FULL, NOT_ACCEPTING_PASSENGERS); NO_DATA and NOT_BOARDABLE are unknown
+const OCCUPANCY_PERCENT = [0, 25, 55, 80, 95, 100, 100];
+
+// StopTimeUpdate.ScheduleRelationship SKIPPED
+const SKIPPED = 1;
+
+/**
+ * Raised for feeds that cannot be decoded
+ */
+export class GtfsRealtimeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GtfsRealtimeError';
+  }
+}
+
+// ============= PROTOBUF =============
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Convert a raw wire value to the field's declared type
+ * @param {bigint|number|Uint8Array} value - Varint (bigint), fixed-width number or length-delimited bytes
+ * @param {string} type - Scalar type or message name from SCHEMA
+ * @returns {*} Decoded value
+ */
+const convert = (value, type) => {
+  switch (type) {
+    case 'string': return textDecoder.decode(value);
+    case 'bool': return value !== 0n;
+    case 'int32': return Number(BigInt.asIntN(32, value));
+    case 'int64': return Number(BigInt.asIntN(64, value));
+    case 'uint32':
+    case 'uint64':
+    case 'enum': return Number(value);
+    case 'float':
+    case 'double': return value;
+    default:
+      // Nested messages are length-delimited; anything else means the bytes are not this schema
+      if (!(value instanceof Uint8Array)) throw new GtfsRealtimeError(`Malformed ${type}: expected an embedded message`);
+      return decodeMessage(value, type);
+  }
+};
+
+/**
+ * Decode one protobuf message
+ * @param {Uint8Array} bytes - Encoded message
+ * @param {string} type - Message name from SCHEMA
+ * @returns {object} Fields by name; repeated fields are arrays
+ */
+const decodeMessage = (bytes, type) => {
+  const fields = SCHEMA[type];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const message = {};
+  let pos = 0;
+
+  // Varints can carry 64-bit values, so they are read as BigInt
+  const varint = () => {
+    let result = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+      if (pos >= bytes.length) throw new GtfsRealtimeError(`Truncated ${type} message`);
+      byte = bytes[pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+    } while (byte & 0x80);
+    return result;
+  };
+
+  while (pos < bytes.length) {
+    const key = Number(varint());
+    const wireType = key & 7;
+    let value;
+    if (wireType === 0) {
+      value = varint();
+    } else if (wireType === 1) {
+      value = view.getFloat64(pos, true);
+      pos += 8;
+    } else if (wireType === 2) {
+      const length = Number(varint());
+      value = bytes.subarray(pos, pos + length);
+      pos += length;
+    } else if (wireType === 5) {
+      value = view.getFloat32(pos, true);
+      pos += 4;
+    } else {
+      throw new GtfsRealtimeError(`Unsupported protobuf wire type ${wireType} in ${type}`);
+    }
+    if (pos > bytes.length) throw new GtfsRealtimeError(`Truncated ${type} message`);
+
+    const field = fields[key >>> 3];
+    if (!field) continue;
+    const [name, fieldType, repeated] = field;
+    const decoded = convert(value, fieldType);
+    if (repeated) (message[name] ||= []).push(decoded);
+    else message[name] = decoded;
+  }
+  return message;
+};
+
+// ============= NORMALIZING =============
+
+/**
+ * The trip fields shared by vehicles and trip updates
+ * @param {object} [trip] - Decoded TripDescriptor
+ * @returns {object} { tripId, routeId, directionId, startDate }
+ */
+const tripFields = (trip = {}) => ({
+  tripId: trip.tripId || null,
+  routeId: trip.routeId || null,
+  directionId: trip.directionId ?? null,
+  startDate: trip.startDate || null
+});
+
+/**
+ * Flatten a decoded VehiclePosition
+ * @param {object} entity - Decoded FeedEntity holding a vehicle
+ * @returns {object} Vehicle in the decoded feed shape
+ */
+const toVehicle = (entity) => {
+  const { vehicle } = entity;
+  const position = vehicle.position || {};
+  let occupancy = null;
+  if (vehicle.occupancyPercentage !== undefined) occupancy = Math.min(100, vehicle.occupancyPercentage);
+  else if (vehicle.occupancyStatus !== undefined) occupancy = OCCUPANCY_PERCENT[vehicle.occupancyStatus] ?? null;
+
+  return {
+    id: vehicle.vehicle?.id || entity.id,
+    label: vehicle.vehicle?.label || null,
+    ...tripFields(vehicle.trip),
+    lat: position.latitude ?? null,
+    lng: position.longitude ?? null,
+    bearing: position.bearing ?? null,
+    speed: position.speed ?? null,
+    stopId: vehicle.stopId || null,
+    stopSequence: vehicle.currentStopSequence ?? null,
+    status: STOP_STATUS[vehicle.currentStatus ?? 2],
+    occupancy,
+    timestamp: vehicle.timestamp ?? null
+  };
+};
+
+/**
+ * Flatten a decoded TripUpdate
+ * @param {object} entity - Decoded FeedEntity holding a trip update
+ * @returns {object} Trip update in the decoded feed shape
+ */
+const toTripUpdate = ({ tripUpdate }) => ({
+  ...tripFields(tripUpdate.trip),
+  vehicleId: tripUpdate.vehicle?.id || null,
+  delay: tripUpdate.delay ?? null,
+  stopTimeUpdates: (tripUpdate.stopTimeUpdate || []).map(update => ({
+    stopId: update.stopId || null,
+    stopSequence: update.stopSequence ?? null,
+    arrival: update.arrival?.time || null,
+    departure: update.departure?.time || null,
+    delay: update.arrival?.delay ?? update.departure?.delay ?? null,
+    skipped: update.scheduleRelationship === SKIPPED
+  }))
+});
+
+// ============= PUBLIC API =============
+
+/**
+ * Decode a GTFS-RT protobuf FeedMessage
+ * @param {ArrayBuffer|Uint8Array} buffer - Response body
+ * @returns {object} Decoded feed (see the module comment)
+ */
+export const decodeFeedMessage = (buffer) => {
+  const message = decodeMessage(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer), 'FeedMessage');
+  if (!message.header) throw new GtfsRealtimeError('Not a GTFS-Realtime feed (no header)');
+  const entities = (message.entity || []).filter(entity => !entity.isDeleted);
+  return {
+    timestamp: message.header.timestamp ?? null,
+    vehicles: entities.filter(entity => entity.vehicle).map(toVehicle),
+    tripUpdates: entities.filter(entity => entity.tripUpdate).map(toTripUpdate)
+  };
+};
+
+/**
+ * Check a JSON feed and fill in the fields it leaves out
+ * @param {object} json - Parsed JSON in the decoded feed shape
+ * @returns {object} Decoded feed
+ */
+export const parseJsonFeed = (json) => {
+  if (!json || (!Array.isArray(json.vehicles) && !Array.isArray(json.tripUpdates))) {
+    throw new GtfsRealtimeError('JSON feed needs a "vehicles" or "tripUpdates" array');
+  }
+  return {
+    timestamp: json.timestamp ?? null,
+    vehicles: (json.vehicles || []).map(vehicle => ({
+      label: null, tripId: null, routeId: null, directionId: null, startDate: null,
+      bearing: null, speed: null, stopId: null, stopSequence: null, occupancy: null, timestamp: null,
+      ...vehicle,
+      id: String(vehicle.id),
+      status: STOP_STATUS.includes(vehicle.status) ? vehicle.status : 'IN_TRANSIT_TO'
+    })),
+    tripUpdates: (json.tripUpdates || []).map(update => ({
+      tripId: null, routeId: null, directionId: null, startDate: null, vehicleId: null, delay: null,
+      ...update,
+      stopTimeUpdates: (update.stopTimeUpdates || []).map(stopTimeUpdate => ({
+        stopId: null, stopSequence: null, arrival: null, departure: null, delay: null, skipped: false,
+        ...stopTimeUpdate
+      }))
+    }))
+  };
+};
+
+/**
+ * Combine separately fetched feeds, e.g. VehiclePositions and TripUpdates
+ * @param {object[]} feeds - Decoded feeds
+ * @returns {object} One decoded feed
+ */
+export const mergeFeeds = (feeds) => ({
+  timestamp: Math.max(0, ...feeds.map(feed => feed.timestamp || 0)) || null,
+  vehicles: feeds.flatMap(feed => feed.vehicles),
+  tripUpdates: feeds.flatMap(feed => feed.tripUpdates)
+});
@@ -0,0 +1,57 @@
+import { en } from '../data/locales/en';
+import { ne } from '../data/locales/ne';
+
+/**
+ * i18n helpers for Smart Bus Nepal
+ * Plain functions so they can be used both in React components and in the
+ * HTML strings Leaflet popups are built from
+ */
+
+// ============= CONSTANTS =============
+
+/** Languages offered in the header toggle, labelled in their own script */
+export const LANGUAGES = {
+  en: 'English',
+  ne: 'नेपाली'
+};
+
+/** Numeral systems offered in the header toggle */
+export const NUMERAL_SYSTEMS = {
+  latin: '123',
+  devanagari: '१२३'
+};
+
+const CATALOGS = { en, ne };
+const DEVANAGARI_DIGITS = '०१२३४५६७८९';
+
+// ============= HELPER FUNCTIONS =============
+
+/**
+ * Replace ASCII digits with Devanagari digits
+ * @param {string|number} text - Text that may contain digits
+ * @returns {string} Text with ०-९ in place of 0-9
+ */
+export const toDevanagariDigits = (text) =>
+  String(text).replace(/[0-9]/g, (digit) => DEVANAGARI_DIGITS[digit]);
+
+/**
+ * Render digits in the chosen numeral system
+ * @param {string|number} text - Text that may contain digits
+ * @param {string} numerals - 'latin' or 'devanagari'
+ * @returns {string} Localised text
+ */
+export const localizeDigits = (text, numerals) =>
+  numerals === 'devanagari' ? toDevanagariDigits(text) : String(text);
+
+/**
+ * Look up a UI string and fill its placeholders
+ * Missing Nepali strings fall back to English, and missing keys show the key itself
+ * @param {string} language - 'en' or 'ne'
+ * @param {string} key - Catalog key, e.g. 'eta.title'
+ * @param {object} params - Values for `{name}` placeholders
+ * @returns {string} Translated string
+ */
+export const translate = (language, key, params = {}) => {
+  const template = CATALOGS[language]?.[key] ?? en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
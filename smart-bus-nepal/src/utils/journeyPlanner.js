@@ -0,0 +1,316 @@
+import { calculateDistance } from './geo';
+import { isServiceActive } from './gtfs';
+
+/**
+ * Journey planner for Smart Bus Nepal
+ * RAPTOR (round-based public transit routing) over the GTFS timetable: round k
+ * finds the earliest arrival at every stop using k buses, so together the rounds
+ * give the journeys where each extra transfer buys an earlier arrival. Walking
+ * covers the way to the first stop, changes between nearby stops and the last
+ * stretch to the destination.
+ *
+ * Journey shape:
+ * { departure, arrival, duration (seconds), transfers, walkDistance (km), legs }
+ * with departure/arrival as Dates and each leg one of
+ * - { type: 'walk', from, to, departure, arrival, distance } where from is null for the user's position
+ * - { type: 'ride', route, tripId, headsign, from, to, departure, arrival, stops }
+ */
+
+// ============= CONSTANTS =============
+
+export const WALK_SPEED = 4.5; // km/h
+export const MAX_WALK_DISTANCE = 0.8; // km, to the first stop or between two stops
+export const MIN_TRANSFER_TIME = 60; // seconds to get off one bus and onto the next
+export const MAX_TRANSFERS = 3;
+
+const WALK_DETOUR = 1.25; // Streets are longer than the straight line
+const SHORT_WALK = 0.05; // km; a walk this short is not worth a leg of its own
+
+// ============= TIMETABLE =============
+
+// buildTimetable results, worked out once per model
+const timetableCache = new WeakMap();
+
+/**
+ * Walking time for a straight-line distance
+ * @param {number} distance - Kilometres
+ * @returns {number} Seconds
+ */
+const walkSeconds = (distance) => Math.round((distance * WALK_DETOUR / WALK_SPEED) * 3600);
+
+/**
+ * Group trips into patterns (same route, same stops in the same order) and find
+ * the stops within walking distance of each other
+ * @param {object} model - GTFS transit model
+ * @returns {object} { patterns, patternsByStop, footpaths }
+ */
+const buildTimetable = (model) => {
+  if (timetableCache.has(model)) return timetableCache.get(model);
+
+  const byKey = new Map();
+  model.trips.forEach(trip => {
+    const route = model.routesById.get(trip.routeId);
+    if (!route || trip.stopTimes.length < 2) return;
+    const stopIds = trip.stopTimes.map(stopTime => stopTime.stopId);
+    const key = `${trip.routeId}|${stopIds.join(',')}`;
+    if (!byKey.has(key)) byKey.set(key, { route, stopIds, trips: [] });
+    byKey.get(key).trips.push(trip);
+  });
+  const patterns = [...byKey.values()];
+  // Buses on a pattern don't overtake each other, so sorting by first departure sorts every stop
+  patterns.forEach(pattern => pattern.trips.sort((a, b) => a.stopTimes[0].departure - b.stopTimes[0].departure));
+
+  const patternsByStop = new Map();
+  patterns.forEach(pattern => pattern.stopIds.forEach((stopId, index) => {
+    if (!patternsByStop.has(stopId)) patternsByStop.set(stopId, []);
+    patternsByStop.get(stopId).push({ pattern, index });
+  }));
+
+  // Sweep the stops by latitude so only nearby pairs are measured
+  const footpaths = new Map(model.stops.map(stop => [stop.id, []]));
+  const byLatitude = [...model.stops].sort((a, b) => a.lat - b.lat);
+  const latitudeWindow = MAX_WALK_DISTANCE / 110.57;
+  byLatitude.forEach((stop, i) => {
+    for (let j = i + 1; j < byLatitude.length && byLatitude[j].lat - stop.lat <= latitudeWindow; j++) {
+      const other = byLatitude[j];
+      const distance = calculateDistance(stop.lat, stop.lng, other.lat, other.lng);
+      if (distance > MAX_WALK_DISTANCE) continue;
+      footpaths.get(stop.id).push({ stopId: other.id, distance, seconds: walkSeconds(distance) });
+      footpaths.get(other.id).push({ stopId: stop.id, distance, seconds: walkSeconds(distance) });
+    }
+  });
+
+  const timetable = { patterns, patternsByStop, footpaths };
+  timetableCache.set(model, timetable);
+  return timetable;
+};
+
+/**
+ * First trip of a pattern leaving a stop at or after a time on a service day
+ * Trips with no time at the stop (outside their first and last timepoints) are passed over
+ * @param {object} model - GTFS transit model
+ * @param {object} pattern - Pattern from buildTimetable
+ * @param {number} index - Stop position in the pattern
+ * @param {number} readyAt - Seconds after midnight
+ * @param {Date} date - Service day
+ * @returns {object|null} Trip
+ */
+const earliestTrip = (model, pattern, index, readyAt, date) =>
+  pattern.trips.find(trip =>
+    trip.stopTimes[index].departure !== null && trip.stopTimes[index].departure >= readyAt && isServiceActive(model, trip.serviceId, date)) || null;
+
+// ============= ROUTING =============
+
+/**
+ * One RAPTOR search
+ * Labels record how a stop was reached and point back to the label they continue from
+ * @param {object} model - GTFS transit model
+ * @param {object[]} access - [{ stopId, distance, seconds }] walks from the origin
+ * @param {string} targetId - Destination stop_id
+ * @param {number} start - Departure, seconds after midnight of date
+ * @param {Date} date - Service day
+ * @returns {object[]} Final label at the destination for each round that improved on the one before
+ */
+const raptor = (model, access, targetId, start, date) => {
+  const { patternsByStop, footpaths } = buildTimetable(model);
+  const best = new Map();
+  const bound = (stopId) => Math.min(best.get(stopId) ?? Infinity, best.get(targetId) ?? Infinity);
+
+  let arrivals = new Map();
+  let labels = new Map();
+  let marked = new Set();
+  access.forEach(({ stopId, distance, seconds }) => {
+    if (start + seconds >= bound(stopId)) return;
+    arrivals.set(stopId, start + seconds);
+    labels.set(stopId, { type: 'access', stopId, distance, seconds, previous: null });
+    best.set(stopId, start + seconds);
+    marked.add(stopId);
+  });
+  const results = labels.has(targetId) ? [labels.get(targetId)] : [];
+
+  for (let round = 1; round <= MAX_TRANSFERS + 1 && marked.size > 0; round++) {
+    const previousArrivals = arrivals;
+    const previousLabels = labels;
+    arrivals = new Map(previousArrivals);
+    labels = new Map(previousLabels);
+
+    // Each pattern is scanned once, from the first stop marked in the last round
+    const queue = new Map();
+    marked.forEach(stopId => (patternsByStop.get(stopId) || []).forEach(({ pattern, index }) => {
+      if (!queue.has(pattern) || index < queue.get(pattern)) queue.set(pattern, index);
+    }));
+    marked = new Set();
+
+    queue.forEach((startIndex, pattern) => {
+      let trip = null;
+      let boardIndex = -1;
+      let boardLabel = null;
+      for (let i = startIndex; i < pattern.stopIds.length; i++) {
+        const stopId = pattern.stopIds[i];
+        if (trip && trip.stopTimes[i].arrival !== null && trip.stopTimes[i].arrival < bound(stopId)) {
+          arrivals.set(stopId, trip.stopTimes[i].arrival);
+          labels.set(stopId, { type: 'ride', stopId, pattern, trip, boardIndex, alightIndex: i, previous: boardLabel });
+          best.set(stopId, trip.stopTimes[i].arrival);
+          marked.add(stopId);
+        }
+        // Catch an earlier bus here if the last round got us to this stop in time
+        const reached = previousArrivals.get(stopId);
+        if (reached === undefined) continue;
+        const readyAt = reached + (previousLabels.get(stopId).type === 'ride' ? MIN_TRANSFER_TIME : 0);
+        if (!trip || readyAt <= trip.stopTimes[i].departure) {
+          const candidate = earliestTrip(model, pattern, i, readyAt, date);
+          if (candidate && (!trip || candidate.stopTimes[i].departure < trip.stopTimes[i].departure)) {
+            trip = candidate;
+            boardIndex = i;
+            boardLabel = previousLabels.get(stopId);
+          }
+        }
+      }
+    });
+
+    // Walk on from the stops a bus reached this round (never two walks in a row)
+    [...marked].forEach(stopId => {
+      const rideLabel = labels.get(stopId);
+      footpaths.get(stopId).forEach(footpath => {
+        const arrival = arrivals.get(stopId) + footpath.seconds;
+        if (arrival >= bound(footpath.stopId)) return;
+        arrivals.set(footpath.stopId, arrival);
+        labels.set(footpath.stopId, { type: 'walk', stopId: footpath.stopId, fromStopId: stopId, distance: footpath.distance, seconds: footpath.seconds, previous: rideLabel });
+        best.set(footpath.stopId, arrival);
+        marked.add(footpath.stopId);
+      });
+    });
+
+    if (labels.get(targetId) !== previousLabels.get(targetId)) results.push(labels.get(targetId));
+  }
+
+  return results;
+};
+
+/**
+ * Turn a destination label into a journey by following its chain back to the origin
+ * @param {object} model - GTFS transit model
+ * @param {object} label - Final label from raptor
+ * @param {number} start - Search departure, seconds after midnight
+ * @param {number} dayStart - Midnight of the service day, milliseconds
+ * @returns {object} { journey (see the module comment), leave, rides } with leave in seconds after midnight
+ */
+const buildJourney = (model, label, start, dayStart) => {
+  const chain = [];
+  for (let current = label; current; current = current.previous) chain.unshift(current);
+
+  // Rides fix the clock; walks take their times from the leg before, or the bus after for the first one
+  const steps = [];
+  chain.forEach((step, i) => {
+    if (step.type === 'ride') {
+      steps.push({
+        type: 'ride',
+        route: step.pattern.route,
+        tripId: step.trip.id,
+        headsign: step.trip.headsign,
+        from: model.stopsById.get(step.pattern.stopIds[step.boardIndex]),
+        to: model.stopsById.get(step.stopId),
+        departure: step.trip.stopTimes[step.boardIndex].departure,
+        arrival: step.trip.stopTimes[step.alightIndex].arrival,
+        stops: step.alightIndex - step.boardIndex
+      });
+      return;
+    }
+    if (step.distance < SHORT_WALK) return;
+    const next = chain[i + 1];
+    const departure = step.type === 'access'
+      ? (next ? next.trip.stopTimes[next.boardIndex].departure - step.seconds : start)
+      : steps[steps.length - 1].arrival;
+    steps.push({
+      type: 'walk',
+      from: step.type === 'access' ? null : model.stopsById.get(step.fromStopId),
+      to: model.stopsById.get(step.stopId),
+      departure,
+      arrival: departure + step.seconds,
+      distance: step.distance
+    });
+  });
+
+  const rides = steps.filter(step => step.type === 'ride').length;
+  const toDate = (seconds) => new Date(dayStart + seconds * 1000);
+  const leave = steps.length > 0 ? steps[0].departure : start;
+  const arrive = steps.length > 0 ? steps[steps.length - 1].arrival : start;
+  const journey = {
+    departure: toDate(leave),
+    arrival: toDate(arrive),
+    duration: arrive - leave,
+    transfers: Math.max(0, rides - 1),
+    walkDistance: steps.filter(step => step.type === 'walk').reduce((sum, step) => sum + step.distance, 0),
+    legs: steps.map(step => ({ ...step, departure: toDate(step.departure), arrival: toDate(step.arrival) }))
+  };
+  return { journey, leave, rides };
+};
+
+// ============= PUBLIC API =============
+
+/**
+ * Order journeys by arrival time, then transfers, then walking distance
+ * @param {object} a - Journey
+ * @param {object} b - Journey
+ * @returns {number} Negative when a ranks first
+ */
+export const compareJourneys = (a, b) =>
+  a.arrival - b.arrival || a.transfers - b.transfers || a.walkDistance - b.walkDistance;
+
+/**
+ * Plan journeys from a position to a stop, ranked by arrival time, then transfers, then walking
+ * Searches later departures until `limit` different journeys are found; when nothing
+ * runs for the rest of the day, the next day's first buses are planned instead
+ * @param {object} model - GTFS transit model
+ * @param {object} origin - { lat, lng } where the journey starts
+ * @param {string} destinationId - GTFS stop_id to reach
+ * @param {Date} [departure=new Date()] - Earliest departure
+ * @param {number} [limit=3] - Number of journeys wanted
+ * @returns {object[]} Journeys (see the module comment)
+ */
+export const planJourneys = (model, origin, destinationId, departure = new Date(), limit = 3) => {
+  if (!model.stopsById.has(destinationId)) return [];
+
+  // The origin's stops: everything in walking distance, and at least the nearest stop
+  const byDistance = model.stops
+    .map(stop => ({ stopId: stop.id, distance: calculateDistance(origin.lat, origin.lng, stop.lat, stop.lng) }))
+    .sort((a, b) => a.distance - b.distance);
+  const access = byDistance
+    .filter((entry, i) => i === 0 || entry.distance <= MAX_WALK_DISTANCE)
+    .map(entry => ({ ...entry, seconds: walkSeconds(entry.distance) }));
+
+  const plan = (date, from) => {
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    const results = [];
+    const seen = new Set();
+    let start = from;
+    while (results.length < limit) {
+      const found = raptor(model, access, destinationId, start, date).map(label => buildJourney(model, label, start, dayStart));
+      const fresh = found.filter(({ journey }) => {
+        const key = journey.legs.map(leg => (leg.type === 'ride' ? leg.tripId : 'walk')).join('>');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      results.push(...fresh);
+      // Once only walking is left there are no later buses to find
+      const byBus = found.filter(result => result.rides > 0);
+      if (fresh.length === 0 || byBus.length === 0) break;
+      // Leave just too late for the earliest bus found, so the next search has to find another
+      start = Math.max(start, Math.min(...byBus.map(result => result.leave))) + 1;
+    }
+    return results;
+  };
+
+  const midnight = new Date(departure.getFullYear(), departure.getMonth(), departure.getDate());
+  let results = plan(departure, Math.round((departure.getTime() - midnight.getTime()) / 1000));
+  if (results.length === 0) {
+    const tomorrow = new Date(midnight.getFullYear(), midnight.getMonth(), midnight.getDate() + 1);
+    results = plan(tomorrow, 0);
+  }
+
+  return results
+    .map(result => result.journey)
+    .sort(compareJourneys)
+    .slice(0, limit);
+};
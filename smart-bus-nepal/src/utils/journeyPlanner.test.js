@@ -0,0 +1,164 @@
+import { describe, expect, it } from 'vitest';
+import { buildTransitModel } from './gtfs';
+import { MIN_TRANSFER_TIME, compareJourneys, planJourneys } from './journeyPlanner';
+
+// Three stops about 2 km apart on one road, too far to walk between; B is not a timepoint
+const files = {
+  stops: [
+    'stop_id,stop_name,stop_lat,stop_lon',
+    'A,Stop A,27.7000,85.3000',
+    'B,Stop B,27.7000,85.3200',
+    'C,Stop C,27.7000,85.3400'
+  ].join('\n'),
+  routes: 'route_id,route_short_name,route_long_name\nr1,1,Line 1',
+  trips: 'route_id,service_id,trip_id\nr1,daily,t1',
+  stop_times: [
+    'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+    't1,09:00:00,09:00:00,A,1',
+    't1,,,B,2',
+    't1,09:20:00,09:20:00,C,3'
+  ].join('\n')
+};
+
+const stopTime = (model, stopId) => model.trips.get('t1').stopTimes.find((s) => s.stopId === stopId);
+const clock = (date) => date.toTimeString().slice(0, 5);
+const morning = new Date(2025, 0, 6, 8, 0);
+
+describe('buildTransitModel', () => {
+  it('interpolates times at stops that are not timepoints', () => {
+    const model = buildTransitModel(files);
+    expect(stopTime(model, 'B')).toMatchObject({ arrival: 9 * 3600 + 600, departure: 9 * 3600 + 600 });
+  });
+
+  it('spreads times by shape_dist_traveled when the trip has it', () => {
+    const model = buildTransitModel({
+      ...files,
+      stop_times: [
+        'trip_id,arrival_time,departure_time,stop_id,stop_sequence,shape_dist_traveled',
+        't1,09:00:00,09:00:00,A,1,0',
+        't1,,,B,2,1',
+        't1,09:20:00,09:20:00,C,3,4'
+      ].join('\n')
+    });
+    expect(stopTime(model, 'B').arrival).toBe(9 * 3600 + 300);
+  });
+});
+
+describe('planJourneys', () => {
+  const model = buildTransitModel(files);
+
+  it('arrives at a stop that is not a timepoint at its interpolated time', () => {
+    const [journey] = planJourneys(model, { lat: 27.7, lng: 85.3 }, 'B', morning);
+    const ride = journey.legs.find((leg) => leg.type === 'ride');
+    expect(clock(ride.departure)).toBe('09:00');
+    expect(clock(ride.arrival)).toBe('09:10');
+  });
+
+  it('boards at a stop that is not a timepoint at its interpolated time', () => {
+    const [journey] = planJourneys(model, { lat: 27.7, lng: 85.32 }, 'C', morning);
+    const ride = journey.legs.find((leg) => leg.type === 'ride');
+    expect(clock(ride.departure)).toBe('09:10');
+    expect(clock(ride.arrival)).toBe('09:20');
+  });
+});
+
+// Two lines meeting at C, and a third starting at D, a short walk from C:
+//   r1 A -> B -> C, r2 C -> F (north), r4 D -> G (south), r5 A -> F direct but slower
+const network = buildTransitModel({
+  stops: [
+    'stop_id,stop_name,stop_lat,stop_lon',
+    'A,Stop A,27.7000,85.3000',
+    'B,Stop B,27.7000,85.3200',
+    'C,Stop C,27.7000,85.3400',
+    'D,Stop D,27.7000,85.3440',
+    'F,Stop F,27.7200,85.3400',
+    'G,Stop G,27.6800,85.3440'
+  ].join('\n'),
+  routes: [
+    'route_id,route_short_name,route_long_name',
+    'r1,1,A to C',
+    'r2,2,C to F',
+    'r4,4,D to G',
+    'r5,5,A to F express'
+  ].join('\n'),
+  trips: [
+    'route_id,service_id,trip_id',
+    'r1,daily,t1',
+    'r2,daily,t2-early',
+    'r2,daily,t2-late',
+    'r4,daily,t4',
+    'r5,daily,t5'
+  ].join('\n'),
+  stop_times: [
+    'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+    't1,09:00:00,09:00:00,A,1',
+    't1,,,B,2',
+    't1,09:20:00,09:20:00,C,3',
+    // Leaves C 30 seconds after t1 arrives, less than MIN_TRANSFER_TIME
+    't2-early,09:20:30,09:20:30,C,1',
+    't2-early,09:40:30,09:40:30,F,2',
+    't2-late,09:21:00,09:21:00,C,1',
+    't2-late,09:41:00,09:41:00,F,2',
+    't4,09:30:00,09:30:00,D,1',
+    't4,09:50:00,09:50:00,G,2',
+    't5,08:50:00,08:50:00,A,1',
+    't5,09:50:00,09:50:00,F,2'
+  ].join('\n')
+});
+const atA = { lat: 27.7, lng: 85.3 };
+const seconds = (date) => date.toTimeString().slice(0, 8);
+const rides = (journey) => journey.legs.filter((leg) => leg.type === 'ride');
+
+describe('planJourneys with transfers', () => {
+  it('changes buses at a shared stop, allowing MIN_TRANSFER_TIME to make the change', () => {
+    expect(MIN_TRANSFER_TIME).toBeGreaterThan(30);
+    const [journey] = planJourneys(network, atA, 'F', morning);
+
+    expect(journey.transfers).toBe(1);
+    expect(rides(journey).map((leg) => leg.tripId)).toEqual(['t1', 't2-late']);
+    expect(seconds(rides(journey)[1].departure)).toBe('09:21:00');
+    expect(seconds(journey.arrival)).toBe('09:41:00');
+  });
+
+  it('walks between nearby stops to change buses', () => {
+    const [journey] = planJourneys(network, atA, 'G', morning);
+
+    expect(journey.legs.map((leg) => leg.type)).toEqual(['ride', 'walk', 'ride']);
+    const walk = journey.legs[1];
+    expect([walk.from.id, walk.to.id]).toEqual(['C', 'D']);
+    expect(walk.distance).toBeGreaterThan(0.3);
+    expect(walk.distance).toBeLessThan(0.5);
+    expect(walk.departure.getTime()).toBe(rides(journey)[0].arrival.getTime());
+    expect(walk.arrival.getTime()).toBeLessThanOrEqual(rides(journey)[1].departure.getTime());
+    expect(journey.walkDistance).toBe(walk.distance);
+  });
+
+  it('ranks an earlier arrival with a change above a later direct bus', () => {
+    const journeys = planJourneys(network, atA, 'F', morning);
+
+    expect(journeys.map((journey) => rides(journey).map((leg) => leg.tripId))).toEqual([['t1', 't2-late'], ['t5']]);
+    expect(journeys.map((journey) => journey.transfers)).toEqual([1, 0]);
+  });
+
+  it('plans the next day\'s first buses when nothing runs for the rest of today', () => {
+    const [journey] = planJourneys(network, atA, 'C', new Date(2025, 0, 6, 22, 0));
+
+    expect(journey.departure.getDate()).toBe(7);
+    expect(seconds(rides(journey)[0].departure)).toBe('09:00:00');
+  });
+});
+
+describe('compareJourneys', () => {
+  const journey = (arrival, transfers, walkDistance) => ({ arrival: new Date(2025, 0, 6, 9, arrival), transfers, walkDistance });
+
+  it('ranks by arrival, then transfers, then walking', () => {
+    const ranked = [
+      journey(40, 0, 0.2),
+      journey(30, 2, 0),
+      journey(30, 1, 0.6),
+      journey(30, 1, 0.1)
+    ].sort(compareJourneys);
+
+    expect(ranked).toEqual([journey(30, 1, 0.1), journey(30, 1, 0.6), journey(30, 2, 0), journey(40, 0, 0.2)]);
+  });
+});
@@ -0,0 +1,204 @@
+import { calculateDistance, projectOntoPath } from './geo';
+import { isServiceActive, routeLoop, routePaths } from './gtfs';
+import { BUS_SPEED } from './simulator';
+
+/**
+ * Realtime vehicle matching for Smart Bus Nepal
+ * Turns a decoded GTFS-RT/JSON feed (see gtfsRealtime.js) into buses shaped like
+ * the simulator's, so the map, ETA list and tickets work the same on either source.
+ * Each vehicle is matched to a trip in the static feed: by trip_id when the feed
+ * has one we know, otherwise to the scheduled trip of its route and direction that
+ * is running now. Vehicles that match nothing are counted but not shown.
+ */
+
+// ============= HELPERS =============
+
+/**
+ * Seconds since local midnight, the clock GTFS stop times use
+ * @param {Date} date - Local time
+ * @returns {number} Seconds
+ */
+const secondsOfDay = (date) => date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+
+/**
+ * Local midnight of a service day
+ * @param {string|null} startDate - GTFS YYYYMMDD, or null for today
+ * @param {Date} now - Current time
+ * @returns {number} Milliseconds
+ */
+const serviceDayStart = (startDate, now) => {
+  if (startDate) {
+    return new Date(Number(startDate.slice(0, 4)), Number(startDate.slice(4, 6)) - 1, Number(startDate.slice(6, 8))).getTime();
+  }
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+};
+
+/**
+ * Find the scheduled trip a vehicle without a known trip_id is most likely running
+ * Prefers a trip under way now, then the one starting or ending closest to now
+ * @param {object} model - GTFS transit model
+ * @param {object} vehicle - Decoded vehicle with a routeId
+ * @param {Date} now - Current time
+ * @returns {object|null} Trip
+ */
+const findScheduledTrip = (model, vehicle, now) => {
+  const route = model.routesById.get(vehicle.routeId);
+  if (!route) return null;
+  const clock = secondsOfDay(now);
+  let best = null;
+  let bestGap = Infinity;
+
+  route.tripIds.forEach(tripId => {
+    const trip = model.trips.get(tripId);
+    if (vehicle.directionId !== null && trip.directionId !== vehicle.directionId) return;
+    if (trip.stopTimes.length < 2 || !isServiceActive(model, trip.serviceId, now)) return;
+    const start = trip.stopTimes[0].departure;
+    const end = trip.stopTimes[trip.stopTimes.length - 1].arrival;
+    const gap = clock < start ? start - clock : clock > end ? clock - end : 0;
+    if (gap < bestGap) {
+      best = trip;
+      bestGap = gap;
+    }
+  });
+  return best;
+};
+
+/**
+ * The stop on a trip the vehicle is at or heading to
+ * Uses the feed's stop_id, then its stop sequence, then the trip stop nearest the vehicle
+ * @param {object} model - GTFS transit model
+ * @param {object} trip - Matched trip
+ * @param {object} vehicle - Decoded vehicle
+ * @returns {string} GTFS stop_id
+ */
+const vehicleStopId = (model, trip, vehicle) => {
+  if (vehicle.stopId && trip.stopTimes.some(stopTime => stopTime.stopId === vehicle.stopId)) return vehicle.stopId;
+  const bySequence = trip.stopTimes.find(stopTime => stopTime.sequence === vehicle.stopSequence);
+  if (bySequence) return bySequence.stopId;
+
+  let nearest = trip.stopTimes[0].stopId;
+  let minDistance = Infinity;
+  trip.stopTimes.forEach(({ stopId }) => {
+    const stop = model.stopsById.get(stopId);
+    const distance = calculateDistance(vehicle.lat, vehicle.lng, stop.lat, stop.lng);
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearest = stopId;
+    }
+  });
+  return nearest;
+};
+
+/**
+ * Position of a trip's stop in the route loop the bus drives (see routeLoop)
+ * Stops served in both directions appear twice, so the search starts where the trip's direction does
+ * @param {object} route - Route from the model
+ * @param {object[]} loop - routeLoop(route)
+ * @param {number} directionId - Trip direction
+ * @param {string} stopId - GTFS stop_id
+ * @returns {number} Index into loop, or -1
+ */
+const loopIndexOf = (route, loop, directionId, stopId) => {
+  const start = directionId === 1 && route.directions[0] ? route.directions[0].length - 1 : 0;
+  for (let i = 0; i < loop.length; i++) {
+    const index = (start + i) % loop.length;
+    if (loop[index].id === stopId) return index;
+  }
+  return -1;
+};
+
+// ============= PUBLIC API =============
+
+/**
+ * Predicted arrival time at each of a trip's remaining stops
+ * A stop without its own update inherits the last delay before it, as GTFS-RT specifies
+ * @param {object} trip - Trip from the model
+ * @param {object} update - Decoded trip update for that trip
+ * @param {Date} now - Current time
+ * @returns {object} stop_id -> arrival in milliseconds
+ */
+export const predictArrivals = (trip, update, now) => {
+  const dayStart = serviceDayStart(update.startDate, now);
+  const arrivals = {};
+  let delay = update.delay;
+  // Stops before the first update are behind the bus; a trip-wide delay alone covers every stop
+  let reached = update.stopTimeUpdates.length === 0;
+
+  trip.stopTimes.forEach(stopTime => {
+    const stopUpdate = update.stopTimeUpdates.find(candidate =>
+      candidate.stopSequence !== null ? candidate.stopSequence === stopTime.sequence : candidate.stopId === stopTime.stopId);
+    if (stopUpdate) reached = true;
+    if (!reached || stopUpdate?.skipped) return;
+    if (stopUpdate?.delay !== null && stopUpdate?.delay !== undefined) delay = stopUpdate.delay;
+    if (stopUpdate?.arrival || stopUpdate?.departure) {
+      arrivals[stopTime.stopId] = (stopUpdate.arrival || stopUpdate.departure) * 1000;
+    } else if (delay !== null && stopTime.arrival !== null) {
+      arrivals[stopTime.stopId] = dayStart + (stopTime.arrival + delay) * 1000;
+    }
+  });
+  return arrivals;
+};
+
+/**
+ * Match a feed's vehicles to trips and build buses from them
+ * @param {object} model - GTFS transit model
+ * @param {object} feed - Decoded realtime feed
+ * @param {object[]} previousBuses - Buses from the last update, to carry over stop arrival times and occupancy
+ * @param {Date} [now] - Current time
+ * @returns {object} { buses, unmatched } where unmatched counts vehicles with no trip
+ */
+export const matchVehicles = (model, feed, previousBuses = [], now = new Date()) => {
+  const previousById = new Map(previousBuses.map(bus => [bus.id, bus]));
+  const updatesByTrip = new Map(feed.tripUpdates.map(update => [update.tripId, update]));
+  const updatesByVehicle = new Map(feed.tripUpdates.filter(update => update.vehicleId).map(update => [update.vehicleId, update]));
+  const buses = [];
+  let unmatched = 0;
+
+  feed.vehicles.forEach(vehicle => {
+    if (vehicle.lat === null || vehicle.lng === null) {
+      unmatched++;
+      return;
+    }
+    const trip = model.trips.get(vehicle.tripId) || findScheduledTrip(model, vehicle, now);
+    const route = trip && model.routesById.get(trip.routeId);
+    if (!route) {
+      unmatched++;
+      return;
+    }
+
+    const stops = routeLoop(route);
+    const paths = routePaths(model, route);
+    const stopId = vehicleStopId(model, trip, vehicle);
+    const stopIndex = Math.max(0, loopIndexOf(route, stops, trip.directionId, stopId));
+    const isAtStop = vehicle.status === 'STOPPED_AT';
+    // At a stop the bus is at stops[stopIndex]; otherwise it is on its way there from the stop before
+    const currentStopIndex = isAtStop ? stopIndex : (stopIndex - 1 + stops.length) % stops.length;
+    const previous = previousById.get(vehicle.id);
+    const stillAtSameStop = previous?.isAtStop && isAtStop && previous.currentStopIndex === currentStopIndex && previous.tripId === trip.id;
+    const update = updatesByTrip.get(trip.id) || updatesByVehicle.get(vehicle.id);
+
+    buses.push({
+      id: vehicle.id,
+      tripId: trip.id,
+      route: route.name,
+      routeId: route.id,
+      color: route.color,
+      currentStopIndex,
+      position: { lat: vehicle.lat, lng: vehicle.lng },
+      nextStop: stops[(currentStopIndex + 1) % stops.length],
+      // Feeds without occupancy keep the last value they reported, or show as empty
+      occupancy: vehicle.occupancy ?? previous?.occupancy ?? 0,
+      // GTFS-RT speed is m/s; a stopped or silent vehicle is assumed to move at the usual speed for ETAs
+      speed: vehicle.speed > 0 ? vehicle.speed * 3.6 : BUS_SPEED,
+      isAtStop,
+      stopArrivalTime: stillAtSameStop ? previous.stopArrivalTime : (vehicle.timestamp ? vehicle.timestamp * 1000 : now.getTime()),
+      arrivals: update ? predictArrivals(trip, update, now) : {},
+      stops,
+      paths,
+      // How far along the road to the next stop the reported position is, for distance-based ETAs
+      pathDistance: isAtStop ? 0 : projectOntoPath(paths[currentStopIndex], vehicle)
+    });
+  });
+
+  return { buses, unmatched };
+};
@@ -0,0 +1,124 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { buildTransitModel } from './gtfs';
+import { decodeFeedMessage, GtfsRealtimeError, parseJsonFeed } from './gtfsRealtime';
+import { matchVehicles, predictArrivals } from './realtime';
+import { isValidSourceUrl, startVehicleSource } from './vehicleSources';
+import { encodeFeed, loadSchedule, snapshot } from '../../scripts/mock-realtime-server.js';
+
+// The bundled feed, and the mock server's view of it at 09:00 on a weekday
+const GTFS_DIR = path.resolve(import.meta.dirname, '../../public/gtfs/kathmandu');
+const model = buildTransitModel(Object.fromEntries(fs.readdirSync(GTFS_DIR)
+  .map(file => [path.basename(file, '.txt'), fs.readFileSync(path.join(GTFS_DIR, file), 'utf8')])));
+const now = new Date(2025, 0, 6, 9, 0);
+const feed = snapshot(loadSchedule(GTFS_DIR), now);
+
+describe('decodeFeedMessage', () => {
+  it('decodes the protobuf feed the mock server sends', () => {
+    const decoded = decodeFeedMessage(new Uint8Array(encodeFeed(feed)));
+
+    expect(decoded.timestamp).toBe(feed.timestamp);
+    expect(decoded.vehicles).toHaveLength(feed.vehicles.length);
+    expect(feed.vehicles.length).toBeGreaterThan(0);
+    decoded.vehicles.forEach((vehicle, i) => {
+      const sent = feed.vehicles[i];
+      expect(vehicle).toMatchObject({
+        id: sent.id,
+        label: sent.label,
+        tripId: sent.tripId,
+        routeId: sent.routeId,
+        stopId: sent.stopId,
+        stopSequence: sent.stopSequence,
+        status: sent.status,
+        timestamp: sent.timestamp
+      });
+      // Positions travel as 32-bit floats
+      expect(vehicle.lat).toBeCloseTo(sent.lat, 4);
+      expect(vehicle.lng).toBeCloseTo(sent.lng, 4);
+    });
+
+    expect(decoded.tripUpdates).toHaveLength(feed.tripUpdates.length);
+    decoded.tripUpdates.forEach((update, i) => {
+      const sent = feed.tripUpdates[i];
+      expect(update).toMatchObject({ tripId: sent.tripId, vehicleId: sent.vehicleId, delay: sent.delay });
+      expect(update.stopTimeUpdates.map(s => [s.stopId, s.arrival])).toEqual(sent.stopTimeUpdates.map(s => [s.stopId, s.arrival]));
+    });
+  });
+
+  it('rejects data that is not a feed', () => {
+    expect(() => decodeFeedMessage(new Uint8Array([0x10, 0x01]))).toThrow(GtfsRealtimeError);
+    expect(() => decodeFeedMessage(new TextEncoder().encode('{"vehicles": []}'))).toThrow(GtfsRealtimeError);
+  });
+});
+
+describe('matchVehicles', () => {
+  it('puts every vehicle of the mock feed on its trip', () => {
+    const { buses, unmatched } = matchVehicles(model, decodeFeedMessage(encodeFeed(feed)), [], now);
+
+    expect(unmatched).toBe(0);
+    expect(buses.map(bus => bus.tripId)).toEqual(feed.vehicles.map(vehicle => vehicle.tripId));
+    buses.forEach((bus, i) => {
+      const vehicle = feed.vehicles[i];
+      const at = bus.isAtStop ? bus.stops[bus.currentStopIndex] : bus.nextStop;
+      expect(at.id).toBe(vehicle.stopId);
+      expect(bus.routeId).toBe(vehicle.routeId);
+    });
+  });
+
+  it('counts vehicles without a position or a trip as unmatched', () => {
+    const json = parseJsonFeed({ vehicles: [{ id: 1, lat: null, lng: null }, { id: 2, tripId: 'nope', routeId: 'nope', lat: 27.7, lng: 85.3 }] });
+    expect(matchVehicles(model, json, [], now)).toEqual({ buses: [], unmatched: 2 });
+  });
+});
+
+describe('predictArrivals', () => {
+  const trip = model.trips.get('ring_road_0_0600');
+  const midnight = new Date(2025, 0, 6).getTime();
+  const at = (seconds) => midnight + seconds * 1000;
+
+  it('uses predicted times and carries the last delay on to stops without an update', () => {
+    const [, second, third] = trip.stopTimes;
+    const update = parseJsonFeed({
+      tripUpdates: [{
+        tripId: trip.id,
+        stopTimeUpdates: [
+          { stopSequence: second.sequence, arrival: at(second.arrival + 60) / 1000 },
+          { stopSequence: third.sequence, delay: 120 }
+        ]
+      }]
+    }).tripUpdates[0];
+    const arrivals = predictArrivals(trip, update, new Date(2025, 0, 6, 6, 3));
+
+    expect(arrivals[trip.stopTimes[0].stopId]).toBeUndefined();
+    expect(arrivals[second.stopId]).toBe(at(second.arrival + 60));
+    expect(arrivals[third.stopId]).toBe(at(third.arrival + 120));
+    const last = trip.stopTimes.at(-1);
+    expect(arrivals[last.stopId]).toBe(at(last.arrival + 120));
+  });
+});
+
+describe('vehicle sources', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('only accepts URLs the source can connect to', () => {
+    expect(isValidSourceUrl('websocket', 'ws://localhost:8789/ws')).toBe(true);
+    expect(isValidSourceUrl('websocket', 'http://localhost:8789/ws')).toBe(false);
+    expect(isValidSourceUrl('websocket', 'ws://bad host')).toBe(false);
+    expect(isValidSourceUrl('json', '/feed.json')).toBe(true);
+    expect(isValidSourceUrl('gtfs-rt', 'ftp://example.com/feed')).toBe(false);
+  });
+
+  it('reports a WebSocket URL the browser refuses instead of throwing', () => {
+    vi.stubGlobal('WebSocket', class {
+      constructor(url) {
+        throw new SyntaxError(`Failed to construct 'WebSocket': The URL '${url}' is invalid.`);
+      }
+    });
+    const onStatus = vi.fn();
+    const stop = startVehicleSource({ type: 'websocket', url: 'ws://bad host' }, model, { onBuses: vi.fn(), onStatus });
+
+    expect(onStatus).toHaveBeenLastCalledWith(expect.objectContaining({ state: 'error', error: expect.stringContaining('is invalid') }));
+    expect(stop).not.toThrow();
+  });
+});
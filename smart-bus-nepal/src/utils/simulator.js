@@ -0,0 +1,111 @@
+import { pointAlongPath } from './geo';
+import { activeRoutes, routeLoop, routePaths } from './gtfs';
+
+/**
+ * Bus movement simulator for Smart Bus Nepal
+ * Invents buses on the feed's routes and drives them stop to stop along the
+ * route shapes. It backs the "demo" vehicle source, used when no realtime feed
+ * is configured.
+ */
+
+// ============= CONSTANTS =============
+
+// Bus speed configuration (km/h)
+export const BUS_SPEED = 25; // Average city bus speed
+export const STOP_PAUSE_TIME = 120; // 2 minutes pause at each stop
+
+// ============= SIMULATION =============
+
+/**
+ * Initialize buses on the feed's routes running today, with random positions
+ * Each route gets 2-3 buses for better coverage; a bus drives the route's
+ * outbound stops and then the return direction (see routeLoop)
+ * @param {object} model - GTFS transit model
+ * @returns {object[]} Simulated buses
+ */
+export const initializeBuses = (model) => {
+  const initialBuses = [];
+  let busIdCounter = 1;
+
+  activeRoutes(model, new Date()).forEach(route => {
+    const stops = routeLoop(route);
+    const paths = routePaths(model, route);
+    const busCount = Math.floor(Math.random() * 2) + 2; // 2-3 buses per route
+
+    for (let i = 0; i < busCount; i++) {
+      const randomStopIndex = Math.floor(Math.random() * stops.length);
+      const currentStop = stops[randomStopIndex];
+      const nextStop = stops[(randomStopIndex + 1) % stops.length];
+
+      initialBuses.push({
+        id: `Bus-${String(busIdCounter).padStart(3, '0')}`,
+        route: route.name,
+        routeId: route.id,
+        color: route.color,
+        currentStopIndex: randomStopIndex,
+        position: { lat: currentStop.lat, lng: currentStop.lng },
+        nextStop: nextStop,
+        occupancy: Math.floor(Math.random() * 101), // 0-100% occupancy
+        speed: BUS_SPEED + (Math.random() * 10 - 5), // Slight speed variation
+        isAtStop: Math.random() < 0.3, // 30% chance bus is currently at stop
+        stopArrivalTime: Date.now() - Math.random() * STOP_PAUSE_TIME * 1000,
+        stops,
+        paths, // paths[i] leads from stops[i] to the stop after it
+        pathDistance: 0 // km travelled along paths[currentStopIndex]
+      });
+      busIdCounter++;
+    }
+  });
+
+  return initialBuses;
+};
+
+/**
+ * Move every bus along the road path to its next stop
+ * Called every animation frame for smooth movement
+ * @param {object[]} buses - Buses from initializeBuses or a previous call
+ * @param {number} deltaTime - Seconds since the previous call
+ * @param {number} currentTime - Current time in milliseconds
+ * @returns {object[]} Buses at their new positions
+ */
+export const advanceBuses = (buses, deltaTime, currentTime) =>
+  buses.map(bus => {
+    let updatedBus = { ...bus };
+
+    // If bus is at stop, check if pause time is over
+    if (updatedBus.isAtStop) {
+      const timeAtStop = (currentTime - updatedBus.stopArrivalTime) / 1000;
+      if (timeAtStop >= STOP_PAUSE_TIME) {
+        // Move to next stop
+        updatedBus.isAtStop = false;
+        updatedBus.currentStopIndex = (updatedBus.currentStopIndex + 1) % updatedBus.stops.length;
+        updatedBus.pathDistance = 0;
+        const nextStopIndex = (updatedBus.currentStopIndex + 1) % updatedBus.stops.length;
+        updatedBus.nextStop = updatedBus.stops[nextStopIndex];
+      }
+    } else {
+      // Bus is moving - advance along the path
+      const path = updatedBus.paths[updatedBus.currentStopIndex];
+      const targetStop = updatedBus.nextStop;
+
+      if (path && targetStop) {
+        const speed = updatedBus.speed / 3600; // Convert km/h to km/s
+        const travelled = updatedBus.pathDistance + speed * deltaTime;
+
+        // Check if arrived at next stop
+        if (travelled >= path.length) {
+          updatedBus.position = { lat: targetStop.lat, lng: targetStop.lng };
+          updatedBus.pathDistance = path.length;
+          updatedBus.isAtStop = true;
+          updatedBus.stopArrivalTime = currentTime;
+          // Simulate occupancy change at stops
+          updatedBus.occupancy = Math.max(10, Math.min(100, updatedBus.occupancy + (Math.random() * 20 - 10)));
+        } else {
+          updatedBus.position = pointAlongPath(path, travelled);
+          updatedBus.pathDistance = travelled;
+        }
+      }
+    }
+
+    return updatedBus;
+  });
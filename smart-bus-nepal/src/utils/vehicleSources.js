@@ -0,0 +1,206 @@
+import { decodeFeedMessage, GtfsRealtimeError, mergeFeeds, parseJsonFeed } from './gtfsRealtime';
+import { matchVehicles } from './realtime';
+import { advanceBuses, initializeBuses } from './simulator';
+
+/**
+ * Vehicle sources for Smart Bus Nepal
+ * A source is what puts buses on the map. Each is started with its config, the
+ * transit model and two callbacks, and returns a function that stops it:
+ *   const stop = startVehicleSource(config, model, { onBuses, onStatus });
+ *
+ * - demo: the simulator, animated every frame (no network needed)
+ * - gtfs-rt: polls GTFS-RT protobuf VehiclePositions, plus TripUpdates when given a second URL
+ * - json: polls a JSON feed (format in gtfsRealtime.js)
+ * - websocket: takes JSON or GTFS-RT protobuf snapshots pushed over a WebSocket
+ *
+ * Status reported through onStatus:
+ * { state: 'demo' | 'connecting' | 'live' | 'reconnecting' | 'error', updatedAt, vehicles, unmatched, error }
+ *
+ * `npm run realtime:mock` serves all three live formats from the bundled GTFS feed.
+ */
+
+// ============= CONSTANTS =============
+
+export const SOURCE_TYPES = ['demo', 'gtfs-rt', 'json', 'websocket'];
+
+/** Source used until the user picks one; set VITE_REALTIME_TYPE and VITE_REALTIME_URL to go live by default */
+export const DEFAULT_VEHICLE_SOURCE = {
+  type: import.meta.env.VITE_REALTIME_TYPE || 'demo',
+  url: import.meta.env.VITE_REALTIME_URL || '',
+  tripUpdatesUrl: import.meta.env.VITE_TRIP_UPDATES_URL || ''
+};
+
+const POLL_INTERVAL = 10000; // 10 seconds, the usual GTFS-RT refresh rate
+const RECONNECT_DELAY = 5000; // 5 seconds between WebSocket reconnects
+
+// ============= HELPERS =============
+
+/**
+ * Fetch and decode one polled feed
+ * @param {string} url - Feed URL
+ * @param {string} type - 'gtfs-rt' or 'json'
+ * @param {AbortSignal} signal - Cancels the request when the source stops
+ * @returns {Promise<object>} Decoded feed
+ */
+const fetchFeed = async (url, type, signal) => {
+  const response = await fetch(url, { signal, cache: 'no-store' });
+  if (!response.ok) throw new GtfsRealtimeError(`${url} answered HTTP ${response.status}`);
+  return type === 'json' ? parseJsonFeed(await response.json()) : decodeFeedMessage(await response.arrayBuffer());
+};
+
+/**
+ * Shared bookkeeping for the live sources: match each feed to the model and report it
+ * @param {object} model - GTFS transit model
+ * @param {object} callbacks - { onBuses, onStatus }
+ * @returns {object} { apply(feed), fail(state, error) }
+ */
+const createFeedHandler = (model, { onBuses, onStatus }) => {
+  let buses = [];
+  let updatedAt = null;
+  return {
+    apply: (feed) => {
+      const result = matchVehicles(model, feed, buses);
+      buses = result.buses;
+      updatedAt = Date.now();
+      onBuses(buses);
+      onStatus({ state: 'live', updatedAt, vehicles: buses.length, unmatched: result.unmatched, error: null });
+    },
+    // The last known buses stay on the map while the feed is down
+    fail: (state, error = null) => {
+      onStatus({ state, updatedAt, vehicles: buses.length, unmatched: 0, error });
+    }
+  };
+};
+
+// ============= SOURCES =============
+
+/**
+ * Simulated buses, moved every animation frame
+ */
+const startDemoSource = (config, model, { onBuses, onStatus }) => {
+  let buses = initializeBuses(model);
+  let lastUpdateTime = Date.now();
+  let frame;
+
+  const tick = () => {
+    const currentTime = Date.now();
+    buses = advanceBuses(buses, (currentTime - lastUpdateTime) / 1000, currentTime);
+    lastUpdateTime = currentTime;
+    onBuses(buses);
+    frame = requestAnimationFrame(tick);
+  };
+
+  onBuses(buses);
+  onStatus({ state: 'demo', updatedAt: null, vehicles: buses.length, unmatched: 0, error: null });
+  frame = requestAnimationFrame(tick);
+  return () => cancelAnimationFrame(frame);
+};
+
+/**
+ * GTFS-RT protobuf or JSON feeds fetched every POLL_INTERVAL
+ */
+const startPollingSource = (config, model, callbacks) => {
+  const controller = new AbortController();
+  const handler = createFeedHandler(model, callbacks);
+  const urls = [config.url, config.tripUpdatesUrl].filter(Boolean);
+  let timer;
+
+  const poll = async () => {
+    try {
+      handler.apply(mergeFeeds(await Promise.all(urls.map(url => fetchFeed(url, config.type, controller.signal)))));
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      handler.fail('error', error.message);
+    }
+    timer = setTimeout(poll, POLL_INTERVAL);
+  };
+
+  handler.fail('connecting');
+  poll();
+  return () => {
+    controller.abort();
+    clearTimeout(timer);
+  };
+};
+
+/**
+ * Snapshots pushed over a WebSocket: text frames are JSON feeds, binary frames GTFS-RT protobuf
+ * Each message replaces the previous one; dropped connections are retried every RECONNECT_DELAY
+ */
+const startWebSocketSource = (config, model, callbacks) => {
+  const handler = createFeedHandler(model, callbacks);
+  let socket;
+  let retry;
+  let stopped = false;
+
+  const connect = () => {
+    try {
+      socket = new WebSocket(config.url);
+    } catch (error) {
+      // A malformed URL throws here rather than closing; retrying would not help
+      handler.fail('error', error.message);
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    socket.onmessage = (event) => {
+      try {
+        handler.apply(typeof event.data === 'string'
+          ? parseJsonFeed(JSON.parse(event.data))
+          : decodeFeedMessage(event.data));
+      } catch (error) {
+        handler.fail('error', error.message);
+      }
+    };
+    socket.onclose = () => {
+      if (stopped) return;
+      handler.fail('reconnecting');
+      retry = setTimeout(connect, RECONNECT_DELAY);
+    };
+  };
+
+  handler.fail('connecting');
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(retry);
+    socket?.close();
+  };
+};
+
+const SOURCES = {
+  demo: startDemoSource,
+  'gtfs-rt': startPollingSource,
+  json: startPollingSource,
+  websocket: startWebSocketSource
+};
+
+// ============= PUBLIC API =============
+
+/**
+ * Whether a feed URL can be used by a source type
+ * WebSocket URLs must be absolute ws:// or wss://; polled feeds may be http(s) or relative to the app
+ * @param {string} type - One of SOURCE_TYPES
+ * @param {string} url - URL as typed
+ * @returns {boolean} True when the source can connect to it
+ */
+export const isValidSourceUrl = (type, url) => {
+  try {
+    if (type === 'websocket') return ['ws:', 'wss:'].includes(new URL(url).protocol);
+    return ['http:', 'https:'].includes(new URL(url, 'http://localhost/').protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Start putting buses on the map
+ * A live source without a URL falls back to the demo so the map is never empty
+ * @param {object} config - { type, url, tripUpdatesUrl }
+ * @param {object} model - GTFS transit model
+ * @param {object} callbacks - { onBuses(buses), onStatus(status) }
+ * @returns {Function} Stops the source
+ */
+export const startVehicleSource = (config, model, callbacks) => {
+  const start = config.type !== 'demo' && config.url ? SOURCES[config.type] : startDemoSource;
+  return (start || startDemoSource)(config, model, callbacks);
+};
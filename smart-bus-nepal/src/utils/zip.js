@@ -0,0 +1,79 @@
+/**
+ * Minimal zip reader for GTFS feeds
+ * Reads the central directory and inflates entries with the browser's own
+ * DecompressionStream, so no zip library is needed. Supports stored and
+ * deflated entries; ZIP64 archives (over 4 GB) are rejected.
+ */
+
+// ============= CONSTANTS =============
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// ============= HELPER FUNCTIONS =============
+
+/**
+ * Locate the end-of-central-directory record, which sits before an optional trailing comment
+ * @param {DataView} view - Whole archive
+ * @returns {number} Byte offset of the record
+ */
+const findEndOfCentralDirectory = (view) => {
+  for (let offset = view.byteLength - 22; offset >= Math.max(0, view.byteLength - 65557); offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error('Not a zip file');
+};
+
+/**
+ * Inflate a raw deflate stream
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>} Uncompressed data
+ */
+const inflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// ============= PUBLIC API =============
+
+/**
+ * Read every file in a zip archive
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @returns {Promise<Map<string, Uint8Array>>} Entry path -> contents (directories are skipped)
+ */
+export const readZip = async (buffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+  const end = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const files = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) throw new Error('Corrupt zip central directory');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) throw new Error(`Corrupt zip entry ${name}`);
+    // The local header repeats the name but may carry a different extra field
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORED) files.set(name, data);
+    else if (method === METHOD_DEFLATE) files.set(name, await inflateRaw(data));
+    else throw new Error(`Unsupported compression method ${method} in ${name}`);
+  }
+  return files;
+};
@@ -1,31 +1,107 @@
-import { useEffect, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import MapView from "./components/MapView";
 import ETAList from "./components/ETAList";
 import QRTicket from "./components/QRTicket";
-import stops from "./stops.json";
-import { fares } from "./fares";
+import { FARE_CATEGORIES, directFare } from "./fares";
+import { DEFAULT_FEED_URL, activeRoutes, loadGtfsFromFiles, loadGtfsFromUrl, routeLines, routeLoop, routePaths, servedStops } from "./gtfs";
+import { pointAlongPath } from "./geo";
+import { startRealtime } from "./realtime";
+
+// Demo source: two simulated buses per route, starting at its first two stops; ids run A, B, C...
+// paths[i] is the road from stops[i] to the next stop, which the bus follows.
+const createBuses = model => activeRoutes(model, new Date()).flatMap((route, r) => {
+  const loop = routeLoop(route);
+  const paths = routePaths(model, route);
+  return [0, 1].map(i => ({
+    id: String.fromCharCode(65 + r * 2 + i),
+    routeId: route.id,
+    color: route.color,
+    stops: loop,
+    paths,
+    lat: loop[i % loop.length].lat,
+    lng: loop[i % loop.length].lng,
+    index: i % loop.length,
+    nextIndex: (i + 1) % loop.length,
+    progress: 0,
+    stopTimer: 0
+  }));
+});
 
 export default function App() {
-  const [busPositions, setBusPositions] = useState([
-    { id: "A", lat: stops[0].lat, lng: stops[0].lng, index: 0, nextIndex: 1, progress: 0, stopTimer: 0 },
-    { id: "B", lat: stops[1].lat, lng: stops[1].lng, index: 1, nextIndex: 2, progress: 0, stopTimer: 0 }
-  ]);
+  const [transit, setTransit] = useState(null);
+  const [feedError, setFeedError] = useState(null);
+  const stops = useMemo(() => (transit ? servedStops(transit) : []), [transit]);
+  // Feeds often have a stop of the same name on each side of the road; those are told apart by stop_id
+  const stopLabel = useMemo(() => {
+    const counts = {};
+    stops.forEach(s => { counts[s.name] = (counts[s.name] || 0) + 1; });
+    return stop => (counts[stop.name] > 1 ? `${stop.name} (${stop.id})` : stop.name);
+  }, [stops]);
+  const routes = useMemo(() => (transit ? transit.routes.map(route => ({
+    id: route.id,
+    name: route.name,
+    color: route.color,
+    lines: routeLines(transit, route)
+  })) : []), [transit]);
 
+  const [busPositions, setBusPositions] = useState([]);
   const [busETAs, setBusETAs] = useState({});
   const [userLocation, setUserLocation] = useState(null);
-  const [destination, setDestination] = useState(stops[0].name);
+  const [destination, setDestination] = useState(""); // stop_id
+  const [fareCategory, setFareCategory] = useState("regular");
   const [ticket, setTicket] = useState(null);
 
+  // Live feed URL (JSON over HTTP or ws://); empty means simulated demo buses
+  const [liveUrl, setLiveUrl] = useState(import.meta.env.VITE_REALTIME_URL || "");
+  const [urlDraft, setUrlDraft] = useState(liveUrl);
+  const [liveError, setLiveError] = useState(null);
+
+  // -----------------------
+  // Load the GTFS feed, then put buses on its routes
+  // -----------------------
+  useEffect(() => {
+    loadGtfsFromUrl(DEFAULT_FEED_URL).then(setTransit).catch(err => setFeedError(err.message));
+  }, []);
+
+  useEffect(() => {
+    if (!transit) return;
+    setDestination(servedStops(transit)[0].id);
+  }, [transit]);
+
+  // Buses come from the live feed when one is set, otherwise from the demo simulator
+  useEffect(() => {
+    if (!transit) return;
+    setBusETAs({});
+    setLiveError(null);
+    if (!liveUrl) {
+      setBusPositions(createBuses(transit));
+      return;
+    }
+    setBusPositions([]);
+    return startRealtime(liveUrl, transit, { onBuses: setBusPositions, onError: setLiveError });
+  }, [transit, liveUrl]);
+
+  // A picked feed replaces the current one; a bad one leaves it in place
+  const loadFeedFiles = async e => {
+    if (e.target.files.length === 0) return;
+    try {
+      setTransit(await loadGtfsFromFiles(e.target.files));
+      setFeedError(null);
+    } catch (err) {
+      setFeedError(err.message);
+    }
+    e.target.value = "";
+  };
+
   // -----------------------
-  // Animate buses with smooth movement and stop pause
+  // Animate demo buses along the route shapes, pausing at stops
   // -----------------------
   useEffect(() => {
+    if (liveUrl) return;
     const interval = setInterval(() => {
       setBusPositions(prev =>
         prev.map(bus => {
           let { index, nextIndex, progress, stopTimer } = bus;
-          const from = stops[index];
-          const to = stops[nextIndex];
 
           // Stop at stop for max 20 ticks (simulate ≤2 min)
           if (stopTimer < 20) {
@@ -38,20 +114,20 @@ export default function App() {
 
           if (newProgress >= 1) {
             newIndex = nextIndex;
-            newNextIndex = (nextIndex + 1) % stops.length;
+            newNextIndex = (nextIndex + 1) % bus.stops.length;
             newProgress = 0;
             stopTimer = 0;
           }
 
-          const newLat = from.lat + (to.lat - from.lat) * newProgress;
-          const newLng = from.lng + (to.lng - from.lng) * newProgress;
+          const path = bus.paths[newIndex];
+          const { lat, lng } = pointAlongPath(path, path.length * newProgress);
 
-          return { ...bus, lat: newLat, lng: newLng, index: newIndex, nextIndex: newNextIndex, progress: newProgress, stopTimer };
+          return { ...bus, lat, lng, index: newIndex, nextIndex: newNextIndex, progress: newProgress, stopTimer };
         })
       );
     }, 100);
     return () => clearInterval(interval);
-  }, []);
+  }, [liveUrl]);
 
   // -----------------------
   // Get user location
@@ -67,7 +143,7 @@ export default function App() {
   // Find nearest stop
   // -----------------------
   const findNearestStop = () => {
-    if (!userLocation) return stops[0].name;
+    if (!userLocation) return stops[0];
     let nearest = stops[0];
     let minDist = Infinity;
     stops.forEach(stop => {
@@ -77,21 +153,24 @@ export default function App() {
         nearest = stop;
       }
     });
-    return nearest.name;
+    return nearest;
   };
 
   // -----------------------
   // ETA Calculation
   // -----------------------
   const calculateETA = (bus, userStop) => {
+    const stops = bus.stops;
     const stopsCount = stops.length;
+    // Buses on other routes never reach this stop
+    if (!userStop || !stops.some(s => s.id === userStop.id)) return null;
     let distance = 0;
     let index = bus.index;
     let nextIndex = bus.nextIndex;
     let progress = bus.progress;
     let stopPauseTicks = 0;
 
-    while (stops[nextIndex].name !== userStop.name) {
+    while (stops[nextIndex].id !== userStop.id) {
       const from = stops[index];
       const to = stops[nextIndex];
       distance += Math.sqrt(Math.pow(to.lat - from.lat, 2) + Math.pow(to.lng - from.lng, 2));
@@ -117,7 +196,8 @@ export default function App() {
       const nearestStop = findNearestStop();
       const newETAs = {};
       busPositions.forEach(bus => {
-        newETAs[bus.id] = calculateETA(bus, stops.find(s => s.name === nearestStop));
+        const eta = calculateETA(bus, nearestStop);
+        if (eta !== null) newETAs[bus.id] = eta;
       });
 
       setBusETAs(prev => {
@@ -127,50 +207,90 @@ export default function App() {
             updated[id] = newETAs[id];
           }
         });
+        // Forget buses that no longer pass the nearest stop
+        Object.keys(updated).forEach(id => {
+          if (!(id in newETAs)) delete updated[id];
+        });
         return updated;
       });
 
       // Update ticket ETA
       if (ticket) {
-        const fromStop = ticket.from;
+        const fromStop = stops.find(s => s.id === ticket.fromId);
         setTicket(prev => ({
           ...prev,
-          eta: busPositions.map(bus => calculateETA(bus, stops.find(s => s.name === fromStop)))
+          eta: busPositions.map(bus => calculateETA(bus, fromStop)).filter(eta => eta !== null)
         }));
       }
     }, 5000);
     return () => clearInterval(interval);
-  }, [busPositions, userLocation, ticket]);
+  }, [busPositions, userLocation, ticket, stops]);
 
   // -----------------------
   // Buy Ticket
   // -----------------------
+  // Fare for the cheapest route serving both stops, by distance along the road
+  const tripFare = () => {
+    const from = findNearestStop();
+    const to = stops.find(s => s.id === destination);
+    return from && to ? directFare(transit, from.id, to.id, { category: fareCategory }) : null;
+  };
+
   const buyTicket = () => {
     const fromStop = findNearestStop();
-    const fare = fares[fromStop][destination];
+    const toStop = stops.find(s => s.id === destination);
+    const trip = tripFare();
+    if (!trip) {
+      alert(`No bus runs from ${stopLabel(fromStop)} to ${stopLabel(toStop)}.`);
+      return;
+    }
     setTicket({
       id: Date.now(),
-      from: fromStop,
-      to: destination,
-      fare,
-      eta: busPositions.map(bus => calculateETA(bus, stops.find(s => s.name === fromStop)))
+      fromId: fromStop.id,
+      toId: toStop.id,
+      from: stopLabel(fromStop),
+      to: stopLabel(toStop),
+      route: trip.route.name,
+      category: fareCategory,
+      fare: trip.fare,
+      eta: busPositions.map(bus => calculateETA(bus, fromStop)).filter(eta => eta !== null)
     });
   };
 
   // -----------------------
   // Render
   // -----------------------
+  if (!transit) {
+    return (
+      <div className="flex h-screen items-center justify-center bg-gray-100 p-4">
+        <div className="bg-white p-4 rounded-2xl shadow-lg space-y-2 max-w-md w-full">
+          {feedError ? (
+            <>
+              <p className="text-red-600">Could not load the bus network: {feedError}</p>
+              <label className="block font-semibold">Load a GTFS zip or feed files:</label>
+              <input type="file" multiple accept=".zip,.txt" onChange={loadFeedFiles} className="w-full" />
+            </>
+          ) : (
+            <p className="text-gray-600">Loading bus network…</p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const quote = tripFare();
+
   return (
     <div className="flex flex-col md:flex-row h-screen bg-gray-100">
       <div className="md:w-2/3 p-2">
-        <MapView busPositions={busPositions} stops={stops} userLocation={userLocation} />
+        <MapView busPositions={busPositions} stops={stops} routes={routes} userLocation={userLocation} />
       </div>
 
       <div className="md:w-1/3 p-4 space-y-4 overflow-y-auto">
         <div className="bg-white p-4 rounded-2xl shadow-lg">
           <h2 className="text-xl font-bold mb-2">Bus ETAs at Your Stop</h2>
           <p className="mb-2 text-gray-600">
-            Your nearest stop: <strong>{findNearestStop()}</strong>
+            Your nearest stop: <strong>{stopLabel(findNearestStop())}</strong>
           </p>
           <ETAList busETAs={busETAs} />
         </div>
@@ -182,8 +302,21 @@ export default function App() {
             onChange={e => setDestination(e.target.value)}
             className="w-full p-2 rounded border"
           >
-            {stops.map((s, i) => <option key={i} value={s.name}>{s.name}</option>)}
+            {stops.map(s => <option key={s.id} value={s.id}>{stopLabel(s)}</option>)}
+          </select>
+          <label className="block font-semibold mb-1">Passenger:</label>
+          <select
+            value={fareCategory}
+            onChange={e => setFareCategory(e.target.value)}
+            className="w-full p-2 rounded border capitalize"
+          >
+            {FARE_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
           </select>
+          <p className="text-gray-600 text-sm">
+            {quote
+              ? `Fare: Rs ${quote.fare} (${quote.distance.toFixed(1)} km on ${quote.route.name})`
+              : "No single bus runs to this stop"}
+          </p>
           <button
             onClick={buyTicket}
             className="w-full mt-2 px-4 py-2 bg-green-600 text-white rounded-xl hover:bg-green-700 transition"
@@ -193,6 +326,43 @@ export default function App() {
         </div>
 
         {ticket && <QRTicket ticket={ticket} />}
+
+        <div className="bg-white p-4 rounded-2xl shadow-lg space-y-2">
+          <h2 className="text-xl font-bold">Bus Network</h2>
+          <p className="text-gray-600">
+            {transit.agencies[0]?.name || "GTFS feed"}: {transit.routes.length} routes, {stops.length} stops
+          </p>
+          <label className="block font-semibold">Load a GTFS zip or feed files:</label>
+          <input type="file" multiple accept=".zip,.txt" onChange={loadFeedFiles} className="w-full" />
+          {feedError && <p className="text-red-600 text-sm">{feedError}</p>}
+
+          <label className="block font-semibold">Live feed URL (JSON or ws://):</label>
+          <input
+            value={urlDraft}
+            onChange={e => setUrlDraft(e.target.value)}
+            placeholder="http://localhost:8789/feed.json"
+            className="w-full p-2 rounded border"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={() => setLiveUrl(urlDraft.trim())}
+              disabled={!urlDraft.trim()}
+              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              Go Live
+            </button>
+            <button
+              onClick={() => setLiveUrl("")}
+              className="flex-1 px-4 py-2 border border-blue-600 text-blue-600 rounded-xl hover:bg-blue-50 transition"
+            >
+              Demo Buses
+            </button>
+          </div>
+          <p className="text-gray-600 text-sm">
+            {liveUrl ? `Live: ${busPositions.length} buses from ${liveUrl}` : "Showing simulated demo buses"}
+          </p>
+          {liveError && <p className="text-red-600 text-sm">{liveError}</p>}
+        </div>
       </div>
     </div>
   );
@@ -1,4 +1,5 @@
-import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
+import { useState } from "react";
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Tooltip } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
 
@@ -10,33 +11,81 @@ L.Icon.Default.mergeOptions({
   shadowUrl: "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png",
 });
 
-export default function MapView({ busPositions, stops, userLocation }) {
+// Round bus marker in its route's colour, one icon per colour
+const busIcons = new Map();
+const busIcon = color => {
+  if (!busIcons.has(color)) {
+    busIcons.set(color, L.divIcon({
+      className: "",
+      html: `<div style="width:18px;height:18px;border-radius:50%;background:${color};border:3px solid white;box-shadow:0 0 4px rgba(0,0,0,.5)"></div>`,
+      iconSize: [18, 18],
+      iconAnchor: [9, 9]
+    }));
+  }
+  return busIcons.get(color);
+};
+
+// routes: [{ id, name, color, lines }] where lines are arrays of { lat, lng } from the feed's shapes
+export default function MapView({ busPositions, stops, routes, userLocation }) {
   const center = userLocation || { lat: 27.7172, lng: 85.3240 }; // Kathmandu
+  // Routes switched off in the legend; their lines and buses are hidden
+  const [hidden, setHidden] = useState(() => new Set());
+
+  const toggleRoute = id => setHidden(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
 
   return (
-    <MapContainer center={center} zoom={13} style={{ height: "100%", width: "100%" }}>
-      <TileLayer
-        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-        attribution='&copy; <a href="https://osm.org/copyright">OSM</a>'
-      />
-
-      {stops.map((stop, i) => (
-        <Marker key={i} position={{ lat: stop.lat, lng: stop.lng }}>
-          <Popup>{stop.name}</Popup>
-        </Marker>
-      ))}
-
-      {busPositions.map(bus => (
-        <Marker key={bus.id} position={{ lat: bus.lat, lng: bus.lng }}>
-          <Popup>Bus {bus.id}</Popup>
-        </Marker>
-      ))}
-
-      {userLocation && (
-        <Marker position={userLocation}>
-          <Popup>Your Location</Popup>
-        </Marker>
-      )}
-    </MapContainer>
+    <div className="relative h-full w-full">
+      <MapContainer center={center} zoom={13} style={{ height: "100%", width: "100%" }}>
+        <TileLayer
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          attribution='&copy; <a href="https://osm.org/copyright">OSM</a>'
+        />
+
+        {routes.filter(route => !hidden.has(route.id)).map(route => (
+          <Polyline
+            key={route.id}
+            positions={route.lines.map(line => line.map(point => [point.lat, point.lng]))}
+            pathOptions={{ color: route.color, weight: 5, opacity: 0.7 }}
+          >
+            <Tooltip sticky>{route.name}</Tooltip>
+          </Polyline>
+        ))}
+
+        {stops.map(stop => (
+          <Marker key={stop.id} position={{ lat: stop.lat, lng: stop.lng }}>
+            <Popup>{stop.name}</Popup>
+          </Marker>
+        ))}
+
+        {busPositions.filter(bus => !hidden.has(bus.routeId)).map(bus => (
+          <Marker key={bus.id} position={{ lat: bus.lat, lng: bus.lng }} icon={busIcon(bus.color)}>
+            <Popup>Bus {bus.id}</Popup>
+          </Marker>
+        ))}
+
+        {userLocation && (
+          <Marker position={userLocation}>
+            <Popup>Your Location</Popup>
+          </Marker>
+        )}
+      </MapContainer>
+
+      {/* Legend with a toggle per route; sits above the map panes */}
+      <div className="absolute top-2 right-2 z-[1000] bg-white p-3 rounded-xl shadow-lg max-h-64 overflow-y-auto space-y-1">
+        <p className="font-semibold text-sm">Routes</p>
+        {routes.map(route => (
+          <label key={route.id} className="flex items-center gap-2 text-sm cursor-pointer">
+            <input type="checkbox" checked={!hidden.has(route.id)} onChange={() => toggleRoute(route.id)} />
+            <span className="inline-block w-4 h-1 rounded" style={{ background: route.color }} />
+            {route.name}
+          </label>
+        ))}
+      </div>
+    </div>
   );
 }
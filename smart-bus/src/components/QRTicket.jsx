@@ -6,7 +6,8 @@ export default function QRTicket({ ticket }) {
       <h2 className="text-lg font-bold mb-2">Your Ticket</h2>
       <p>From: {ticket.from}</p>
       <p>To: {ticket.to}</p>
-      <p>Fare: Rs {ticket.fare}</p>
+      <p>Route: {ticket.route}</p>
+      <p>Fare: Rs {ticket.fare} ({ticket.category})</p>
       <p>ETA: {ticket.eta.join(" / ")} min (Buses)</p>
       <div className="mt-4 flex justify-center">
         <QRCode value={`Ticket:${ticket.id}`} size={128} />
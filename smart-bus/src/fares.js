@@ -1,8 +1,55 @@
 // src/fares.js
+// Fare engine: the per-km tariff with a minimum fare, applied to the distance ridden along the
+// route's road path, then any concession and the transfer discount, rounded as the tariff says.
+// Update TARIFF when a new government tariff is published.
 
-export const fares = {
-  "Lagankhel": { "Pulchowk": 15, "Ratna Park": 25, "Airport": 40 },
-  "Pulchowk": { "Lagankhel": 15, "Ratna Park": 20, "Airport": 30 },
-  "Ratna Park": { "Lagankhel": 25, "Pulchowk": 20, "Airport": 25 },
-  "Airport": { "Lagankhel": 40, "Pulchowk": 30, "Ratna Park": 25 }
+import { routeLoop, routePaths } from "./gtfs";
+
+export const TARIFF = {
+  minimumFare: 15, // Rs.
+  perKm: 3.5, // Rs. per km along the route
+  rounding: 5, // round to the nearest Rs. 5
+  concessions: { student: 0.45, senior: 0.5, disabled: 0.5 }, // share of the fare taken off
+  transferDiscount: 5, // Rs. off a ride boarded within transferWindow of leaving the previous bus
+  transferWindow: 60, // minutes
+  // Rules replacing the ones above on particular routes, by route_id, e.g. loop: { flatFare: 25 }
+  routes: {}
 };
+
+export const FARE_CATEGORIES = ["regular", "student", "senior", "disabled"];
+
+// km along the road from one stop to the other on a route (the shorter way if a stop is served twice),
+// or null when the route doesn't serve both
+export function rideDistance(model, route, fromStopId, toStopId) {
+  const loop = routeLoop(route);
+  if (fromStopId === toStopId || !loop.some(s => s.id === toStopId)) return null;
+  const paths = routePaths(model, route);
+  let shortest = null;
+  loop.forEach((stop, start) => {
+    if (stop.id !== fromStopId) return;
+    let distance = 0;
+    for (let i = start; loop[i].id !== toStopId; i = (i + 1) % loop.length) distance += paths[i].length;
+    if (shortest === null || distance < shortest) shortest = distance;
+  });
+  return shortest;
+}
+
+export function fareForDistance(distance, { routeId = null, category = "regular", transfer = false, tariff = TARIFF } = {}) {
+  const rules = { ...tariff, ...tariff.routes?.[routeId] };
+  const full = rules.flatFare ?? Math.max(rules.minimumFare, distance * rules.perKm);
+  let fare = full * (1 - (rules.concessions[category] || 0));
+  if (transfer) fare -= rules.transferDiscount;
+  return Math.max(0, Math.round(fare / rules.rounding) * rules.rounding);
+}
+
+// Cheapest ride between two stops on one bus: { route, distance, fare }, or null if no route serves both
+export function directFare(model, fromStopId, toStopId, options = {}) {
+  let best = null;
+  model.routes.forEach(route => {
+    const distance = rideDistance(model, route, fromStopId, toStopId);
+    if (distance === null) return;
+    const fare = fareForDistance(distance, { ...options, routeId: route.id });
+    if (!best || fare < best.fare) best = { route, distance, fare };
+  });
+  return best;
+}
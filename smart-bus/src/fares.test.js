@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { buildTransitModel } from "./gtfs";
+import { TARIFF, directFare, fareForDistance, rideDistance } from "./fares";
+
+// Stops due north of A at 0, 1, 4 and 10 km; r1 runs A -> D and back, r2 runs A -> D only
+const lat = km => (27.7 + km / 111.195).toFixed(6);
+const model = buildTransitModel({
+  stops: [
+    "stop_id,stop_name,stop_lat,stop_lon",
+    `A,Stop A,${lat(0)},85.3000`,
+    `B,Stop B,${lat(1)},85.3000`,
+    `C,Stop C,${lat(4)},85.3000`,
+    `D,Stop D,${lat(10)},85.3000`
+  ].join("\n"),
+  routes: "route_id,route_short_name,route_long_name\nr1,1,Line 1\nr2,2,Express",
+  trips: "route_id,service_id,trip_id\nr1,daily,t1\nr2,daily,t2",
+  stop_times: [
+    "trip_id,arrival_time,departure_time,stop_id,stop_sequence",
+    "t1,09:00:00,09:00:00,A,1",
+    "t1,09:05:00,09:05:00,B,2",
+    "t1,09:15:00,09:15:00,C,3",
+    "t1,09:35:00,09:35:00,D,4",
+    "t2,09:00:00,09:00:00,A,1",
+    "t2,09:30:00,09:30:00,D,2"
+  ].join("\n")
+});
+const r1 = model.routes.find(route => route.id === "r1");
+const overrides = { ...TARIFF, routes: { r2: { flatFare: 25 }, r1: { perKm: 5 } } };
+
+describe("fareForDistance", () => {
+  it("charges the minimum fare, then per km rounded to the nearest Rs 5", () => {
+    expect(fareForDistance(1)).toBe(15);
+    expect(fareForDistance(6)).toBe(20); // Rs 21
+    expect(fareForDistance(7)).toBe(25); // Rs 24.50
+  });
+
+  it("takes each concession off the fare", () => {
+    expect(fareForDistance(20, { category: "student" })).toBe(40); // Rs 38.50
+    expect(fareForDistance(20, { category: "senior" })).toBe(35);
+    expect(fareForDistance(20, { category: "disabled" })).toBe(35);
+  });
+
+  it("applies a route's flat fare or per-km rate", () => {
+    expect(fareForDistance(10, { routeId: "r2", tariff: overrides })).toBe(25);
+    expect(fareForDistance(10, { routeId: "r1", tariff: overrides })).toBe(50);
+  });
+
+  it("works with a tariff that has no route overrides", () => {
+    const { routes, ...general } = TARIFF;
+    expect(routes).toEqual({});
+    expect(fareForDistance(10, { routeId: "r1", tariff: general })).toBe(35);
+  });
+
+  it("takes the transfer discount off", () => {
+    expect(fareForDistance(10, { transfer: true })).toBe(30);
+    expect(TARIFF.transferWindow).toBe(60);
+  });
+});
+
+describe("rideDistance and directFare", () => {
+  it("takes the shorter way when a stop is served in both directions", () => {
+    expect(rideDistance(model, r1, "B", "C")).toBeCloseTo(3, 2);
+    expect(rideDistance(model, r1, "C", "B")).toBeCloseTo(3, 2);
+    expect(rideDistance(model, r1, "B", "B")).toBeNull();
+  });
+
+  it("picks the cheapest route serving both stops", () => {
+    expect(directFare(model, "A", "D", { tariff: overrides })).toMatchObject({ route: { id: "r2" }, fare: 25 });
+    expect(directFare(model, "B", "Z")).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+// src/geo.js
+// Distances (km) and paths: the road geometry a bus follows between two stops.
+// A path is { points, distances, length } where distances[i] is the km from the start to points[i].
+
+export function distanceKm(a, b) {
+  const R = 6371;
+  const dLat = (b.lat - a.lat) * Math.PI / 180;
+  const dLng = (b.lng - a.lng) * Math.PI / 180;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+export function measurePath(points) {
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) distances.push(distances[i - 1] + distanceKm(points[i - 1], points[i]));
+  return { points, distances, length: distances[distances.length - 1] };
+}
+
+// Position `distance` km along the path, clamped to its ends
+export function pointAlongPath(path, distance) {
+  const { points, distances } = path;
+  if (distance <= 0) return points[0];
+  if (distance >= path.length) return points[points.length - 1];
+  let i = 1;
+  while (distances[i] < distance) i++;
+  const ratio = (distance - distances[i - 1]) / (distances[i] - distances[i - 1] || 1);
+  return {
+    lat: points[i - 1].lat + (points[i].lat - points[i - 1].lat) * ratio,
+    lng: points[i - 1].lng + (points[i].lng - points[i - 1].lng) * ratio
+  };
+}
+
+// km along the path to the spot nearest point, looking only from fromDistance on
+// (so stops project in order onto a shape that passes the same place twice)
+export function projectOntoPath(path, point, fromDistance = 0) {
+  const { points, distances } = path;
+  if (points.length < 2) return 0;
+  // Flat x/y in km is accurate enough at city scale
+  const cosLat = Math.cos(point.lat * Math.PI / 180);
+  const flat = p => ({ x: p.lng * 111.32 * cosLat, y: p.lat * 110.57 });
+  const p = flat(point);
+  let best = fromDistance;
+  let bestGap = Infinity;
+
+  for (let i = 1; i < points.length; i++) {
+    if (distances[i] < fromDistance) continue;
+    const a = flat(points[i - 1]);
+    const b = flat(points[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+    const gap = Math.hypot(a.x + dx * t - p.x, a.y + dy * t - p.y);
+    if (gap < bestGap) {
+      best = Math.max(fromDistance, distances[i - 1] + (distances[i] - distances[i - 1]) * t);
+      bestGap = gap;
+    }
+  }
+  return best;
+}
+
+// The points of a path between two distances along it
+export function slicePath(path, from, to) {
+  const inner = path.points.filter((point, i) => path.distances[i] > from && path.distances[i] < to);
+  return [pointAlongPath(path, from), ...inner, pointAlongPath(path, to)];
+}
@@ -0,0 +1,313 @@
+// src/gtfs.js
+// GTFS static feed loader. Reads stops, routes, trips, stop_times, shapes and calendar
+// from a zip or a folder of .txt files and builds the transit model the app runs on:
+//   { agencies, stops, stopsById, routes, routesById, trips, shapes, calendar }
+// Each route's directions[0|1] holds the stops of that direction's longest trip, and
+// directionShapes[0|1] that trip's shape_id.
+
+import { measurePath, projectOntoPath, slicePath } from "./geo";
+import { readZip } from "./zip";
+
+const REQUIRED_FILES = ["stops", "routes", "trips", "stop_times"];
+const OPTIONAL_FILES = ["agency", "shapes", "calendar"];
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const FALLBACK_COLORS = ["#2563EB", "#DC2626", "#16A34A", "#D97706", "#7C3AED", "#DB2777"];
+
+// Feed bundled in public/gtfs; point VITE_GTFS_URL at another folder or .zip to swap it
+export const DEFAULT_FEED_URL = import.meta.env.VITE_GTFS_URL || "/gtfs/sample";
+
+export class GtfsError extends Error {
+  constructor(message, file) {
+    super(message);
+    this.name = "GtfsError";
+    this.file = file;
+  }
+}
+
+// -----------------------
+// Parsing
+// -----------------------
+
+// RFC 4180 CSV (quoted fields, optional BOM, LF or CRLF) -> one object per row
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ""));
+  const keys = header.map(key => key.trim());
+  return records.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? "").trim()])));
+}
+
+// "HH:MM:SS" -> seconds after midnight; hours may pass 24 for trips running after midnight
+export function parseTime(time) {
+  if (!time) return null;
+  const [hours, minutes, seconds] = time.split(":").map(Number);
+  return hours * 3600 + minutes * 60 + (seconds || 0);
+}
+
+const optionalNumber = value => (value === undefined || value === "" ? null : Number(value));
+
+// Date -> GTFS service date (YYYYMMDD)
+export const toServiceDate = date =>
+  `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, "0")}${String(date.getDate()).padStart(2, "0")}`;
+
+// -----------------------
+// Model
+// -----------------------
+
+// files: { stops, routes, trips, stop_times, shapes?, calendar?, agency? } as text
+export function buildTransitModel(files) {
+  REQUIRED_FILES.forEach(name => {
+    if (!files[name]) throw new GtfsError(`The feed has no ${name}.txt`, name);
+  });
+
+  const agencies = parseCsv(files.agency || "").map(row => ({ id: row.agency_id, name: row.agency_name }));
+
+  // Boarding points only; stations and entrances (location_type 1+) are skipped
+  const stops = parseCsv(files.stops)
+    .filter(row => !row.location_type || row.location_type === "0")
+    .map(row => ({ id: row.stop_id, name: row.stop_name, lat: Number(row.stop_lat), lng: Number(row.stop_lon) }))
+    .filter(stop => Number.isFinite(stop.lat) && Number.isFinite(stop.lng));
+  if (stops.length === 0) throw new GtfsError("stops.txt has no usable stops", "stops");
+  const stopsById = new Map(stops.map(stop => [stop.id, stop]));
+
+  const routes = parseCsv(files.routes).map((row, i) => ({
+    id: row.route_id,
+    name: row.route_long_name || row.route_short_name || row.route_id,
+    shortName: row.route_short_name || null,
+    color: row.route_color ? `#${row.route_color.toUpperCase()}` : FALLBACK_COLORS[i % FALLBACK_COLORS.length],
+    tripIds: [],
+    directions: {},
+    directionShapes: {},
+    shapeIds: []
+  }));
+  const routesById = new Map(routes.map(route => [route.id, route]));
+
+  const trips = new Map();
+  parseCsv(files.trips).forEach(row => {
+    const route = routesById.get(row.route_id);
+    if (!route) return;
+    trips.set(row.trip_id, {
+      id: row.trip_id,
+      routeId: row.route_id,
+      serviceId: row.service_id,
+      directionId: Number(row.direction_id) || 0,
+      headsign: row.trip_headsign || null,
+      shapeId: row.shape_id || null,
+      stopTimes: []
+    });
+    route.tripIds.push(row.trip_id);
+    if (row.shape_id && !route.shapeIds.includes(row.shape_id)) route.shapeIds.push(row.shape_id);
+  });
+
+  parseCsv(files.stop_times).forEach(row => {
+    const trip = trips.get(row.trip_id);
+    if (!trip || !stopsById.has(row.stop_id)) return;
+    trip.stopTimes.push({
+      stopId: row.stop_id,
+      sequence: Number(row.stop_sequence),
+      arrival: parseTime(row.arrival_time),
+      departure: parseTime(row.departure_time || row.arrival_time),
+      distance: optionalNumber(row.shape_dist_traveled)
+    });
+  });
+  trips.forEach(trip => trip.stopTimes.sort((a, b) => a.sequence - b.sequence));
+
+  // Longest trip per direction wins, so short turns don't hide stops
+  routes.forEach(route => {
+    route.tripIds.forEach(tripId => {
+      const trip = trips.get(tripId);
+      const current = route.directions[trip.directionId];
+      if (trip.stopTimes.length >= 2 && (!current || trip.stopTimes.length > current.length)) {
+        route.directions[trip.directionId] = trip.stopTimes.map(stopTime => stopsById.get(stopTime.stopId));
+        route.directionShapes[trip.directionId] = trip.shapeId;
+      }
+    });
+  });
+
+  const shapes = new Map();
+  parseCsv(files.shapes || "").forEach(row => {
+    if (!shapes.has(row.shape_id)) shapes.set(row.shape_id, []);
+    shapes.get(row.shape_id).push({
+      lat: Number(row.shape_pt_lat),
+      lng: Number(row.shape_pt_lon),
+      sequence: Number(row.shape_pt_sequence),
+      distance: optionalNumber(row.shape_dist_traveled)
+    });
+  });
+  shapes.forEach(points => points.sort((a, b) => a.sequence - b.sequence));
+
+  const calendar = new Map(parseCsv(files.calendar || "").map(row => [row.service_id, {
+    days: WEEKDAYS.map(day => row[day] === "1"),
+    start: row.start_date,
+    end: row.end_date
+  }]));
+
+  const servedRoutes = routes.filter(route => route.directions[0] || route.directions[1]);
+  if (servedRoutes.length === 0) throw new GtfsError("No route has any trips with stop times", "stop_times");
+
+  return {
+    agencies,
+    stops,
+    stopsById,
+    routes: servedRoutes,
+    routesById: new Map(servedRoutes.map(route => [route.id, route])),
+    trips,
+    shapes,
+    calendar
+  };
+}
+
+// -----------------------
+// Loading
+// -----------------------
+
+// Zip entries -> { stops: "...", ... }, ignoring any folder the files are wrapped in
+const gtfsFilesFromZip = entries => {
+  const decoder = new TextDecoder();
+  const files = {};
+  entries.forEach((bytes, path) => {
+    const name = path.split("/").pop().replace(/\.txt$/, "");
+    if (REQUIRED_FILES.includes(name) || OPTIONAL_FILES.includes(name)) files[name] = decoder.decode(bytes);
+  });
+  return files;
+};
+
+// url is either a .zip or a folder holding the .txt files
+export async function loadGtfsFromUrl(url) {
+  if (url.endsWith(".zip")) {
+    const response = await fetch(url);
+    if (!response.ok) throw new GtfsError(`Could not download ${url} (HTTP ${response.status})`);
+    return buildTransitModel(gtfsFilesFromZip(await readZip(await response.arrayBuffer())));
+  }
+
+  const files = {};
+  await Promise.all([...REQUIRED_FILES, ...OPTIONAL_FILES].map(async name => {
+    const response = await fetch(`${url.replace(/\/$/, "")}/${name}.txt`);
+    // Vite answers missing files with index.html, so check the type too
+    const isText = !(response.headers.get("content-type") || "").includes("text/html");
+    if (response.ok && isText) files[name] = await response.text();
+  }));
+  return buildTransitModel(files);
+}
+
+// fileList from <input type="file">: one .zip, or the .txt files of a feed
+export async function loadGtfsFromFiles(fileList) {
+  const list = [...fileList];
+  const zip = list.find(file => file.name.toLowerCase().endsWith(".zip"));
+  if (zip) return buildTransitModel(gtfsFilesFromZip(await readZip(await zip.arrayBuffer())));
+
+  const files = {};
+  await Promise.all(list.map(async file => {
+    const name = file.name.replace(/\.txt$/, "");
+    if (REQUIRED_FILES.includes(name) || OPTIONAL_FILES.includes(name)) files[name] = await file.text();
+  }));
+  return buildTransitModel(files);
+}
+
+// -----------------------
+// Queries
+// -----------------------
+
+// Services missing from calendar.txt are treated as running every day
+export function isServiceActive(model, serviceId, date) {
+  const service = model.calendar.get(serviceId);
+  if (!service) return true;
+  const day = toServiceDate(date);
+  return service.days[date.getDay()] && day >= service.start && day <= service.end;
+}
+
+// Routes running on date; every route if the calendar has nothing that day (e.g. an expired feed)
+export function activeRoutes(model, date) {
+  const running = model.routes.filter(route =>
+    route.tripIds.some(tripId => isServiceActive(model, model.trips.get(tripId).serviceId, date)));
+  return running.length > 0 ? running : model.routes;
+}
+
+// The stops a bus drives round, out in direction 0 and back in direction 1; the last leads back to the first
+export function routeLoop(route) {
+  const outbound = route.directions[0] || route.directions[1];
+  if (outbound.length > 1 && outbound[0].id === outbound[outbound.length - 1].id) return outbound.slice(0, -1);
+  const inbound = route.directions[0] && route.directions[1] ? route.directions[1] : [...outbound].reverse();
+  // Skip the shared terminus at each end so the bus doesn't stop there twice
+  const back = inbound.filter((stop, i) =>
+    !(i === 0 && stop.id === outbound[outbound.length - 1].id) && !(i === inbound.length - 1 && stop.id === outbound[0].id));
+  return [...outbound, ...back];
+}
+
+// Worked out once per route
+const pathCache = new WeakMap();
+
+// Road paths between the stops of routeLoop(route): paths[i] leads from stop i to stop i + 1, wrapping round.
+// Each leg is cut from its direction's shape; legs with no shape use the other direction reversed, or a straight line.
+export function routePaths(model, route) {
+  if (pathCache.has(route)) return pathCache.get(route);
+
+  const legs = new Map();
+  Object.entries(route.directions).forEach(([direction, pattern]) => {
+    const points = model.shapes.get(route.directionShapes[direction]);
+    if (!points || points.length < 2) return;
+    const shape = measurePath(points);
+    let from = projectOntoPath(shape, pattern[0]);
+    for (let i = 1; i < pattern.length; i++) {
+      const to = projectOntoPath(shape, pattern[i], from);
+      legs.set(`${pattern[i - 1].id}>${pattern[i].id}`, slicePath(shape, from, to));
+      from = to;
+    }
+  });
+
+  const loop = routeLoop(route);
+  const paths = loop.map((stop, i) => {
+    const next = loop[(i + 1) % loop.length];
+    const reverse = legs.get(`${next.id}>${stop.id}`);
+    return measurePath(legs.get(`${stop.id}>${next.id}`) || (reverse && [...reverse].reverse()) || [stop, next]);
+  });
+  pathCache.set(route, paths);
+  return paths;
+}
+
+// Lines to draw for a route: its shapes, or its stop patterns when the feed has no shapes.txt
+export function routeLines(model, route) {
+  const shapes = route.shapeIds.map(id => model.shapes.get(id)).filter(points => points?.length >= 2);
+  return shapes.length > 0 ? shapes : Object.values(route.directions);
+}
+
+// Stops on at least one route, in feed order
+export function servedStops(model) {
+  const served = new Set(model.routes.flatMap(route => Object.values(route.directions).flat().map(stop => stop.id)));
+  return model.stops.filter(stop => served.has(stop.id));
+}
@@ -0,0 +1,108 @@
+// src/realtime.js
+// Live bus positions from a JSON feed, polled over HTTP or pushed over a WebSocket.
+// The feed looks like { timestamp, vehicles: [{ id, tripId, routeId, lat, lng, stopId, status }] },
+// the format smart-bus-nepal's mock server serves: from smart-bus-nepal run
+//   GTFS_DIR=../smart-bus/public/gtfs/sample npm run realtime:mock
+// and start this app with VITE_REALTIME_URL=http://localhost:8789/feed.json (or ws://localhost:8789/ws).
+
+import { projectOntoPath } from "./geo";
+import { routeLoop, routePaths } from "./gtfs";
+
+const POLL_INTERVAL = 10000;
+const RECONNECT_DELAY = 5000;
+
+const distance = (a, b) => Math.sqrt(Math.pow(b.lat - a.lat, 2) + Math.pow(b.lng - a.lng, 2));
+
+// Vehicles -> buses shaped like the demo ones, so the map and ETAs work unchanged.
+// A vehicle is matched by trip_id, or else by route_id; anything else is dropped.
+export function matchVehicles(model, vehicles) {
+  return vehicles.flatMap(vehicle => {
+    const trip = model.trips.get(vehicle.tripId);
+    const route = model.routesById.get(trip?.routeId || vehicle.routeId);
+    if (!route || !Number.isFinite(vehicle.lat) || !Number.isFinite(vehicle.lng)) return [];
+
+    const stops = routeLoop(route);
+    const paths = routePaths(model, route);
+    let target = stops.findIndex(s => s.id === vehicle.stopId);
+    if (target < 0) {
+      // No usable stop in the feed: head for the nearest stop on the route
+      target = stops.reduce((best, s, i) => (distance(s, vehicle) < distance(stops[best], vehicle) ? i : best), 0);
+    }
+
+    const atStop = vehicle.status === "STOPPED_AT";
+    const index = atStop ? target : (target - 1 + stops.length) % stops.length;
+    const nextIndex = (index + 1) % stops.length;
+    // How far along the road to the next stop the vehicle is
+    const path = paths[index];
+    const progress = atStop || path.length === 0 ? 0 : projectOntoPath(path, vehicle) / path.length;
+
+    return [{
+      id: String(vehicle.id),
+      routeId: route.id,
+      color: route.color,
+      stops,
+      paths,
+      lat: vehicle.lat,
+      lng: vehicle.lng,
+      index,
+      nextIndex,
+      progress,
+      stopTimer: 0
+    }];
+  });
+}
+
+// Starts following the feed at url; returns a function that stops it
+export function startRealtime(url, model, { onBuses, onError }) {
+  const apply = feed => {
+    if (!Array.isArray(feed?.vehicles)) throw new Error("Feed has no vehicles array");
+    onBuses(matchVehicles(model, feed.vehicles));
+    onError(null);
+  };
+
+  if (/^wss?:\/\//.test(url)) {
+    let socket;
+    let retry;
+    let stopped = false;
+    const connect = () => {
+      socket = new WebSocket(url);
+      socket.onmessage = event => {
+        try {
+          apply(JSON.parse(event.data));
+        } catch (err) {
+          onError(err.message);
+        }
+      };
+      socket.onclose = () => {
+        if (stopped) return;
+        onError("Connection lost, reconnecting…");
+        retry = setTimeout(connect, RECONNECT_DELAY);
+      };
+    };
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retry);
+      socket.close();
+    };
+  }
+
+  const controller = new AbortController();
+  let timer;
+  const poll = async () => {
+    try {
+      const response = await fetch(url, { signal: controller.signal, cache: "no-store" });
+      if (!response.ok) throw new Error(`${url} answered HTTP ${response.status}`);
+      apply(await response.json());
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      onError(err.message);
+    }
+    timer = setTimeout(poll, POLL_INTERVAL);
+  };
+  poll();
+  return () => {
+    controller.abort();
+    clearTimeout(timer);
+  };
+}
@@ -0,0 +1,56 @@
+// src/zip.js
+// Just enough of a zip reader to open GTFS feeds: stored and deflated entries,
+// inflated with the browser's DecompressionStream. ZIP64 archives are rejected.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const inflateRaw = async bytes => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Returns a Map of entry path -> contents; directories are skipped
+export async function readZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  // The end record sits before an optional trailing comment of up to 64 KB
+  let end = -1;
+  for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a zip file");
+
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (offset === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+
+  const files = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) throw new Error("Corrupt zip central directory");
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) throw new Error(`Corrupt zip entry ${name}`);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) files.set(name, data);
+    else if (method === 8) files.set(name, await inflateRaw(data));
+    else throw new Error(`Unsupported compression method ${method} in ${name}`);
+  }
+  return files;
+}
@@ -0,0 +1,48 @@
+// Local stand-in for an LLM assistant endpoint, for trying the remote provider without a real model.
+// Run `npm run assistant:stub`, then start the app with VITE_ASSISTANT_ENDPOINT=http://localhost:8787/ask
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+// Replies with a canned answer that echoes the question and the top passage it was given
+export function createStubServer({ reply } = {}) {
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS).end();
+      return;
+    }
+    if (req.method !== 'POST' || req.url !== '/ask') {
+      res.writeHead(404, CORS_HEADERS).end();
+      return;
+    }
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        res.writeHead(400, CORS_HEADERS).end();
+        return;
+      }
+      const top = payload.passages?.[0];
+      const answer = reply
+        ? reply(payload)
+        : `Stub answer to "${payload.question}".${top ? ` See: ${top.title}.` : ''}`;
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ answer, sources: top ? [{ id: top.id, title: top.title, source: top.source }] : [] }));
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  createStubServer().listen(port, () => {
+    console.log(`Assistant stub listening on http://localhost:${port}/ask`);
+  });
+}
@@ -0,0 +1,76 @@
+// Local stand-in for an account backend, for trying remote sign-in without a real server.
+// Run `npm run auth:mock`, then start the app with VITE_AUTH_ENDPOINT=http://localhost:8788
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+export const DEMO_USERS = [
+  { id: 'u-1', username: 'demo', passphrase: 'demo123', name: 'Demo Taxpayer' },
+];
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+// POST /login {username, passphrase} -> {user, token}; POST /logout and GET /me take a Bearer token
+export function createMockAuthServer({ users = DEMO_USERS } = {}) {
+  const sessions = new Map();
+
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS).end();
+      return;
+    }
+    const token = req.headers.authorization?.replace(/^Bearer /, '');
+
+    if (req.method === 'GET' && req.url === '/me') {
+      const user = sessions.get(token);
+      if (user) sendJson(res, 200, { user });
+      else sendJson(res, 401, { error: 'Not signed in' });
+      return;
+    }
+    if (req.method !== 'POST' || !['/login', '/logout'].includes(req.url)) {
+      res.writeHead(404, CORS_HEADERS).end();
+      return;
+    }
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      if (req.url === '/logout') {
+        sessions.delete(token);
+        res.writeHead(204, CORS_HEADERS).end();
+        return;
+      }
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        res.writeHead(400, CORS_HEADERS).end();
+        return;
+      }
+      const match = users.find((u) => u.username === payload.username && u.passphrase === payload.passphrase);
+      if (!match) {
+        sendJson(res, 401, { error: 'Wrong username or passphrase' });
+        return;
+      }
+      const user = { id: match.id, name: match.name };
+      const newToken = randomUUID();
+      sessions.set(newToken, user);
+      sendJson(res, 200, { user, token: newToken });
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8788;
+  createMockAuthServer().listen(port, () => {
+    console.log(`Mock auth server listening on http://localhost:${port} (user "demo" / "demo123")`);
+  });
+}
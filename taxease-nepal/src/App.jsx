@@ -6,18 +6,33 @@ import TaxCalculator from './components/TaxCalculator';
 import PenaltySimulator from './components/PenaltySimulator';
 import PDFExport from './components/PDFExport';
 import Reminders from './components/Reminders';
+import BusinessPanel from './components/BusinessPanel';
+import StatementImport from './components/StatementImport';
+import AIAssistant from './components/AIAssistant';
+import BackupRestore from './components/BackupRestore';
+import EFilingExport from './components/EFilingExport';
+import SalaryReconciliation from './components/SalaryReconciliation';
+import { useTaxProfile } from './context/TaxProfileContext';
 
 function App() {
+  const { mode } = useTaxProfile();
+
   return (
     <div className="min-h-screen bg-gray-50">
       <Navbar />
       <div className="max-w-6xl mx-auto p-4 space-y-8">
         <IncomeExpenseForm />
+        <StatementImport />
         <Dashboard />
+        {mode === 'business' && <BusinessPanel />}
         <TaxCalculator />
+        <SalaryReconciliation />
         <PenaltySimulator />
         <Reminders />
+        <AIAssistant />
         <PDFExport />
+        <EFilingExport />
+        <BackupRestore />
       </div>
     </div>
   );
@@ -1,33 +1,69 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
+import { useLedger } from '../context/LedgerContext';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { summarizeLedger } from '../utils/ledger';
+import { isInFiscalYear } from '../utils/nepaliCalendar';
+import { createDefaultProvider } from '../utils/assistant/providers';
 
-function AIAssistant() {
+function AIAssistant({ provider: providedProvider }) {
+  const { entries } = useLedger();
+  const { fiscalYear, status, residency, deductions } = useTaxProfile();
+  const provider = useMemo(() => providedProvider || createDefaultProvider(), [providedProvider]);
   const [question, setQuestion] = useState('');
-  const [answer, setAnswer] = useState('');
+  const [answer, setAnswer] = useState(null);
+  const [loading, setLoading] = useState(false);
 
-  const handleAsk = () => {
-    // Mock AI response
-    setAnswer(`You asked: "${question}". TaxEase Nepal suggests checking official IRD guidelines.`);
+  const handleAsk = async () => {
+    if (!question.trim()) return;
+    const fyEntries = entries.filter((entry) => isInFiscalYear(entry.date, fiscalYear));
+    const taxContext = {
+      income: Math.max(0, summarizeLedger(fyEntries).net),
+      fiscalYear,
+      status,
+      residency,
+      deductions,
+    };
+    setLoading(true);
+    try {
+      setAnswer(await provider.ask(question, taxContext));
+    } catch (err) {
+      setAnswer({ text: `The assistant is unavailable: ${err.message}`, sources: [] });
+    } finally {
+      setLoading(false);
+    }
   };
 
   return (
     <div className="bg-white shadow rounded p-6">
-      <h2 className="text-xl font-bold mb-4">AI Assistant (Mock)</h2>
+      <h2 className="text-xl font-bold mb-4">Tax Assistant</h2>
       <div className="flex flex-col md:flex-row gap-4">
         <input
           type="text"
-          placeholder="Ask a tax question..."
+          placeholder="Ask a tax question, e.g. how much tax do I owe if I add 2 lakh CIT?"
           value={question}
           onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAsk()}
           className="border p-2 rounded flex-1"
         />
         <button
           onClick={handleAsk}
-          className="bg-teal-600 text-white px-4 py-2 rounded hover:bg-teal-700 transition"
+          disabled={loading}
+          className="bg-teal-600 text-white px-4 py-2 rounded hover:bg-teal-700 transition disabled:opacity-50"
         >
-          Ask
+          {loading ? 'Thinking…' : 'Ask'}
         </button>
       </div>
-      {answer && <p className="mt-4 p-2 bg-gray-100 rounded">{answer}</p>}
+      {answer && (
+        <div className="mt-4 p-2 bg-gray-100 rounded">
+          <p className="whitespace-pre-line">{answer.text}</p>
+          {answer.sources.length > 0 && (
+            <ul className="mt-2 text-xs text-gray-600">
+              {answer.sources.map((s) => <li key={s.id}>{s.title} — {s.source}</li>)}
+            </ul>
+          )}
+          {answer.provider && <p className="mt-1 text-xs text-gray-400">Answered by {answer.provider}</p>}
+        </div>
+      )}
     </div>
   );
 }
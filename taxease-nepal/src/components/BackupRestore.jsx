@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { collectBackup, parseBackup, restoreBackup, serializeBackup } from '../utils/backup';
+import { todayIso } from '../utils/nepaliCalendar';
+import { downloadText } from '../utils/download';
+
+function BackupRestore() {
+  const [password, setPassword] = useState('');
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleDownload = async () => {
+    const text = await serializeBackup(collectBackup(), password);
+    downloadText(text, `TaxEaseNepal_Backup_${todayIso()}${password ? '.encrypted' : ''}.json`, 'application/json');
+    setError('');
+    setMessage(password ? 'Encrypted backup downloaded. Keep the password safe; it cannot be recovered.' : 'Backup downloaded.');
+  };
+
+  const restore = async (file) => {
+    setError('');
+    setMessage('');
+    try {
+      const bundle = await parseBackup(await file.text(), password);
+      const profileCount = bundle.data.profiles?.length || 0;
+      if (!window.confirm(`Replace all data in this browser with the backup from ${bundle.createdAt?.slice(0, 10) || 'an unknown date'} (${profileCount} profile(s))?`)) {
+        setPending(null);
+        return;
+      }
+      restoreBackup(bundle);
+      // Providers read storage once on mount, so reload to pick up the restored data
+      window.location.reload();
+    } catch (err) {
+      setError(err.message);
+      // Keep the file around so the user can type the password and retry
+      setPending(err.code === 'password' ? file : null);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) restore(file);
+  };
+
+  return (
+    <div className="bg-white shadow rounded p-6">
+      <h2 className="text-xl font-bold mb-4">Backup &amp; Restore</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Saves every profile, ledger, deduction and reminder setting to a single file. Add a password to encrypt it.
+        Attached receipts stay in this browser and are not included.
+      </p>
+      <div className="flex flex-col md:flex-row gap-4 items-center">
+        <input
+          type="password"
+          placeholder="Backup password (optional)"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="border p-2 rounded flex-1"
+        />
+        <button onClick={handleDownload} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition">
+          Download Backup
+        </button>
+        <label className="bg-gray-200 px-4 py-2 rounded hover:bg-gray-300 transition cursor-pointer">
+          Restore from File
+          <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+        </label>
+        {pending && (
+          <button onClick={() => restore(pending)} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition">
+            Retry with Password
+          </button>
+        )}
+      </div>
+      {error && <p className="mt-4 p-2 bg-red-100 text-red-700 rounded">{error}</p>}
+      {message && <p className="mt-4 p-2 bg-green-100 text-green-700 rounded">{message}</p>}
+    </div>
+  );
+}
+
+export default BackupRestore;
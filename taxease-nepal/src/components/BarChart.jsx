@@ -0,0 +1,42 @@
+import React from 'react';
+import { formatNPR } from '../utils/format';
+
+// Grouped vertical bars drawn with plain divs; `series` picks which fields of each row to plot
+function BarChart({ rows, series, height = 160 }) {
+  const max = Math.max(1, ...rows.flatMap((row) => series.map((s) => row[s.key])));
+
+  return (
+    <div>
+      <div className="flex items-end gap-2 overflow-x-auto" style={{ height }}>
+        {rows.map((row) => (
+          <div key={row.key} className="flex-1 min-w-8 flex items-end justify-center gap-0.5 h-full">
+            {series.map((s) => (
+              <div
+                key={s.key}
+                title={`${row.label}: ${s.label} ${formatNPR(row[s.key])}`}
+                className={`w-3 rounded-t ${s.color}`}
+                style={{ height: `${(row[s.key] / max) * 100}%` }}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2 overflow-x-auto border-t mt-1">
+        {rows.map((row) => (
+          <div key={row.key} className="flex-1 min-w-8 text-center text-xs text-gray-600 truncate" title={row.label}>
+            {row.label.split(' ')[0].slice(0, 3)}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-4 mt-2 text-sm">
+        {series.map((s) => (
+          <span key={s.key} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-3 rounded ${s.color}`} /> {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default BarChart;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { adToBs, bsToAd, daysInBsMonth, BS_MONTHS, BS_YEARS } from '../utils/nepaliCalendar';
+
+// Picks a date in Bikram Sambat; `value` and `onChange` use AD ISO dates so the ledger stays sortable
+function BsDatePicker({ value, onChange, className = '' }) {
+  const bs = adToBs(value);
+
+  const handleChange = (fields) => {
+    const next = { ...bs, ...fields };
+    next.day = Math.min(next.day, daysInBsMonth(next.year, next.month));
+    onChange(bsToAd(next));
+  };
+
+  const days = Array.from({ length: daysInBsMonth(bs.year, bs.month) }, (_, i) => i + 1);
+
+  return (
+    <div className={`flex gap-2 ${className}`}>
+      <select
+        value={bs.day}
+        onChange={(e) => handleChange({ day: Number(e.target.value) })}
+        className="border p-2 rounded"
+        aria-label="Day (BS)"
+      >
+        {days.map((d) => <option key={d} value={d}>{d}</option>)}
+      </select>
+      <select
+        value={bs.month}
+        onChange={(e) => handleChange({ month: Number(e.target.value) })}
+        className="border p-2 rounded flex-1"
+        aria-label="Month (BS)"
+      >
+        {BS_MONTHS.map((name, i) => <option key={name} value={i + 1}>{name}</option>)}
+      </select>
+      <select
+        value={bs.year}
+        onChange={(e) => handleChange({ year: Number(e.target.value) })}
+        className="border p-2 rounded"
+        aria-label="Year (BS)"
+      >
+        {BS_YEARS.map((y) => <option key={y} value={y}>{y}</option>)}
+      </select>
+    </div>
+  );
+}
+
+export default BsDatePicker;
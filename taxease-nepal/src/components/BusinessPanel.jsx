@@ -0,0 +1,105 @@
+import React from 'react';
+import { useLedger } from '../context/LedgerContext';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { BUSINESS_LOCATIONS, BUSINESS_TYPES } from '../data/businessRules';
+import { formatBsDate, todayIso } from '../utils/nepaliCalendar';
+import { fiscalYearTurnover, getBusinessRules, monthlyVatSummary, presumptiveTaxFor, vatThresholdStatus } from '../utils/vat';
+
+function BusinessPanel() {
+  const { entries } = useLedger();
+  const profile = useTaxProfile();
+  const { fiscalYear, business, updateBusiness } = profile;
+  const rules = getBusinessRules(fiscalYear);
+  const status = vatThresholdStatus(entries, business, fiscalYear, todayIso());
+  const turnover = fiscalYearTurnover(entries, fiscalYear);
+  const presumptive = presumptiveTaxFor(entries, profile);
+  const months = monthlyVatSummary(entries, fiscalYear);
+  const progress = Math.min(100, (status.turnover / status.threshold) * 100);
+
+  return (
+    <div className="bg-white shadow rounded p-6">
+      <h2 className="text-xl font-bold mb-4">Business & VAT <span className="text-base font-normal text-gray-600">FY {fiscalYear}</span></h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <select
+          value={business.type}
+          onChange={(e) => updateBusiness({ type: e.target.value })}
+          className="border p-2 rounded"
+        >
+          {Object.entries(BUSINESS_TYPES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={business.location}
+          onChange={(e) => updateBusiness({ location: e.target.value })}
+          className="border p-2 rounded"
+        >
+          {Object.entries(BUSINESS_LOCATIONS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={business.vatRegistered}
+            onChange={(e) => updateBusiness({ vatRegistered: e.target.checked })}
+          />
+          VAT registered
+        </label>
+      </div>
+
+      <div className="mb-4">
+        <p className="text-sm font-semibold">
+          Rolling 12-month turnover: NPR {status.turnover.toLocaleString()} of NPR {status.threshold.toLocaleString()} VAT threshold
+        </p>
+        <div className="w-full bg-gray-200 rounded h-3 mt-1">
+          <div
+            className={`h-3 rounded ${status.crossed ? 'bg-red-500' : 'bg-green-500'}`}
+            style={{ width: `${progress}%` }}
+          />
+        </div>
+        {status.mustRegister && (
+          <p className="mt-2 p-2 bg-red-100 text-red-700 rounded text-sm">
+            Turnover has crossed the VAT registration threshold. Register for VAT with the IRD.
+          </p>
+        )}
+      </div>
+
+      {presumptive !== null && (
+        <p className="mb-4 p-2 bg-blue-50 rounded text-sm">
+          Turnover for FY {fiscalYear} (NPR {turnover.toLocaleString()}) is within NPR {rules.presumptiveTurnoverLimit.toLocaleString()}, so you may pay a
+          presumptive tax of NPR {presumptive.toLocaleString()} for the year instead of slab tax.
+        </p>
+      )}
+
+      {business.vatRegistered && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="p-2">Month</th>
+              <th className="p-2 text-right">Output VAT</th>
+              <th className="p-2 text-right">Input VAT</th>
+              <th className="p-2 text-right">Payable</th>
+              <th className="p-2 text-right">Credit c/f</th>
+              <th className="p-2">Due</th>
+            </tr>
+          </thead>
+          <tbody>
+            {months.map((row) => (
+              <tr key={row.key} className="border-b">
+                <td className="p-2">{row.label}</td>
+                <td className="p-2 text-right">{Math.round(row.outputVat).toLocaleString()}</td>
+                <td className="p-2 text-right">{Math.round(row.inputVat).toLocaleString()}</td>
+                <td className="p-2 text-right font-semibold">{Math.round(row.payable).toLocaleString()}</td>
+                <td className="p-2 text-right">{Math.round(row.creditCarriedForward).toLocaleString()}</td>
+                <td className="p-2">{formatBsDate(row.dueDate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default BusinessPanel;
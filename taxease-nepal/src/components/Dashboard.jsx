@@ -1,23 +1,183 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
+import { useLedger } from '../context/LedgerContext';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { summarizeLedger } from '../utils/ledger';
+import { calculateTax } from '../utils/taxCalculations';
+import { fiscalYearRange, isInFiscalYear } from '../utils/nepaliCalendar';
+import { presumptiveTaxFor } from '../utils/vat';
+import { categoryBreakdown, filterEntries, monthlyTotals, yearOverYear } from '../utils/analytics';
+import { selectableFiscalYears } from '../utils/fiscalYears';
+import { formatNPR, formatPercent } from '../utils/format';
+import BarChart from './BarChart';
+import BsDatePicker from './BsDatePicker';
+
+const MONTHLY_SERIES = [
+  { key: 'income', label: 'Income', color: 'bg-blue-500' },
+  { key: 'expense', label: 'Expense', color: 'bg-green-500' },
+];
+
+function CategoryList({ title, rows, color }) {
+  return (
+    <div>
+      <h4 className="font-semibold mb-2">{title}</h4>
+      {rows.length === 0 && <p className="text-sm text-gray-500">Nothing in this range.</p>}
+      <ul className="space-y-2">
+        {rows.map((row) => (
+          <li key={row.category} className="text-sm">
+            <div className="flex justify-between">
+              <span>{row.category}</span>
+              <span>{formatNPR(row.total)} ({formatPercent(row.share)})</span>
+            </div>
+            <div className="bg-gray-100 rounded h-2">
+              <div className={`${color} h-2 rounded`} style={{ width: `${row.share * 100}%` }} />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
 
 function Dashboard() {
+  const { entries } = useLedger();
+  const { fiscalYear, status, residency, deductions, mode, business } = useTaxProfile();
+  // null means "the selected fiscal year", so changing the FY moves the range with it
+  const [range, setRange] = useState(null);
+  const [category, setCategory] = useState('');
+
+  const fyEntries = entries.filter((entry) => isInFiscalYear(entry.date, fiscalYear));
+  const { income, expense, net } = summarizeLedger(fyEntries);
+  const presumptive = presumptiveTaxFor(entries, { mode, residency, business, fiscalYear });
+  const estimatedTax = presumptive ?? calculateTax(Math.max(0, net), { fiscalYear, status, residency, deductions });
+
+  const fyRange = fiscalYearRange(fiscalYear);
+  const { from, to } = range || { from: fyRange.start, to: fyRange.end };
+  const categories = category ? [category] : [];
+  const allCategories = [...new Set(entries.map((entry) => entry.category))].sort();
+
+  const filtered = filterEntries(entries, { from, to, categories });
+  const months = monthlyTotals(filtered, from, to);
+  const breakdown = categoryBreakdown(filtered);
+
+  const years = useMemo(() => {
+    const withData = selectableFiscalYears().filter((fy) => fy === fiscalYear || entries.some((entry) => isInFiscalYear(entry.date, fy)));
+    return yearOverYear(entries, withData, { status, residency, deductions, categories: category ? [category] : [] });
+  }, [entries, fiscalYear, status, residency, deductions, category]);
+  const selectedYear = years.find((row) => row.fiscalYear === fiscalYear);
+
   return (
     <div className="bg-white shadow rounded p-6">
-      <h2 className="text-xl font-bold mb-4">Dashboard</h2>
+      <h2 className="text-xl font-bold mb-4">Dashboard <span className="text-base font-normal text-gray-600">FY {fiscalYear}</span></h2>
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="bg-blue-100 p-4 rounded shadow">
           <p className="font-semibold">Total Income</p>
-          <p className="text-2xl">NPR 0</p>
+          <p className="text-2xl">NPR {income.toLocaleString()}</p>
         </div>
         <div className="bg-green-100 p-4 rounded shadow">
           <p className="font-semibold">Total Expense</p>
-          <p className="text-2xl">NPR 0</p>
+          <p className="text-2xl">NPR {expense.toLocaleString()}</p>
         </div>
         <div className="bg-red-100 p-4 rounded shadow">
           <p className="font-semibold">Estimated Tax</p>
-          <p className="text-2xl">NPR 0</p>
+          <p className="text-2xl">NPR {estimatedTax.toLocaleString()}</p>
+          <p className="text-sm text-gray-600">
+            {presumptive !== null
+              ? 'presumptive tax for small taxpayers'
+              : `on net income of NPR ${Math.max(0, net).toLocaleString()}`}
+          </p>
+        </div>
+      </div>
+
+      {selectedYear && presumptive === null && (
+        <div className="mt-6">
+          <h3 className="font-semibold mb-2">Effective vs. marginal rate</h3>
+          {[['Effective', selectedYear.effectiveRate, 'bg-blue-500'], ['Marginal', selectedYear.marginalRate, 'bg-red-500']].map(([label, rate, color]) => (
+            <div key={label} className="flex items-center gap-2 text-sm mb-1">
+              <span className="w-20">{label}</span>
+              <div className="flex-1 bg-gray-100 rounded h-3">
+                <div className={`${color} h-3 rounded`} style={{ width: `${Math.min(rate / 0.39, 1) * 100}%` }} />
+              </div>
+              <span className="w-14 text-right">{formatPercent(rate, 1)}</span>
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">
+            The effective rate is total tax over gross income; the marginal rate applies to the next rupee earned. Bars are scaled to the top 39% slab.
+          </p>
         </div>
+      )}
+
+      <div className="flex flex-col md:flex-row gap-4 items-center mt-6">
+        <label className="flex items-center gap-2 text-sm">
+          From
+          <BsDatePicker value={from} onChange={(value) => setRange({ from: value, to })} />
+        </label>
+        <label className="flex items-center gap-2 text-sm">
+          To
+          <BsDatePicker value={to} onChange={(value) => setRange({ from, to: value })} />
+        </label>
+        <select value={category} onChange={(e) => setCategory(e.target.value)} className="border p-2 rounded">
+          <option value="">All categories</option>
+          {allCategories.map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+        {(range || category) && (
+          <button
+            onClick={() => { setRange(null); setCategory(''); }}
+            className="bg-gray-200 px-4 py-2 rounded hover:bg-gray-300 transition"
+          >
+            Reset to FY
+          </button>
+        )}
+      </div>
+
+      {from > to ? (
+        <p className="mt-4 p-2 bg-red-100 text-red-700 rounded">The start date is after the end date.</p>
+      ) : (
+        <>
+          <h3 className="font-semibold mt-6 mb-2">Monthly income and expense</h3>
+          <BarChart rows={months} series={MONTHLY_SERIES} />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+            <CategoryList title="Income by category" rows={breakdown.income} color="bg-blue-500" />
+            <CategoryList title="Expenses by category" rows={breakdown.expense} color="bg-green-500" />
+          </div>
+        </>
+      )}
+
+      <h3 className="font-semibold mt-6 mb-2">Year over year</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="p-2">Fiscal year</th>
+              <th className="p-2 text-right">Income (NPR)</th>
+              <th className="p-2 text-right">Change</th>
+              <th className="p-2 text-right">Expense (NPR)</th>
+              <th className="p-2 text-right">Tax (NPR)</th>
+              <th className="p-2 text-right">Effective</th>
+              <th className="p-2 text-right">Marginal</th>
+            </tr>
+          </thead>
+          <tbody>
+            {years.map((row) => (
+              <tr key={row.fiscalYear} className={`border-b ${row.fiscalYear === fiscalYear ? 'font-semibold' : ''}`}>
+                <td className="p-2">{row.fiscalYear}</td>
+                <td className="p-2 text-right">{formatNPR(row.income, { prefix: '' })}</td>
+                <td className={`p-2 text-right ${row.incomeChange < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                  {row.incomeChange === null ? '—' : `${row.incomeChange > 0 ? '+' : ''}${formatPercent(row.incomeChange, 1)}`}
+                </td>
+                <td className="p-2 text-right">{formatNPR(row.expense, { prefix: '' })}</td>
+                <td className="p-2 text-right">{formatNPR(row.tax, { prefix: '' })}</td>
+                <td className="p-2 text-right">{formatPercent(row.effectiveRate, 1)}</td>
+                <td className="p-2 text-right">{formatPercent(row.marginalRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
       </div>
+      {category && (
+        <p className="text-xs text-gray-500 mt-2">
+          Income and expense show {category} only; tax is always worked out on the whole ledger.
+        </p>
+      )}
     </div>
   );
 }
@@ -0,0 +1,55 @@
+import React from 'react';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { useI18n } from '../context/I18nContext';
+import { getDeductionRules } from '../utils/deductions';
+import { REMOTE_AREA_GRADES } from '../data/deductionRules';
+
+function DeductionsForm() {
+  const { fiscalYear, deductions, updateDeductions } = useTaxProfile();
+  const { t, formatMoney, formatPercent } = useI18n();
+  const rules = getDeductionRules(fiscalYear);
+
+  const fields = [
+    { key: 'ssf', hint: t('deductions.retirementHint', { cap: formatMoney(rules.ssfRetirementCap) }) },
+    { key: 'providentFund', hint: t('deductions.retirementHint', { cap: formatMoney(rules.retirementCap) }) },
+    { key: 'lifeInsurance', hint: t('deductions.capHint', { cap: formatMoney(rules.lifeInsuranceCap) }) },
+    { key: 'healthInsurance', hint: t('deductions.capHint', { cap: formatMoney(rules.healthInsuranceCap) }) },
+    { key: 'medicalExpenses', hint: t('deductions.medicalHint', { rate: formatPercent(rules.medicalCreditRate), cap: formatMoney(rules.medicalCreditCap) }) },
+  ];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {fields.map(({ key, hint }) => (
+        <label key={key} className="flex flex-col text-sm">
+          <span className="font-semibold">{t(`deductions.${key}`)}</span>
+          <input
+            type="number"
+            min="0"
+            value={deductions[key] || ''}
+            onChange={(e) => updateDeductions({ [key]: Number(e.target.value) })}
+            placeholder="0"
+            className="border p-2 rounded"
+          />
+          <span className="text-xs text-gray-500">{hint}</span>
+        </label>
+      ))}
+      <label className="flex flex-col text-sm">
+        <span className="font-semibold">{t('deductions.remoteArea')}</span>
+        <select
+          value={deductions.remoteArea}
+          onChange={(e) => updateDeductions({ remoteArea: e.target.value })}
+          className="border p-2 rounded"
+        >
+          <option value="">{t('deductions.notApplicable')}</option>
+          {REMOTE_AREA_GRADES.map((grade) => (
+            <option key={grade} value={grade}>
+              {t('deductions.grade', { grade, amount: formatMoney(rules.remoteArea[grade]) })}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default DeductionsForm;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { useLedger } from '../context/LedgerContext';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { FIELD_CODES_NOTE, buildReturn, hasBlockingIssues, returnToCsv, returnToJson } from '../utils/efiling';
+import { buildFilingWorksheet } from '../utils/pdfReport';
+import { loadPdfFonts } from '../utils/pdfFonts';
+import { downloadText } from '../utils/download';
+import { formatNPR } from '../utils/format';
+import { todayIso } from '../utils/nepaliCalendar';
+
+function EFilingExport() {
+  const { entries } = useLedger();
+  const profile = useTaxProfile();
+  const today = todayIso();
+  const ret = buildReturn({ profile, entries, asOf: today });
+  const fileBase = `TaxEaseNepal_${ret.form}_FY${ret.fiscalYear.replace('/', '-')}`;
+  const blocked = hasBlockingIssues(ret);
+  const [fontError, setFontError] = useState('');
+
+  const handleWorksheet = async () => {
+    setFontError('');
+    let fonts;
+    try {
+      fonts = await loadPdfFonts();
+    } catch (err) {
+      setFontError(`The Devanagari font could not be loaded (${err.message}); Nepali text in the worksheet may not display.`);
+    }
+    buildFilingWorksheet(ret, { generatedOn: today, fonts }).save(`${fileBase}_Worksheet.pdf`);
+  };
+
+  return (
+    <div className="bg-white shadow rounded p-6">
+      <h2 className="text-xl font-bold mb-4">
+        IRD e-Filing Export <span className="text-base font-normal text-gray-600">{ret.form} · FY {ret.fiscalYear}</span>
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Figures for the annual return, grouped by section. {FIELD_CODES_NOTE}
+        {ret.form === 'D-01' ? ' You qualify for the presumptive tax return.' : ''}
+      </p>
+
+      {ret.issues.length > 0 && (
+        <ul className="mb-4 space-y-1">
+          {ret.issues.map((issue, i) => (
+            <li
+              key={i}
+              className={`p-2 rounded text-sm ${issue.level === 'error' ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-800'}`}
+            >
+              {issue.code && <span className="font-semibold mr-1">[{issue.code}]</span>}
+              {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left border-b">
+            <th className="p-2">Ref.</th>
+            <th className="p-2">Field</th>
+            <th className="p-2 text-right">Value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ret.fields.map((field) => (
+            <tr key={field.code} className="border-b">
+              <td className="p-2 text-gray-500">{field.code}</td>
+              <td className="p-2">{field.label}</td>
+              <td className="p-2 text-right">
+                {typeof field.value === 'number' ? formatNPR(field.value, { prefix: '' }) : field.value || '—'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex flex-col md:flex-row gap-4 justify-center mt-4">
+        <button
+          onClick={() => downloadText(returnToJson(ret, today), `${fileBase}.json`, 'application/json')}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition"
+        >
+          Download JSON
+        </button>
+        <button
+          onClick={() => downloadText(returnToCsv(ret), `${fileBase}.csv`, 'text/csv')}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition"
+        >
+          Download CSV
+        </button>
+        <button
+          onClick={handleWorksheet}
+          className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition"
+        >
+          Printable Worksheet
+        </button>
+      </div>
+      {fontError && <p className="mt-4 p-2 bg-red-100 text-red-700 rounded">{fontError}</p>}
+      {blocked && (
+        <p className="text-sm text-red-600 text-center mt-2">Fix the errors above before copying these figures to the portal.</p>
+      )}
+    </div>
+  );
+}
+
+export default EFilingExport;
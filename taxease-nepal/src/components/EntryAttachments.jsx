@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { FaFilePdf, FaTimes } from 'react-icons/fa';
+import { useAttachments } from '../context/AttachmentsContext';
+import { ACCEPTED_TYPES, DOCUMENT_PURPOSES, defaultPurpose, isPdf } from '../utils/attachments';
+
+// Receipts and statements for one ledger entry: thumbnails that open the file, and a picker to add more
+function EntryAttachments({ entry }) {
+  const { forEntry, addAttachment, removeAttachment } = useAttachments();
+  const [purpose, setPurpose] = useState(() => defaultPurpose(entry));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const documents = forEntry(entry.id);
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    setError('');
+    setSaving(true);
+    try {
+      for (const file of files) await addAttachment(entry.id, file, purpose);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = (id) => {
+    removeAttachment(id).catch((err) => setError(err.message));
+  };
+
+  const open = (attachment) => {
+    const url = URL.createObjectURL(attachment.blob);
+    window.open(url, '_blank');
+    // Give the new tab time to load the file before the URL is released
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-3">
+        {documents.map((attachment) => (
+          <figure key={attachment.id} className="relative w-24 text-xs">
+            <button
+              onClick={() => open(attachment)}
+              title={attachment.name}
+              className="w-24 h-24 border rounded overflow-hidden bg-gray-50 flex items-center justify-center"
+            >
+              {isPdf(attachment) || !attachment.thumbnail
+                ? <FaFilePdf className="text-4xl text-red-600" />
+                : <img src={attachment.thumbnail} alt={attachment.name} className="w-full h-full object-cover" />}
+            </button>
+            <figcaption className="truncate text-gray-600" title={DOCUMENT_PURPOSES[attachment.purpose]}>
+              {DOCUMENT_PURPOSES[attachment.purpose]}
+            </figcaption>
+            <button
+              onClick={() => handleRemove(attachment.id)}
+              aria-label={`Remove ${attachment.name}`}
+              className="absolute top-1 right-1 bg-white rounded-full p-1 text-red-600 shadow"
+            >
+              <FaTimes />
+            </button>
+          </figure>
+        ))}
+        <select value={purpose} onChange={(e) => setPurpose(e.target.value)} className="border p-2 rounded">
+          {Object.entries(DOCUMENT_PURPOSES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label className={`bg-gray-200 px-4 py-2 rounded transition ${saving ? 'opacity-50' : 'hover:bg-gray-300 cursor-pointer'}`}>
+          {saving ? 'Saving…' : 'Attach Images or PDFs'}
+          <input
+            type="file"
+            multiple
+            accept={ACCEPTED_TYPES.join(',')}
+            onChange={handleFiles}
+            disabled={saving}
+            className="hidden"
+          />
+        </label>
+      </div>
+      {error && <p className="mt-2 p-2 bg-red-100 text-red-700 rounded">{error}</p>}
+    </div>
+  );
+}
+
+export default EntryAttachments;
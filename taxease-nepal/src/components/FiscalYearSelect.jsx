@@ -0,0 +1,30 @@
+import React from 'react';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { useI18n } from '../context/I18nContext';
+import { selectableFiscalYears } from '../utils/fiscalYears';
+import { fiscalYearRange } from '../utils/nepaliCalendar';
+
+function FiscalYearSelect({ className = '' }) {
+  const { fiscalYear, updateProfile } = useTaxProfile();
+  const { t, formatDate } = useI18n();
+  const { start, end } = fiscalYearRange(fiscalYear);
+
+  return (
+    <div className={className}>
+      <select
+        value={fiscalYear}
+        onChange={(e) => updateProfile({ fiscalYear: e.target.value })}
+        className="border p-2 rounded w-full"
+      >
+        {selectableFiscalYears().map((fy) => (
+          <option key={fy} value={fy}>{t('fiscalYear.option', { fiscalYear: fy })}</option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500 mt-1">
+        {t('fiscalYear.range', { start: formatDate(start), end: formatDate(end), startAd: start, endAd: end })}
+      </p>
+    </div>
+  );
+}
+
+export default FiscalYearSelect;
@@ -1,40 +1,157 @@
-import React, { useState } from 'react';
+import React, { Fragment, useState } from 'react';
+import { FaPaperclip } from 'react-icons/fa';
+import { useLedger } from '../context/LedgerContext';
+import { useAttachments } from '../context/AttachmentsContext';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { categoriesFor, isIncome, BUSINESS_ENTRY_TYPES, ENTRY_TYPES } from '../utils/ledger';
+import { formatBsDate, todayIso, fiscalYearOf } from '../utils/nepaliCalendar';
+import { getBusinessRules } from '../utils/vat';
+import BsDatePicker from './BsDatePicker';
+import EntryAttachments from './EntryAttachments';
 
 function IncomeExpenseForm() {
-  const [income, setIncome] = useState('');
-  const [expense, setExpense] = useState('');
+  const { entries, addEntry, removeEntry } = useLedger();
+  const { mode, business } = useTaxProfile();
+  const { forEntry, error: attachmentsError } = useAttachments();
+  const [type, setType] = useState('income');
+  const [date, setDate] = useState(todayIso());
+  const [category, setCategory] = useState(categoriesFor('income')[0]);
+  const [amount, setAmount] = useState('');
+  const [note, setNote] = useState('');
+  const [withVat, setWithVat] = useState(true);
+  const [documentsFor, setDocumentsFor] = useState(null);
+
+  const entryTypes = Object.entries(ENTRY_TYPES)
+    .filter(([value]) => mode === 'business' || !BUSINESS_ENTRY_TYPES.includes(value));
+  // Switching back to personal mode drops sale/purchase from the list, so fall back to income
+  const activeType = entryTypes.some(([value]) => value === type) ? type : 'income';
+  const activeCategory = categoriesFor(activeType).includes(category) ? category : categoriesFor(activeType)[0];
+  const isBusinessEntry = BUSINESS_ENTRY_TYPES.includes(activeType);
+  const vatRate = getBusinessRules(fiscalYearOf(date)).vatRate;
+
+  const handleTypeChange = (value) => {
+    setType(value);
+    setCategory(categoriesFor(value)[0]);
+    // Only VAT-registered sellers charge output VAT; purchases usually come with a VAT invoice
+    setWithVat(value === 'sale' ? business.vatRegistered : true);
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    alert(`Income: NPR ${income}\nExpense: NPR ${expense}`);
-    setIncome('');
-    setExpense('');
+    const vat = isBusinessEntry && withVat ? Number(amount) * vatRate : 0;
+    addEntry({ date, category: activeCategory, amount, type: activeType, note, vat });
+    setAmount('');
+    setNote('');
   }
 
+  const recent = [...entries].sort((a, b) => b.date.localeCompare(a.date));
+
   return (
     <div className="bg-white shadow rounded p-6">
       <h2 className="text-xl font-bold mb-4">Income & Expense Entry</h2>
       <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <select
+          value={activeType}
+          onChange={(e) => handleTypeChange(e.target.value)}
+          className="border p-2 rounded"
+        >
+          {entryTypes.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <BsDatePicker value={date} onChange={setDate} />
+        <select
+          value={activeCategory}
+          onChange={(e) => setCategory(e.target.value)}
+          className="border p-2 rounded"
+        >
+          {categoriesFor(activeType).map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
         <input
           type="number"
-          value={income}
-          onChange={(e) => setIncome(e.target.value)}
-          placeholder="Income (NPR)"
+          min="0"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          placeholder="Amount (NPR)"
           className="border p-2 rounded"
           required
         />
         <input
-          type="number"
-          value={expense}
-          onChange={(e) => setExpense(e.target.value)}
-          placeholder="Expense (NPR)"
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Note (optional)"
           className="border p-2 rounded"
-          required
         />
+        {isBusinessEntry && (
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={withVat} onChange={(e) => setWithVat(e.target.checked)} />
+            VAT invoice ({vatRate * 100}% charged on top of the amount)
+          </label>
+        )}
         <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition">
           Add Entry
         </button>
       </form>
+      {attachmentsError && <p className="mt-4 p-2 bg-red-100 text-red-700 rounded">{attachmentsError}</p>}
+      {recent.length > 0 && (
+        <table className="w-full mt-6 text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="p-2">Date (BS)</th>
+              <th className="p-2">Category</th>
+              <th className="p-2">Note</th>
+              <th className="p-2 text-right">Amount (NPR)</th>
+              <th className="p-2">Documents</th>
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {recent.map((entry) => (
+              <Fragment key={entry.id}>
+                <tr className="border-b">
+                  <td className="p-2" title={entry.date}>{formatBsDate(entry.date)}</td>
+                  <td className="p-2">{ENTRY_TYPES[entry.type]} · {entry.category}</td>
+                  <td className="p-2 text-gray-600">{entry.note}</td>
+                  <td className={`p-2 text-right ${isIncome(entry) ? 'text-green-700' : 'text-red-700'}`}>
+                    {isIncome(entry) ? '+' : '-'}{entry.amount.toLocaleString()}
+                    {entry.vat > 0 && (
+                      <span className="block text-xs text-gray-500">VAT {Math.round(entry.vat).toLocaleString()}</span>
+                    )}
+                  </td>
+                  <td className="p-2">
+                    <button
+                      onClick={() => setDocumentsFor(documentsFor === entry.id ? null : entry.id)}
+                      aria-expanded={documentsFor === entry.id}
+                      title="Attached documents"
+                      className="flex items-center gap-1 text-blue-600 hover:underline"
+                    >
+                      <FaPaperclip /> {forEntry(entry.id).length}
+                    </button>
+                  </td>
+                  <td className="p-2 text-right">
+                    <button
+                      onClick={() => removeEntry(entry.id)}
+                      className="text-red-600 hover:underline"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+                {documentsFor === entry.id && (
+                  <tr className="border-b bg-gray-50">
+                    <td className="p-2" colSpan={6}>
+                      <EntryAttachments entry={entry} />
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 }
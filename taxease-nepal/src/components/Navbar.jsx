@@ -1,15 +1,55 @@
 import React from 'react';
 import { FaHome } from 'react-icons/fa';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { useI18n } from '../context/I18nContext';
+import { LANGUAGES, NUMERAL_SYSTEMS } from '../utils/i18n';
+import ProfileMenu from './ProfileMenu';
 
 function Navbar() {
+  const { mode, updateProfile } = useTaxProfile();
+  const { language, numerals, setLanguage, setNumerals } = useI18n();
+
   return (
     <nav className="bg-blue-600 text-white p-4 shadow-md flex justify-between items-center">
       <div className="flex items-center space-x-2">
         <FaHome className="text-2xl"/>
         <span className="font-bold text-xl">TaxEase Nepal</span>
       </div>
-      <div>
-        <button className="bg-white text-blue-600 px-4 py-1 rounded hover:bg-gray-100 transition">Login</button>
+      <div className="flex items-center space-x-2">
+        <div className="flex rounded overflow-hidden border border-white">
+          {['personal', 'business'].map((value) => (
+            <button
+              key={value}
+              onClick={() => updateProfile({ mode: value })}
+              className={`px-3 py-1 capitalize transition ${mode === value ? 'bg-white text-blue-600' : 'hover:bg-blue-700'}`}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+        <div className="flex rounded overflow-hidden border border-white">
+          {Object.entries(LANGUAGES).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setLanguage(value)}
+              className={`px-3 py-1 transition ${language === value ? 'bg-white text-blue-600' : 'hover:bg-blue-700'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="flex rounded overflow-hidden border border-white">
+          {Object.entries(NUMERAL_SYSTEMS).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setNumerals(value)}
+              className={`px-3 py-1 transition ${numerals === value ? 'bg-white text-blue-600' : 'hover:bg-blue-700'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <ProfileMenu />
       </div>
     </nav>
   );
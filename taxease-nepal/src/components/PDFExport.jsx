@@ -1,23 +1,106 @@
-import React from 'react';
-import jsPDF from 'jspdf';
+import React, { useState } from 'react';
+import { useLedger } from '../context/LedgerContext';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { useProfiles } from '../context/ProfilesContext';
+import { useI18n } from '../context/I18nContext';
+import { useAttachments } from '../context/AttachmentsContext';
+import { summarizeLedger } from '../utils/ledger';
+import { calculatePenalty, computeTax } from '../utils/taxCalculations';
+import { tdsCoversTax } from '../utils/salary';
+import { computeReminders, describeReminder } from '../utils/reminderRules';
+import { documentCoverage } from '../utils/attachments';
+import { CURRENT_FISCAL_YEAR } from '../utils/fiscalYears';
+import { isInFiscalYear, todayIso } from '../utils/nepaliCalendar';
+import { ENGLISH_REPORT, buildTaxReport } from '../utils/pdfReport';
+import { loadPdfFonts } from '../utils/pdfFonts';
+import { loadState, scopedKey } from '../utils/storage';
 
 function PDFExport() {
-  const handleDownload = () => {
-    const doc = new jsPDF();
-    doc.text("TaxEase Nepal - Summary Report", 10, 10);
-    doc.text("Income, Expenses, Tax, Penalties - Placeholder", 10, 20);
-    doc.save("TaxEaseNepal_Summary.pdf");
+  const { entries, salarySlips } = useLedger();
+  const profile = useTaxProfile();
+  const { activeProfile } = useProfiles();
+  const i18n = useI18n();
+  const { attachments } = useAttachments();
+  const [error, setError] = useState('');
+  const documents = documentCoverage(profile, entries, attachments);
+  const missing = documents.filter((row) => row.missing);
+
+  const handleDownload = async () => {
+    const { fiscalYear, status, residency, deductions } = profile;
+    const today = todayIso();
+    const fyEntries = entries.filter((entry) => isInFiscalYear(entry.date, fiscalYear));
+    const tax = computeTax(Math.max(0, summarizeLedger(fyEntries).net), { fiscalYear, status, residency, deductions });
+    const penalty = calculatePenalty({
+      fiscalYear,
+      taxDue: tax.totalTax,
+      assessableIncome: tax.grossIncome,
+      filingDate: today,
+      paymentDate: today,
+      installmentsPaidOnTime: tdsCoversTax({ slips: salarySlips, fiscalYear, taxDue: tax.totalTax }),
+    });
+
+    setError('');
+    let fonts;
+    try {
+      fonts = await loadPdfFonts();
+    } catch (err) {
+      setError(`The Devanagari font could not be loaded (${err.message}), so the report is in English instead.`);
+    }
+    const text = fonts ? i18n : ENGLISH_REPORT;
+    const reminders = computeReminders({
+      entries,
+      profile,
+      today,
+      currentFiscalYear: CURRENT_FISCAL_YEAR,
+      reminderState: loadState(scopedKey(activeProfile.id, 'reminders'), {}),
+    }).filter((r) => r.urgency !== 'overdue')
+      .map((r) => ({ ...r, message: describeReminder(r, text) }));
+    const doc = buildTaxReport({
+      profile,
+      entries: fyEntries,
+      tax,
+      penalty,
+      reminders,
+      documents,
+      generatedOn: today,
+      fonts,
+      i18n: text,
+    });
+    doc.save(`TaxEaseNepal_Summary_FY${fiscalYear.replace('/', '-')}.pdf`);
   };
 
   return (
     <div className="bg-white shadow rounded p-6 text-center">
       <h2 className="text-xl font-bold mb-4">Download Summary</h2>
+      <div className="flex flex-col md:flex-row gap-4 justify-center mb-4">
+        <input
+          type="text"
+          placeholder="Taxpayer name"
+          value={profile.taxpayerName || ''}
+          onChange={(e) => profile.updateProfile({ taxpayerName: e.target.value })}
+          className="border p-2 rounded"
+        />
+        <input
+          type="text"
+          placeholder="PAN"
+          value={profile.pan || ''}
+          onChange={(e) => profile.updateProfile({ pan: e.target.value })}
+          className="border p-2 rounded"
+        />
+      </div>
       <button
         onClick={handleDownload}
         className="bg-purple-600 text-white px-6 py-2 rounded hover:bg-purple-700 transition"
       >
         Download PDF
       </button>
+      {missing.length > 0 && (
+        <p className="mt-4 text-sm text-orange-600">
+          No documents attached for FY {profile.fiscalYear}: {missing.map((row) => row.label).join(', ')}.
+          Attach receipts to the matching ledger entries; the report lists these as missing.
+        </p>
+      )}
+      {error && <p className="mt-4 p-2 bg-red-100 text-red-700 rounded">{error}</p>}
     </div>
   );
 }
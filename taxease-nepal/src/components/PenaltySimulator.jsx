@@ -1,50 +1,107 @@
 import React, { useState } from 'react';
-import { calculatePenalty, calculateTax } from '../utils/taxCalculations';
+import { calculatePenalty, computeTax } from '../utils/taxCalculations';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { useI18n } from '../context/I18nContext';
+import { todayIso } from '../utils/nepaliCalendar';
+import { penaltyComponentLabel } from '../utils/i18n';
+import BsDatePicker from './BsDatePicker';
 
 function PenaltySimulator() {
+  const { fiscalYear, status, residency, deductions } = useTaxProfile();
+  const { t, formatMoney, formatNumber, formatDate, digits } = useI18n();
   const [income, setIncome] = useState('');
-  const [daysLate, setDaysLate] = useState('');
+  const [filingDate, setFilingDate] = useState(todayIso());
+  const [paymentDate, setPaymentDate] = useState(todayIso());
+  const [installmentsPaidOnTime, setInstallmentsPaidOnTime] = useState(false);
   const [penalty, setPenalty] = useState(null);
 
   const handleSimulate = () => {
-    const taxDue = calculateTax(Number(income));
-    const result = calculatePenalty(taxDue, Number(daysLate));
-    setPenalty(result);
+    const tax = computeTax(Number(income), { fiscalYear, status, residency, deductions });
+    const result = calculatePenalty({
+      fiscalYear,
+      taxDue: tax.totalTax,
+      assessableIncome: tax.grossIncome,
+      filingDate,
+      paymentDate,
+      installmentsPaidOnTime,
+    });
+    setPenalty({ ...result, taxDue: tax.totalTax });
   };
 
   return (
     <div className="bg-white shadow rounded p-6">
-      <h2 className="text-xl font-bold mb-4">Penalty Simulator</h2>
-      <div className="flex flex-col md:flex-row gap-4 items-center">
-        <input
-          type="number"
-          placeholder="Income (NPR)"
-          value={income}
-          onChange={(e) => setIncome(e.target.value)}
-          className="border p-2 rounded flex-1"
-        />
-        <input
-          type="number"
-          placeholder="Days Late"
-          value={daysLate}
-          onChange={(e) => setDaysLate(e.target.value)}
-          className="border p-2 rounded flex-1"
-        />
+      <h2 className="text-xl font-bold mb-4">
+        {t('penalty.title')} <span className="text-base font-normal text-gray-600">{t('fiscalYear.option', { fiscalYear })}</span>
+      </h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <label className="flex flex-col text-sm">
+          <span className="font-semibold">{t('penalty.income')}</span>
+          <input
+            type="number"
+            placeholder={t('penalty.income')}
+            value={income}
+            onChange={(e) => setIncome(e.target.value)}
+            className="border p-2 rounded"
+          />
+        </label>
+        <label className="flex flex-col text-sm">
+          <span className="font-semibold">{t('penalty.filedOn')}</span>
+          <BsDatePicker value={filingDate} onChange={setFilingDate} />
+        </label>
+        <label className="flex flex-col text-sm">
+          <span className="font-semibold">{t('penalty.paidOn')}</span>
+          <BsDatePicker value={paymentDate} onChange={setPaymentDate} />
+        </label>
+        <label className="flex items-center gap-2 text-sm md:col-span-2">
+          <input
+            type="checkbox"
+            checked={installmentsPaidOnTime}
+            onChange={(e) => setInstallmentsPaidOnTime(e.target.checked)}
+          />
+          {t('penalty.installmentsOnTime')}
+        </label>
         <button
           onClick={handleSimulate}
           className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition"
         >
-          Simulate
+          {t('penalty.simulate')}
         </button>
       </div>
       {penalty !== null && (
-        <p className="mt-4 text-lg font-semibold">
-          Estimated Penalty: NPR {penalty}
-        </p>
+        <>
+          <p className="mt-4 text-sm text-gray-600">
+            {t('penalty.summary', {
+              tax: formatMoney(penalty.taxDue),
+              dueDate: formatDate(penalty.dueDate),
+              filingDays: penalty.daysLateFiling,
+              paymentDays: penalty.daysLatePayment,
+            })}
+          </p>
+          <table className="w-full mt-2 text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="p-2">{t('penalty.component')}</th>
+                <th className="p-2 text-right">{t('penalty.months')}</th>
+                <th className="p-2 text-right">{t('penalty.amount')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {penalty.components.map((c) => (
+                <tr key={c.key} className={`border-b ${c.amount > 0 ? '' : 'text-gray-400'}`}>
+                  <td className="p-2">{penaltyComponentLabel(t, c.key)}</td>
+                  <td className="p-2 text-right">{digits(c.months)}</td>
+                  <td className="p-2 text-right">{formatNumber(c.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-4 text-lg font-semibold">
+            {t('penalty.total', { amount: formatMoney(penalty.total) })}
+          </p>
+        </>
       )}
     </div>
   );
 }
 
 export default PenaltySimulator;
-
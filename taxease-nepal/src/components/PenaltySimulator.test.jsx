@@ -0,0 +1,60 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { renderWithProviders } from '../test/renderWithProviders';
+import { returnDueDate } from '../utils/deadlines';
+import { bsToAd } from '../utils/nepaliCalendar';
+import PenaltySimulator from './PenaltySimulator';
+
+const FISCAL_YEAR = '2080/81';
+
+// Only Date is faked so user-event's own timers keep running
+function setToday(isoDate) {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date(`${isoDate}T06:00:00Z`));
+}
+
+async function simulate(user, income) {
+  await user.type(screen.getByLabelText('Income (NPR)'), String(income));
+  await user.click(screen.getByRole('button', { name: 'Simulate' }));
+}
+
+const amountIn = (label) => within(screen.getByText(label).closest('tr')).getAllByRole('cell')[2].textContent;
+
+describe('PenaltySimulator', () => {
+  afterEach(() => {
+    cleanup();
+    vi.useRealTimers();
+  });
+
+  it('charges nothing when filed and paid on the due date with installments on time', async () => {
+    setToday(returnDueDate(FISCAL_YEAR));
+    const user = userEvent.setup();
+    renderWithProviders(<PenaltySimulator />, { taxProfile: { fiscalYear: FISCAL_YEAR } });
+
+    await user.click(screen.getByLabelText('Advance tax installments were paid on time'));
+    await simulate(user, 1200000);
+
+    expect(screen.getByText('Estimated Penalty: NPR 0')).toBeTruthy();
+    expect(screen.queryByText(/^Interest on installment/)).toBeNull();
+  });
+
+  it('adds filing fees and interest when filed and paid late', async () => {
+    // 1 Poush 2081 is into the third month after the Asoj-end due date
+    setToday(bsToAd({ year: 2081, month: 9, day: 1 }));
+    const user = userEvent.setup();
+    renderWithProviders(<PenaltySimulator />, { taxProfile: { fiscalYear: FISCAL_YEAR } });
+
+    // NPR 1,200,000 owes 145,000: shortfalls 58,000 / 43,500 / 43,500 charged for 9, 6 and 3 months
+    await simulate(user, 1200000);
+
+    expect(amountIn('Late filing fee (sec 117)')).toBe('300');
+    expect(amountIn('Interest on installment 1 shortfall (sec 118)')).toBe('6,525');
+    expect(amountIn('Interest on installment 2 shortfall (sec 118)')).toBe('3,262');
+    expect(amountIn('Interest on installment 3 shortfall (sec 118)')).toBe('1,631');
+    expect(amountIn('Interest on unpaid tax (sec 119)')).toBe('5,438');
+    expect(screen.getByText('Estimated Penalty: NPR 17,156')).toBeTruthy();
+  });
+});
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { FaLock, FaUserCircle } from 'react-icons/fa';
+import { isProtected, useProfiles } from '../context/ProfilesContext';
+
+const FORM_TITLES = {
+  create: 'New profile',
+  passphrase: 'Set passphrase',
+  remote: 'Sign in to server',
+};
+
+function ProfileMenu() {
+  const {
+    profiles, activeProfile, remoteEnabled,
+    selectProfile, createProfile, setPassphrase, deleteProfile, lock, signInRemote,
+  } = useProfiles();
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(null);
+  const [name, setName] = useState('');
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState('');
+
+  const showForm = (kind) => {
+    setForm(kind);
+    setName('');
+    setSecret('');
+    setError('');
+  };
+
+  const close = () => {
+    setOpen(false);
+    setForm(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (form === 'create') {
+        if (!name.trim()) throw new Error('Enter a profile name');
+        await createProfile(name.trim(), secret);
+      } else if (form === 'passphrase') {
+        await setPassphrase(activeProfile.id, secret);
+      } else {
+        await signInRemote(name.trim(), secret);
+      }
+      close();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${activeProfile.name}" and all of its data from this browser?`)) {
+      deleteProfile(activeProfile.id);
+      close();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => (open ? close() : setOpen(true))}
+        className="bg-white text-blue-600 px-4 py-1 rounded hover:bg-gray-100 transition flex items-center gap-2"
+      >
+        <FaUserCircle /> {activeProfile.name}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-white text-gray-800 rounded shadow-lg p-4 z-10 space-y-3">
+          <ul className="space-y-1">
+            {profiles.map((p) => (
+              <li key={p.id}>
+                <button
+                  onClick={() => { selectProfile(p.id); close(); }}
+                  className={`w-full text-left px-2 py-1 rounded flex items-center justify-between ${p.id === activeProfile.id ? 'bg-blue-100 font-semibold' : 'hover:bg-gray-100'}`}
+                >
+                  {p.name}
+                  {isProtected(p) && <FaLock className="text-gray-400" />}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {form ? (
+            <form onSubmit={handleSubmit} className="space-y-2 border-t pt-3">
+              <h3 className="font-semibold">{FORM_TITLES[form]}</h3>
+              {form !== 'passphrase' && (
+                <input
+                  type="text"
+                  placeholder={form === 'remote' ? 'Username' : 'Profile name'}
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className="border p-2 rounded w-full"
+                />
+              )}
+              <input
+                type="password"
+                placeholder={form === 'remote' ? 'Passphrase' : 'Passphrase (optional)'}
+                value={secret}
+                onChange={(e) => setSecret(e.target.value)}
+                className="border p-2 rounded w-full"
+              />
+              {form === 'passphrase' && (
+                <p className="text-xs text-gray-500">Leave empty to remove the passphrase.</p>
+              )}
+              {error && <p className="text-sm text-red-600">{error}</p>}
+              <div className="flex gap-2">
+                <button type="submit" className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition">
+                  Save
+                </button>
+                <button type="button" onClick={() => setForm(null)} className="px-3 py-1 rounded hover:bg-gray-100">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex flex-col items-start gap-1 border-t pt-3 text-sm text-blue-600">
+              <button onClick={() => showForm('create')} className="hover:underline">New profile</button>
+              {!activeProfile.remoteUserId && (
+                <button onClick={() => showForm('passphrase')} className="hover:underline">
+                  {activeProfile.passphrase ? 'Change passphrase' : 'Set passphrase'}
+                </button>
+              )}
+              {isProtected(activeProfile) && (
+                <button onClick={() => { lock(); close(); }} className="hover:underline">
+                  {activeProfile.remoteUserId ? 'Sign out' : 'Lock'}
+                </button>
+              )}
+              {remoteEnabled && (
+                <button onClick={() => showForm('remote')} className="hover:underline">Sign in to server</button>
+              )}
+              {profiles.length > 1 && (
+                <button onClick={handleDelete} className="text-red-600 hover:underline">Delete this profile</button>
+              )}
+            </div>
+          )}
+          <p className="text-xs text-gray-500">
+            Profiles keep separate ledgers, deductions and fiscal years. A passphrase locks the app, but data stays unencrypted in this browser.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProfileMenu;
@@ -1,25 +1,139 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useLedger } from '../context/LedgerContext';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { useProfiles } from '../context/ProfilesContext';
+import { useI18n } from '../context/I18nContext';
+import { computeReminders, describeReminder } from '../utils/reminderRules';
+import { CURRENT_FISCAL_YEAR } from '../utils/fiscalYears';
+import { daysBetween, todayIso, toIsoDate } from '../utils/nepaliCalendar';
+import { loadState, saveState, scopedKey } from '../utils/storage';
+
+const SNOOZE_DAYS = 7;
+// Urgencies that trigger a browser notification while the app is open
+const NOTIFY_URGENCIES = ['alert', 'overdue', 'urgent'];
+
+const URGENCY_STYLES = {
+  alert: 'bg-red-100 text-red-800',
+  overdue: 'bg-red-100 text-red-800',
+  urgent: 'bg-orange-100 text-orange-800',
+  soon: 'bg-yellow-100',
+  upcoming: 'bg-gray-100',
+};
+
+// Android Chrome and the installed app only allow notifications through the service worker, where
+// the Notification constructor throws. getRegistration (not `ready`) so a page without one, as in
+// development, falls back instead of waiting forever.
+function showNotification(title, options) {
+  const construct = () => {
+    try {
+      new Notification(title, options);
+    } catch {
+      // Notifications need a service worker here and none is registered; the list still shows it
+    }
+  };
+  if (!('serviceWorker' in navigator)) {
+    construct();
+    return;
+  }
+  navigator.serviceWorker.getRegistration()
+    .then((registration) => (registration ? registration.showNotification(title, options) : construct()))
+    .catch(construct);
+}
+
+function describeDue({ daysLeft, date }, { t, formatDate }) {
+  if (daysLeft === null) return t('reminders.actionNow');
+  if (daysLeft < 0) return t('reminders.overdue', { date: formatDate(date), days: -daysLeft });
+  if (daysLeft === 0) return t('reminders.dueToday', { date: formatDate(date) });
+  return t('reminders.due', { date: formatDate(date), days: daysLeft });
+}
 
 function Reminders() {
-  const [messages, setMessages] = useState([]);
+  const { entries } = useLedger();
+  const profile = useTaxProfile();
+  const i18n = useI18n();
+  const { t } = i18n;
+  const storageKey = scopedKey(useProfiles().activeProfile.id, 'reminders');
+  const [reminderState, setReminderState] = useState(() => loadState(storageKey, {}));
+  const [permission, setPermission] = useState(() => ('Notification' in window ? Notification.permission : 'unsupported'));
+  const today = todayIso();
 
   useEffect(() => {
-    // Example mock reminders
-    const reminders = [
-      "File individual tax before Jesth 31!",
-      "Business turnover crossed NPR 30 lakhs!",
-    ];
-    setMessages(reminders);
-  }, []);
+    saveState(storageKey, reminderState);
+  }, [storageKey, reminderState]);
+
+  const reminders = useMemo(
+    () => computeReminders({ entries, profile, today, currentFiscalYear: CURRENT_FISCAL_YEAR, reminderState }),
+    [entries, profile, today, reminderState],
+  );
+
+  useEffect(() => {
+    if (permission !== 'granted') return;
+    const pending = reminders.filter((r) => NOTIFY_URGENCIES.includes(r.urgency) && !reminderState[r.id]?.notified);
+    if (pending.length === 0) return;
+    pending.forEach((r) => showNotification('TaxEase Nepal', { body: describeReminder(r, i18n), tag: r.id }));
+    setReminderState((prev) => {
+      const next = { ...prev };
+      pending.forEach((r) => { next[r.id] = { ...next[r.id], notified: true }; });
+      return next;
+    });
+  }, [permission, reminders, reminderState, i18n]);
+
+  const updateReminder = (id, fields) => {
+    setReminderState((prev) => ({ ...prev, [id]: { ...prev[id], ...fields } }));
+  };
+
+  const snooze = (id) => {
+    const until = toIsoDate(Date.parse(today) + SNOOZE_DAYS * 24 * 60 * 60 * 1000);
+    updateReminder(id, { snoozedUntil: until, notified: false });
+  };
+
+  const hiddenCount = Object.values(reminderState)
+    .filter((s) => s.dismissed || (s.snoozedUntil && daysBetween(today, s.snoozedUntil) > 0)).length;
+
+  // Brings back dismissed and snoozed reminders without notifying about them a second time
+  const restoreHidden = () => {
+    setReminderState((prev) => Object.fromEntries(Object.entries(prev).map(([id, state]) => {
+      const next = { ...state };
+      delete next.dismissed;
+      delete next.snoozedUntil;
+      return [id, next];
+    })));
+  };
+
+  const requestPermission = () => {
+    Notification.requestPermission().then(setPermission);
+  };
 
   return (
     <div className="bg-white shadow rounded p-6">
-      <h2 className="text-xl font-bold mb-4">Reminders & Alerts</h2>
-      <ul className="list-disc list-inside space-y-2">
-        {messages.map((msg, idx) => (
-          <li key={idx} className="bg-yellow-100 p-2 rounded">{msg}</li>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">{t('reminders.title')}</h2>
+        {permission === 'default' && (
+          <button onClick={requestPermission} className="text-sm text-blue-600 hover:underline">
+            {t('reminders.enableAlerts')}
+          </button>
+        )}
+      </div>
+      {reminders.length === 0 && <p className="text-gray-600">{t('reminders.none')}</p>}
+      <ul className="space-y-2">
+        {reminders.map((r) => (
+          <li key={r.id} className={`${URGENCY_STYLES[r.urgency]} p-2 rounded flex flex-col md:flex-row md:items-center gap-2`}>
+            <div className="flex-1">
+              <p>{describeReminder(r, i18n)}</p>
+              <p className="text-xs opacity-75">{describeDue(r, i18n)}</p>
+            </div>
+            <div className="flex gap-2 text-sm">
+              <button onClick={() => snooze(r.id)} className="hover:underline">{t('reminders.snooze', { days: SNOOZE_DAYS })}</button>
+              <button onClick={() => updateReminder(r.id, { dismissed: true })} className="hover:underline">{t('reminders.dismiss')}</button>
+            </div>
+          </li>
         ))}
       </ul>
+      {hiddenCount > 0 && (
+        <button onClick={restoreHidden} className="mt-4 text-sm text-gray-600 hover:underline">
+          {hiddenCount > 1 ? t('reminders.restoreMany', { count: hiddenCount }) : t('reminders.restoreOne')}
+        </button>
+      )}
     </div>
   );
 }
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { useLedger } from '../context/LedgerContext';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { SLIP_FIELDS, reconcileTds, slipLabel } from '../utils/salary';
+import { bsMonthsBetween, fiscalYearRange } from '../utils/nepaliCalendar';
+import { formatNPR } from '../utils/format';
+
+const EMPTY_AMOUNTS = Object.fromEntries(Object.keys(SLIP_FIELDS).map((key) => [key, '']));
+
+function describeBalance(balance) {
+  if (Math.round(balance) === 0) return 'settled exactly';
+  return balance > 0 ? `refund of ${formatNPR(balance)}` : `${formatNPR(-balance)} still owed`;
+}
+
+function SalaryReconciliation() {
+  const { entries, salarySlips, addSalarySlip, removeSalarySlip } = useLedger();
+  const profile = useTaxProfile();
+  const { start, end } = fiscalYearRange(profile.fiscalYear);
+  const months = bsMonthsBetween(start, end);
+  const [monthKey, setMonthKey] = useState(months[0].key);
+  const [employer, setEmployer] = useState('');
+  const [amounts, setAmounts] = useState(EMPTY_AMOUNTS);
+
+  // The month list follows the fiscal year picker
+  const selected = months.find((m) => m.key === monthKey) || months[0];
+  const rec = reconcileTds({ slips: salarySlips, entries, profile });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    addSalarySlip({ year: selected.year, month: selected.month, employer, ...amounts });
+    setAmounts(EMPTY_AMOUNTS);
+  };
+
+  return (
+    <div className="bg-white shadow rounded p-6">
+      <h2 className="text-xl font-bold mb-4">Salary &amp; TDS <span className="text-base font-normal text-gray-600">FY {profile.fiscalYear}</span></h2>
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <select value={selected.key} onChange={(e) => setMonthKey(e.target.value)} className="border p-2 rounded">
+          {months.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+        <input
+          type="text"
+          value={employer}
+          onChange={(e) => setEmployer(e.target.value)}
+          placeholder="Employer (optional)"
+          className="border p-2 rounded"
+        />
+        {Object.entries(SLIP_FIELDS).map(([key, label]) => (
+          <input
+            key={key}
+            type="number"
+            min="0"
+            value={amounts[key]}
+            onChange={(e) => setAmounts((prev) => ({ ...prev, [key]: e.target.value }))}
+            placeholder={`${label} (NPR)`}
+            className="border p-2 rounded"
+            required={key === 'gross'}
+          />
+        ))}
+        <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition">
+          Add Salary Slip
+        </button>
+      </form>
+      <p className="text-xs text-gray-500 mt-2">
+        Each slip adds its basic salary and allowances to the ledger as Salary income. Its SSF and CIT replace the retirement figures from the deductions form here.
+      </p>
+
+      {rec.slips.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full mt-4 text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="p-2">Month</th>
+                {Object.values(SLIP_FIELDS).map((label) => <th key={label} className="p-2 text-right">{label}</th>)}
+                <th className="p-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {[...rec.slips].sort((a, b) => a.year - b.year || a.month - b.month).map((slip) => (
+                <tr key={slip.id} className="border-b">
+                  <td className="p-2">
+                    {slipLabel(slip)}
+                    {slip.employer && <span className="block text-xs text-gray-500">{slip.employer}</span>}
+                  </td>
+                  {Object.keys(SLIP_FIELDS).map((key) => (
+                    <td key={key} className="p-2 text-right">{formatNPR(slip[key], { prefix: '' })}</td>
+                  ))}
+                  <td className="p-2 text-right">
+                    <button onClick={() => removeSalarySlip(slip.id)} className="text-red-600 hover:underline">Delete</button>
+                  </td>
+                </tr>
+              ))}
+              <tr className="font-semibold">
+                <td className="p-2">Total ({rec.months} of 12 months)</td>
+                {Object.keys(SLIP_FIELDS).map((key) => (
+                  <td key={key} className="p-2 text-right">{formatNPR(rec.totals[key], { prefix: '' })}</td>
+                ))}
+                <td />
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-6">
+        <div className="bg-blue-100 p-4 rounded shadow">
+          <p className="font-semibold">So far</p>
+          <p className="text-sm">TDS withheld: {formatNPR(rec.totals.tds)}</p>
+          <p className="text-sm">Share of annual tax due so far: {formatNPR(rec.liabilityToDate)}</p>
+          <p className="text-lg mt-1">{describeBalance(rec.balanceToDate)}</p>
+        </div>
+        <div className={`p-4 rounded shadow ${rec.projectedBalance < 0 ? 'bg-red-100' : 'bg-green-100'}`}>
+          <p className="font-semibold">Projected year end</p>
+          <p className="text-sm">TDS at this pace: {formatNPR(rec.projected.tds)}</p>
+          <p className="text-sm">Annual liability: {formatNPR(rec.projectedLiability)}</p>
+          <p className="text-lg mt-1">{describeBalance(rec.projectedBalance)}</p>
+          {rec.suggestedMonthlyTds !== null && rec.months > 0 && (
+            <p className="text-xs text-gray-600 mt-1">
+              Withholding {formatNPR(rec.suggestedMonthlyTds)} a month for the remaining {12 - rec.months} months would settle the year.
+            </p>
+          )}
+        </div>
+      </div>
+      {rec.otherIncome !== 0 && (
+        <p className="text-xs text-gray-500 mt-2">
+          Includes {formatNPR(rec.otherIncome)} of other net income from the ledger, which has no TDS against it here.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SalaryReconciliation;
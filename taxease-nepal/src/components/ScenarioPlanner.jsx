@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from 'react';
+import { useLedger } from '../context/LedgerContext';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { useProfiles } from '../context/ProfilesContext';
+import { useI18n } from '../context/I18nContext';
+import { categoriesFor, createEntry } from '../utils/ledger';
+import { compareScenarios, createScenario } from '../utils/scenarios';
+import { todayIso } from '../utils/nepaliCalendar';
+import { loadState, saveState, scopedKey } from '../utils/storage';
+import BsDatePicker from './BsDatePicker';
+import SweetSpotHint from './SweetSpotHint';
+
+// Catalog keys for the deductions a scenario can override
+const DEDUCTION_FIELDS = {
+  providentFund: 'scenario.pfContribution',
+  lifeInsurance: 'deductions.lifeInsurance',
+  healthInsurance: 'deductions.healthInsurance',
+};
+
+const signed = (value, format) => (value === 0 ? '—' : `${value > 0 ? '+' : '−'}${format(Math.abs(value))}`);
+
+function describeScenario(scenario, { t, formatMoney, formatDate }) {
+  const parts = scenario.extraEntries.map((entry) => t('scenario.describeEntry', {
+    sign: entry.type === 'income' ? '+' : '−',
+    amount: formatMoney(entry.amount),
+    category: entry.category,
+    date: formatDate(entry.date),
+  }));
+  if (scenario.excludeCategories.length) {
+    parts.push(t('scenario.describeWithout', { categories: scenario.excludeCategories.join(', ') }));
+  }
+  Object.entries(scenario.deductions).forEach(([field, value]) => parts.push(`${t(DEDUCTION_FIELDS[field])} ${formatMoney(value)}`));
+  if (scenario.maxRetirement) parts.push(t('scenario.describeMaxed'));
+  return parts.join('; ');
+}
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'income',
+  category: categoriesFor('income')[0],
+  amount: '',
+  date: todayIso(),
+  excludeCategory: '',
+  deductions: {},
+  maxRetirement: false,
+};
+
+// Named what-if variations of the ledger, compared side by side against the real figures
+function ScenarioPlanner() {
+  const { entries } = useLedger();
+  const profile = useTaxProfile();
+  const i18n = useI18n();
+  const { t, formatNumber, formatPercent } = i18n;
+  const storageKey = scopedKey(useProfiles().activeProfile.id, 'scenarios');
+  const [scenarios, setScenarios] = useState(() => loadState(storageKey, []));
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    saveState(storageKey, scenarios);
+  }, [storageKey, scenarios]);
+
+  const update = (fields) => setForm((prev) => ({ ...prev, ...fields }));
+  const ledgerCategories = [...new Set(entries.map((entry) => entry.category))].sort();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const amount = Number(form.amount);
+    const deductions = Object.fromEntries(
+      Object.entries(form.deductions).filter(([, value]) => value !== '').map(([field, value]) => [field, Number(value)]),
+    );
+    const scenario = createScenario({
+      name: form.name.trim(),
+      extraEntries: amount > 0 ? [createEntry({ date: form.date, category: form.category, amount, type: form.type })] : [],
+      excludeCategories: form.excludeCategory ? [form.excludeCategory] : [],
+      deductions,
+      maxRetirement: form.maxRetirement,
+    });
+    setScenarios((prev) => [...prev, scenario]);
+    setForm({ ...EMPTY_FORM, date: form.date });
+  };
+
+  const comparison = compareScenarios(entries, profile, scenarios);
+  const [baseline] = comparison.rows;
+
+  return (
+    <div className="mt-8 border-t pt-6">
+      <h3 className="text-lg font-bold mb-2">{t('scenario.title')}</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {t('scenario.intro', { fiscalYear: profile.fiscalYear })}
+      </p>
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder={t('scenario.namePlaceholder')}
+          className="border p-2 rounded md:col-span-3"
+          required
+        />
+        <select
+          value={form.type}
+          onChange={(e) => update({ type: e.target.value, category: categoriesFor(e.target.value)[0] })}
+          className="border p-2 rounded"
+        >
+          <option value="income">{t('scenario.extraIncome')}</option>
+          <option value="expense">{t('scenario.extraExpense')}</option>
+        </select>
+        <select value={form.category} onChange={(e) => update({ category: e.target.value })} className="border p-2 rounded">
+          {categoriesFor(form.type).map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <input
+          type="number"
+          min="0"
+          value={form.amount}
+          onChange={(e) => update({ amount: e.target.value })}
+          placeholder={t('scenario.amountPlaceholder')}
+          className="border p-2 rounded"
+        />
+        <BsDatePicker value={form.date} onChange={(date) => update({ date })} />
+        <select value={form.excludeCategory} onChange={(e) => update({ excludeCategory: e.target.value })} className="border p-2 rounded">
+          <option value="">{t('scenario.keepAll')}</option>
+          {ledgerCategories.map((c) => <option key={c} value={c}>{t('scenario.leaveOut', { category: c })}</option>)}
+        </select>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={form.maxRetirement} onChange={(e) => update({ maxRetirement: e.target.checked })} />
+          {t('scenario.maxRetirement')}
+        </label>
+        {Object.entries(DEDUCTION_FIELDS).map(([field, labelKey]) => (
+          <input
+            key={field}
+            type="number"
+            min="0"
+            value={form.deductions[field] ?? ''}
+            onChange={(e) => update({ deductions: { ...form.deductions, [field]: e.target.value } })}
+            placeholder={t('scenario.override', { label: t(labelKey) })}
+            className="border p-2 rounded"
+            disabled={field === 'providentFund' && form.maxRetirement}
+          />
+        ))}
+        <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition md:col-span-3">
+          {t('scenario.save')}
+        </button>
+      </form>
+
+      <div className="overflow-x-auto">
+        <table className="w-full mt-6 text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="p-2">{t('scenario.column')}</th>
+              {comparison.fiscalYears.map((fy) => <th key={fy} className="p-2 text-right">{t('scenario.taxFor', { fiscalYear: fy })}</th>)}
+              <th className="p-2 text-right">{t('scenario.changeInTax')}</th>
+              <th className="p-2 text-right">{t('scenario.takeHome')}</th>
+              <th className="p-2 text-right">{t('scenario.change')}</th>
+              <th className="p-2 text-right">{t('scenario.marginal')}</th>
+              <th className="p-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.rows.map((row) => {
+              const sweetSpot = row.years[profile.fiscalYear].sweetSpot;
+              const reachable = sweetSpot?.candidates.some((c) => c.reachable);
+              return (
+                <tr key={row.scenario?.id ?? 'baseline'} className={`border-b ${row.scenario ? '' : 'font-semibold'}`}>
+                  <td className="p-2">
+                    {row.scenario ? row.scenario.name : t('scenario.current')}
+                    {row.scenario && <span className="block text-xs text-gray-500">{describeScenario(row.scenario, i18n)}</span>}
+                    {reachable && (
+                      <span className="block text-xs text-green-700">
+                        {t('scenario.sweetSpot', { amount: i18n.formatMoney(sweetSpot.needed), rate: formatPercent(sweetSpot.toRate) })}
+                      </span>
+                    )}
+                  </td>
+                  {comparison.fiscalYears.map((fy) => (
+                    <td key={fy} className="p-2 text-right">{formatNumber(row.years[fy].result.totalTax)}</td>
+                  ))}
+                  <td className={`p-2 text-right ${row.delta.tax > 0 ? 'text-red-600' : 'text-green-700'}`}>
+                    {signed(row.delta.tax, formatNumber)}
+                  </td>
+                  <td className="p-2 text-right">{formatNumber(row.takeHome)}</td>
+                  <td className={`p-2 text-right ${row.delta.takeHome < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                    {signed(row.delta.takeHome, formatNumber)}
+                  </td>
+                  <td className="p-2 text-right">
+                    {formatPercent(row.marginalRate)}
+                    {row.delta.marginalRate !== 0 && (
+                      <span className="ml-1 text-xs text-gray-500">({signed(row.delta.marginalRate, (v) => formatPercent(v))})</span>
+                    )}
+                  </td>
+                  <td className="p-2 text-right">
+                    {row.scenario && (
+                      <button
+                        onClick={() => setScenarios((prev) => prev.filter((s) => s.id !== row.scenario.id))}
+                        className="text-red-600 hover:underline"
+                      >
+                        {t('scenario.delete')}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        {t('scenario.footnote')}
+      </p>
+      <SweetSpotHint sweetSpot={baseline.years[profile.fiscalYear].sweetSpot} />
+    </div>
+  );
+}
+
+export default ScenarioPlanner;
@@ -0,0 +1,237 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useLedger } from '../context/LedgerContext';
+import { parseCsv } from '../utils/csv';
+import { categoriesFor, ENTRY_TYPES } from '../utils/ledger';
+import { formatBsDate } from '../utils/nepaliCalendar';
+import {
+  COLUMN_ROLES,
+  DEFAULT_IMPORT_RULES,
+  guessMapping,
+  mapStatementRows,
+  toEntryFields,
+} from '../utils/statementImport';
+import { loadState, saveState } from '../utils/storage';
+
+const RULES_KEY = 'importRules';
+
+async function readStatement(file) {
+  if (/\.xlsx$/i.test(file.name)) {
+    // Loaded on demand so the spreadsheet parser stays out of the main bundle
+    const { default: readXlsxFile } = await import('read-excel-file');
+    return readXlsxFile(file);
+  }
+  return parseCsv(await file.text());
+}
+
+function StatementImport() {
+  const { entries, addEntries } = useLedger();
+  const [fileName, setFileName] = useState('');
+  const [table, setTable] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [rules, setRules] = useState(() => loadState(RULES_KEY, DEFAULT_IMPORT_RULES));
+  const [overrides, setOverrides] = useState({});
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    saveState(RULES_KEY, rules);
+  }, [rules]);
+
+  const headers = hasHeader && table.length > 0
+    ? table[0].map(String)
+    : (table[0] || []).map((_, i) => `Column ${i + 1}`);
+  const dataRows = useMemo(() => (hasHeader ? table.slice(1) : table), [hasHeader, table]);
+  const mappingReady = mapping.date !== undefined
+    && (mapping.amount !== undefined || (mapping.debit !== undefined && mapping.credit !== undefined));
+
+  const preview = useMemo(() => {
+    if (!mappingReady) return [];
+    return mapStatementRows(dataRows, mapping, { rules, entries })
+      .map((row) => ({ ...row, ...overrides[row.index] }));
+  }, [dataRows, mapping, mappingReady, rules, entries, overrides]);
+
+  const selected = preview.filter((row) => row.selected && !row.error);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError('');
+    setMessage('');
+    setOverrides({});
+    try {
+      const rows = (await readStatement(file)).map((row) => row.map((cell) => cell ?? ''));
+      if (rows.length === 0) throw new Error('The file has no rows.');
+      setFileName(file.name);
+      setTable(rows);
+      setMapping(hasHeader ? guessMapping(rows[0].map(String)) : {});
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+      setTable([]);
+    }
+  };
+
+  const updateMapping = (role, value) => {
+    setMapping((prev) => {
+      const next = { ...prev };
+      if (value === '') delete next[role];
+      else next[role] = Number(value);
+      return next;
+    });
+  };
+
+  const updateRow = (index, fields) => {
+    setOverrides((prev) => ({ ...prev, [index]: { ...prev[index], ...fields } }));
+  };
+
+  const updateRule = (id, fields) => {
+    setRules((prev) => prev.map((rule) => (rule.id === id ? { ...rule, ...fields } : rule)));
+  };
+
+  const addRule = () => {
+    setRules((prev) => [...prev, { id: `rule-${Date.now()}`, keyword: '', type: 'expense', category: categoriesFor('expense')[0] }]);
+  };
+
+  const handleImport = () => {
+    addEntries(selected.map(toEntryFields));
+    setMessage(`Imported ${selected.length} entries from ${fileName}.`);
+    setTable([]);
+    setFileName('');
+    setOverrides({});
+  };
+
+  return (
+    <div className="bg-white shadow rounded p-6">
+      <h2 className="text-xl font-bold mb-4">Import Bank Statement</h2>
+      <div className="flex flex-col md:flex-row gap-4 items-center">
+        <input type="file" accept=".csv,.xlsx" onChange={handleFile} className="border p-2 rounded flex-1" />
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+          First row is a header
+        </label>
+      </div>
+      {error && <p className="mt-4 p-2 bg-red-100 text-red-700 rounded">{error}</p>}
+      {message && <p className="mt-4 p-2 bg-green-100 text-green-700 rounded">{message}</p>}
+
+      {table.length > 0 && (
+        <>
+          <h3 className="font-semibold mt-6 mb-2">Column mapping</h3>
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+            {Object.entries(COLUMN_ROLES).map(([role, label]) => (
+              <label key={role} className="flex flex-col text-sm">
+                <span className="font-semibold">{label}</span>
+                <select
+                  value={mapping[role] ?? ''}
+                  onChange={(e) => updateMapping(role, e.target.value)}
+                  className="border p-2 rounded"
+                >
+                  <option value="">—</option>
+                  {headers.map((header, i) => <option key={i} value={i}>{header}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+          {!mappingReady && (
+            <p className="mt-2 text-sm text-orange-600">
+              Map a date column and either a signed amount or both debit and credit columns.
+            </p>
+          )}
+
+          <h3 className="font-semibold mt-6 mb-2">Categorisation rules</h3>
+          <div className="space-y-2">
+            {rules.map((rule) => (
+              <div key={rule.id} className="flex flex-col md:flex-row gap-2 text-sm">
+                <input
+                  type="text"
+                  value={rule.keyword}
+                  onChange={(e) => updateRule(rule.id, { keyword: e.target.value })}
+                  placeholder="Description contains…"
+                  className="border p-1 rounded flex-1"
+                />
+                <select
+                  value={rule.type}
+                  onChange={(e) => updateRule(rule.id, { type: e.target.value, category: categoriesFor(e.target.value)[0] })}
+                  className="border p-1 rounded"
+                >
+                  <option value="income">{ENTRY_TYPES.income}</option>
+                  <option value="expense">{ENTRY_TYPES.expense}</option>
+                </select>
+                <select
+                  value={rule.category}
+                  onChange={(e) => updateRule(rule.id, { category: e.target.value })}
+                  className="border p-1 rounded"
+                >
+                  {categoriesFor(rule.type).map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+                <button
+                  onClick={() => setRules((prev) => prev.filter((r) => r.id !== rule.id))}
+                  className="text-red-600 hover:underline"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button onClick={addRule} className="text-sm text-blue-600 hover:underline">Add rule</button>
+          </div>
+
+          {preview.length > 0 && (
+            <>
+              <table className="w-full mt-6 text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="p-2"></th>
+                    <th className="p-2">Date (BS)</th>
+                    <th className="p-2">Description</th>
+                    <th className="p-2">Category</th>
+                    <th className="p-2 text-right">Amount (NPR)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((row) => (
+                    <tr key={row.index} className={`border-b ${row.error || row.duplicate ? 'bg-yellow-50' : ''}`}>
+                      <td className="p-2">
+                        <input
+                          type="checkbox"
+                          checked={row.selected && !row.error}
+                          disabled={Boolean(row.error)}
+                          onChange={(e) => updateRow(row.index, { selected: e.target.checked })}
+                        />
+                      </td>
+                      <td className="p-2">{row.date ? formatBsDate(row.date) : '—'}</td>
+                      <td className="p-2">
+                        {row.description}
+                        {row.error && <span className="block text-xs text-red-600">{row.error}</span>}
+                        {row.duplicate && <span className="block text-xs text-orange-600">Possible duplicate of a ledger entry</span>}
+                      </td>
+                      <td className="p-2">
+                        <select
+                          value={row.category}
+                          onChange={(e) => updateRow(row.index, { category: e.target.value })}
+                          className="border p-1 rounded"
+                        >
+                          {categoriesFor(row.type).map((c) => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                      </td>
+                      <td className={`p-2 text-right ${row.type === 'income' ? 'text-green-700' : 'text-red-700'}`}>
+                        {row.type === 'income' ? '+' : '-'}{row.amount.toLocaleString()}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button
+                onClick={handleImport}
+                disabled={selected.length === 0}
+                className="mt-4 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                Import {selected.length} entries
+              </button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default StatementImport;
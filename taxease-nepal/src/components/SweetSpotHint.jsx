@@ -0,0 +1,32 @@
+import React from 'react';
+import { useI18n } from '../context/I18nContext';
+
+// Highlights how much more deduction would drop taxable income into the next lower slab
+function SweetSpotHint({ sweetSpot }) {
+  const { t, formatMoney, formatPercent } = useI18n();
+  if (!sweetSpot) return null;
+  const { needed, fromRate, toRate, candidates } = sweetSpot;
+  const reachable = candidates.filter((c) => c.reachable);
+
+  return (
+    <div className={`mt-4 p-3 rounded text-sm ${reachable.length ? 'bg-green-50 border border-green-300' : 'bg-gray-50 border'}`}>
+      <p className="font-semibold">
+        {t('sweetSpot.headline', { amount: formatMoney(needed), from: formatPercent(fromRate), to: formatPercent(toRate) })}
+      </p>
+      {candidates.length === 0 ? (
+        <p className="text-gray-600">{t('sweetSpot.capsUsed')}</p>
+      ) : (
+        <ul className="mt-1 space-y-1">
+          {candidates.map((c) => (
+            <li key={c.key} className={c.reachable ? 'text-green-800 font-semibold' : 'text-gray-700'}>
+              {t('sweetSpot.candidate', { label: t(`step.${c.key}`), headroom: formatMoney(c.headroom) })}
+              {c.reachable ? t('sweetSpot.enough') : ''}{t('sweetSpot.saves', { amount: formatMoney(c.saving) })}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SweetSpotHint;
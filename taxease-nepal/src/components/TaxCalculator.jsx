@@ -1,22 +1,63 @@
 import React, { useState } from 'react';
-import { calculateTax } from '../utils/taxCalculations';
+import { computeTax, ASSESSEE_STATUSES, RESIDENCIES } from '../utils/taxCalculations';
+import { slabSweetSpot } from '../utils/scenarios';
+import { useTaxProfile } from '../context/TaxProfileContext';
+import { useI18n } from '../context/I18nContext';
+import DeductionsForm from './DeductionsForm';
+import FiscalYearSelect from './FiscalYearSelect';
+import ScenarioPlanner from './ScenarioPlanner';
+import SweetSpotHint from './SweetSpotHint';
 
 function TaxCalculator() {
+  const { fiscalYear, status, residency, deductions, updateProfile } = useTaxProfile();
+  const { t, formatMoney, formatNumber, formatPercent, formatCompact } = useI18n();
   const [income, setIncome] = useState('');
-  const [tax, setTax] = useState(null);
+  const [calculatedIncome, setCalculatedIncome] = useState(null);
+
+  const options = { fiscalYear, status, residency, deductions };
+  const result = calculatedIncome === null ? null : computeTax(calculatedIncome, options);
+
+  const formatLimit = (value) => (value === Infinity ? t('tax.andAbove') : formatNumber(value));
 
   const handleCalculate = () => {
-    const result = calculateTax(Number(income));
-    setTax(result);
+    setCalculatedIncome(Number(income));
   };
 
   return (
     <div className="bg-white shadow rounded p-6">
-      <h2 className="text-xl font-bold mb-4">Tax Calculator</h2>
+      <h2 className="text-xl font-bold mb-4">{t('tax.title')}</h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 items-start">
+        <FiscalYearSelect />
+        <select
+          value={status}
+          onChange={(e) => updateProfile({ status: e.target.value })}
+          className="border p-2 rounded"
+          disabled={residency === 'nonResident'}
+        >
+          {Object.keys(ASSESSEE_STATUSES).map((value) => (
+            <option key={value} value={value}>{t(`status.${value}`)}</option>
+          ))}
+        </select>
+        <select
+          value={residency}
+          onChange={(e) => updateProfile({ residency: e.target.value })}
+          className="border p-2 rounded"
+        >
+          {Object.keys(RESIDENCIES).map((value) => (
+            <option key={value} value={value}>{t(`residency.${value}`)}</option>
+          ))}
+        </select>
+      </div>
+      {residency === 'resident' && (
+        <div className="mb-4">
+          <h3 className="font-semibold mb-2">{t('tax.deductionsHeading')}</h3>
+          <DeductionsForm />
+        </div>
+      )}
       <div className="flex flex-col md:flex-row gap-4 items-center">
         <input
           type="number"
-          placeholder="Enter income (NPR)"
+          placeholder={t('tax.incomePlaceholder')}
           value={income}
           onChange={(e) => setIncome(e.target.value)}
           className="border p-2 rounded flex-1"
@@ -25,12 +66,87 @@ function TaxCalculator() {
           onClick={handleCalculate}
           className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition"
         >
-          Calculate Tax
+          {t('tax.calculate')}
         </button>
       </div>
-      {tax !== null && (
-        <p className="mt-4 text-lg font-semibold">Estimated Tax: NPR {tax}</p>
+      {result && (
+        <>
+          <table className="w-full mt-4 text-sm">
+            <tbody>
+              <tr className="border-b">
+                <td className="p-2">{t('tax.grossIncome')}</td>
+                <td className="p-2 text-right">{formatNumber(result.grossIncome)}</td>
+              </tr>
+              {result.deductions.map((step) => (
+                <tr key={step.key} className="border-b text-gray-700">
+                  <td className="p-2">
+                    {t('tax.less', { label: t(`step.${step.key}`, { grade: deductions.remoteArea }) })}
+                    {step.allowed < step.claimed && (
+                      <span className="ml-2 text-xs text-orange-600">
+                        {t('tax.cappedFrom', { amount: formatNumber(step.claimed) })}
+                      </span>
+                    )}
+                  </td>
+                  <td className="p-2 text-right">({formatNumber(step.allowed)})</td>
+                </tr>
+              ))}
+              <tr className="border-b font-semibold">
+                <td className="p-2">{t('tax.taxableIncome')}</td>
+                <td className="p-2 text-right">{formatNumber(result.taxableIncome)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <table className="w-full mt-4 text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="p-2">{t('tax.slab')}</th>
+                <th className="p-2 text-right">{t('tax.rate')}</th>
+                <th className="p-2 text-right">{t('tax.taxable')}</th>
+                <th className="p-2 text-right">{t('tax.tax')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.slabs.map((slab) => (
+                <tr key={slab.from} className={`border-b ${slab.taxable > 0 ? '' : 'text-gray-400'}`}>
+                  <td className="p-2">
+                    {formatNumber(slab.from)} – {formatLimit(slab.to)}
+                    {slab.socialSecurity && (
+                      <span className="ml-2 text-xs text-gray-500">
+                        ({t(slab.waived ? 'tax.socialSecurityWaived' : 'tax.socialSecurity')})
+                      </span>
+                    )}
+                  </td>
+                  <td className="p-2 text-right">{formatPercent(slab.rate)}</td>
+                  <td className="p-2 text-right">{formatNumber(slab.taxable)}</td>
+                  <td className="p-2 text-right">{formatNumber(slab.tax)}</td>
+                </tr>
+              ))}
+              {result.medicalCredit > 0 && (
+                <tr className="border-b text-gray-700">
+                  <td className="p-2" colSpan={3}>{t('tax.medicalCredit')}</td>
+                  <td className="p-2 text-right">({formatNumber(result.medicalCredit)})</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+          <p className="mt-4 text-lg font-semibold">
+            {t('tax.estimated', { fiscalYear: result.fiscalYear, amount: formatMoney(result.totalTax) })}
+            {result.totalTax >= 100000 && (
+              <span className="ml-2 text-sm font-normal text-gray-500">≈ {formatCompact(result.totalTax)}</span>
+            )}
+          </p>
+          {result.rateYear !== result.fiscalYear && (
+            <p className="text-sm text-orange-600">
+              {t('tax.rateYearNote', { rateYear: result.rateYear })}
+            </p>
+          )}
+          <p className="text-sm text-gray-600">
+            {t('tax.rates', { effective: formatPercent(result.effectiveRate, 2), marginal: formatPercent(result.marginalRate) })}
+          </p>
+          <SweetSpotHint sweetSpot={slabSweetSpot(calculatedIncome, options, result)} />
+        </>
       )}
+      <ScenarioPlanner />
     </div>
   );
 }
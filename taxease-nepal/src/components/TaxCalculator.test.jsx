@@ -0,0 +1,73 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, describe, expect, it } from 'vitest';
+import { cleanup, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { renderWithProviders } from '../test/renderWithProviders';
+import TaxCalculator from './TaxCalculator';
+
+afterEach(cleanup);
+
+async function calculate(user, income) {
+  await user.type(screen.getByPlaceholderText('Enter gross income (NPR)'), String(income));
+  await user.click(screen.getByRole('button', { name: 'Calculate Tax' }));
+}
+
+describe('TaxCalculator', () => {
+  it('shows the slab breakdown and total for the profile\'s fiscal year', async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<TaxCalculator />, { taxProfile: { fiscalYear: '2080/81' } });
+
+    await calculate(user, 1500000);
+
+    expect(screen.getByText('Estimated Tax (FY 2080/81): NPR 2,35,000')).toBeTruthy();
+    expect(screen.getByText('Effective rate 15.67% · Marginal rate 30%')).toBeTruthy();
+    const slabRows = screen.getAllByRole('row').filter((row) => row.textContent.includes('–'));
+    expect(slabRows.map((row) => row.lastChild.textContent)).toEqual(['5,000', '20,000', '60,000', '1,50,000', '0', '0']);
+  });
+
+  it('applies deductions and flags claims above the cap', async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<TaxCalculator />, { taxProfile: { fiscalYear: '2079/80' } });
+
+    await user.type(screen.getByLabelText(/^Provident Fund/), '600000');
+    await calculate(user, 1200000);
+
+    expect(screen.getByText('capped from 6,00,000')).toBeTruthy();
+    expect(screen.getByText('Estimated Tax (FY 2079/80): NPR 65,000')).toBeTruthy();
+  });
+
+  it('taxes non-residents at the flat rate without deductions', async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<TaxCalculator />, {
+      taxProfile: { fiscalYear: '2080/81', residency: 'nonResident', deductions: { providentFund: 100000 } },
+    });
+
+    expect(screen.queryByLabelText(/^Provident Fund/)).toBeNull();
+    await calculate(user, 1000000);
+
+    expect(screen.getByText('Estimated Tax (FY 2080/81): NPR 2,50,000')).toBeTruthy();
+  });
+
+  it('notes when a later year borrows the latest published rates', async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<TaxCalculator />, { taxProfile: { fiscalYear: '2082/83' } });
+
+    await calculate(user, 1000000);
+
+    expect(screen.getByText('Using FY 2081/82 rates, the latest published slab table.')).toBeTruthy();
+  });
+
+  it('renders in Nepali with Devanagari numerals', async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<TaxCalculator />, {
+      taxProfile: { fiscalYear: '2080/81' },
+      locale: { language: 'ne', numerals: 'devanagari' },
+    });
+
+    await user.type(screen.getByPlaceholderText('कुल आय लेख्नुहोस् (रु.)'), '1500000');
+    await user.click(screen.getByRole('button', { name: 'कर हिसाब गर्नुहोस्' }));
+
+    expect(screen.getByText('अनुमानित कर (आ.व. २०८०/८१): रु. २,३५,०००')).toBeTruthy();
+  });
+});
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { FaLock } from 'react-icons/fa';
+import { useProfiles } from '../context/ProfilesContext';
+
+function UnlockScreen() {
+  const { profiles, activeProfile, selectProfile, unlock, signInRemote } = useProfiles();
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const remote = Boolean(activeProfile.remoteUserId);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      if (remote) await signInRemote(activeProfile.username, passphrase);
+      else await unlock(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white shadow rounded p-6 w-full max-w-sm space-y-4">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <FaLock className="text-blue-600" /> {activeProfile.name}
+        </h2>
+        <p className="text-sm text-gray-600">
+          {remote ? `Sign in as ${activeProfile.username} to open this profile.` : 'This profile is protected by a passphrase.'}
+        </p>
+        <input
+          type="password"
+          autoFocus
+          placeholder="Passphrase"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          className="border p-2 rounded w-full"
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={busy}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition w-full disabled:opacity-50"
+        >
+          {busy ? 'Checking...' : 'Unlock'}
+        </button>
+        {profiles.length > 1 && (
+          <div className="text-sm">
+            <span className="text-gray-600">Switch to: </span>
+            {profiles.filter((p) => p.id !== activeProfile.id).map((p) => (
+              <button
+                key={p.id}
+                type="button"
+                onClick={() => { selectProfile(p.id); setPassphrase(''); setError(''); }}
+                className="text-blue-600 hover:underline mr-2"
+              >
+                {p.name}
+              </button>
+            ))}
+          </div>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default UnlockScreen;
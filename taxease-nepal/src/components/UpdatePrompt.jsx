@@ -0,0 +1,50 @@
+import React from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import { useI18n } from '../context/I18nContext';
+
+// Installed copies can stay open for days, so look for a new build every hour while online
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+function UpdatePrompt() {
+  const { t } = useI18n();
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      if (!registration) return;
+      setInterval(() => {
+        if (navigator.onLine) registration.update();
+      }, UPDATE_CHECK_MS);
+    },
+  });
+
+  if (!offlineReady && !needRefresh) return null;
+
+  const close = () => {
+    setOfflineReady(false);
+    setNeedRefresh(false);
+  };
+
+  return (
+    <div role="status" className="fixed bottom-4 right-4 z-50 bg-white shadow-lg rounded p-4 max-w-sm border">
+      <p className="text-sm">{needRefresh ? t('pwa.updateAvailable') : t('pwa.offlineReady')}</p>
+      <div className="flex gap-2 justify-end mt-3 text-sm">
+        {needRefresh && (
+          <button
+            onClick={() => updateServiceWorker(true)}
+            className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition"
+          >
+            {t('pwa.reload')}
+          </button>
+        )}
+        <button onClick={close} className="px-3 py-1 rounded border hover:bg-gray-100 transition">
+          {needRefresh ? t('pwa.later') : t('pwa.close')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
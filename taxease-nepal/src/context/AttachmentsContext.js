@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+
+export const AttachmentsContext = createContext(null);
+
+export function useAttachments() {
+  const ctx = useContext(AttachmentsContext);
+  if (!ctx) throw new Error('useAttachments must be used inside <AttachmentsProvider>');
+  return ctx;
+}
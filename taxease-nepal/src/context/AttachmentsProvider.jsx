@@ -0,0 +1,62 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { AttachmentsContext } from './AttachmentsContext';
+import { useLedger } from './LedgerContext';
+import { createAttachment, createThumbnail, validateFile } from '../utils/attachments';
+import { deleteAttachments, listAttachments, saveAttachment } from '../utils/attachmentStore';
+
+function AttachmentsProvider({ profileId, children }) {
+  const { entries } = useLedger();
+  const [attachments, setAttachments] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    listAttachments(profileId)
+      .then((list) => {
+        if (cancelled) return;
+        setAttachments(list);
+        setLoaded(true);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Attached documents could not be loaded (${err.message}).`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [profileId]);
+
+  // Deleting a ledger entry deletes its documents with it
+  useEffect(() => {
+    if (!loaded) return;
+    const entryIds = new Set(entries.map((entry) => entry.id));
+    const orphans = attachments.filter((a) => !entryIds.has(a.entryId));
+    if (orphans.length === 0) return;
+    setAttachments((prev) => prev.filter((a) => entryIds.has(a.entryId)));
+    deleteAttachments(orphans.map((a) => a.id)).catch(() => {
+      // Left behind in IndexedDB; the next load prunes them again
+    });
+  }, [loaded, entries, attachments]);
+
+  const value = useMemo(() => ({
+    attachments,
+    error,
+    forEntry: (entryId) => attachments.filter((a) => a.entryId === entryId),
+    // Rejects with AttachmentError when the file type, size or storage quota rules it out
+    async addAttachment(entryId, file, purpose) {
+      validateFile(file);
+      const thumbnail = await createThumbnail(file).catch(() => null);
+      const attachment = createAttachment({ profileId, entryId, file, purpose, thumbnail });
+      await saveAttachment(attachment);
+      setAttachments((prev) => [...prev, attachment]);
+    },
+    async removeAttachment(id) {
+      await deleteAttachments([id]);
+      setAttachments((prev) => prev.filter((a) => a.id !== id));
+    },
+  }), [profileId, attachments, error]);
+
+  return <AttachmentsContext.Provider value={value}>{children}</AttachmentsContext.Provider>;
+}
+
+export default AttachmentsProvider;
@@ -0,0 +1,27 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { I18nContext } from './I18nContext';
+import { createI18n } from '../utils/i18n';
+import { loadState, saveState } from '../utils/storage';
+
+// Language is a device preference, so it is shared by every profile
+const STORAGE_KEY = 'locale';
+const DEFAULT_LOCALE = { language: 'en', numerals: 'latin' };
+
+function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(() => ({ ...DEFAULT_LOCALE, ...loadState(STORAGE_KEY, {}) }));
+
+  useEffect(() => {
+    saveState(STORAGE_KEY, locale);
+    document.documentElement.lang = locale.language;
+  }, [locale]);
+
+  const value = useMemo(() => ({
+    ...createI18n(locale),
+    setLanguage: (next) => setLocale((prev) => ({ ...prev, language: next })),
+    setNumerals: (next) => setLocale((prev) => ({ ...prev, numerals: next })),
+  }), [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export default I18nProvider;
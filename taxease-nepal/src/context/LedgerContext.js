@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+
+export const LedgerContext = createContext(null);
+
+export function useLedger() {
+  const ctx = useContext(LedgerContext);
+  if (!ctx) throw new Error('useLedger must be used inside <LedgerProvider>');
+  return ctx;
+}
@@ -0,0 +1,48 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { LedgerContext } from './LedgerContext';
+import { createEntry } from '../utils/ledger';
+import { createSalarySlip, slipEntryFields } from '../utils/salary';
+import { loadState, saveState, scopedKey } from '../utils/storage';
+
+function LedgerProvider({ profileId, children }) {
+  const storageKey = scopedKey(profileId, 'ledger');
+  const slipsKey = scopedKey(profileId, 'salarySlips');
+  const [entries, setEntries] = useState(() => loadState(storageKey, []));
+  const [salarySlips, setSalarySlips] = useState(() => loadState(slipsKey, []));
+
+  useEffect(() => {
+    saveState(storageKey, entries);
+  }, [storageKey, entries]);
+
+  useEffect(() => {
+    saveState(slipsKey, salarySlips);
+  }, [slipsKey, salarySlips]);
+
+  const value = useMemo(() => ({
+    entries,
+    salarySlips,
+    addEntry: (fields) => setEntries((prev) => [...prev, createEntry(fields)]),
+    addEntries: (list) => setEntries((prev) => [...prev, ...list.map(createEntry)]),
+    // Deleting a slip's salary entry deletes the slip with it
+    removeEntry: (id) => {
+      setEntries((prev) => prev.filter((entry) => entry.id !== id));
+      setSalarySlips((prev) => prev.filter((slip) => slip.entryId !== id));
+    },
+    // A slip posts its pay to the ledger as Salary income and remembers the entry it created
+    addSalarySlip: (fields) => {
+      const slip = createSalarySlip(fields);
+      const entry = createEntry(slipEntryFields(slip));
+      setEntries((prev) => [...prev, entry]);
+      setSalarySlips((prev) => [...prev, { ...slip, entryId: entry.id }]);
+    },
+    removeSalarySlip: (id) => {
+      const slip = salarySlips.find((s) => s.id === id);
+      setSalarySlips((prev) => prev.filter((s) => s.id !== id));
+      if (slip) setEntries((prev) => prev.filter((entry) => entry.id !== slip.entryId));
+    },
+  }), [entries, salarySlips]);
+
+  return <LedgerContext.Provider value={value}>{children}</LedgerContext.Provider>;
+}
+
+export default LedgerProvider;
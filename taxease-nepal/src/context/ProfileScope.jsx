@@ -0,0 +1,25 @@
+import React from 'react';
+import { useProfiles } from './ProfilesContext';
+import LedgerProvider from './LedgerProvider.jsx';
+import TaxProfileProvider from './TaxProfileProvider.jsx';
+import AttachmentsProvider from './AttachmentsProvider.jsx';
+import UnlockScreen from '../components/UnlockScreen';
+
+// Keys the data providers by profile so switching remounts them with that profile's storage
+function ProfileScope({ children }) {
+  const { activeProfile, isUnlocked } = useProfiles();
+
+  if (!isUnlocked) return <UnlockScreen />;
+
+  return (
+    <TaxProfileProvider key={activeProfile.id} profileId={activeProfile.id}>
+      <LedgerProvider key={activeProfile.id} profileId={activeProfile.id}>
+        <AttachmentsProvider key={activeProfile.id} profileId={activeProfile.id}>
+          {children}
+        </AttachmentsProvider>
+      </LedgerProvider>
+    </TaxProfileProvider>
+  );
+}
+
+export default ProfileScope;
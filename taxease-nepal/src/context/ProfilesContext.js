@@ -0,0 +1,14 @@
+import { createContext, useContext } from 'react';
+
+export const ProfilesContext = createContext(null);
+
+export function useProfiles() {
+  const ctx = useContext(ProfilesContext);
+  if (!ctx) throw new Error('useProfiles must be used inside <ProfilesProvider>');
+  return ctx;
+}
+
+// A profile needs signing in when it has a passphrase or belongs to a remote account
+export function isProtected(profile) {
+  return Boolean(profile.passphrase || profile.remoteUserId);
+}
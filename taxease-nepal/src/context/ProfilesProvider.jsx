@@ -0,0 +1,123 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ProfilesContext, isProtected } from './ProfilesContext';
+import { clearScope, loadState, migrateLegacyKeys, saveState } from '../utils/storage';
+import { hashPassphrase } from '../utils/crypto';
+import { deleteProfileAttachments } from '../utils/attachmentStore';
+import { AUTH_ENDPOINT, createHttpAuthAdapter, createLocalAuthAdapter } from '../utils/auth';
+
+const PROFILES_KEY = 'profiles';
+const ACTIVE_KEY = 'activeProfile';
+// Keys written before profiles existed; they become the first profile's data
+const LEGACY_KEYS = ['ledger', 'taxProfile', 'reminders'];
+
+function newProfile(name, fields = {}) {
+  return { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, name, passphrase: null, ...fields };
+}
+
+function loadProfiles() {
+  const stored = loadState(PROFILES_KEY, null);
+  if (stored?.length) return stored;
+  // Fixed id so a repeated initialiser (StrictMode) lands on the same namespace
+  const first = newProfile('My profile', { id: 'default' });
+  migrateLegacyKeys(first.id, LEGACY_KEYS);
+  return [first];
+}
+
+function ProfilesProvider({ children }) {
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeId, setActiveId] = useState(() => loadState(ACTIVE_KEY, null));
+  // Profiles signed into during this page session; never persisted
+  const [sessions, setSessions] = useState({});
+
+  const activeProfile = profiles.find((p) => p.id === activeId) || profiles[0];
+
+  useEffect(() => {
+    saveState(PROFILES_KEY, profiles);
+  }, [profiles]);
+
+  useEffect(() => {
+    saveState(ACTIVE_KEY, activeProfile.id);
+  }, [activeProfile.id]);
+
+  const value = useMemo(() => {
+    const findProfile = (id) => profiles.find((p) => p.id === id);
+    const localAuth = createLocalAuthAdapter({ findProfile });
+    const remoteAuth = AUTH_ENDPOINT ? createHttpAuthAdapter({ baseUrl: AUTH_ENDPOINT }) : null;
+
+    const updateProfileEntry = (id, fields) => {
+      setProfiles((prev) => prev.map((p) => (p.id === id ? { ...p, ...fields } : p)));
+    };
+
+    const endSession = (id) => {
+      setSessions((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+    };
+
+    const open = (id, session) => {
+      setSessions((prev) => ({ ...prev, [id]: session }));
+      setActiveId(id);
+    };
+
+    return {
+      profiles,
+      activeProfile,
+      isUnlocked: !isProtected(activeProfile) || Boolean(sessions[activeProfile.id]),
+      remoteEnabled: Boolean(remoteAuth),
+      // Switching to a protected profile shows the unlock screen until unlock() succeeds
+      selectProfile: (id) => setActiveId(id),
+      // Rejects with AuthError when the passphrase is wrong
+      async unlock(passphrase) {
+        open(activeProfile.id, await localAuth.signIn({ username: activeProfile.id, passphrase }));
+      },
+      async createProfile(name, passphrase = '') {
+        const profile = newProfile(name, { passphrase: passphrase ? await hashPassphrase(passphrase) : null });
+        setProfiles((prev) => [...prev, profile]);
+        open(profile.id, { user: { id: profile.id, name }, token: null });
+      },
+      renameProfile: (id, name) => updateProfileEntry(id, { name }),
+      async setPassphrase(id, passphrase) {
+        const profile = findProfile(id);
+        updateProfileEntry(id, { passphrase: passphrase ? await hashPassphrase(passphrase) : null });
+        // Whoever set the passphrase already has the profile open; keep it that way until they lock it
+        if (passphrase && id === activeProfile.id && !sessions[id]) {
+          setSessions((prev) => ({ ...prev, [id]: { user: { id, name: profile.name }, token: null } }));
+        }
+      },
+      deleteProfile(id) {
+        if (profiles.length === 1) return;
+        clearScope(id);
+        deleteProfileAttachments(id).catch(() => {
+          // Nothing to clean up when IndexedDB is unavailable
+        });
+        setProfiles((prev) => prev.filter((p) => p.id !== id));
+        endSession(id);
+        if (id === activeProfile.id) setActiveId(profiles.find((p) => p.id !== id).id);
+      },
+      // Locks at once; telling the server is best effort, since the token is forgotten either way
+      async lock() {
+        const session = sessions[activeProfile.id];
+        endSession(activeProfile.id);
+        if (!activeProfile.remoteUserId || !remoteAuth) return;
+        await remoteAuth.signOut(session).catch(() => {
+          // Offline or the server is down; the session expires there on its own
+        });
+      },
+      // Remote accounts get a local profile of their own, matched by the server's user id
+      async signInRemote(username, passphrase) {
+        if (!remoteAuth) throw new Error('No auth server configured');
+        const session = await remoteAuth.signIn({ username, passphrase });
+        const existing = profiles.find((p) => p.remoteUserId === session.user.id);
+        const profile = existing || newProfile(session.user.name, { remoteUserId: session.user.id, username });
+        if (!existing) setProfiles((prev) => [...prev, profile]);
+        open(profile.id, session);
+      },
+    };
+  }, [profiles, activeProfile, sessions]);
+
+  return <ProfilesContext.Provider value={value}>{children}</ProfilesContext.Provider>;
+}
+
+export default ProfilesProvider;
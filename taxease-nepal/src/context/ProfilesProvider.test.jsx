@@ -0,0 +1,95 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, cleanup, renderHook } from '@testing-library/react';
+import { useProfiles } from './ProfilesContext';
+import { hashPassphrase } from '../utils/crypto';
+import { saveState } from '../utils/storage';
+import { createMockAuthServer } from '../../scripts/mock-auth-server';
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = createMockAuthServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+// AUTH_ENDPOINT is read when auth.js loads, so each test imports the provider afresh
+async function renderProfiles({ endpoint = '' } = {}) {
+  vi.stubEnv('VITE_AUTH_ENDPOINT', endpoint);
+  vi.resetModules();
+  const { default: ProfilesProvider } = await import('./ProfilesProvider');
+  const { useProfiles: useFreshProfiles } = await import('./ProfilesContext');
+  return renderHook(() => useFreshProfiles(), {
+    wrapper: ({ children }) => <ProfilesProvider>{children}</ProfilesProvider>,
+  });
+}
+
+describe('ProfilesProvider', () => {
+  beforeEach(() => localStorage.clear());
+
+  afterEach(() => {
+    cleanup();
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it('throws outside the provider', () => {
+    expect(() => renderHook(() => useProfiles())).toThrow(/inside <ProfilesProvider>/);
+  });
+
+  it('keeps a protected profile locked until unlock() gets the right passphrase, and locks it again', async () => {
+    saveState('profiles', [{ id: 'sita', name: 'Sita', passphrase: await hashPassphrase('correct horse') }]);
+    const { result } = await renderProfiles();
+
+    expect(result.current.isUnlocked).toBe(false);
+    await expect(result.current.unlock('wrong')).rejects.toThrow('Wrong passphrase');
+    expect(result.current.isUnlocked).toBe(false);
+
+    await act(() => result.current.unlock('correct horse'));
+    expect(result.current.isUnlocked).toBe(true);
+
+    await act(() => result.current.lock());
+    expect(result.current.isUnlocked).toBe(false);
+  });
+
+  it('leaves the active profile open after its passphrase is set', async () => {
+    const { result } = await renderProfiles();
+    expect(result.current.isUnlocked).toBe(true);
+
+    await act(() => result.current.setPassphrase(result.current.activeProfile.id, 'new secret'));
+
+    expect(result.current.activeProfile.passphrase).toEqual(expect.objectContaining({ hash: expect.any(String) }));
+    expect(result.current.isUnlocked).toBe(true);
+  });
+
+  it('signs a remote account in, then signs it out on the server when locking', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    const { result } = await renderProfiles({ endpoint: baseUrl });
+    expect(result.current.remoteEnabled).toBe(true);
+
+    await act(() => result.current.signInRemote('demo', 'demo123'));
+    expect(result.current.activeProfile).toEqual(expect.objectContaining({ name: 'Demo Taxpayer', remoteUserId: 'u-1' }));
+    expect(result.current.isUnlocked).toBe(true);
+
+    await act(() => result.current.lock());
+    expect(result.current.isUnlocked).toBe(false);
+    const [url, init] = fetchSpy.mock.calls.at(-1);
+    expect(url).toBe(`${baseUrl}/logout`);
+    expect(init.headers.Authorization).toMatch(/^Bearer /);
+  });
+
+  it('locks a remote profile even when the server cannot be reached', async () => {
+    const { result } = await renderProfiles({ endpoint: baseUrl });
+    await act(() => result.current.signInRemote('demo', 'demo123'));
+    vi.spyOn(globalThis, 'fetch').mockRejectedValue(new TypeError('fetch failed'));
+
+    await act(() => result.current.lock());
+
+    expect(result.current.isUnlocked).toBe(false);
+  });
+});
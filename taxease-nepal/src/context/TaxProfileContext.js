@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+
+export const TaxProfileContext = createContext(null);
+
+export function useTaxProfile() {
+  const ctx = useContext(TaxProfileContext);
+  if (!ctx) throw new Error('useTaxProfile must be used inside <TaxProfileProvider>');
+  return ctx;
+}
@@ -0,0 +1,40 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { TaxProfileContext } from './TaxProfileContext';
+import { CURRENT_FISCAL_YEAR } from '../utils/fiscalYears';
+import { EMPTY_DEDUCTIONS } from '../utils/deductions';
+import { loadState, saveState, scopedKey } from '../utils/storage';
+
+const DEFAULT_PROFILE = {
+  taxpayerName: '',
+  pan: '',
+  fiscalYear: CURRENT_FISCAL_YEAR,
+  status: 'individual',
+  residency: 'resident',
+  deductions: EMPTY_DEDUCTIONS,
+  mode: 'personal',
+  business: {
+    type: 'goods',
+    location: 'metropolitan',
+    vatRegistered: false,
+  },
+};
+
+function TaxProfileProvider({ profileId, children }) {
+  const storageKey = scopedKey(profileId, 'taxProfile');
+  const [profile, setProfile] = useState(() => ({ ...DEFAULT_PROFILE, ...loadState(storageKey, {}) }));
+
+  useEffect(() => {
+    saveState(storageKey, profile);
+  }, [storageKey, profile]);
+
+  const value = useMemo(() => ({
+    ...profile,
+    updateProfile: (fields) => setProfile((prev) => ({ ...prev, ...fields })),
+    updateDeductions: (fields) => setProfile((prev) => ({ ...prev, deductions: { ...prev.deductions, ...fields } })),
+    updateBusiness: (fields) => setProfile((prev) => ({ ...prev, business: { ...prev.business, ...fields } })),
+  }), [profile]);
+
+  return <TaxProfileContext.Provider value={value}>{children}</TaxProfileContext.Provider>;
+}
+
+export default TaxProfileProvider;
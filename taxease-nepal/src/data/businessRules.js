@@ -0,0 +1,25 @@
+// VAT and presumptive tax rules per fiscal year (Value Added Tax Act 2052, Income Tax Act 2058 section 4(4))
+const RULES_2079 = {
+  vatRate: 0.13,
+  // Annual turnover above which VAT registration becomes mandatory
+  vatThreshold: { goods: 5000000, services: 2000000 },
+  // Monthly VAT returns are due by this day of the following BS month
+  vatReturnDay: 25,
+  // Small resident traders below this turnover may pay a fixed presumptive tax instead
+  presumptiveTurnoverLimit: 3000000,
+  presumptiveTax: { metropolitan: 7500, municipality: 4000, other: 2500 },
+};
+
+export const BUSINESS_RULES = {
+  '2079/80': RULES_2079,
+  '2080/81': RULES_2079,
+  '2081/82': RULES_2079,
+};
+
+export const BUSINESS_TYPES = { goods: 'Goods trading', services: 'Services / mixed' };
+
+export const BUSINESS_LOCATIONS = {
+  metropolitan: 'Metropolitan / sub-metropolitan city',
+  municipality: 'Municipality',
+  other: 'Other area',
+};
@@ -0,0 +1,28 @@
+// Deduction caps per fiscal year (Income Tax Act 2058 sections 63, 51 and 12, Schedule 1)
+const REMOTE_AREA_ALLOWANCE = { A: 50000, B: 40000, C: 30000, D: 20000, E: 10000 };
+
+const RULES_2079 = {
+  // Retirement contributions: lesser of one third of assessable income or the cap
+  retirementFraction: 1 / 3,
+  retirementCap: 300000,
+  ssfRetirementCap: 500000,
+  lifeInsuranceCap: 40000,
+  healthInsuranceCap: 20000,
+  // Medical tax credit: 15% of approved medical expenses, capped per year
+  medicalCreditRate: 0.15,
+  medicalCreditCap: 750,
+  remoteArea: REMOTE_AREA_ALLOWANCE,
+};
+
+const RULES_2080 = {
+  ...RULES_2079,
+  retirementCap: 500000,
+};
+
+export const DEDUCTION_RULES = {
+  '2079/80': RULES_2079,
+  '2080/81': RULES_2080,
+  '2081/82': RULES_2080,
+};
+
+export const REMOTE_AREA_GRADES = Object.keys(REMOTE_AREA_ALLOWANCE);
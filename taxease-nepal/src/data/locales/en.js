@@ -0,0 +1,166 @@
+// English UI strings. Keys are grouped by component; `{name}` marks a placeholder.
+export const en = {
+  'common.currency': 'NPR ',
+
+  'status.individual': 'Individual',
+  'status.couple': 'Couple',
+  'residency.resident': 'Resident',
+  'residency.nonResident': 'Non-resident',
+
+  'fiscalYear.option': 'FY {fiscalYear}',
+  'fiscalYear.range': '{start} – {end} ({startAd} to {endAd})',
+
+  'deductions.ssf': 'SSF contribution',
+  'deductions.providentFund': 'Provident Fund / CIT',
+  'deductions.lifeInsurance': 'Life insurance premium',
+  'deductions.healthInsurance': 'Health insurance premium',
+  'deductions.medicalExpenses': 'Medical expenses',
+  'deductions.retirementHint': 'up to {cap} or ⅓ of income',
+  'deductions.capHint': 'up to {cap}',
+  'deductions.medicalHint': '{rate} credit, max {cap}',
+  'deductions.remoteArea': 'Remote area',
+  'deductions.notApplicable': 'Not applicable',
+  'deductions.grade': 'Grade {grade} ({amount})',
+
+  'step.retirement': 'SSF / Provident Fund / CIT',
+  'step.lifeInsurance': 'Life insurance premium',
+  'step.healthInsurance': 'Health insurance premium',
+  'step.remoteArea': 'Remote area allowance (grade {grade})',
+
+  'tax.title': 'Tax Calculator',
+  'tax.deductionsHeading': 'Deductions & Exemptions',
+  'tax.incomePlaceholder': 'Enter gross income (NPR)',
+  'tax.calculate': 'Calculate Tax',
+  'tax.grossIncome': 'Gross income',
+  'tax.less': 'Less: {label}',
+  'tax.cappedFrom': 'capped from {amount}',
+  'tax.taxableIncome': 'Taxable income',
+  'tax.slab': 'Slab (NPR)',
+  'tax.rate': 'Rate',
+  'tax.taxable': 'Taxable (NPR)',
+  'tax.tax': 'Tax (NPR)',
+  'tax.andAbove': 'and above',
+  'tax.socialSecurity': 'social security',
+  'tax.socialSecurityWaived': 'social security, waived for SSF contributors',
+  'tax.medicalCredit': 'Less: Medical tax credit',
+  'tax.estimated': 'Estimated Tax (FY {fiscalYear}): {amount}',
+  'tax.rateYearNote': 'Using FY {rateYear} rates, the latest published slab table.',
+  'tax.rates': 'Effective rate {effective} · Marginal rate {marginal}',
+
+  'sweetSpot.headline': '{amount} more in deductions moves you from the {from} slab to {to}.',
+  'sweetSpot.capsUsed': 'All deduction caps are already used.',
+  'sweetSpot.candidate': '{label}: room for {headroom}',
+  'sweetSpot.enough': ' — enough on its own',
+  'sweetSpot.saves': ', saves up to {amount}',
+
+  'scenario.title': 'What-if Scenarios',
+  'scenario.intro': 'Based on your ledger for FY {fiscalYear}. Add a hypothetical entry, leave out a category or change deductions, then compare.',
+  'scenario.namePlaceholder': 'Scenario name, e.g. Bonus in Shrawan',
+  'scenario.extraIncome': 'Extra income',
+  'scenario.extraExpense': 'Extra expense',
+  'scenario.amountPlaceholder': 'Amount (NPR, optional)',
+  'scenario.keepAll': 'Keep all ledger categories',
+  'scenario.leaveOut': 'Leave out {category}',
+  'scenario.maxRetirement': 'Max out SSF / PF / CIT',
+  'scenario.pfContribution': 'PF / CIT contribution',
+  'scenario.override': '{label} (override)',
+  'scenario.save': 'Save Scenario',
+  'scenario.column': 'Scenario',
+  'scenario.taxFor': 'Tax FY {fiscalYear}',
+  'scenario.changeInTax': 'Change in tax',
+  'scenario.takeHome': 'Take-home',
+  'scenario.change': 'Change',
+  'scenario.marginal': 'Marginal',
+  'scenario.current': 'Current ledger',
+  'scenario.sweetSpot': 'Sweet spot: {amount} more deduction drops to {rate}',
+  'scenario.delete': 'Delete',
+  'scenario.footnote': 'Take-home is net income minus tax across the years shown; retirement contributions still count as yours.',
+  'scenario.describeEntry': '{sign}{amount} {category} on {date}',
+  'scenario.describeWithout': 'without {categories}',
+  'scenario.describeMaxed': 'retirement cap maxed out',
+
+  'penalty.title': 'Penalty Simulator',
+  'penalty.income': 'Income (NPR)',
+  'penalty.filedOn': 'Return filed on',
+  'penalty.paidOn': 'Tax paid on',
+  'penalty.installmentsOnTime': 'Advance tax installments were paid on time',
+  'penalty.simulate': 'Simulate',
+  'penalty.summary': 'Tax due {tax} · return due {dueDate} · filed {filingDays} days late · paid {paymentDays} days late',
+  'penalty.component': 'Component',
+  'penalty.months': 'Months',
+  'penalty.amount': 'Amount (NPR)',
+  'penalty.lateFiling': 'Late filing fee (sec 117)',
+  'penalty.installment': 'Interest on installment {n} shortfall (sec 118)',
+  'penalty.lateInterest': 'Interest on unpaid tax (sec 119)',
+  'penalty.total': 'Estimated Penalty: {amount}',
+
+  'reminders.title': 'Reminders & Alerts',
+  'reminders.enableAlerts': 'Enable browser alerts',
+  'reminders.none': 'No upcoming deadlines.',
+  'reminders.snooze': 'Snooze {days}d',
+  'reminders.dismiss': 'Dismiss',
+  'reminders.restoreOne': 'Restore 1 dismissed or snoozed reminder',
+  'reminders.restoreMany': 'Restore {count} dismissed or snoozed reminders',
+  'reminders.actionNow': 'Action needed now',
+  'reminders.overdue': 'Overdue since {date} ({days} days)',
+  'reminders.dueToday': 'Due today, {date}',
+  'reminders.due': 'Due {date} ({days} days left)',
+
+  'reminder.advance-1': 'First advance tax installment (40%) for FY {fiscalYear}',
+  'reminder.advance-2': 'Second advance tax installment (70%) for FY {fiscalYear}',
+  'reminder.advance-3': 'Final advance tax installment (100%) for FY {fiscalYear}',
+  'reminder.return': 'File annual income tax return for FY {fiscalYear}',
+  'reminder.vat-return': 'File VAT return for {month} {year}',
+  'reminder.vat-return-payable': 'File VAT return for {month} {year} ({amount} payable)',
+  'reminder.vat-threshold': 'Business turnover crossed {amount}! Register for VAT.',
+
+  'report.title': 'TaxEase Nepal - Tax Summary Report',
+  'report.generated': 'Generated {bsDate} BS ({adDate} AD)',
+  'report.footer': 'TaxEase Nepal - {generated}. Estimates only; verify with the Inland Revenue Department.',
+  'report.page': 'Page {page} of {pages}',
+  'report.profile': 'Taxpayer profile',
+  'report.field': 'Field',
+  'report.value': 'Value',
+  'report.name': 'Name',
+  'report.pan': 'PAN',
+  'report.status': 'Assessee status',
+  'report.residency': 'Residency',
+  'report.profileType': 'Profile type',
+  'report.business': 'Business',
+  'report.personal': 'Personal',
+  'report.category': 'Category',
+  'report.incomeByCategory': 'Income by category',
+  'report.noIncome': 'No income recorded for this fiscal year.',
+  'report.totalIncome': 'Total income',
+  'report.expensesByCategory': 'Expenses by category',
+  'report.noExpenses': 'No expenses recorded for this fiscal year.',
+  'report.totalExpenses': 'Total expenses',
+  'report.item': 'Item',
+  'report.npr': 'NPR',
+  'report.netIncome': 'Net income',
+  'report.documents': 'Supporting documents',
+  'report.noDeductions': 'No deductions claimed.',
+  'report.deductionClaimed': 'Deduction claimed',
+  'report.documentCount': 'Documents',
+  'report.documentStatus': 'Status',
+  'report.missing': 'MISSING',
+  'report.attached': 'Attached',
+  'report.missingDocuments': '{count} claimed deduction(s) have no supporting document attached in TaxEase.',
+  'report.taxBySlab': 'Tax by slab',
+  'report.waived': 'waived',
+  'report.totalTax': 'Total tax',
+  'report.rates': 'Effective rate {effective}, marginal rate {marginal}.',
+  'report.penalty': 'Penalty estimate',
+  'report.penaltyAssumption': 'If the return is filed and tax paid on {date}; return due {dueDate}.',
+  'report.total': 'Total',
+  'report.deadlines': 'Upcoming deadlines',
+  'report.reminder': 'Reminder',
+  'report.dueBs': 'Due (BS)',
+  'report.now': 'Now',
+
+  'pwa.offlineReady': 'TaxEase Nepal is saved on this device and now works offline.',
+  'pwa.updateAvailable': 'A new version of TaxEase Nepal is available. Your data stays on this device.',
+  'pwa.reload': 'Update now',
+  'pwa.later': 'Later',
+  'pwa.close': 'OK',
+};
@@ -0,0 +1,166 @@
+// नेपाली UI strings. Digits stay Latin here; the numeral setting converts them when shown.
+export const ne = {
+  'common.currency': 'रु. ',
+
+  'status.individual': 'व्यक्तिगत',
+  'status.couple': 'दम्पती',
+  'residency.resident': 'बासिन्दा',
+  'residency.nonResident': 'गैरबासिन्दा',
+
+  'fiscalYear.option': 'आ.व. {fiscalYear}',
+  'fiscalYear.range': '{start} – {end} ({startAd} देखि {endAd} सम्म)',
+
+  'deductions.ssf': 'सामाजिक सुरक्षा कोष योगदान',
+  'deductions.providentFund': 'सञ्चय कोष / नागरिक लगानी कोष',
+  'deductions.lifeInsurance': 'जीवन बीमा प्रिमियम',
+  'deductions.healthInsurance': 'स्वास्थ्य बीमा प्रिमियम',
+  'deductions.medicalExpenses': 'औषधि उपचार खर्च',
+  'deductions.retirementHint': '{cap} वा आयको ⅓ सम्म',
+  'deductions.capHint': '{cap} सम्म',
+  'deductions.medicalHint': '{rate} कर मिलान, बढीमा {cap}',
+  'deductions.remoteArea': 'दुर्गम क्षेत्र',
+  'deductions.notApplicable': 'लागू हुँदैन',
+  'deductions.grade': '{grade} वर्ग ({amount})',
+
+  'step.retirement': 'सामाजिक सुरक्षा कोष / सञ्चय कोष / नागरिक लगानी कोष',
+  'step.lifeInsurance': 'जीवन बीमा प्रिमियम',
+  'step.healthInsurance': 'स्वास्थ्य बीमा प्रिमियम',
+  'step.remoteArea': 'दुर्गम क्षेत्र भत्ता ({grade} वर्ग)',
+
+  'tax.title': 'कर गणक',
+  'tax.deductionsHeading': 'कट्टी तथा छुट',
+  'tax.incomePlaceholder': 'कुल आय लेख्नुहोस् (रु.)',
+  'tax.calculate': 'कर हिसाब गर्नुहोस्',
+  'tax.grossIncome': 'कुल आय',
+  'tax.less': 'घटाउने: {label}',
+  'tax.cappedFrom': '{amount} बाट सीमित',
+  'tax.taxableIncome': 'करयोग्य आय',
+  'tax.slab': 'कर दर सीमा (रु.)',
+  'tax.rate': 'दर',
+  'tax.taxable': 'करयोग्य (रु.)',
+  'tax.tax': 'कर (रु.)',
+  'tax.andAbove': 'भन्दा माथि',
+  'tax.socialSecurity': 'सामाजिक सुरक्षा कर',
+  'tax.socialSecurityWaived': 'सामाजिक सुरक्षा कर, कोषमा योगदान गर्नेलाई छुट',
+  'tax.medicalCredit': 'घटाउने: औषधि उपचार कर मिलान',
+  'tax.estimated': 'अनुमानित कर (आ.व. {fiscalYear}): {amount}',
+  'tax.rateYearNote': 'पछिल्लो प्रकाशित तालिका अनुसार आ.व. {rateYear} को दर प्रयोग गरिएको छ।',
+  'tax.rates': 'प्रभावकारी दर {effective} · सीमान्त दर {marginal}',
+
+  'sweetSpot.headline': 'थप {amount} कट्टी गर्दा तपाईं {from} दरबाट {to} दरमा झर्नुहुन्छ।',
+  'sweetSpot.capsUsed': 'सबै कट्टी सीमा प्रयोग भइसकेका छन्।',
+  'sweetSpot.candidate': '{label}: {headroom} सम्म थप गुन्जायस',
+  'sweetSpot.enough': ' — यति मात्रै पर्याप्त',
+  'sweetSpot.saves': ', {amount} सम्म बचत',
+
+  'scenario.title': 'यसो भए के हुन्छ?',
+  'scenario.intro': 'आ.व. {fiscalYear} को खातामा आधारित। काल्पनिक प्रविष्टि थप्नुहोस्, कुनै वर्ग हटाउनुहोस् वा कट्टी बदल्नुहोस्, अनि तुलना गर्नुहोस्।',
+  'scenario.namePlaceholder': 'परिदृश्यको नाम, जस्तै साउनमा बोनस',
+  'scenario.extraIncome': 'थप आय',
+  'scenario.extraExpense': 'थप खर्च',
+  'scenario.amountPlaceholder': 'रकम (रु., ऐच्छिक)',
+  'scenario.keepAll': 'खाताका सबै वर्ग राख्नुहोस्',
+  'scenario.leaveOut': '{category} हटाउनुहोस्',
+  'scenario.maxRetirement': 'कोष योगदान पूरा सीमासम्म',
+  'scenario.pfContribution': 'सञ्चय कोष / नागरिक लगानी कोष योगदान',
+  'scenario.override': '{label} (फेरिएको)',
+  'scenario.save': 'परिदृश्य सुरक्षित गर्नुहोस्',
+  'scenario.column': 'परिदृश्य',
+  'scenario.taxFor': 'कर आ.व. {fiscalYear}',
+  'scenario.changeInTax': 'करमा फरक',
+  'scenario.takeHome': 'हातमा पर्ने',
+  'scenario.change': 'फरक',
+  'scenario.marginal': 'सीमान्त दर',
+  'scenario.current': 'हालको खाता',
+  'scenario.sweetSpot': 'उपयुक्त बिन्दु: थप {amount} कट्टीले {rate} दरमा झार्छ',
+  'scenario.delete': 'हटाउनुहोस्',
+  'scenario.footnote': 'हातमा पर्ने रकम देखाइएका वर्षको खुद आयबाट कर घटाएर निकालिएको हो; अवकाश कोषको योगदान तपाईंकै मानिन्छ।',
+  'scenario.describeEntry': '{date} मा {sign}{amount} {category}',
+  'scenario.describeWithout': '{categories} बाहेक',
+  'scenario.describeMaxed': 'अवकाश कोष सीमा पूरा',
+
+  'penalty.title': 'जरिवाना अनुमान',
+  'penalty.income': 'आय (रु.)',
+  'penalty.filedOn': 'विवरण बुझाएको मिति',
+  'penalty.paidOn': 'कर तिरेको मिति',
+  'penalty.installmentsOnTime': 'अग्रिम करका किस्ता समयमै तिरिएका थिए',
+  'penalty.simulate': 'हिसाब गर्नुहोस्',
+  'penalty.summary': 'तिर्नुपर्ने कर {tax} · विवरणको म्याद {dueDate} · {filingDays} दिन ढिलो बुझाइएको · {paymentDays} दिन ढिलो तिरिएको',
+  'penalty.component': 'विवरण',
+  'penalty.months': 'महिना',
+  'penalty.amount': 'रकम (रु.)',
+  'penalty.lateFiling': 'ढिलो विवरण बुझाएको शुल्क (दफा 117)',
+  'penalty.installment': '{n} औं किस्ता कम तिरेकोमा ब्याज (दफा 118)',
+  'penalty.lateInterest': 'नतिरेको करमा ब्याज (दफा 119)',
+  'penalty.total': 'अनुमानित जरिवाना: {amount}',
+
+  'reminders.title': 'सम्झना तथा सूचना',
+  'reminders.enableAlerts': 'ब्राउजर सूचना खोल्नुहोस्',
+  'reminders.none': 'नजिकै कुनै म्याद छैन।',
+  'reminders.snooze': '{days} दिनपछि सम्झाउनुहोस्',
+  'reminders.dismiss': 'हटाउनुहोस्',
+  'reminders.restoreOne': 'हटाइएको वा पछि सारिएको 1 सम्झना फर्काउनुहोस्',
+  'reminders.restoreMany': 'हटाइएका वा पछि सारिएका {count} सम्झना फर्काउनुहोस्',
+  'reminders.actionNow': 'अहिले नै गर्नुपर्ने',
+  'reminders.overdue': '{date} देखि म्याद नाघेको ({days} दिन)',
+  'reminders.dueToday': 'आज म्याद, {date}',
+  'reminders.due': 'म्याद {date} ({days} दिन बाँकी)',
+
+  'reminder.advance-1': 'आ.व. {fiscalYear} को पहिलो अग्रिम कर किस्ता (40%)',
+  'reminder.advance-2': 'आ.व. {fiscalYear} को दोस्रो अग्रिम कर किस्ता (70%)',
+  'reminder.advance-3': 'आ.व. {fiscalYear} को अन्तिम अग्रिम कर किस्ता (100%)',
+  'reminder.return': 'आ.व. {fiscalYear} को वार्षिक आयकर विवरण बुझाउनुहोस्',
+  'reminder.vat-return': '{month} {year} को मूल्य अभिवृद्धि कर विवरण बुझाउनुहोस्',
+  'reminder.vat-return-payable': '{month} {year} को मूल्य अभिवृद्धि कर विवरण बुझाउनुहोस् ({amount} तिर्नुपर्ने)',
+  'reminder.vat-threshold': 'व्यवसायको कारोबार {amount} नाघ्यो! मूल्य अभिवृद्धि करमा दर्ता गर्नुहोस्।',
+
+  'report.title': 'TaxEase Nepal - कर सारांश प्रतिवेदन',
+  'report.generated': '{bsDate} वि.सं. ({adDate} ई.सं.) मा तयार',
+  'report.footer': 'TaxEase Nepal - {generated}। अनुमान मात्र; आन्तरिक राजस्व विभागसँग रुजु गर्नुहोस्।',
+  'report.page': 'पृष्ठ {page} / {pages}',
+  'report.profile': 'करदाता विवरण',
+  'report.field': 'विवरण',
+  'report.value': 'मान',
+  'report.name': 'नाम',
+  'report.pan': 'स्थायी लेखा नम्बर',
+  'report.status': 'करदाताको हैसियत',
+  'report.residency': 'बासिन्दा स्थिति',
+  'report.profileType': 'प्रोफाइल प्रकार',
+  'report.business': 'व्यवसाय',
+  'report.personal': 'व्यक्तिगत',
+  'report.category': 'शीर्षक',
+  'report.incomeByCategory': 'शीर्षकअनुसार आय',
+  'report.noIncome': 'यस आर्थिक वर्षमा कुनै आय लेखिएको छैन।',
+  'report.totalIncome': 'कुल आय',
+  'report.expensesByCategory': 'शीर्षकअनुसार खर्च',
+  'report.noExpenses': 'यस आर्थिक वर्षमा कुनै खर्च लेखिएको छैन।',
+  'report.totalExpenses': 'कुल खर्च',
+  'report.item': 'विवरण',
+  'report.npr': 'रु.',
+  'report.netIncome': 'खुद आय',
+  'report.documents': 'प्रमाण कागजात',
+  'report.noDeductions': 'कुनै कट्टी दाबी गरिएको छैन।',
+  'report.deductionClaimed': 'दाबी गरिएको कट्टी',
+  'report.documentCount': 'कागजात',
+  'report.documentStatus': 'स्थिति',
+  'report.missing': 'छैन',
+  'report.attached': 'संलग्न',
+  'report.missingDocuments': 'दाबी गरिएका {count} कट्टीको प्रमाण कागजात TaxEase मा संलग्न छैन।',
+  'report.taxBySlab': 'दरअनुसार कर',
+  'report.waived': 'छुट',
+  'report.totalTax': 'कुल कर',
+  'report.rates': 'प्रभावकारी दर {effective}, सीमान्त दर {marginal}।',
+  'report.penalty': 'जरिवाना अनुमान',
+  'report.penaltyAssumption': '{date} मा विवरण बुझाई कर तिरेमा; विवरण बुझाउने म्याद {dueDate}।',
+  'report.total': 'जम्मा',
+  'report.deadlines': 'आगामी म्यादहरू',
+  'report.reminder': 'सम्झना',
+  'report.dueBs': 'म्याद (वि.सं.)',
+  'report.now': 'अहिले',
+
+  'pwa.offlineReady': 'TaxEase Nepal यो उपकरणमा सुरक्षित भयो, अब इन्टरनेटबिना पनि चल्छ।',
+  'pwa.updateAvailable': 'TaxEase Nepal को नयाँ संस्करण उपलब्ध छ। तपाईंको विवरण यही उपकरणमा रहन्छ।',
+  'pwa.reload': 'अहिले अद्यावधिक गर्नुहोस्',
+  'pwa.later': 'पछि',
+  'pwa.close': 'ठीक छ',
+};
@@ -0,0 +1,16 @@
+// Late fees and interest per fiscal year (Income Tax Act 2058 sections 117, 118 and 119)
+const RULES_2079 = {
+  // Sec 117: higher of 0.1% of assessable income per annum or a fixed amount per month
+  lateFilingAnnualRate: 0.001,
+  lateFilingMonthlyMinimum: 100,
+  // Sec 118: interest on advance tax installments paid short or late
+  installmentInterestRate: 0.15,
+  // Sec 119: interest on tax not paid by the due date
+  lateInterestRate: 0.15,
+};
+
+export const PENALTY_RULES = {
+  '2079/80': RULES_2079,
+  '2080/81': RULES_2079,
+  '2081/82': RULES_2079,
+};
@@ -0,0 +1,118 @@
+// Offline knowledge base for the assistant: plain-language summaries of the Income Tax Act 2058,
+// the VAT Act 2052 and common IRD FAQs. Keep entries short; the retriever ranks them by keyword overlap.
+export const TAX_CORPUS = [
+  {
+    id: 'slabs',
+    title: 'Income tax slabs for resident individuals',
+    source: 'Income Tax Act 2058, Schedule 1',
+    text: 'Resident individuals pay 1% social security tax on the first NPR 5 lakh (6 lakh for couples), 10% on the next 2 lakh, 20% on the next 3 lakh, 30% up to NPR 20 lakh, 36% up to NPR 50 lakh and 39% above NPR 50 lakh from FY 2080/81.',
+  },
+  {
+    id: 'couple',
+    title: 'Choosing couple status',
+    source: 'Income Tax Act 2058, Schedule 1 (1)(2)',
+    text: 'A resident natural person who is married may elect to be assessed as a couple. The first slab is then NPR 6 lakh instead of 5 lakh. The election is made in the return and applies to the combined income of both spouses.',
+  },
+  {
+    id: 'non-resident',
+    title: 'Tax rate for non-residents',
+    source: 'Income Tax Act 2058, Schedule 1 (1)(5)',
+    text: 'A non-resident natural person pays a flat 25% on taxable income earned in Nepal. Slab rates, the social security slab and most deductions do not apply.',
+  },
+  {
+    id: 'ssf-waiver',
+    title: 'Social security tax waiver for SSF contributors',
+    source: 'Income Tax Act 2058, Schedule 1; Social Security Act 2075',
+    text: 'Employees who contribute to the Social Security Fund (SSF) do not pay the 1% social security tax on the first slab. Their employer deposits contributions to the SSF instead.',
+  },
+  {
+    id: 'retirement',
+    title: 'Deduction for retirement contributions (CIT, provident fund, SSF)',
+    source: 'Income Tax Act 2058, section 63',
+    text: 'Contributions to an approved retirement fund such as the Citizen Investment Trust (CIT), Employees Provident Fund or SSF are deductible up to the lesser of one third of assessable income or NPR 5 lakh (NPR 3 lakh before FY 2080/81; SSF contributors could claim up to NPR 5 lakh).',
+  },
+  {
+    id: 'life-insurance',
+    title: 'Life insurance premium deduction',
+    source: 'Income Tax Act 2058, section 12',
+    text: 'Premiums paid for life insurance with a Nepali insurer are deductible up to NPR 40,000 a year for a resident individual.',
+  },
+  {
+    id: 'health-insurance',
+    title: 'Health insurance premium deduction',
+    source: 'Income Tax Act 2058, section 12A',
+    text: 'Health insurance premiums paid to a Nepali insurer are deductible up to NPR 20,000 a year.',
+  },
+  {
+    id: 'medical-credit',
+    title: 'Medical tax credit',
+    source: 'Income Tax Act 2058, section 51',
+    text: 'A resident individual can claim a tax credit of 15% of approved medical expenses, limited to NPR 750 a year. Unused credit can be carried forward.',
+  },
+  {
+    id: 'remote-area',
+    title: 'Remote area allowance',
+    source: 'Income Tax Act 2058, Schedule 1 (1)(10)',
+    text: 'Employees working in remote areas can deduct an allowance from taxable income by area grade: A NPR 50,000, B NPR 40,000, C NPR 30,000, D NPR 20,000 and E NPR 10,000.',
+  },
+  {
+    id: 'female-rebate',
+    title: 'Rebate for women with employment income',
+    source: 'Income Tax Act 2058, Schedule 1 (1)(14)',
+    text: 'A resident woman whose only income is from employment and who is not assessed as a couple receives a 10% rebate on the tax payable.',
+  },
+  {
+    id: 'filing-deadline',
+    title: 'When to file the annual income tax return',
+    source: 'Income Tax Act 2058, section 96',
+    text: 'The annual return must be filed within three months of the end of the fiscal year, i.e. by the end of Asoj. An extension of up to three months (end of Poush) can be requested before the deadline.',
+  },
+  {
+    id: 'installments',
+    title: 'Advance tax installments',
+    source: 'Income Tax Act 2058, section 94',
+    text: 'Taxpayers with business or investment income pay advance tax in three installments: 40% of the estimated liability by the end of Poush, 70% by the end of Chaitra and 100% by the end of Asar.',
+  },
+  {
+    id: 'late-filing-fee',
+    title: 'Fee for late filing of the return',
+    source: 'Income Tax Act 2058, section 117',
+    text: 'If the return is filed late the fee is the higher of 0.1% a year of assessable income or NPR 100 for each month or part of a month of delay.',
+  },
+  {
+    id: 'interest',
+    title: 'Interest on late installments and unpaid tax',
+    source: 'Income Tax Act 2058, sections 118 and 119',
+    text: 'Interest of 15% per annum is charged on advance tax installments paid short or late, and on any tax not paid by the due date. Each month or part of a month counts as a full month.',
+  },
+  {
+    id: 'tds-salary',
+    title: 'Tax deducted at source on salary',
+    source: 'Income Tax Act 2058, section 87',
+    text: 'Employers withhold tax from monthly salary and deposit it by the 25th of the following month. If salary is your only income and tax has been fully withheld, you are not required to file a return, but you can file to claim a refund.',
+  },
+  {
+    id: 'pan',
+    title: 'Permanent Account Number (PAN)',
+    source: 'Income Tax Act 2058, section 78',
+    text: 'Every person who earns taxable income must obtain a PAN from the IRD. The PAN is a nine-digit number required on the return and on VAT invoices.',
+  },
+  {
+    id: 'vat-registration',
+    title: 'VAT registration threshold',
+    source: 'Value Added Tax Act 2052, section 10',
+    text: 'A business must register for VAT when its annual turnover exceeds NPR 50 lakh for goods or NPR 20 lakh for services or mixed supplies. VAT is charged at 13%.',
+  },
+  {
+    id: 'vat-return',
+    title: 'Monthly VAT returns',
+    source: 'Value Added Tax Act 2052, section 19',
+    text: 'VAT-registered businesses file a return each month by the 25th of the following month. VAT payable is output VAT on sales minus input VAT on purchases; excess input credit is carried forward.',
+  },
+  {
+    id: 'presumptive',
+    title: 'Presumptive tax for small businesses',
+    source: 'Income Tax Act 2058, section 4(4)',
+    text: 'A resident individual with business turnover up to NPR 30 lakh who is not VAT registered may pay a fixed presumptive tax: NPR 7,500 in metropolitan or sub-metropolitan cities, NPR 4,000 in municipalities and NPR 2,500 elsewhere.',
+  },
+];
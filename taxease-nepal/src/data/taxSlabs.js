@@ -0,0 +1,54 @@
+// Income tax slabs per Nepali fiscal year (Schedule 1, Income Tax Act 2058 as amended by each Finance Act).
+// `limit` is the cumulative upper bound of the slab; the first slab is the 1% social security tax.
+const INDIVIDUAL_2079 = [
+  { limit: 500000, rate: 0.01, socialSecurity: true },
+  { limit: 700000, rate: 0.10 },
+  { limit: 1000000, rate: 0.20 },
+  { limit: 2000000, rate: 0.30 },
+  { limit: Infinity, rate: 0.36 },
+];
+
+const COUPLE_2079 = [
+  { limit: 600000, rate: 0.01, socialSecurity: true },
+  { limit: 800000, rate: 0.10 },
+  { limit: 1100000, rate: 0.20 },
+  { limit: 2000000, rate: 0.30 },
+  { limit: Infinity, rate: 0.36 },
+];
+
+// Finance Act 2080 added a 39% slab above NPR 50 lakh
+const INDIVIDUAL_2080 = [
+  ...INDIVIDUAL_2079.slice(0, 4),
+  { limit: 5000000, rate: 0.36 },
+  { limit: Infinity, rate: 0.39 },
+];
+
+const COUPLE_2080 = [
+  ...COUPLE_2079.slice(0, 4),
+  { limit: 5000000, rate: 0.36 },
+  { limit: Infinity, rate: 0.39 },
+];
+
+// Non-resident natural persons pay a flat rate with no slabs
+const NON_RESIDENT = [{ limit: Infinity, rate: 0.25 }];
+
+export const TAX_SLABS = {
+  '2079/80': {
+    individual: INDIVIDUAL_2079,
+    couple: COUPLE_2079,
+    nonResident: NON_RESIDENT,
+  },
+  '2080/81': {
+    individual: INDIVIDUAL_2080,
+    couple: COUPLE_2080,
+    nonResident: NON_RESIDENT,
+  },
+  '2081/82': {
+    individual: INDIVIDUAL_2080,
+    couple: COUPLE_2080,
+    nonResident: NON_RESIDENT,
+  },
+};
+
+export const FISCAL_YEARS = Object.keys(TAX_SLABS);
+export const LATEST_FISCAL_YEAR = FISCAL_YEARS[FISCAL_YEARS.length - 1];
@@ -2,9 +2,20 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import I18nProvider from './context/I18nProvider.jsx'
+import ProfilesProvider from './context/ProfilesProvider.jsx'
+import ProfileScope from './context/ProfileScope.jsx'
+import UpdatePrompt from './components/UpdatePrompt.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <ProfilesProvider>
+        <ProfileScope>
+          <App />
+        </ProfileScope>
+      </ProfilesProvider>
+      <UpdatePrompt />
+    </I18nProvider>
   </StrictMode>,
 )
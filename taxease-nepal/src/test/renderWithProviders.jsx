@@ -0,0 +1,21 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import I18nProvider from '../context/I18nProvider.jsx';
+import ProfilesProvider from '../context/ProfilesProvider.jsx';
+import ProfileScope from '../context/ProfileScope.jsx';
+import { saveState, scopedKey } from '../utils/storage';
+
+// Renders `ui` inside the same provider stack as main.jsx. Storage is wiped first and seeded with
+// `taxProfile` for the default profile and an optional `locale`, so each test starts from a known state.
+export function renderWithProviders(ui, { taxProfile = {}, locale } = {}) {
+  localStorage.clear();
+  saveState(scopedKey('default', 'taxProfile'), taxProfile);
+  if (locale) saveState('locale', locale);
+  return render(
+    <I18nProvider>
+      <ProfilesProvider>
+        <ProfileScope>{ui}</ProfileScope>
+      </ProfilesProvider>
+    </I18nProvider>,
+  );
+}
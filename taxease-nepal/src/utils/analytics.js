@@ -0,0 +1,64 @@
+import { isIncome, summarizeLedger } from './ledger';
+import { adToBs, bsMonthsBetween, isInFiscalYear } from './nepaliCalendar';
+import { computeTax } from './taxCalculations';
+
+// from/to are inclusive ISO dates; an empty category list keeps every category
+export function filterEntries(entries, { from, to, categories = [] } = {}) {
+  return entries.filter((entry) => (
+    (!from || entry.date >= from)
+    && (!to || entry.date <= to)
+    && (categories.length === 0 || categories.includes(entry.category))
+  ));
+}
+
+// Income and expense per BS month across the range, including empty months
+export function monthlyTotals(entries, from, to) {
+  const months = bsMonthsBetween(from, to).map((m) => ({ ...m, income: 0, expense: 0 }));
+  filterEntries(entries, { from, to }).forEach((entry) => {
+    const { year, month } = adToBs(entry.date);
+    const row = months.find((m) => m.year === year && m.month === month);
+    if (isIncome(entry)) row.income += entry.amount;
+    else row.expense += entry.amount;
+  });
+  return months;
+}
+
+// Totals per category, largest first, split by direction
+export function categoryBreakdown(entries) {
+  const group = (list) => {
+    const totals = {};
+    list.forEach((entry) => { totals[entry.category] = (totals[entry.category] || 0) + entry.amount; });
+    const sum = list.reduce((acc, entry) => acc + entry.amount, 0);
+    return Object.entries(totals)
+      .map(([category, total]) => ({ category, total, share: sum ? total / sum : 0 }))
+      .sort((a, b) => b.total - a.total);
+  };
+  return {
+    income: group(entries.filter(isIncome)),
+    expense: group(entries.filter((entry) => !isIncome(entry))),
+  };
+}
+
+// One row per fiscal year with the tax engine's effective and marginal rates.
+// Tax is always worked out on the whole ledger; `categories` only narrows the totals shown.
+export function yearOverYear(entries, fiscalYears, { status, residency, deductions, categories = [] }) {
+  let previous = null;
+  return fiscalYears.map((fiscalYear) => {
+    const fyEntries = entries.filter((entry) => isInFiscalYear(entry.date, fiscalYear));
+    const { income, expense } = summarizeLedger(filterEntries(fyEntries, { categories }));
+    const { net } = summarizeLedger(fyEntries);
+    const tax = computeTax(Math.max(0, net), { fiscalYear, status, residency, deductions });
+    const row = {
+      fiscalYear,
+      income,
+      expense,
+      taxableIncome: tax.taxableIncome,
+      tax: tax.totalTax,
+      effectiveRate: tax.effectiveRate,
+      marginalRate: tax.marginalRate,
+      incomeChange: previous?.income ? (income - previous.income) / previous.income : null,
+    };
+    previous = row;
+    return row;
+  });
+}
@@ -0,0 +1,74 @@
+import { computeTax } from '../taxCalculations';
+import { formatNPR } from '../format';
+
+const UNITS = { lakh: 100000, lakhs: 100000, lac: 100000, crore: 10000000, crores: 10000000, k: 1000, thousand: 1000 };
+
+// Deduction fields a question can add to, keyed by the words people use for them
+const DEDUCTION_WORDS = [
+  { pattern: /\b(cit|provident|pf|epf|retirement)\b/i, field: 'providentFund', step: 'retirement', label: 'CIT / provident fund' },
+  { pattern: /\bssf\b/i, field: 'ssf', step: 'retirement', label: 'SSF' },
+  { pattern: /life insurance/i, field: 'lifeInsurance', step: 'lifeInsurance', label: 'life insurance premium' },
+  { pattern: /health insurance/i, field: 'healthInsurance', step: 'healthInsurance', label: 'health insurance premium' },
+];
+
+// Numbers that are not amounts: fiscal years like 2081/82 or 2081-82, and "section 63" / "sec. 12" references
+const NOT_AMOUNTS = /\b\d{4}\s*[/-]\s*\d{2,4}\b|\b(?:section|sec\.?)\s*\d+(?:\(\d+\))?/gi;
+
+// Asking for a figure even without naming one, e.g. "how much tax do I owe?" or "calculate my tax"
+const CALCULATION_PHRASE = /\bhow much (?:tax|will i (?:pay|owe|save))\b|\bcalculate\b|\b(?:what(?:'s| is)|estimate) my tax\b/i;
+
+// "2 lakh", "1.5 crore", "50k", "3,00,000" -> numbers, in order of appearance
+export function extractAmounts(question) {
+  const amounts = [];
+  const pattern = /(\d[\d,]*(?:\.\d+)?)\s*(lakhs?|lac|crores?|k|thousand)?\b/gi;
+  const text = question.replace(NOT_AMOUNTS, ' ');
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const value = Number(match[1].replace(/,/g, ''));
+    const unit = match[2] ? UNITS[match[2].toLowerCase()] : 1;
+    // Skip bare years such as 2081
+    if (!match[2] && /^20\d\d$/.test(match[1])) continue;
+    amounts.push(value * unit);
+  }
+  return amounts;
+}
+
+// Answers "how much tax on X" and "what if I add X CIT" style questions with the tax engine.
+// Returns null when the question is not about the user's numbers, so retrieval answers it instead:
+// that needs an amount in the question or a clear ask for a calculation, not just the word "tax".
+export function answerNumericQuery(question, taxContext) {
+  if (!/\btax\b|\bowe\b|\bsave\b|\bpay\b/i.test(question)) return null;
+  const amounts = extractAmounts(question);
+  if (amounts.length === 0 && !CALCULATION_PHRASE.test(question)) return null;
+  const deduction = DEDUCTION_WORDS.find(({ pattern }) => pattern.test(question));
+  const { income, fiscalYear, status, residency, deductions } = taxContext;
+  const options = { fiscalYear, status, residency, deductions };
+
+  if (deduction && amounts.length > 0) {
+    const extra = amounts[0];
+    const before = computeTax(income, options);
+    const after = computeTax(income, {
+      ...options,
+      deductions: { ...deductions, [deduction.field]: (Number(deductions[deduction.field]) || 0) + extra },
+    });
+    const saved = before.totalTax - after.totalTax;
+    const step = after.deductions.find((s) => s.key === deduction.step);
+    const capped = step && step.allowed < step.claimed
+      ? ` Only ${formatNPR(step.allowed)} of your total claim is allowed because of the cap.`
+      : '';
+    return {
+      text: `On your income of ${formatNPR(income)} for FY ${fiscalYear}, tax is ${formatNPR(before.totalTax)} today. `
+        + `Adding ${formatNPR(extra)} of ${deduction.label} brings it to ${formatNPR(after.totalTax)}, saving ${formatNPR(saved)}.${capped}`,
+      topics: ['retirement', 'life-insurance', 'health-insurance', 'ssf-waiver'],
+    };
+  }
+
+  const target = amounts.length > 0 ? amounts[0] : income;
+  if (!target) return null;
+  const result = computeTax(target, options);
+  return {
+    text: `For an income of ${formatNPR(target)} in FY ${fiscalYear} with your current deductions, estimated tax is `
+      + `${formatNPR(result.totalTax)} (effective ${(result.effectiveRate * 100).toFixed(2)}%, marginal ${(result.marginalRate * 100).toFixed(0)}%).`,
+    topics: ['slabs'],
+  };
+}
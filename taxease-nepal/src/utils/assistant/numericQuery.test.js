@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { answerNumericQuery, extractAmounts } from './numericQuery';
+import { computeTax } from '../taxCalculations';
+import { formatNPR } from '../format';
+
+const taxContext = {
+  income: 1200000,
+  fiscalYear: '2081/82',
+  status: 'individual',
+  residency: 'resident',
+  deductions: { providentFund: 0, lifeInsurance: 0, healthInsurance: 0 },
+};
+const options = { fiscalYear: '2081/82', status: 'individual', residency: 'resident', deductions: taxContext.deductions };
+
+describe('extractAmounts', () => {
+  it('reads Nepali and shorthand units', () => {
+    expect(extractAmounts('salary of 12 lakh and 50k CIT, 3,00,000 bonus, 1.5 crore house')).toEqual([1200000, 50000, 300000, 15000000]);
+  });
+
+  it('ignores fiscal years, bare years and section numbers', () => {
+    expect(extractAmounts('How much tax do I owe for FY 2081/82?')).toEqual([]);
+    expect(extractAmounts('Does section 63 or sec. 12 apply in 2081 and 2080-81?')).toEqual([]);
+    expect(extractAmounts('Tax on 8 lakh in FY 2080/81 under section 11')).toEqual([800000]);
+  });
+});
+
+describe('answerNumericQuery', () => {
+  it('computes tax on an amount in the question', () => {
+    const answer = answerNumericQuery('How much tax on 8 lakh?', taxContext);
+    expect(answer.text).toContain(formatNPR(800000));
+    expect(answer.text).toContain(formatNPR(computeTax(800000, options).totalTax));
+  });
+
+  it("uses the user's income when they ask for a calculation without an amount", () => {
+    const answer = answerNumericQuery('How much tax do I owe for FY 2081/82?', taxContext);
+    expect(answer.text).toContain(`income of ${formatNPR(1200000)}`);
+    expect(answer.text).not.toContain(formatNPR(82));
+  });
+
+  it('shows the saving from an extra deduction', () => {
+    const before = computeTax(1200000, options).totalTax;
+    const after = computeTax(1200000, { ...options, deductions: { ...options.deductions, providentFund: 100000 } }).totalTax;
+    const answer = answerNumericQuery('How much tax would I save with 1 lakh in CIT?', taxContext);
+    expect(answer.text).toContain(`saving ${formatNPR(before - after)}`);
+  });
+
+  it('leaves general tax questions to retrieval', () => {
+    expect(answerNumericQuery('When is the income tax return deadline?', taxContext)).toBeNull();
+    expect(answerNumericQuery('Who has to pay VAT?', taxContext)).toBeNull();
+    expect(answerNumericQuery('What does section 63 of the tax act cover?', taxContext)).toBeNull();
+  });
+
+  it('ignores questions that are not about tax', () => {
+    expect(answerNumericQuery('What is 5 lakh in crore?', taxContext)).toBeNull();
+  });
+});
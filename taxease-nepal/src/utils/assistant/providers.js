@@ -0,0 +1,94 @@
+import { TAX_CORPUS } from '../../data/taxCorpus';
+import { createIndex } from './retrieval';
+import { answerNumericQuery } from './numericQuery';
+
+// An assistant provider is any object with a `name` and an async `ask(question, taxContext)`
+// that resolves to { text, sources: [{ id, title, source }] }. `taxContext` carries the user's
+// net income, fiscal year, status, residency and deductions so answers can use their numbers.
+
+const MIN_SCORE = 1;
+
+const toSource = ({ id, title, source }) => ({ id, title, source });
+
+// Answers entirely in the browser from the bundled corpus and the tax engine
+export function createLocalProvider({ corpus = TAX_CORPUS } = {}) {
+  const index = createIndex(corpus);
+
+  return {
+    name: 'Offline guide',
+    async ask(question, taxContext) {
+      const hits = index.search(question).filter((hit) => hit.score >= MIN_SCORE);
+      const numeric = answerNumericQuery(question, taxContext);
+
+      if (numeric) {
+        const related = corpus.filter((doc) => numeric.topics.includes(doc.id));
+        return { text: numeric.text, sources: related.slice(0, 2).map(toSource) };
+      }
+      if (hits.length === 0) {
+        return {
+          text: 'I could not find that in the offline guide. Try rephrasing, or check the IRD website and the Income Tax Act.',
+          sources: [],
+        };
+      }
+      return {
+        text: hits.slice(0, 2).map((hit) => hit.doc.text).join('\n\n'),
+        sources: hits.slice(0, 2).map((hit) => toSource(hit.doc)),
+      };
+    },
+  };
+}
+
+// Forwards the question, the user's numbers and the top passages to an LLM endpoint that
+// replies with JSON { answer, sources? }. Passages are sent so the model can ground its answer.
+export function createHttpProvider({ endpoint, fetchImpl = fetch, corpus = TAX_CORPUS, timeoutMs = 15000 }) {
+  const index = createIndex(corpus);
+
+  return {
+    name: 'Remote assistant',
+    async ask(question, taxContext) {
+      const passages = index.search(question).map((hit) => hit.doc);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const response = await fetchImpl(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ question, taxContext, passages }),
+          signal: controller.signal,
+        });
+        if (!response.ok) throw new Error(`Assistant endpoint returned ${response.status}`);
+        const data = await response.json();
+        return {
+          text: data.answer,
+          sources: data.sources || passages.slice(0, 2).map(toSource),
+        };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+// Tries each provider in turn, so a remote model can sit in front of the offline guide
+export function createFallbackProvider(providers) {
+  return {
+    name: providers.map((p) => p.name).join(' → '),
+    async ask(question, taxContext) {
+      let lastError;
+      for (const provider of providers) {
+        try {
+          return { ...(await provider.ask(question, taxContext)), provider: provider.name };
+        } catch (err) {
+          lastError = err;
+        }
+      }
+      throw lastError;
+    },
+  };
+}
+
+// The remote endpoint is opt-in at build time through VITE_ASSISTANT_ENDPOINT
+export function createDefaultProvider(endpoint = import.meta.env.VITE_ASSISTANT_ENDPOINT) {
+  const local = createLocalProvider();
+  return endpoint ? createFallbackProvider([createHttpProvider({ endpoint }), local]) : createFallbackProvider([local]);
+}
@@ -0,0 +1,88 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createFallbackProvider, createHttpProvider, createLocalProvider } from './providers';
+import { createStubServer } from '../../../scripts/assistant-stub-server';
+
+const taxContext = {
+  income: 1200000,
+  fiscalYear: '2081/82',
+  status: 'individual',
+  residency: 'resident',
+  deductions: { providentFund: 0, lifeInsurance: 0, healthInsurance: 0 },
+};
+
+let server;
+let endpoint;
+const received = [];
+
+beforeAll(async () => {
+  server = createStubServer({
+    reply: (payload) => {
+      received.push(payload);
+      return `Stub answer to "${payload.question}".`;
+    },
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/ask`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+describe('createLocalProvider', () => {
+  const local = createLocalProvider();
+
+  it('answers general questions from the corpus', async () => {
+    const answer = await local.ask('When is the income tax return deadline?', taxContext);
+    expect(answer.sources.map((source) => source.id)).toContain('filing-deadline');
+    expect(answer.text).not.toMatch(/estimated tax/);
+  });
+
+  it("answers calculations with the user's numbers", async () => {
+    const answer = await local.ask('How much tax do I owe for FY 2081/82?', taxContext);
+    expect(answer.text).toMatch(/For an income of NPR 12,00,000 in FY 2081\/82/);
+  });
+
+  it('says so when nothing in the corpus matches', async () => {
+    const answer = await local.ask('zzz qqq', taxContext);
+    expect(answer.sources).toEqual([]);
+  });
+});
+
+describe('createHttpProvider', () => {
+  it('sends the question, the numbers and the top passages to the endpoint', async () => {
+    const remote = createHttpProvider({ endpoint });
+    const answer = await remote.ask('When is the filing deadline?', taxContext);
+
+    expect(answer.text).toBe('Stub answer to "When is the filing deadline?".');
+    const payload = received.at(-1);
+    expect(payload.taxContext).toEqual(taxContext);
+    expect(payload.passages[0].id).toBe('filing-deadline');
+    expect(answer.sources[0]).toEqual({
+      id: payload.passages[0].id,
+      title: payload.passages[0].title,
+      source: payload.passages[0].source,
+    });
+  });
+
+  it('rejects when the endpoint answers with an error status', async () => {
+    const remote = createHttpProvider({ endpoint: endpoint.replace('/ask', '/missing') });
+    await expect(remote.ask('When is the filing deadline?', taxContext)).rejects.toThrow('returned 404');
+  });
+});
+
+describe('createFallbackProvider', () => {
+  it('uses the remote assistant while it is up', async () => {
+    const provider = createFallbackProvider([createHttpProvider({ endpoint }), createLocalProvider()]);
+    const answer = await provider.ask('When is the filing deadline?', taxContext);
+    expect(answer.provider).toBe('Remote assistant');
+  });
+
+  it('falls back to retrieval from the offline guide when the remote assistant fails', async () => {
+    const provider = createFallbackProvider([
+      createHttpProvider({ endpoint: endpoint.replace('/ask', '/missing') }),
+      createLocalProvider(),
+    ]);
+    const answer = await provider.ask('When is the income tax return deadline?', taxContext);
+    expect(answer.provider).toBe('Offline guide');
+    expect(answer.sources.map((source) => source.id)).toContain('filing-deadline');
+  });
+});
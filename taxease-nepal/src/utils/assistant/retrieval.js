@@ -0,0 +1,63 @@
+// BM25 keyword retrieval over the bundled corpus; small enough to rebuild at startup and fully offline
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+  'if', 'in', 'is', 'it', 'my', 'of', 'on', 'or', 'the', 'to', 'what', 'when', 'which', 'will', 'with', 'you', 'your',
+]);
+
+// Everyday words mapped onto the vocabulary the corpus uses
+const SYNONYMS = {
+  cit: ['retirement', 'citizen'],
+  pf: ['provident', 'retirement'],
+  epf: ['provident', 'retirement'],
+  ssf: ['social', 'security'],
+  deadline: ['due', 'file'],
+  late: ['delay', 'fee', 'interest'],
+  penalty: ['fee', 'interest', 'late'],
+  fine: ['fee', 'late'],
+  married: ['couple'],
+  wife: ['couple'],
+  husband: ['couple'],
+  woman: ['women', 'rebate'],
+  female: ['women', 'rebate'],
+  refund: ['withheld', 'tds'],
+  rate: ['slab'],
+  bracket: ['slab'],
+};
+
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word));
+}
+
+export function createIndex(documents, { k1 = 1.5, b = 0.75 } = {}) {
+  const docs = documents.map((doc) => {
+    const terms = tokenize(`${doc.title} ${doc.title} ${doc.text}`);
+    const freq = {};
+    terms.forEach((term) => { freq[term] = (freq[term] || 0) + 1; });
+    return { doc, freq, length: terms.length };
+  });
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / docs.length;
+  const docFreq = {};
+  docs.forEach(({ freq }) => Object.keys(freq).forEach((term) => { docFreq[term] = (docFreq[term] || 0) + 1; }));
+  const idf = (term) => Math.log(1 + (docs.length - (docFreq[term] || 0) + 0.5) / ((docFreq[term] || 0) + 0.5));
+
+  return {
+    search(query, limit = 3) {
+      const terms = tokenize(query).flatMap((term) => [term, ...(SYNONYMS[term] || [])]);
+      return docs
+        .map(({ doc, freq, length }) => ({
+          doc,
+          score: terms.reduce((score, term) => {
+            const f = freq[term] || 0;
+            return score + (f === 0 ? 0 : idf(term) * (f * (k1 + 1)) / (f + k1 * (1 - b + b * length / avgLength)));
+          }, 0),
+        }))
+        .filter((hit) => hit.score > 0)
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit);
+    },
+  };
+}
@@ -0,0 +1,69 @@
+import { AttachmentError } from './attachments';
+
+// Documents live in IndexedDB rather than localStorage, which is too small for images and PDFs.
+// Every record carries its profileId so a profile's documents can be listed and cleared together.
+const DB_NAME = 'taxease';
+const DB_VERSION = 1;
+const STORE = 'attachments';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new AttachmentError('This browser cannot store documents offline', 'unsupported'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' }).createIndex('profileId', 'profileId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      // Let the next call try again, e.g. after the user frees up storage
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `work(store)` in one transaction and resolves with the result of the request it returns, once committed
+async function transact(mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = work(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new AttachmentError('Saving the document was cancelled', 'aborted'));
+  });
+}
+
+export function listAttachments(profileId) {
+  return transact('readonly', (store) => store.index('profileId').getAll(profileId));
+}
+
+export async function saveAttachment(attachment) {
+  try {
+    await transact('readwrite', (store) => store.put(attachment));
+  } catch (err) {
+    if (err?.name === 'QuotaExceededError') {
+      throw new AttachmentError('Not enough browser storage left for this document', 'quota');
+    }
+    throw err;
+  }
+}
+
+export function deleteAttachments(ids) {
+  return transact('readwrite', (store) => {
+    ids.forEach((id) => store.delete(id));
+  });
+}
+
+export async function deleteProfileAttachments(profileId) {
+  const ids = await transact('readonly', (store) => store.index('profileId').getAllKeys(profileId));
+  if (ids.length) await deleteAttachments(ids);
+}
@@ -0,0 +1,89 @@
+import { isInFiscalYear } from './nepaliCalendar';
+
+// What a document proves. The deduction keys match the profile's deductions so the report can
+// tell which claims have paperwork behind them; 'invoice' covers everything else.
+export const DOCUMENT_PURPOSES = {
+  invoice: 'Invoice / bill',
+  ssf: 'SSF contribution statement',
+  providentFund: 'Provident Fund / CIT statement',
+  lifeInsurance: 'Life insurance premium receipt',
+  healthInsurance: 'Health insurance premium receipt',
+  medicalExpenses: 'Medical bill',
+  remoteArea: 'Remote area posting letter',
+};
+
+export const DEDUCTION_PURPOSES = Object.keys(DOCUMENT_PURPOSES).filter((key) => key !== 'invoice');
+
+// The purpose a new document starts with, guessed from the entry it is attached to
+export function defaultPurpose(entry) {
+  return entry.category === 'Insurance' ? 'lifeInsurance' : 'invoice';
+}
+
+export const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const THUMBNAIL_SIZE = 96;
+
+export class AttachmentError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.code = code;
+  }
+}
+
+export function validateFile(file) {
+  if (!ACCEPTED_TYPES.includes(file.type)) {
+    throw new AttachmentError(`${file.name} is not a JPEG, PNG, WebP image or a PDF`, 'type');
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new AttachmentError(`${file.name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`, 'size');
+  }
+}
+
+export function isPdf(attachment) {
+  return attachment.type === 'application/pdf';
+}
+
+// Scaled-down JPEG data URL for the ledger list; PDFs have no thumbnail and show an icon instead
+export async function createThumbnail(file) {
+  if (!file.type.startsWith('image/')) return null;
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', 0.7);
+}
+
+export function createAttachment({ profileId, entryId, file, purpose, thumbnail, addedAt = new Date().toISOString() }) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    profileId,
+    entryId,
+    purpose,
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    addedAt,
+    thumbnail,
+    blob: file,
+  };
+}
+
+function isClaimed(deductions, key) {
+  return key === 'remoteArea' ? Boolean(deductions.remoteArea) : Number(deductions[key]) > 0;
+}
+
+// One row per deduction claimed on the profile, with the documents filed against it in the fiscal year.
+// A document counts for the year its ledger entry is dated in.
+export function documentCoverage({ deductions = {}, residency = 'resident', fiscalYear }, entries, attachments) {
+  // Non-residents cannot claim deductions, so there is nothing to support
+  if (residency !== 'resident') return [];
+  const fyEntryIds = new Set(entries.filter((entry) => isInFiscalYear(entry.date, fiscalYear)).map((entry) => entry.id));
+  return DEDUCTION_PURPOSES.filter((key) => isClaimed(deductions, key)).map((key) => {
+    const documents = attachments.filter((a) => a.purpose === key && fyEntryIds.has(a.entryId));
+    return { key, label: DOCUMENT_PURPOSES[key], count: documents.length, missing: documents.length === 0 };
+  });
+}
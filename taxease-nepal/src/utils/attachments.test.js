@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { AttachmentError, createAttachment, defaultPurpose, documentCoverage, validateFile } from './attachments';
+import { bsToAd } from './nepaliCalendar';
+
+const FISCAL_YEAR = '2080/81';
+const inYear = bsToAd({ year: 2080, month: 10, day: 5 });
+const lastYear = bsToAd({ year: 2079, month: 10, day: 5 });
+
+const entries = [
+  { id: 'premium', date: inYear, category: 'Insurance', type: 'expense', amount: 30000 },
+  { id: 'old-premium', date: lastYear, category: 'Insurance', type: 'expense', amount: 25000 },
+];
+
+const file = (name, type, size = 1000) => ({ name, type, size });
+const attach = (entryId, purpose) => createAttachment({ profileId: 'default', entryId, file: file('r.pdf', 'application/pdf'), purpose, thumbnail: null });
+
+describe('documentCoverage', () => {
+  const profile = {
+    fiscalYear: FISCAL_YEAR,
+    residency: 'resident',
+    deductions: { lifeInsurance: 30000, healthInsurance: 15000, providentFund: 0, remoteArea: 'B' },
+  };
+
+  it('lists each claimed deduction with the documents filed against it', () => {
+    const rows = documentCoverage(profile, entries, [attach('premium', 'lifeInsurance'), attach('premium', 'lifeInsurance')]);
+    expect(rows).toEqual([
+      { key: 'lifeInsurance', label: 'Life insurance premium receipt', count: 2, missing: false },
+      { key: 'healthInsurance', label: 'Health insurance premium receipt', count: 0, missing: true },
+      { key: 'remoteArea', label: 'Remote area posting letter', count: 0, missing: true },
+    ]);
+  });
+
+  it('only counts documents on entries dated in the fiscal year', () => {
+    const [life] = documentCoverage(profile, entries, [attach('old-premium', 'lifeInsurance'), attach('premium', 'invoice')]);
+    expect(life).toMatchObject({ count: 0, missing: true });
+  });
+
+  it('has nothing to support for non-residents', () => {
+    expect(documentCoverage({ ...profile, residency: 'nonResident' }, entries, [])).toEqual([]);
+  });
+});
+
+describe('attachments', () => {
+  it('accepts images and PDFs up to the size limit', () => {
+    expect(() => validateFile(file('receipt.jpg', 'image/jpeg'))).not.toThrow();
+    expect(() => validateFile(file('statement.pdf', 'application/pdf'))).not.toThrow();
+    expect(() => validateFile(file('notes.docx', 'application/msword'))).toThrow(AttachmentError);
+    expect(() => validateFile(file('scan.png', 'image/png', 11 * 1024 * 1024))).toThrow('larger than 10 MB');
+  });
+
+  it('guesses the purpose from the entry category', () => {
+    expect(defaultPurpose(entries[0])).toBe('lifeInsurance');
+    expect(defaultPurpose({ category: 'Supplies' })).toBe('invoice');
+  });
+});
@@ -0,0 +1,56 @@
+import { verifyPassphrase } from './crypto';
+
+// An auth adapter signs a user in and out:
+//   signIn({ username, passphrase }) -> Promise<{ user: { id, name }, token }>, rejecting with AuthError
+//   signOut(session) -> Promise<void>
+// The local adapter checks passphrases of profiles stored in this browser; the HTTP adapter
+// talks to a backend so accounts can later be shared across devices.
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+export function createLocalAuthAdapter({ findProfile }) {
+  return {
+    name: 'local',
+    async signIn({ username, passphrase }) {
+      const profile = findProfile(username);
+      if (!profile) throw new AuthError('No such profile');
+      if (profile.passphrase && !(await verifyPassphrase(passphrase, profile.passphrase))) {
+        throw new AuthError('Wrong passphrase');
+      }
+      return { user: { id: profile.id, name: profile.name }, token: null };
+    },
+    async signOut() {},
+  };
+}
+
+export function createHttpAuthAdapter({ baseUrl, fetchImpl = fetch }) {
+  const post = (path, body, token) => fetchImpl(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+
+  return {
+    name: 'remote',
+    async signIn({ username, passphrase }) {
+      const response = await post('/login', { username, passphrase });
+      if (response.status === 401) throw new AuthError('Wrong username or passphrase');
+      if (!response.ok) throw new AuthError(`Sign-in failed (${response.status})`);
+      return response.json();
+    },
+    async signOut(session) {
+      if (session?.token) await post('/logout', {}, session.token);
+    },
+  };
+}
+
+// A backend is opt-in at build time through VITE_AUTH_ENDPOINT
+export const AUTH_ENDPOINT = import.meta.env.VITE_AUTH_ENDPOINT;
@@ -0,0 +1,103 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { AuthError, createHttpAuthAdapter, createLocalAuthAdapter } from './auth';
+import { hashPassphrase } from './crypto';
+import { createMockAuthServer } from '../../scripts/mock-auth-server';
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = createMockAuthServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+const whoAmI = (token) => fetch(`${baseUrl}/me`, { headers: { Authorization: `Bearer ${token}` } });
+
+describe('createHttpAuthAdapter', () => {
+  it('signs in with good credentials and gets a session the server knows', async () => {
+    const auth = createHttpAuthAdapter({ baseUrl });
+    const session = await auth.signIn({ username: 'demo', passphrase: 'demo123' });
+
+    expect(session.user).toEqual({ id: 'u-1', name: 'Demo Taxpayer' });
+    expect(session.token).toEqual(expect.any(String));
+    const response = await whoAmI(session.token);
+    expect(await response.json()).toEqual({ user: session.user });
+  });
+
+  it('rejects a wrong passphrase or an unknown user with AuthError', async () => {
+    const auth = createHttpAuthAdapter({ baseUrl });
+
+    await expect(auth.signIn({ username: 'demo', passphrase: 'nope' }))
+      .rejects.toThrow(new AuthError('Wrong username or passphrase'));
+    await expect(auth.signIn({ username: 'ghost', passphrase: 'demo123' })).rejects.toBeInstanceOf(AuthError);
+  });
+
+  it('ends the session on the server when signing out', async () => {
+    const auth = createHttpAuthAdapter({ baseUrl });
+    const session = await auth.signIn({ username: 'demo', passphrase: 'demo123' });
+
+    await auth.signOut(session);
+
+    expect((await whoAmI(session.token)).status).toBe(401);
+  });
+
+  it('does not call the server to sign out a session without a token', async () => {
+    const calls = [];
+    const auth = createHttpAuthAdapter({ baseUrl, fetchImpl: (...args) => calls.push(args) });
+
+    await auth.signOut({ user: { id: 'u-1', name: 'Demo Taxpayer' }, token: null });
+
+    expect(calls).toEqual([]);
+  });
+
+  it('reports a failing server with its status', async () => {
+    const auth = createHttpAuthAdapter({ baseUrl: `${baseUrl}/missing` });
+
+    await expect(auth.signIn({ username: 'demo', passphrase: 'demo123' }))
+      .rejects.toThrow(new AuthError('Sign-in failed (404)'));
+  });
+
+  it('rejects when the server cannot be reached', async () => {
+    const closed = createMockAuthServer();
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+    const auth = createHttpAuthAdapter({ baseUrl: `http://127.0.0.1:${port}` });
+
+    await expect(auth.signIn({ username: 'demo', passphrase: 'demo123' })).rejects.toThrow();
+    await expect(auth.signOut({ token: 'stale' })).rejects.toThrow();
+  });
+});
+
+describe('createLocalAuthAdapter', () => {
+  let profiles;
+
+  beforeAll(async () => {
+    profiles = [
+      { id: 'open', name: 'Shared laptop', passphrase: null },
+      { id: 'locked', name: 'Sita', passphrase: await hashPassphrase('correct horse') },
+    ];
+  });
+
+  const auth = () => createLocalAuthAdapter({ findProfile: (id) => profiles.find((p) => p.id === id) });
+
+  it('opens a protected profile with its passphrase', async () => {
+    const session = await auth().signIn({ username: 'locked', passphrase: 'correct horse' });
+    expect(session).toEqual({ user: { id: 'locked', name: 'Sita' }, token: null });
+  });
+
+  it('rejects a wrong passphrase and an unknown profile', async () => {
+    await expect(auth().signIn({ username: 'locked', passphrase: 'wrong' }))
+      .rejects.toThrow(new AuthError('Wrong passphrase'));
+    await expect(auth().signIn({ username: 'missing', passphrase: '' }))
+      .rejects.toThrow(new AuthError('No such profile'));
+  });
+
+  it('opens a profile without a passphrase whatever is typed', async () => {
+    const session = await auth().signIn({ username: 'open', passphrase: 'anything' });
+    expect(session.user.id).toBe('open');
+  });
+});
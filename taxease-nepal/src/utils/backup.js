@@ -0,0 +1,104 @@
+import { decryptText, encryptText } from './crypto';
+import { clearScope, listScopedKeys, loadState, removeState, saveState, scopedKey } from './storage';
+
+export const BACKUP_FORMAT = 'taxease-backup';
+// Bump together with a new entry in MIGRATIONS whenever the stored layout changes
+export const BACKUP_VERSION = 2;
+
+const GLOBAL_KEYS = ['profiles', 'activeProfile', 'importRules', 'locale'];
+
+export class BackupError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'BackupError';
+    this.code = code;
+  }
+}
+
+// Each migration upgrades `data` from `from` to `from + 1`
+const MIGRATIONS = [
+  {
+    // v1 was written before profiles: one flat set of keys becomes the default profile
+    from: 1,
+    migrate: ({ ledger = [], taxProfile = {}, reminders = {}, importRules }) => ({
+      profiles: [{ id: 'default', name: 'My profile', passphrase: null }],
+      activeProfile: 'default',
+      ...(importRules ? { importRules } : {}),
+      scoped: { default: { ledger, taxProfile, reminders } },
+    }),
+  },
+];
+
+export function migrateBackup(bundle) {
+  if (bundle?.format !== BACKUP_FORMAT) throw new BackupError('Not a TaxEase backup file', 'format');
+  if (bundle.version > BACKUP_VERSION) {
+    throw new BackupError('This backup was made by a newer version of TaxEase', 'version');
+  }
+  let { version, data } = bundle;
+  while (version < BACKUP_VERSION) {
+    const step = MIGRATIONS.find((m) => m.from === version);
+    if (!step) throw new BackupError(`Backup version ${version} is no longer supported`, 'version');
+    data = step.migrate(data);
+    version += 1;
+  }
+  return { ...bundle, version, data };
+}
+
+export function collectBackup(createdAt = new Date().toISOString()) {
+  const data = { scoped: {} };
+  GLOBAL_KEYS.forEach((key) => {
+    const value = loadState(key, undefined);
+    if (value !== undefined) data[key] = value;
+  });
+  (data.profiles || []).forEach(({ id }) => {
+    const prefix = scopedKey(id, '');
+    data.scoped[id] = Object.fromEntries(
+      listScopedKeys(id).map((key) => [key.slice(prefix.length), loadState(key, null)]),
+    );
+  });
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt, data };
+}
+
+// Replaces everything in this browser with the backup's contents
+export function restoreBackup(bundle) {
+  const { data } = migrateBackup(bundle);
+  if (!Array.isArray(data.profiles) || data.profiles.length === 0) {
+    throw new BackupError('Backup contains no profiles', 'empty');
+  }
+  loadState('profiles', []).forEach(({ id }) => clearScope(id));
+  GLOBAL_KEYS.forEach((key) => {
+    if (data[key] === undefined) removeState(key);
+    else saveState(key, data[key]);
+  });
+  Object.entries(data.scoped || {}).forEach(([id, values]) => {
+    Object.entries(values).forEach(([key, value]) => saveState(scopedKey(id, key), value));
+  });
+}
+
+export async function serializeBackup(bundle, password = '') {
+  if (!password) return JSON.stringify(bundle, null, 2);
+  const envelope = await encryptText(JSON.stringify(bundle.data), password);
+  const { format, version, createdAt } = bundle;
+  return JSON.stringify({ format, version, createdAt, encrypted: true, ...envelope }, null, 2);
+}
+
+// Returns the bundle upgraded to the current version; throws BackupError with code
+// 'password' when an encrypted file needs (a different) password
+export async function parseBackup(text, password = '') {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new BackupError('File is not valid JSON', 'format');
+  }
+  if (parsed?.encrypted) {
+    if (!password) throw new BackupError('This backup is encrypted. Enter its password.', 'password');
+    try {
+      const { format, version, createdAt } = parsed;
+      parsed = { format, version, createdAt, data: JSON.parse(await decryptText(parsed, password)) };
+    } catch {
+      throw new BackupError('Wrong password or damaged backup', 'password');
+    }
+  }
+  return migrateBackup(parsed);
+}
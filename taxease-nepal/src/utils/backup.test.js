@@ -0,0 +1,72 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it } from 'vitest';
+import { BACKUP_FORMAT, BACKUP_VERSION, BackupError, collectBackup, parseBackup, restoreBackup, serializeBackup } from './backup';
+import { loadState, saveState, scopedKey } from './storage';
+
+const CREATED_AT = '2024-07-16T06:00:00.000Z';
+const ledger = [{ id: 'e1', date: '2024-07-16', category: 'Salary', amount: 85000, type: 'income', note: 'July pay', vat: 0 }];
+const taxProfile = { fiscalYear: '2081/82', status: 'individual', residency: 'resident' };
+
+function seedStorage() {
+  saveState('profiles', [{ id: 'sita', name: 'Sita', passphrase: null }]);
+  saveState('activeProfile', 'sita');
+  saveState('locale', { language: 'ne', numerals: 'devanagari' });
+  saveState(scopedKey('sita', 'ledger'), ledger);
+  saveState(scopedKey('sita', 'taxProfile'), taxProfile);
+}
+
+const rejectionOf = (promise) => promise.then(() => null, (err) => err);
+
+describe('backups', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('upgrades a v1 backup to profiles and restores it', async () => {
+    const v1 = {
+      format: BACKUP_FORMAT,
+      version: 1,
+      createdAt: CREATED_AT,
+      data: { ledger, taxProfile, reminders: { return: { dismissed: true } }, importRules: [{ id: 'r', keyword: 'nea' }] },
+    };
+
+    const bundle = await parseBackup(JSON.stringify(v1));
+    expect(bundle.version).toBe(BACKUP_VERSION);
+    restoreBackup(bundle);
+
+    expect(loadState('profiles')).toEqual([{ id: 'default', name: 'My profile', passphrase: null }]);
+    expect(loadState('activeProfile')).toBe('default');
+    expect(loadState('importRules')).toEqual(v1.data.importRules);
+    expect(loadState(scopedKey('default', 'ledger'))).toEqual(ledger);
+    expect(loadState(scopedKey('default', 'reminders'))).toEqual({ return: { dismissed: true } });
+    expect(collectBackup(CREATED_AT)).toEqual(bundle);
+  });
+
+  it('round-trips through a password-encrypted file', async () => {
+    seedStorage();
+    const original = collectBackup(CREATED_AT);
+    const text = await serializeBackup(original, 'hunter2');
+
+    expect(text).not.toContain('July pay');
+    expect(JSON.parse(text)).toMatchObject({ format: BACKUP_FORMAT, version: BACKUP_VERSION, encrypted: true });
+
+    const missing = await rejectionOf(parseBackup(text));
+    expect(missing).toBeInstanceOf(BackupError);
+    expect(missing.code).toBe('password');
+    expect((await rejectionOf(parseBackup(text, 'wrong'))).code).toBe('password');
+
+    const restored = await parseBackup(text, 'hunter2');
+    expect(restored).toEqual(original);
+    localStorage.clear();
+    restoreBackup(restored);
+    expect(collectBackup(CREATED_AT)).toEqual(original);
+  });
+
+  it('keeps the chosen language', async () => {
+    seedStorage();
+    const text = await serializeBackup(collectBackup(CREATED_AT));
+    saveState('locale', { language: 'en', numerals: 'latin' });
+
+    restoreBackup(await parseBackup(text));
+
+    expect(loadState('locale')).toEqual({ language: 'ne', numerals: 'devanagari' });
+  });
+});
@@ -0,0 +1,77 @@
+// WebCrypto helpers. Passphrases are never stored; only a salted PBKDF2 hash is kept.
+const PBKDF2_ITERATIONS = 210000;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export function toBase64(bytes) {
+  const view = new Uint8Array(bytes);
+  let binary = '';
+  // Chunked so large backups don't overflow the argument limit of fromCharCode
+  for (let i = 0; i < view.length; i += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), (ch) => ch.charCodeAt(0));
+}
+
+export function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+function importPassphrase(passphrase, usage) {
+  return crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, [usage]);
+}
+
+async function deriveBits(passphrase, salt, iterations) {
+  const key = await importPassphrase(passphrase, 'deriveBits');
+  return crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+}
+
+async function deriveAesKey(passphrase, salt, iterations) {
+  const key = await importPassphrase(passphrase, 'deriveKey');
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+export async function hashPassphrase(passphrase) {
+  const salt = randomBytes(16);
+  const hash = await deriveBits(passphrase, salt, PBKDF2_ITERATIONS);
+  return { salt: toBase64(salt), hash: toBase64(hash), iterations: PBKDF2_ITERATIONS };
+}
+
+export async function verifyPassphrase(passphrase, record) {
+  const hash = await deriveBits(passphrase, fromBase64(record.salt), record.iterations);
+  return toBase64(hash) === record.hash;
+}
+
+// AES-GCM with a PBKDF2-derived key; the envelope carries everything but the password
+export async function encryptText(text, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const key = await deriveAesKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(text));
+  return {
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: toBase64(salt), iterations: PBKDF2_ITERATIONS },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(data),
+  };
+}
+
+// Rejects (OperationError) when the passphrase is wrong or the data was tampered with
+export async function decryptText(envelope, passphrase) {
+  const key = await deriveAesKey(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) },
+    key,
+    fromBase64(envelope.data),
+  );
+  return decoder.decode(data);
+}
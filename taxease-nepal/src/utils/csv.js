@@ -0,0 +1,49 @@
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF or LF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop blank lines such as a trailing newline
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+export function toCsv(rows) {
+  return rows
+    .map((row) => row.map((cell) => {
+      const value = cell === null || cell === undefined ? '' : String(cell);
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(','))
+    .join('\r\n');
+}
@@ -0,0 +1,26 @@
+import { endOfBsMonth, fiscalYearStartYear } from './nepaliCalendar';
+
+// Advance tax is due in three installments with cumulative shares of the year's liability (section 94)
+export function advanceTaxInstallments(fiscalYear) {
+  const start = fiscalYearStartYear(fiscalYear);
+  return [
+    { share: 0.4, date: endOfBsMonth(start, 9) },
+    { share: 0.7, date: endOfBsMonth(start, 12) },
+    { share: 1, date: endOfBsMonth(start + 1, 3) },
+  ];
+}
+
+// Annual returns are due within three months of the fiscal year end (section 96)
+export function returnDueDate(fiscalYear) {
+  return endOfBsMonth(fiscalYearStartYear(fiscalYear) + 1, 6);
+}
+
+export function taxDeadlines(fiscalYear) {
+  const [first, second, final] = advanceTaxInstallments(fiscalYear);
+  return [
+    { id: `${fiscalYear}:advance-1`, label: `First advance tax installment (40%) for FY ${fiscalYear}`, date: first.date },
+    { id: `${fiscalYear}:advance-2`, label: `Second advance tax installment (70%) for FY ${fiscalYear}`, date: second.date },
+    { id: `${fiscalYear}:advance-3`, label: `Final advance tax installment (100%) for FY ${fiscalYear}`, date: final.date },
+    { id: `${fiscalYear}:return`, label: `File annual income tax return for FY ${fiscalYear}`, date: returnDueDate(fiscalYear) },
+  ];
+}
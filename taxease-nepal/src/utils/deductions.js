@@ -0,0 +1,57 @@
+import { DEDUCTION_RULES } from '../data/deductionRules';
+import { rulesForYear } from './fiscalYears';
+
+export const EMPTY_DEDUCTIONS = {
+  ssf: 0,
+  providentFund: 0,
+  lifeInsurance: 0,
+  healthInsurance: 0,
+  medicalExpenses: 0,
+  remoteArea: '',
+};
+
+export function getDeductionRules(fiscalYear) {
+  return rulesForYear(DEDUCTION_RULES, fiscalYear).rules;
+}
+
+// Walk gross income down to taxable income, one capped deduction at a time
+export function applyDeductions(grossIncome, deductions = EMPTY_DEDUCTIONS, fiscalYear) {
+  const rules = getDeductionRules(fiscalYear);
+  const d = { ...EMPTY_DEDUCTIONS, ...deductions };
+  const gross = Math.max(0, Number(grossIncome) || 0);
+  const ssf = Math.max(0, Number(d.ssf) || 0);
+  const providentFund = Math.max(0, Number(d.providentFund) || 0);
+  const ssfContributor = ssf > 0;
+
+  const steps = [];
+  let remaining = gross;
+  const deduct = (key, label, claimed, cap) => {
+    const allowed = Math.max(0, Math.min(claimed, cap, remaining));
+    steps.push({ key, label, claimed, cap, allowed });
+    remaining -= allowed;
+  };
+
+  const retirementCap = Math.min(
+    gross * rules.retirementFraction,
+    ssfContributor ? rules.ssfRetirementCap : rules.retirementCap,
+  );
+  deduct('retirement', 'SSF / Provident Fund / CIT', ssf + providentFund, retirementCap);
+  deduct('lifeInsurance', 'Life insurance premium', Math.max(0, Number(d.lifeInsurance) || 0), rules.lifeInsuranceCap);
+  deduct('healthInsurance', 'Health insurance premium', Math.max(0, Number(d.healthInsurance) || 0), rules.healthInsuranceCap);
+  if (d.remoteArea) {
+    const allowance = rules.remoteArea[d.remoteArea] || 0;
+    deduct('remoteArea', `Remote area allowance (grade ${d.remoteArea})`, allowance, allowance);
+  }
+
+  const medicalExpenses = Math.max(0, Number(d.medicalExpenses) || 0);
+  const medicalCredit = Math.min(medicalExpenses * rules.medicalCreditRate, rules.medicalCreditCap);
+
+  return {
+    grossIncome: gross,
+    steps,
+    totalDeductions: gross - remaining,
+    taxableIncome: remaining,
+    medicalCredit,
+    ssfContributor,
+  };
+}
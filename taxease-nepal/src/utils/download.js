@@ -0,0 +1,9 @@
+// Save generated text (JSON, CSV) as a file through a temporary object URL
+export function downloadText(text, fileName, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,166 @@
+import { ASSESSEE_STATUSES, RESIDENCIES, computeTax } from './taxCalculations';
+import { isIncome } from './ledger';
+import { isInFiscalYear } from './nepaliCalendar';
+import { returnDueDate } from './deadlines';
+import { fiscalYearTurnover, presumptiveTaxFor } from './vat';
+import { BUSINESS_LOCATIONS } from '../data/businessRules';
+import { toCsv } from './csv';
+import { formatNPR } from './format';
+
+// Ledger categories grouped into the income heads of the return
+const INCOME_HEADS = {
+  employment: ['Salary'],
+  business: ['Business', 'Goods', 'Services'],
+  investment: ['Rent', 'Interest', 'Dividend'],
+};
+
+const PAN_PATTERN = /^\d{9}$/;
+
+// Field codes group the worksheet for cross-referencing and are numbered by this app; they are not the
+// portal's field numbers, so values are matched to the portal by label
+export const FIELD_CODES_NOTE = 'Ref. numbers are this worksheet\'s own, not IRD portal field numbers. Match each value to the portal field with the same label.';
+
+const sumOf = (list) => list.reduce((total, entry) => total + entry.amount, 0);
+
+function headOf(entry) {
+  return Object.keys(INCOME_HEADS).find((head) => INCOME_HEADS[head].includes(entry.category)) || 'other';
+}
+
+// Only the business head deducts expenses: purchases always, and general expenses while the profile is
+// kept as a business. Personal spending never reduces salary, investment or other income.
+function allowableExpenses(fyEntries, profile) {
+  const hasBusinessIncome = fyEntries.some((entry) => isIncome(entry) && headOf(entry) === 'business');
+  if (!hasBusinessIncome) return 0;
+  return sumOf(fyEntries.filter((entry) => entry.type === 'purchase' || (entry.type === 'expense' && profile.mode === 'business')));
+}
+
+function assessableIncome(fyEntries, profile) {
+  return sumOf(fyEntries.filter(isIncome)) - allowableExpenses(fyEntries, profile);
+}
+
+function taxpayerFields(profile) {
+  return [
+    { code: '1.1', section: 'Taxpayer', label: 'PAN', value: profile.pan || '' },
+    { code: '1.2', section: 'Taxpayer', label: 'Name', value: profile.taxpayerName || '' },
+    { code: '1.3', section: 'Taxpayer', label: 'Income year', value: profile.fiscalYear },
+  ];
+}
+
+// D-01: small resident sole traders on the fixed presumptive tax
+function presumptiveFields(profile, turnover, amount) {
+  return [
+    ...taxpayerFields(profile),
+    { code: '1.4', section: 'Taxpayer', label: 'Business location', value: BUSINESS_LOCATIONS[profile.business.location] },
+    { code: '2.1', section: 'Turnover', label: 'Turnover for the year', value: turnover },
+    { code: '3.1', section: 'Tax', label: 'Presumptive tax', value: amount },
+    { code: '3.2', section: 'Tax', label: 'Tax payable', value: amount },
+  ];
+}
+
+// D-02: individuals assessed on the slab rates
+function individualFields(profile, fyEntries, tax) {
+  const income = fyEntries.filter(isIncome);
+  const byHead = (head) => sumOf(income.filter((entry) => headOf(entry) === head));
+  const expenses = allowableExpenses(fyEntries, profile);
+  const step = (key) => tax.deductions.find((s) => s.key === key)?.allowed || 0;
+
+  return [
+    ...taxpayerFields(profile),
+    { code: '1.4', section: 'Taxpayer', label: 'Assessee status', value: ASSESSEE_STATUSES[profile.status] },
+    { code: '1.5', section: 'Taxpayer', label: 'Residential status', value: RESIDENCIES[profile.residency] },
+    { code: '2.1', section: 'Income', label: 'Income from employment', value: byHead('employment') },
+    { code: '2.2', section: 'Income', label: 'Income from business', value: byHead('business') },
+    { code: '2.3', section: 'Income', label: 'Income from investment', value: byHead('investment') },
+    { code: '2.4', section: 'Income', label: 'Other income', value: byHead('other') },
+    { code: '2.5', section: 'Income', label: 'Total income', value: sumOf(income) },
+    { code: '3.1', section: 'Expenses', label: 'Allowable expenses', value: expenses },
+    { code: '3.2', section: 'Expenses', label: 'Assessable income', value: sumOf(income) - expenses },
+    { code: '4.1', section: 'Deductions', label: 'Retirement contribution (SSF / PF / CIT)', value: step('retirement') },
+    { code: '4.2', section: 'Deductions', label: 'Life insurance premium', value: step('lifeInsurance') },
+    { code: '4.3', section: 'Deductions', label: 'Health insurance premium', value: step('healthInsurance') },
+    { code: '4.4', section: 'Deductions', label: 'Remote area allowance', value: step('remoteArea') },
+    { code: '4.5', section: 'Deductions', label: 'Total deductions', value: tax.totalDeductions },
+    { code: '5.1', section: 'Tax', label: 'Taxable income', value: tax.taxableIncome },
+    { code: '5.2', section: 'Tax', label: 'Tax on taxable income', value: tax.slabTax },
+    { code: '5.3', section: 'Tax', label: 'Medical tax credit', value: tax.medicalCredit },
+    { code: '5.4', section: 'Tax', label: 'Tax liability', value: tax.totalTax },
+  ];
+}
+
+function validate(profile, fyEntries, tax, asOf) {
+  const issues = [];
+  const add = (level, code, message) => issues.push({ level, code, message });
+
+  if (!profile.pan) add('error', '1.1', 'PAN is missing. The portal will not accept a return without it.');
+  else if (!PAN_PATTERN.test(profile.pan)) add('error', '1.1', 'PAN must be 9 digits.');
+  if (!profile.taxpayerName?.trim()) add('error', '1.2', 'Taxpayer name is missing.');
+  if (fyEntries.length === 0) add('warning', null, `No ledger entries fall in FY ${profile.fiscalYear}.`);
+
+  if (assessableIncome(fyEntries, profile) < 0) {
+    add('error', '3.2', 'Assessable income is negative. Losses need the loss schedule on the portal and cannot be filed as zero income.');
+  }
+  if (tax) {
+    tax.deductions.filter((s) => s.allowed < s.claimed).forEach((s) => {
+      add('warning', '4', `${s.label} is capped: ${formatNPR(s.claimed)} claimed, ${formatNPR(s.allowed)} allowed.`);
+    });
+    if (profile.residency === 'nonResident' && Object.values(profile.deductions || {}).some(Boolean)) {
+      add('warning', '4', 'Deductions are ignored for non-residents.');
+    }
+  }
+  if (fyEntries.some((entry) => entry.date > asOf)) add('warning', null, 'Some entries are dated in the future.');
+  if (asOf > returnDueDate(profile.fiscalYear)) {
+    add('warning', null, 'The filing deadline has passed; late fees and interest apply.');
+  }
+  return issues;
+}
+
+// The annual return as an ordered list of portal fields plus anything that would block filing
+export function buildReturn({ profile, entries, asOf }) {
+  const fyEntries = entries.filter((entry) => isInFiscalYear(entry.date, profile.fiscalYear));
+  const turnover = fiscalYearTurnover(fyEntries, profile.fiscalYear);
+  // Anyone with salary, investment or other income, or without qualifying turnover, files D-02
+  const presumptive = presumptiveTaxFor(fyEntries, profile);
+
+  if (presumptive !== null) {
+    return {
+      form: 'D-01',
+      fiscalYear: profile.fiscalYear,
+      fields: presumptiveFields(profile, turnover, presumptive),
+      issues: validate(profile, fyEntries, null, asOf),
+    };
+  }
+
+  const { fiscalYear, status, residency, deductions } = profile;
+  const tax = computeTax(Math.max(0, assessableIncome(fyEntries, profile)), { fiscalYear, status, residency, deductions });
+  return {
+    form: 'D-02',
+    fiscalYear: profile.fiscalYear,
+    // The portal takes whole rupees
+    fields: individualFields(profile, fyEntries, tax).map((field) => (
+      typeof field.value === 'number' ? { ...field, value: Math.round(field.value) } : field
+    )),
+    issues: validate(profile, fyEntries, tax, asOf),
+  };
+}
+
+export function hasBlockingIssues(ret) {
+  return ret.issues.some((issue) => issue.level === 'error');
+}
+
+export function returnToJson(ret, generatedOn) {
+  return JSON.stringify({
+    form: ret.form,
+    fiscalYear: ret.fiscalYear,
+    generatedOn,
+    note: FIELD_CODES_NOTE,
+    fields: Object.fromEntries(ret.fields.map((f) => [f.code, { label: f.label, value: f.value }])),
+    issues: ret.issues,
+  }, null, 2);
+}
+
+export function returnToCsv(ret) {
+  return toCsv([
+    ['Ref.', 'Section', 'Field', 'Value'],
+    ...ret.fields.map((f) => [f.code, f.section, f.label, f.value]),
+  ]);
+}
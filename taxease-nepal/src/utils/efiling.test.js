@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { buildReturn, returnToJson } from './efiling';
+import { presumptiveTaxFor } from './vat';
+import { bsToAd } from './nepaliCalendar';
+
+const profile = {
+  taxpayerName: 'Sita Sharma',
+  pan: '123456789',
+  fiscalYear: '2080/81',
+  status: 'individual',
+  residency: 'resident',
+  deductions: {},
+  mode: 'business',
+  business: { type: 'goods', location: 'municipality', vatRegistered: false },
+};
+const date = bsToAd({ year: 2080, month: 6, day: 1 });
+const asOf = bsToAd({ year: 2081, month: 3, day: 1 });
+const sale = { type: 'sale', category: 'Goods', amount: 1200000, date };
+const salary = { type: 'income', category: 'Salary', amount: 900000, date };
+const field = (ret, label) => ret.fields.find((f) => f.label === label)?.value;
+
+describe('buildReturn', () => {
+  it('files D-01 for a small trader whose only income is turnover within the limit', () => {
+    const ret = buildReturn({ profile, entries: [sale], asOf });
+    expect(ret.form).toBe('D-01');
+    expect(field(ret, 'Turnover for the year')).toBe(1200000);
+    expect(field(ret, 'Tax payable')).toBe(4000);
+  });
+
+  it('files D-02 with the salary when there is no turnover', () => {
+    const ret = buildReturn({ profile, entries: [salary], asOf });
+    expect(ret.form).toBe('D-02');
+    expect(field(ret, 'Income from employment')).toBe(900000);
+  });
+
+  it('files D-02 with every income head when a small business also has salary', () => {
+    const ret = buildReturn({ profile, entries: [sale, salary], asOf });
+    expect(ret.form).toBe('D-02');
+    expect(field(ret, 'Total income')).toBe(2100000);
+  });
+
+  it('does not deduct personal expenses from a salaried filer\'s income', () => {
+    const personal = { ...profile, mode: 'personal' };
+    const rent = { type: 'expense', category: 'Rent', amount: 300000, date };
+    const utilities = { type: 'expense', category: 'Utilities', amount: 60000, date };
+    const ret = buildReturn({ profile: personal, entries: [salary, rent, utilities], asOf });
+    expect(field(ret, 'Allowable expenses')).toBe(0);
+    expect(field(ret, 'Assessable income')).toBe(900000);
+    expect(field(ret, 'Taxable income')).toBe(900000);
+  });
+
+  it('deducts business expenses from business income only', () => {
+    const bigSale = { ...sale, amount: 4000000 };
+    const purchase = { type: 'purchase', category: 'Goods', amount: 1500000, date };
+    const supplies = { type: 'expense', category: 'Supplies', amount: 100000, date };
+    const ret = buildReturn({ profile, entries: [bigSale, salary, purchase, supplies], asOf });
+    expect(ret.form).toBe('D-02');
+    expect(field(ret, 'Allowable expenses')).toBe(1600000);
+    expect(field(ret, 'Assessable income')).toBe(3300000);
+
+    const withoutBusiness = buildReturn({ profile, entries: [salary, supplies], asOf });
+    expect(field(withoutBusiness, 'Allowable expenses')).toBe(0);
+  });
+
+  it('counts turnover in the selected fiscal year only, as the dashboard does', () => {
+    const lastYear = { ...sale, amount: 2500000, date: bsToAd({ year: 2079, month: 6, day: 1 }) };
+    const ret = buildReturn({ profile, entries: [sale, lastYear], asOf });
+    expect(ret.form).toBe('D-01');
+    expect(field(ret, 'Turnover for the year')).toBe(1200000);
+    expect(presumptiveTaxFor([sale, lastYear], profile)).toBe(field(ret, 'Tax payable'));
+  });
+
+  it('says the field codes are not portal field numbers', () => {
+    const ret = buildReturn({ profile, entries: [salary], asOf });
+    expect(JSON.parse(returnToJson(ret, asOf)).note).toMatch(/not IRD portal field numbers/);
+  });
+});
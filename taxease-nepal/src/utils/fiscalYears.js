@@ -0,0 +1,23 @@
+import { fiscalYearOf, fiscalYearStartYear, formatFiscalYear, todayIso } from './nepaliCalendar';
+import { FISCAL_YEARS, LATEST_FISCAL_YEAR } from '../data/taxSlabs';
+
+export const CURRENT_FISCAL_YEAR = fiscalYearOf(todayIso());
+
+// Rates stay in force until a Finance Act changes them, so a year without its own
+// table uses the most recent earlier one. Returns the table year actually used.
+export function rulesForYear(tables, fiscalYear) {
+  const target = fiscalYearStartYear(fiscalYear);
+  const year = Object.keys(tables)
+    .filter((fy) => fiscalYearStartYear(fy) <= target)
+    .sort()
+    .pop();
+  if (!year) throw new Error(`No rules published for fiscal year ${fiscalYear}`);
+  return { year, rules: tables[year] };
+}
+
+// Every fiscal year from the oldest slab table up to the current one
+export function selectableFiscalYears() {
+  const first = fiscalYearStartYear(FISCAL_YEARS[0]);
+  const last = Math.max(fiscalYearStartYear(CURRENT_FISCAL_YEAR), fiscalYearStartYear(LATEST_FISCAL_YEAR));
+  return Array.from({ length: last - first + 1 }, (_, i) => formatFiscalYear(first + i));
+}
@@ -0,0 +1,9 @@
+// NPR amounts use South Asian digit grouping: 12,34,567 (12 lakh 34 thousand 567)
+export function formatNPR(amount, { prefix = 'NPR ' } = {}) {
+  const value = Math.round(Number(amount) || 0);
+  return `${value < 0 ? '-' : ''}${prefix}${Math.abs(value).toLocaleString('en-IN')}`;
+}
+
+export function formatPercent(rate, digits = 0) {
+  return `${(rate * 100).toFixed(digits)}%`;
+}
@@ -0,0 +1,68 @@
+import { en } from '../data/locales/en';
+import { ne } from '../data/locales/ne';
+import { formatNPR, formatPercent } from './format';
+import { formatBsDate, BS_MONTHS, BS_MONTHS_NE } from './nepaliCalendar';
+
+export const LANGUAGES = {
+  en: 'English',
+  ne: 'नेपाली',
+};
+
+export const NUMERAL_SYSTEMS = {
+  latin: '123',
+  devanagari: '१२३',
+};
+
+const CATALOGS = { en, ne };
+const DEVANAGARI_DIGITS = '०१२३४५६७८९';
+
+export function toDevanagariDigits(text) {
+  return String(text).replace(/[0-9]/g, (d) => DEVANAGARI_DIGITS[d]);
+}
+
+export function localizeDigits(text, numerals) {
+  return numerals === 'devanagari' ? toDevanagariDigits(text) : String(text);
+}
+
+// Missing Nepali strings fall back to English, and missing keys show the key itself
+// so gaps are easy to spot. `{name}` placeholders are filled from `params`.
+export function translate(language, key, params = {}) {
+  const template = CATALOGS[language]?.[key] ?? en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Compact amounts in the units people quote salaries and budgets in: 12.5 lakh, 1.2 crore
+export function formatLakhCrore(amount, language = 'en') {
+  const value = Math.abs(Number(amount) || 0);
+  const sign = amount < 0 ? '-' : '';
+  const units = language === 'ne' ? { crore: 'करोड', lakh: 'लाख' } : { crore: 'crore', lakh: 'lakh' };
+  const round = (n) => Number(n.toFixed(2)).toString();
+  if (value >= 10000000) return `${sign}${round(value / 10000000)} ${units.crore}`;
+  if (value >= 100000) return `${sign}${round(value / 100000)} ${units.lakh}`;
+  return `${sign}${Math.round(value).toLocaleString('en-IN')}`;
+}
+
+// 'installment-2' -> t('penalty.installment', { n: 2 }); the other penalty components are keyed by name
+export function penaltyComponentLabel(t, key) {
+  const [name, n] = key.split('-');
+  return t(`penalty.${name}`, { n });
+}
+
+// Translators and formatters for a locale; the provider hands these out through useI18n(), and the
+// PDF export builds an English one when the Devanagari font is unavailable
+export function createI18n({ language, numerals }) {
+  const digits = (text) => localizeDigits(text, numerals);
+  const t = (key, params) => digits(translate(language, key, params));
+  return {
+    language,
+    numerals,
+    t,
+    digits,
+    formatMoney: (amount, { prefix = t('common.currency') } = {}) => digits(formatNPR(amount, { prefix })),
+    formatNumber: (amount) => digits(formatNPR(amount, { prefix: '' })),
+    formatPercent: (rate, places) => digits(formatPercent(rate, places)),
+    formatCompact: (amount) => digits(formatLakhCrore(amount, language)),
+    formatDate: (isoDate) => digits(formatBsDate(isoDate, { nepali: language === 'ne' })),
+    monthName: (month) => (language === 'ne' ? BS_MONTHS_NE : BS_MONTHS)[month - 1],
+  };
+}
@@ -0,0 +1,51 @@
+export const INCOME_CATEGORIES = ['Salary', 'Business', 'Rent', 'Interest', 'Dividend', 'Other Income'];
+export const EXPENSE_CATEGORIES = ['Rent', 'Utilities', 'Supplies', 'Travel', 'Insurance', 'Other Expense'];
+export const SALE_CATEGORIES = ['Goods', 'Services'];
+export const PURCHASE_CATEGORIES = ['Goods', 'Services', 'Capital Assets'];
+
+export const ENTRY_TYPES = {
+  income: 'Income',
+  expense: 'Expense',
+  sale: 'Sale',
+  purchase: 'Purchase',
+};
+
+// Sales and purchases are business entries that carry VAT; they count as income and expense
+export const BUSINESS_ENTRY_TYPES = ['sale', 'purchase'];
+
+const CATEGORIES = {
+  income: INCOME_CATEGORIES,
+  expense: EXPENSE_CATEGORIES,
+  sale: SALE_CATEGORIES,
+  purchase: PURCHASE_CATEGORIES,
+};
+
+export function categoriesFor(type) {
+  return CATEGORIES[type];
+}
+
+export function isIncome(entry) {
+  return entry.type === 'income' || entry.type === 'sale';
+}
+
+export function createEntry({ date, category, amount, type, note = '', vat = 0 }) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    date,
+    category,
+    amount: Number(amount),
+    type,
+    note: note.trim(),
+    vat: Number(vat),
+  };
+}
+
+export function summarizeLedger(entries) {
+  let income = 0;
+  let expense = 0;
+  entries.forEach((entry) => {
+    if (isIncome(entry)) income += entry.amount;
+    else expense += entry.amount;
+  });
+  return { income, expense, net: income - expense };
+}
@@ -0,0 +1,180 @@
+// Bikram Sambat (BS) <-> Gregorian (AD) conversion.
+// BS month lengths are not rule-based, so they come from the published calendar table.
+// All AD dates are handled as 'YYYY-MM-DD' strings at UTC midnight to avoid timezone drift.
+const BS_MONTH_DAYS = {
+  2070: [31, 31, 31, 32, 31, 31, 29, 30, 30, 29, 30, 30],
+  2071: [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30],
+  2072: [31, 32, 31, 32, 31, 30, 30, 29, 30, 29, 30, 30],
+  2073: [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31],
+  2074: [31, 31, 31, 32, 31, 31, 30, 29, 30, 29, 30, 30],
+  2075: [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30],
+  2076: [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 30],
+  2077: [31, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31],
+  2078: [31, 31, 31, 32, 31, 31, 30, 29, 30, 29, 30, 30],
+  2079: [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30],
+  2080: [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 30],
+  2081: [31, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31],
+  2082: [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30],
+  2083: [31, 31, 32, 31, 31, 30, 30, 30, 29, 30, 30, 30],
+  2084: [31, 31, 32, 31, 31, 30, 30, 30, 29, 30, 30, 30],
+  2085: [31, 32, 31, 32, 30, 31, 30, 30, 29, 30, 30, 30],
+  2086: [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 30, 30],
+  2087: [31, 31, 32, 31, 31, 31, 30, 30, 29, 30, 30, 30],
+  2088: [30, 31, 32, 32, 30, 31, 30, 30, 29, 30, 30, 30],
+  2089: [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 30, 30],
+  2090: [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 30, 30],
+};
+
+// 1 Baisakh 2070 BS
+const EPOCH = { bsYear: 2070, ad: Date.UTC(2013, 3, 14) };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BS_YEARS = Object.keys(BS_MONTH_DAYS).map(Number);
+export const MIN_BS_YEAR = BS_YEARS[0];
+export const MAX_BS_YEAR = BS_YEARS[BS_YEARS.length - 1];
+
+export const BS_MONTHS = [
+  'Baisakh', 'Jestha', 'Asar', 'Shrawan', 'Bhadra', 'Asoj',
+  'Kartik', 'Mangsir', 'Poush', 'Magh', 'Falgun', 'Chaitra',
+];
+
+export const BS_MONTHS_NE = [
+  'बैशाख', 'जेठ', 'असार', 'साउन', 'भदौ', 'असोज',
+  'कात्तिक', 'मंसिर', 'पुस', 'माघ', 'फागुन', 'चैत',
+];
+
+function toUtcMs(date) {
+  if (typeof date === 'string') {
+    const [y, m, d] = date.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+  }
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+export function toIsoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export function todayIso() {
+  return toIsoDate(toUtcMs(new Date()));
+}
+
+export function daysInBsMonth(year, month) {
+  const months = BS_MONTH_DAYS[year];
+  if (!months) throw new RangeError(`BS year ${year} is outside the supported range ${MIN_BS_YEAR}-${MAX_BS_YEAR}`);
+  return months[month - 1];
+}
+
+function daysInBsYear(year) {
+  return BS_MONTH_DAYS[year].reduce((sum, days) => sum + days, 0);
+}
+
+// Accepts a Date or an ISO 'YYYY-MM-DD' string; returns { year, month, day } with 1-based month
+export function adToBs(date) {
+  let offset = Math.round((toUtcMs(date) - EPOCH.ad) / DAY_MS);
+  if (offset < 0) throw new RangeError(`Date is before 1 Baisakh ${MIN_BS_YEAR}`);
+
+  let year = EPOCH.bsYear;
+  while (offset >= daysInBsYear(year)) {
+    offset -= daysInBsYear(year);
+    year += 1;
+    if (!BS_MONTH_DAYS[year]) throw new RangeError(`Date is after the end of BS ${MAX_BS_YEAR}`);
+  }
+  let month = 1;
+  while (offset >= daysInBsMonth(year, month)) {
+    offset -= daysInBsMonth(year, month);
+    month += 1;
+  }
+  return { year, month, day: offset + 1 };
+}
+
+// Returns the AD date as an ISO 'YYYY-MM-DD' string
+export function bsToAd({ year, month, day }) {
+  if (month < 1 || month > 12 || day < 1 || day > daysInBsMonth(year, month)) {
+    throw new RangeError(`Invalid BS date ${year}-${month}-${day}`);
+  }
+  let offset = day - 1;
+  for (let y = EPOCH.bsYear; y < year; y += 1) offset += daysInBsYear(y);
+  for (let m = 1; m < month; m += 1) offset += daysInBsMonth(year, m);
+  return toIsoDate(EPOCH.ad + offset * DAY_MS);
+}
+
+// Whether an ISO date falls inside the BS years the month table covers, so adToBs will not throw
+export function isSupportedDate(isoDate) {
+  const last = { year: MAX_BS_YEAR, month: 12, day: daysInBsMonth(MAX_BS_YEAR, 12) };
+  return isoDate >= toIsoDate(EPOCH.ad) && isoDate <= bsToAd(last);
+}
+
+export function formatBs(bs, { nepali = false } = {}) {
+  const names = nepali ? BS_MONTHS_NE : BS_MONTHS;
+  return `${bs.day} ${names[bs.month - 1]} ${bs.year}`;
+}
+
+export function formatBsDate(isoDate, options) {
+  return formatBs(adToBs(isoDate), options);
+}
+
+// Whole days from `from` to `to`; negative when `to` is earlier
+export function daysBetween(from, to) {
+  return Math.round((toUtcMs(to) - toUtcMs(from)) / DAY_MS);
+}
+
+export function formatFiscalYear(startYear) {
+  return `${startYear}/${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+// BS months from `from` to `to`, where any part of a month counts as a whole month (IRD interest convention)
+export function elapsedBsMonths(from, to) {
+  if (daysBetween(from, to) <= 0) return 0;
+  const a = adToBs(from);
+  const b = adToBs(to);
+  // A month-end start date is anniversaried on each later month end
+  const monthEnd = daysInBsMonth(b.year, b.month);
+  const anchorDay = a.day === daysInBsMonth(a.year, a.month) ? monthEnd : Math.min(a.day, monthEnd);
+  return (b.year - a.year) * 12 + (b.month - a.month) + (b.day > anchorDay ? 1 : 0);
+}
+
+// The Nepali fiscal year runs from 1 Shrawan to the last day of Asar, e.g. '2081/82'
+export function fiscalYearOf(date) {
+  const { year, month } = adToBs(date);
+  return formatFiscalYear(month >= 4 ? year : year - 1);
+}
+
+export function fiscalYearStartYear(fiscalYear) {
+  return Number(fiscalYear.split('/')[0]);
+}
+
+export function fiscalYearRange(fiscalYear) {
+  const startYear = fiscalYearStartYear(fiscalYear);
+  return {
+    start: bsToAd({ year: startYear, month: 4, day: 1 }),
+    end: bsToAd({ year: startYear + 1, month: 3, day: daysInBsMonth(startYear + 1, 3) }),
+  };
+}
+
+export function isInFiscalYear(isoDate, fiscalYear) {
+  const { start, end } = fiscalYearRange(fiscalYear);
+  return isoDate >= start && isoDate <= end;
+}
+
+// Last day of a BS month as an AD ISO date, e.g. the Asoj-end filing deadline
+export function endOfBsMonth(year, month) {
+  return bsToAd({ year, month, day: daysInBsMonth(year, month) });
+}
+
+// Every BS month touched by the AD range [from, to], oldest first
+export function bsMonthsBetween(from, to) {
+  const end = adToBs(to);
+  const months = [];
+  let { year, month } = adToBs(from);
+  while (year < end.year || (year === end.year && month <= end.month)) {
+    months.push({ key: `${year}-${month}`, label: `${BS_MONTHS[month - 1]} ${year}`, year, month });
+    if (month === 12) {
+      year += 1;
+      month = 1;
+    } else {
+      month += 1;
+    }
+  }
+  return months;
+}
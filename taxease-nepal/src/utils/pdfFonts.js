@@ -0,0 +1,29 @@
+import regularUrl from '@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf?url';
+import boldUrl from '@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf?url';
+import { toBase64 } from './crypto';
+
+// Noto Sans Devanagari also covers Latin, so one family serves English and Nepali text.
+// jsPDF does not apply OpenType shaping: conjuncts and the pre-base ि vowel sign come out
+// in logical order, which is legible but not typographically correct.
+export const PDF_FONT_FAMILY = 'NotoSansDevanagari';
+
+let pending = null;
+
+async function fetchBase64(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+  return toBase64(new Uint8Array(await response.arrayBuffer()));
+}
+
+// Fetched on the first export rather than bundled, so ~440 KB of font data stays out of the app
+export function loadPdfFonts() {
+  if (!pending) {
+    pending = Promise.all([fetchBase64(regularUrl), fetchBase64(boldUrl)])
+      .then(([normal, bold]) => ({ normal, bold }))
+      .catch((err) => {
+        pending = null;
+        throw err;
+      });
+  }
+  return pending;
+}
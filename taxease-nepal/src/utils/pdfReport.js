@@ -0,0 +1,266 @@
+import jsPDF from 'jspdf';
+import { formatBsDate } from './nepaliCalendar';
+import { formatNPR } from './format';
+import { isIncome } from './ledger';
+import { PDF_FONT_FAMILY } from './pdfFonts';
+import { FIELD_CODES_NOTE } from './efiling';
+import { createI18n, penaltyComponentLabel } from './i18n';
+
+const MARGIN = 15;
+const LINE_HEIGHT = 6;
+
+// Thin layout helper around jsPDF that tracks the cursor and starts a new page when it runs out of room.
+// `fonts` holds base64 TTF data from loadPdfFonts(); without it the report falls back to Helvetica,
+// which has no Devanagari glyphs.
+function createWriter(fonts) {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  let family = 'helvetica';
+  if (fonts) {
+    Object.entries(fonts).forEach(([style, data]) => {
+      doc.addFileToVFS(`${PDF_FONT_FAMILY}-${style}.ttf`, data);
+      doc.addFont(`${PDF_FONT_FAMILY}-${style}.ttf`, PDF_FONT_FAMILY, style);
+    });
+    family = PDF_FONT_FAMILY;
+  }
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  let y = MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - MARGIN) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  return {
+    doc,
+    title(text) {
+      ensureSpace(12);
+      doc.setFont(family, 'bold').setFontSize(16);
+      doc.text(text, MARGIN, y + 6);
+      y += 12;
+    },
+    heading(text) {
+      ensureSpace(LINE_HEIGHT * 3);
+      y += 4;
+      doc.setFont(family, 'bold').setFontSize(12);
+      doc.text(text, MARGIN, y + 4);
+      doc.line(MARGIN, y + 6, pageWidth - MARGIN, y + 6);
+      y += LINE_HEIGHT + 4;
+    },
+    text(text) {
+      doc.setFont(family, 'normal').setFontSize(10);
+      doc.splitTextToSize(text, pageWidth - MARGIN * 2).forEach((line) => {
+        ensureSpace(LINE_HEIGHT);
+        doc.text(line, MARGIN, y + 4);
+        y += LINE_HEIGHT;
+      });
+    },
+    // columns: [{ label, width (fraction of the page), align }]; the header repeats on every new page
+    table(columns, rows, { boldLast = false } = {}) {
+      const usable = pageWidth - MARGIN * 2;
+      // Long cells wrap onto extra lines; the row grows to fit its tallest cell
+      const layoutRow = (cells) => cells.map((cell, i) => doc.splitTextToSize(String(cell), columns[i].width * usable - 2));
+      const drawRow = (cells, bold) => {
+        doc.setFont(family, bold ? 'bold' : 'normal').setFontSize(10);
+        const lines = layoutRow(cells);
+        let x = MARGIN;
+        lines.forEach((cellLines, i) => {
+          const width = columns[i].width * usable;
+          const right = columns[i].align === 'right';
+          cellLines.forEach((line, n) => {
+            doc.text(line, right ? x + width - 1 : x + 1, y + 4 + n * LINE_HEIGHT, { align: right ? 'right' : 'left' });
+          });
+          x += width;
+        });
+        y += LINE_HEIGHT * Math.max(...lines.map((cellLines) => cellLines.length));
+      };
+      const drawHeader = () => {
+        drawRow(columns.map((c) => c.label), true);
+        doc.line(MARGIN, y, pageWidth - MARGIN, y);
+      };
+
+      ensureSpace(LINE_HEIGHT * 2);
+      drawHeader();
+      rows.forEach((row, i) => {
+        const height = LINE_HEIGHT * Math.max(...layoutRow(row).map((cellLines) => cellLines.length));
+        if (y + height > pageHeight - MARGIN) {
+          doc.addPage();
+          y = MARGIN;
+          drawHeader();
+        }
+        drawRow(row, boldLast && i === rows.length - 1);
+      });
+    },
+    finish(footer, pageLabel = (page, pages) => `Page ${page} of ${pages}`) {
+      const pages = doc.getNumberOfPages();
+      for (let page = 1; page <= pages; page += 1) {
+        doc.setPage(page);
+        doc.setFont(family, 'normal').setFontSize(8);
+        doc.text(footer, MARGIN, pageHeight - 8);
+        doc.text(pageLabel(page, pages), pageWidth - MARGIN, pageHeight - 8, { align: 'right' });
+      }
+      return doc;
+    },
+  };
+}
+
+function categoryTotals(entries) {
+  const totals = {};
+  entries.forEach((entry) => {
+    totals[entry.category] = (totals[entry.category] || 0) + entry.amount;
+  });
+  return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+}
+
+// Helvetica has no Devanagari glyphs, so a report without the font is written in English
+export const ENGLISH_REPORT = createI18n({ language: 'en', numerals: 'latin' });
+
+export function buildTaxReport({ profile, entries, tax, penalty, reminders, documents = [], generatedOn, fonts, i18n = ENGLISH_REPORT }) {
+  const { t, formatNumber, formatPercent, formatDate, digits } = i18n;
+  const w = createWriter(fonts);
+  const generated = t('report.generated', { bsDate: formatDate(generatedOn), adDate: generatedOn });
+  const amountColumns = [
+    { label: t('report.category'), width: 0.7 },
+    { label: t('penalty.amount'), width: 0.3, align: 'right' },
+  ];
+  const bracketed = (amount) => `(${formatNumber(amount)})`;
+
+  w.title(t('report.title'));
+  w.text(t('fiscalYear.option', { fiscalYear: profile.fiscalYear }));
+  w.text(generated);
+
+  w.heading(t('report.profile'));
+  w.table([{ label: t('report.field'), width: 0.4 }, { label: t('report.value'), width: 0.6 }], [
+    [t('report.name'), profile.taxpayerName || '-'],
+    [t('report.pan'), digits(profile.pan || '-')],
+    [t('report.status'), t(`status.${profile.status}`)],
+    [t('report.residency'), t(`residency.${profile.residency}`)],
+    [t('report.profileType'), t(profile.mode === 'business' ? 'report.business' : 'report.personal')],
+  ]);
+
+  const income = entries.filter(isIncome);
+  const expenses = entries.filter((entry) => !isIncome(entry));
+  const sum = (list) => list.reduce((total, entry) => total + entry.amount, 0);
+
+  w.heading(t('report.incomeByCategory'));
+  if (income.length === 0) w.text(t('report.noIncome'));
+  else {
+    w.table(amountColumns, [
+      ...categoryTotals(income).map(([category, amount]) => [category, formatNumber(amount)]),
+      [t('report.totalIncome'), formatNumber(sum(income))],
+    ], { boldLast: true });
+  }
+
+  w.heading(t('report.expensesByCategory'));
+  if (expenses.length === 0) w.text(t('report.noExpenses'));
+  else {
+    w.table(amountColumns, [
+      ...categoryTotals(expenses).map(([category, amount]) => [category, formatNumber(amount)]),
+      [t('report.totalExpenses'), formatNumber(sum(expenses))],
+    ], { boldLast: true });
+  }
+
+  w.heading(t('tax.taxableIncome'));
+  w.table([{ label: t('report.item'), width: 0.7 }, { label: t('report.npr'), width: 0.3, align: 'right' }], [
+    [t('report.netIncome'), formatNumber(tax.grossIncome)],
+    ...tax.deductions.map((step) => [
+      t('tax.less', { label: t(`step.${step.key}`, { grade: profile.deductions?.remoteArea }) }),
+      bracketed(step.allowed),
+    ]),
+    [t('tax.taxableIncome'), formatNumber(tax.taxableIncome)],
+  ], { boldLast: true });
+
+  // Claims the IRD may ask to see evidence for
+  w.heading(t('report.documents'));
+  if (documents.length === 0) w.text(t('report.noDeductions'));
+  else {
+    w.table([
+      { label: t('report.deductionClaimed'), width: 0.6 },
+      { label: t('report.documentCount'), width: 0.15, align: 'right' },
+      { label: t('report.documentStatus'), width: 0.25 },
+    ], documents.map((row) => [
+      t(`deductions.${row.key}`),
+      digits(row.count),
+      t(row.missing ? 'report.missing' : 'report.attached'),
+    ]));
+    const missing = documents.filter((row) => row.missing).length;
+    if (missing > 0) w.text(t('report.missingDocuments', { count: missing }));
+  }
+
+  w.heading(t('report.taxBySlab'));
+  if (tax.rateYear !== tax.fiscalYear) w.text(t('tax.rateYearNote', { rateYear: tax.rateYear }));
+  w.table([
+    { label: t('tax.slab'), width: 0.4 },
+    { label: t('tax.rate'), width: 0.15, align: 'right' },
+    { label: t('tax.taxable'), width: 0.225, align: 'right' },
+    { label: t('tax.tax'), width: 0.225, align: 'right' },
+  ], [
+    ...tax.slabs.map((slab) => [
+      `${formatNumber(slab.from)} - ${slab.to === Infinity ? t('tax.andAbove') : formatNumber(slab.to)}`,
+      slab.waived ? t('report.waived') : formatPercent(slab.rate),
+      formatNumber(slab.taxable),
+      formatNumber(slab.tax),
+    ]),
+    ...(tax.medicalCredit > 0 ? [[t('tax.medicalCredit'), '', '', bracketed(tax.medicalCredit)]] : []),
+    [t('report.totalTax'), '', '', formatNumber(tax.totalTax)],
+  ], { boldLast: true });
+  w.text(t('report.rates', { effective: formatPercent(tax.effectiveRate, 2), marginal: formatPercent(tax.marginalRate) }));
+
+  w.heading(t('report.penalty'));
+  w.text(t('report.penaltyAssumption', { date: formatDate(generatedOn), dueDate: formatDate(penalty.dueDate) }));
+  w.table([
+    { label: t('penalty.component'), width: 0.6 },
+    { label: t('penalty.months'), width: 0.15, align: 'right' },
+    { label: t('report.npr'), width: 0.25, align: 'right' },
+  ], [
+    ...penalty.components.map((c) => [penaltyComponentLabel(t, c.key), digits(c.months), formatNumber(c.amount)]),
+    [t('report.total'), '', formatNumber(penalty.total)],
+  ], { boldLast: true });
+
+  w.heading(t('report.deadlines'));
+  if (reminders.length === 0) w.text(t('reminders.none'));
+  else {
+    w.table([{ label: t('report.reminder'), width: 0.65 }, { label: t('report.dueBs'), width: 0.35 }],
+      reminders.map((r) => [r.message, r.date ? formatDate(r.date) : t('report.now')]));
+  }
+
+  return w.finish(t('report.footer', { generated }), (page, pages) => t('report.page', { page, pages }));
+}
+
+// Printable copy of the e-filing figures in portal order, to keep beside the browser while filing
+export function buildFilingWorksheet(ret, { generatedOn, fonts }) {
+  const w = createWriter(fonts);
+  const generated = `Generated ${formatBsDate(generatedOn)} BS (${generatedOn} AD)`;
+
+  w.title(`TaxEase Nepal - ${ret.form} Filing Worksheet`);
+  w.text(`Income year ${ret.fiscalYear}`);
+  w.text(generated);
+
+  if (ret.issues.length > 0) {
+    w.heading('Check before filing');
+    ret.issues.forEach((issue) => {
+      w.text(`${issue.level === 'error' ? 'ERROR' : 'Note'}${issue.code ? ` (${issue.code})` : ''}: ${issue.message}`);
+    });
+  }
+
+  const sections = [...new Set(ret.fields.map((field) => field.section))];
+  sections.forEach((section) => {
+    w.heading(section);
+    w.table([
+      { label: 'Ref.', width: 0.12 },
+      { label: 'Field', width: 0.53 },
+      { label: 'Value', width: 0.35, align: 'right' },
+    ], ret.fields.filter((field) => field.section === section).map((field) => [
+      field.code,
+      field.label,
+      typeof field.value === 'number' ? formatNPR(field.value, { prefix: '' }) : field.value || '-',
+    ]));
+  });
+
+  w.heading('About this worksheet');
+  w.text(FIELD_CODES_NOTE);
+
+  return w.finish(`TaxEase Nepal - ${generated}. Copy each value into the portal field with the same label.`);
+}
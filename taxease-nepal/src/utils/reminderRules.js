@@ -0,0 +1,122 @@
+import { taxDeadlines } from './deadlines';
+import { monthlyVatSummary, vatThresholdStatus } from './vat';
+import { daysBetween, fiscalYearStartYear, formatBsDate, formatFiscalYear, isInFiscalYear } from './nepaliCalendar';
+
+// How far ahead upcoming deadlines are shown, and how long a missed one keeps nagging
+export const HORIZON_DAYS = 90;
+export const OVERDUE_WINDOW_DAYS = 60;
+
+// 'FY:advance-1' -> 'reminder.advance-1'
+const deadlineReminder = (rule, deadline, fiscalYear) => ({
+  id: `${rule}:${deadline.id}`,
+  date: deadline.date,
+  message: deadline.label,
+  messageKey: `reminder.${deadline.id.split(':')[1]}`,
+  params: { fiscalYear },
+});
+
+const hasEntries = (entries, fiscalYear, predicate = () => true) =>
+  entries.some((entry) => isInFiscalYear(entry.date, fiscalYear) && predicate(entry));
+
+// Each rule returns the reminders it wants for a fiscal year. A reminder has a stable `id`,
+// an English `message` plus a `messageKey`/`params` pair for translation, and either a `date`
+// deadline or no date for alerts that are due right away.
+// Rules about the present state of the books set `currentYearOnly`.
+export const REMINDER_RULES = [
+  {
+    id: 'advance-tax',
+    // Salary is taxed at source, so installments matter once there is business or investment income
+    applies: ({ entries, profile }, fiscalYear) => profile.mode === 'business'
+      || hasEntries(entries, fiscalYear, (entry) => entry.type === 'income' && entry.category !== 'Salary'),
+    reminders: (context, fiscalYear) => taxDeadlines(fiscalYear)
+      .filter((deadline) => deadline.id.includes(':advance-'))
+      .map((deadline) => deadlineReminder('advance-tax', deadline, fiscalYear)),
+  },
+  {
+    id: 'annual-return',
+    applies: ({ entries }, fiscalYear) => hasEntries(entries, fiscalYear),
+    reminders: (context, fiscalYear) => taxDeadlines(fiscalYear)
+      .filter((deadline) => deadline.id.endsWith(':return'))
+      .map((deadline) => deadlineReminder('annual-return', deadline, fiscalYear)),
+  },
+  {
+    id: 'vat-return',
+    applies: ({ profile }) => profile.mode === 'business' && profile.business.vatRegistered,
+    reminders: ({ entries }, fiscalYear) => monthlyVatSummary(entries, fiscalYear).map((month) => ({
+      id: `vat-return:${month.key}`,
+      date: month.dueDate,
+      message: `File VAT return for ${month.label}${month.payable > 0 ? ` (NPR ${Math.round(month.payable).toLocaleString()} payable)` : ''}`,
+      messageKey: month.payable > 0 ? 'reminder.vat-return-payable' : 'reminder.vat-return',
+      params: { monthIndex: month.month, year: month.year, amount: month.payable },
+    })),
+  },
+  {
+    id: 'vat-threshold',
+    currentYearOnly: true,
+    applies: ({ profile }) => profile.mode === 'business' && !profile.business.vatRegistered,
+    reminders: ({ entries, profile, today }, fiscalYear) => {
+      const status = vatThresholdStatus(entries, profile.business, fiscalYear, today);
+      if (!status.mustRegister) return [];
+      return [{
+        id: `vat-threshold:${fiscalYear}`,
+        date: null,
+        message: `Business turnover crossed NPR ${(status.threshold / 100000).toLocaleString()} lakhs! Register for VAT.`,
+        messageKey: 'reminder.vat-threshold',
+        params: { amount: status.threshold },
+      }];
+    },
+  },
+];
+
+function urgencyOf(daysLeft) {
+  if (daysLeft === null) return 'alert';
+  if (daysLeft < 0) return 'overdue';
+  if (daysLeft <= 7) return 'urgent';
+  if (daysLeft <= 30) return 'soon';
+  return 'upcoming';
+}
+
+const URGENCY_ORDER = ['alert', 'overdue', 'urgent', 'soon', 'upcoming'];
+
+// Evaluate every rule for the previous and current fiscal year (last year's return is due this year),
+// drop dismissed or snoozed reminders and sort the rest by urgency, then by deadline.
+export function computeReminders({ entries, profile, today, currentFiscalYear, reminderState = {} }) {
+  const context = { entries, profile, today };
+  const fiscalYears = [formatFiscalYear(fiscalYearStartYear(currentFiscalYear) - 1), currentFiscalYear];
+
+  return REMINDER_RULES
+    .flatMap((rule) => fiscalYears
+      .filter((fiscalYear) => !rule.currentYearOnly || fiscalYear === currentFiscalYear)
+      .filter((fiscalYear) => rule.applies(context, fiscalYear))
+      .flatMap((fiscalYear) => rule.reminders(context, fiscalYear)))
+    .map((reminder) => {
+      const daysLeft = reminder.date ? daysBetween(today, reminder.date) : null;
+      return {
+        ...reminder,
+        daysLeft,
+        urgency: urgencyOf(daysLeft),
+        dateLabel: reminder.date ? formatBsDate(reminder.date) : null,
+      };
+    })
+    .filter((reminder) => reminder.daysLeft === null
+      || (reminder.daysLeft <= HORIZON_DAYS && reminder.daysLeft >= -OVERDUE_WINDOW_DAYS))
+    .filter((reminder) => {
+      const state = reminderState[reminder.id];
+      if (!state) return true;
+      if (state.dismissed) return false;
+      return !state.snoozedUntil || state.snoozedUntil <= today;
+    })
+    .sort((a, b) => URGENCY_ORDER.indexOf(a.urgency) - URGENCY_ORDER.indexOf(b.urgency)
+      || (a.daysLeft ?? 0) - (b.daysLeft ?? 0));
+}
+
+// Rules carry raw params; month numbers and amounts are formatted for the active language here.
+// `i18n` is the value of useI18n().
+export function describeReminder({ message, messageKey, params = {} }, { t, monthName, formatMoney }) {
+  if (!messageKey) return message;
+  return t(messageKey, {
+    ...params,
+    ...(params.monthIndex !== undefined && { month: monthName(params.monthIndex) }),
+    ...(params.amount !== undefined && { amount: formatMoney(params.amount) }),
+  });
+}
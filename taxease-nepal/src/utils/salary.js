@@ -0,0 +1,99 @@
+import { summarizeLedger } from './ledger';
+import { endOfBsMonth, fiscalYearOf, fiscalYearStartYear, isInFiscalYear, BS_MONTHS } from './nepaliCalendar';
+import { computeTax } from './taxCalculations';
+
+export const SLIP_FIELDS = {
+  gross: 'Basic salary',
+  allowances: 'Allowances',
+  ssf: 'SSF contribution',
+  cit: 'CIT / PF contribution',
+  tds: 'TDS withheld',
+};
+
+// One payslip for a BS month; `year`/`month` are BS and amounts are monthly
+export function createSalarySlip({ year, month, employer = '', ...amounts }) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    year: Number(year),
+    month: Number(month),
+    employer: employer.trim(),
+    ...Object.fromEntries(Object.keys(SLIP_FIELDS).map((key) => [key, Math.max(0, Number(amounts[key]) || 0)])),
+  };
+}
+
+// Pay is booked on the last day of the slip's month
+export function slipDate(slip) {
+  return endOfBsMonth(slip.year, slip.month);
+}
+
+export function slipLabel(slip) {
+  return `${BS_MONTHS[slip.month - 1]} ${slip.year}`;
+}
+
+// The ledger entry a slip posts: taxable pay is basic salary plus allowances
+export function slipEntryFields(slip) {
+  return {
+    date: slipDate(slip),
+    category: 'Salary',
+    amount: slip.gross + slip.allowances,
+    type: 'income',
+    note: `Salary slip ${slipLabel(slip)}${slip.employer ? ` - ${slip.employer}` : ''}`,
+  };
+}
+
+// Which BS months of the fiscal year have at least one slip, counted from Shrawan
+function monthIndex(slip, fiscalYear) {
+  return (slip.year - fiscalYearStartYear(fiscalYear)) * 12 + slip.month - 4;
+}
+
+// Compare TDS withheld with the liability on the year's income. Months without a slip
+// are projected at the average of the recorded months, so mid-year users see where they will land.
+export function reconcileTds({ slips, entries, profile }) {
+  const { fiscalYear, status, residency, deductions } = profile;
+  const fySlips = slips.filter((slip) => fiscalYearOf(slipDate(slip)) === fiscalYear);
+  const totals = Object.fromEntries(Object.keys(SLIP_FIELDS).map((key) => [key, fySlips.reduce((sum, s) => sum + s[key], 0)]));
+  const months = new Set(fySlips.map((slip) => monthIndex(slip, fiscalYear))).size;
+  const scale = months ? 12 / months : 0;
+  const projected = Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, value * scale]));
+
+  // Income outside the slips (rent, interest, a side business) is taken as recorded
+  const slipEntryIds = new Set(fySlips.map((slip) => slip.entryId));
+  const other = summarizeLedger(entries.filter((entry) => isInFiscalYear(entry.date, fiscalYear) && !slipEntryIds.has(entry.id))).net;
+
+  // Retirement contributions come from the slips rather than the profile's deduction form
+  const taxFor = (salary, ssf, cit) => computeTax(Math.max(0, salary + other), {
+    fiscalYear,
+    status,
+    residency,
+    deductions: { ...deductions, ssf, providentFund: cit },
+  });
+  const yearEnd = taxFor(projected.gross + projected.allowances, projected.ssf, projected.cit);
+  const remainingMonths = 12 - months;
+  const liabilityToDate = (yearEnd.totalTax * months) / 12;
+
+  return {
+    fiscalYear,
+    slips: fySlips,
+    months,
+    totals,
+    projected,
+    otherIncome: other,
+    // Slabs are annual, so the share due so far is the projected liability spread evenly, as employers do
+    liabilityToDate,
+    projectedLiability: yearEnd.totalTax,
+    // Positive: refund due; negative: tax still owed
+    balanceToDate: totals.tds - liabilityToDate,
+    projectedBalance: projected.tds - yearEnd.totalTax,
+    // TDS per remaining month that would settle the year exactly
+    suggestedMonthlyTds: remainingMonths > 0 ? Math.max(0, (yearEnd.totalTax - totals.tds) / remainingMonths) : null,
+  };
+}
+
+// Employment income has its tax withheld at source instead of paid in advance installments, so
+// installment interest only arises when the year's TDS falls short of the liability
+export function tdsCoversTax({ slips, fiscalYear, taxDue }) {
+  const withheld = slips
+    .filter((slip) => fiscalYearOf(slipDate(slip)) === fiscalYear)
+    .reduce((sum, slip) => sum + slip.tds, 0);
+  return withheld > 0 && withheld >= taxDue;
+}
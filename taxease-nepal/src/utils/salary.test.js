@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { createSalarySlip, tdsCoversTax } from './salary';
+import { calculatePenalty } from './taxCalculations';
+import { returnDueDate } from './deadlines';
+
+const FISCAL_YEAR = '2080/81';
+const slips = [4, 5, 6, 7, 8, 9, 10, 11, 12].map((month) => createSalarySlip({ year: 2080, month, gross: 100000, tds: 10000 }))
+  .concat([1, 2, 3].map((month) => createSalarySlip({ year: 2081, month, gross: 100000, tds: 10000 })));
+
+describe('tdsCoversTax', () => {
+  it('is true when the year\'s TDS covers the tax due', () => {
+    expect(tdsCoversTax({ slips, fiscalYear: FISCAL_YEAR, taxDue: 120000 })).toBe(true);
+  });
+
+  it('is false when TDS falls short, when there are no slips, or when the slips are from another year', () => {
+    expect(tdsCoversTax({ slips, fiscalYear: FISCAL_YEAR, taxDue: 120001 })).toBe(false);
+    expect(tdsCoversTax({ slips: [], fiscalYear: FISCAL_YEAR, taxDue: 0 })).toBe(false);
+    expect(tdsCoversTax({ slips, fiscalYear: '2081/82', taxDue: 1000 })).toBe(false);
+  });
+
+  it('leaves no installment interest for a salaried filer paid up through TDS', () => {
+    const dueDate = returnDueDate(FISCAL_YEAR);
+    const penalty = calculatePenalty({
+      fiscalYear: FISCAL_YEAR,
+      taxDue: 120000,
+      assessableIncome: 1200000,
+      filingDate: dueDate,
+      paymentDate: dueDate,
+      installmentsPaidOnTime: tdsCoversTax({ slips, fiscalYear: FISCAL_YEAR, taxDue: 120000 }),
+    });
+    expect(penalty.components.filter((c) => c.key.startsWith('installment'))).toEqual([]);
+    expect(penalty.total).toBe(0);
+  });
+});
@@ -0,0 +1,110 @@
+import { summarizeLedger } from './ledger';
+import { fiscalYearOf, isInFiscalYear } from './nepaliCalendar';
+import { computeTax } from './taxCalculations';
+
+// A scenario overrides parts of the real ledger:
+//   extraEntries      hypothetical entries, e.g. a bonus dated in Asar or Shrawan
+//   excludeCategories ledger categories to leave out, e.g. a rental that ends
+//   deductions        deduction fields that replace the profile's values
+//   maxRetirement     claim the full SSF / PF / CIT cap
+export function createScenario({ name, extraEntries = [], excludeCategories = [], deductions = {}, maxRetirement = false }) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    extraEntries,
+    excludeCategories,
+    deductions,
+    maxRetirement,
+  };
+}
+
+// Which deduction field to raise when a step has headroom left
+const STEP_FIELDS = {
+  retirement: 'providentFund',
+  lifeInsurance: 'lifeInsurance',
+  healthInsurance: 'healthInsurance',
+};
+
+function scenarioInputs(entries, profile, scenario) {
+  if (!scenario) return { entries, deductions: profile.deductions };
+  const kept = entries.filter((entry) => !scenario.excludeCategories.includes(entry.category));
+  const deductions = { ...profile.deductions, ...scenario.deductions };
+  return { entries: [...kept, ...scenario.extraEntries], deductions, maxRetirement: scenario.maxRetirement };
+}
+
+function yearResult(entries, fiscalYear, profile, deductions, maxRetirement) {
+  const { net } = summarizeLedger(entries.filter((entry) => isInFiscalYear(entry.date, fiscalYear)));
+  const income = Math.max(0, net);
+  const claimed = maxRetirement ? { ...deductions, providentFund: income } : deductions;
+  const options = { fiscalYear, status: profile.status, residency: profile.residency, deductions: claimed };
+  const result = computeTax(income, options);
+  return { net, result, sweetSpot: slabSweetSpot(income, options, result) };
+}
+
+// The baseline (the real ledger) comes first, then one row per scenario. Every row covers the
+// same fiscal years: the selected one plus any year a scenario's extra entries fall in.
+export function compareScenarios(entries, profile, scenarios) {
+  const fiscalYears = [...new Set([
+    profile.fiscalYear,
+    ...scenarios.flatMap((s) => s.extraEntries.map((entry) => fiscalYearOf(entry.date))),
+  ])].sort();
+
+  const rows = [null, ...scenarios].map((scenario) => {
+    const inputs = scenarioInputs(entries, profile, scenario);
+    const years = Object.fromEntries(fiscalYears.map((fy) => (
+      [fy, yearResult(inputs.entries, fy, profile, inputs.deductions, inputs.maxRetirement)]
+    )));
+    const totalTax = fiscalYears.reduce((sum, fy) => sum + years[fy].result.totalTax, 0);
+    const totalNet = fiscalYears.reduce((sum, fy) => sum + years[fy].net, 0);
+    return {
+      scenario,
+      years,
+      totalTax,
+      takeHome: totalNet - totalTax,
+      marginalRate: years[profile.fiscalYear].result.marginalRate,
+    };
+  });
+
+  const [baseline] = rows;
+  return {
+    fiscalYears,
+    rows: rows.map((row) => ({
+      ...row,
+      delta: {
+        tax: row.totalTax - baseline.totalTax,
+        takeHome: row.takeHome - baseline.takeHome,
+        marginalRate: row.marginalRate - baseline.marginalRate,
+      },
+    })),
+  };
+}
+
+// How much more deduction would bring taxable income down into the next lower slab,
+// and which deductions still have room to absorb it
+export function slabSweetSpot(income, options, result = computeTax(income, options)) {
+  const topIndex = result.slabs.findLastIndex((slab) => slab.taxable > 0);
+  if (topIndex <= 0) return null;
+  const top = result.slabs[topIndex];
+  const lower = result.slabs[topIndex - 1];
+  if (top.waived || lower.rate >= top.rate) return null;
+
+  const needed = result.taxableIncome - top.from;
+  const deductions = options.deductions || {};
+  const candidates = result.deductions
+    .filter((step) => STEP_FIELDS[step.key] && step.cap > step.allowed)
+    .map((step) => {
+      const headroom = step.cap - step.allowed;
+      const field = STEP_FIELDS[step.key];
+      const extra = Math.min(headroom, needed);
+      const bumped = { ...deductions, [field]: (Number(deductions[field]) || 0) + extra };
+      return {
+        key: step.key,
+        label: step.label,
+        headroom,
+        reachable: headroom >= needed,
+        saving: result.totalTax - computeTax(income, { ...options, deductions: bumped }).totalTax,
+      };
+    });
+
+  return { needed, fromRate: top.rate, toRate: lower.rate, candidates };
+}
@@ -0,0 +1,139 @@
+import { categoriesFor } from './ledger';
+import { MAX_BS_YEAR, MIN_BS_YEAR, bsToAd, isSupportedDate, toIsoDate } from './nepaliCalendar';
+
+// Column roles a statement can be mapped to. Amounts come either from one signed column
+// or from separate debit (money out) and credit (money in) columns.
+export const COLUMN_ROLES = {
+  date: 'Date',
+  description: 'Description',
+  amount: 'Amount (signed)',
+  debit: 'Debit / Withdrawal',
+  credit: 'Credit / Deposit',
+};
+
+const HEADER_HINTS = {
+  date: /date|miti|txn.*dt|value dt/i,
+  description: /desc|narration|particular|remark|detail/i,
+  debit: /debit|withdraw|dr\b|paid out/i,
+  credit: /credit|deposit|cr\b|paid in/i,
+  amount: /amount|amt/i,
+};
+
+export const DEFAULT_IMPORT_RULES = [
+  { id: 'salary', keyword: 'salary', type: 'income', category: 'Salary' },
+  { id: 'interest', keyword: 'interest', type: 'income', category: 'Interest' },
+  { id: 'dividend', keyword: 'dividend', type: 'income', category: 'Dividend' },
+  { id: 'rent-in', keyword: 'rent', type: 'income', category: 'Rent' },
+  { id: 'insurance', keyword: 'insurance', type: 'expense', category: 'Insurance' },
+  { id: 'nea', keyword: 'nea', type: 'expense', category: 'Utilities' },
+];
+
+// Best guess at which column holds which role, from the header row
+export function guessMapping(headers) {
+  const mapping = {};
+  Object.entries(HEADER_HINTS).forEach(([role, pattern]) => {
+    const index = headers.findIndex((header, i) => pattern.test(String(header))
+      && !Object.values(mapping).includes(i));
+    if (index !== -1) mapping[role] = index;
+  });
+  // A statement with debit/credit columns usually also has a running "balance amount" we must not use
+  if (mapping.debit !== undefined && mapping.credit !== undefined) delete mapping.amount;
+  return mapping;
+}
+
+export function parseAmount(value) {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return 0;
+  const text = String(value).trim();
+  // Accountants write negatives as (1,234.00) and some banks suffix Dr/Cr
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /dr$/i.test(text);
+  const number = Number(text.replace(/[^0-9.]/g, ''));
+  return Number.isFinite(number) ? (negative ? -number : number) : 0;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Date.UTC rolls impossible days over (31/02 becomes 3 March), so the parts must survive the round trip
+function adDate(year, month, day) {
+  const ms = Date.UTC(year, month - 1, day);
+  const date = new Date(ms);
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return toIsoDate(ms);
+}
+
+// Years the BS table covers are decades past any AD statement, so a numeric date in that range is a
+// BS "miti" and is converted; bsToAd rejects days the BS month does not have
+function numericDate(year, month, day) {
+  if (year < MIN_BS_YEAR || year > MAX_BS_YEAR) return adDate(year, month, day);
+  try {
+    return bsToAd({ year, month, day });
+  } catch {
+    return null;
+  }
+}
+
+// Statements arrive as ISO, DD/MM/YYYY, DD-MM-YYYY or DD-Mon-YYYY (AD), or as a BS miti in the
+// numeric formats, in Latin or Devanagari digits; returns an ISO (AD) date or null
+export function parseStatementDate(value) {
+  if (value instanceof Date) return toIsoDate(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  const text = String(value ?? '').trim().replace(/[०-९]/g, (digit) => String(digit.charCodeAt(0) - 0x0966));
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) return numericDate(+match[1], +match[2], +match[3]);
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if (match) return numericDate(+match[3], +match[2], +match[1]);
+  match = text.match(/^(\d{1,2})[-\s]([a-z]{3})[a-z]*[-\s,]+(\d{4})/i);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return adDate(+match[3], MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1]);
+  }
+  return null;
+}
+
+export function categorise(description, type, rules) {
+  const text = description.toLowerCase();
+  const rule = rules.find((r) => r.type === type && r.keyword && text.includes(r.keyword.toLowerCase()));
+  if (rule) return rule.category;
+  const categories = categoriesFor(type);
+  return categories[categories.length - 1];
+}
+
+const duplicateKey = (entry) => `${entry.date}|${entry.type}|${Math.round(entry.amount * 100)}`;
+
+// Turn statement rows into ledger candidates, flagging rows that cannot be parsed (including dates
+// the BS calendar cannot show) and those that match an existing ledger entry (or an earlier row)
+// by date, type and amount.
+export function mapStatementRows(rows, mapping, { rules, entries }) {
+  const seen = new Set(entries.map(duplicateKey));
+  return rows.map((row, index) => {
+    const parsed = parseStatementDate(row[mapping.date]);
+    const date = parsed && isSupportedDate(parsed) ? parsed : null;
+    let signed;
+    if (mapping.amount !== undefined) signed = parseAmount(row[mapping.amount]);
+    else signed = parseAmount(row[mapping.credit]) - Math.abs(parseAmount(row[mapping.debit]));
+    const type = signed < 0 ? 'expense' : 'income';
+    const description = mapping.description !== undefined ? String(row[mapping.description] ?? '').trim() : '';
+    const candidate = { index, date, amount: Math.abs(signed), type, description };
+    let error = null;
+    if (!parsed) error = 'Unreadable date';
+    else if (!date) error = `${parsed} is outside the supported calendar (BS ${MIN_BS_YEAR}-${MAX_BS_YEAR})`;
+    else if (signed === 0) error = 'No amount';
+    const duplicate = !error && seen.has(duplicateKey(candidate));
+    if (!error) seen.add(duplicateKey(candidate));
+    return {
+      ...candidate,
+      category: categorise(description, type, rules),
+      error,
+      duplicate,
+      selected: !error && !duplicate,
+    };
+  });
+}
+
+export function toEntryFields(row) {
+  return {
+    date: row.date,
+    category: row.category,
+    amount: row.amount,
+    type: row.type,
+    note: row.description,
+  };
+}
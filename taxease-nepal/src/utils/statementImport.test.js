@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_IMPORT_RULES, mapStatementRows, parseStatementDate } from './statementImport';
+import { bsToAd, formatBsDate, MAX_BS_YEAR } from './nepaliCalendar';
+
+const mapping = { date: 0, description: 1, amount: 2 };
+const map = (rows) => mapStatementRows(rows, mapping, { rules: DEFAULT_IMPORT_RULES, entries: [] });
+
+describe('parseStatementDate', () => {
+  it('reads the formats banks export', () => {
+    expect(parseStatementDate('2024-07-16')).toBe('2024-07-16');
+    expect(parseStatementDate('16/07/2024')).toBe('2024-07-16');
+    expect(parseStatementDate('16-Jul-2024')).toBe('2024-07-16');
+    expect(parseStatementDate('soon')).toBeNull();
+  });
+
+  it('rejects days the month does not have instead of rolling them over', () => {
+    expect(parseStatementDate('31/02/2024')).toBeNull();
+    expect(parseStatementDate('2023-02-29')).toBeNull();
+    expect(parseStatementDate('2024-13-01')).toBeNull();
+    expect(parseStatementDate('31-Apr-2024')).toBeNull();
+    expect(parseStatementDate('29/02/2024')).toBe('2024-02-29');
+  });
+
+  it('converts BS miti values to AD', () => {
+    expect(parseStatementDate('2081-04-01')).toBe(bsToAd({ year: 2081, month: 4, day: 1 }));
+    expect(parseStatementDate('01/04/2081')).toBe(bsToAd({ year: 2081, month: 4, day: 1 }));
+    expect(parseStatementDate('२०८१/०४/३२')).toBe(bsToAd({ year: 2081, month: 4, day: 32 }));
+    // Shrawan 2082 has 31 days
+    expect(parseStatementDate('2082-04-32')).toBeNull();
+  });
+});
+
+describe('mapStatementRows', () => {
+  it('turns signed amounts into categorised income and expenses', () => {
+    const [salary, premium] = map([['2024-07-16', 'SALARY JUL', '85,000'], ['2024-07-20', 'Life insurance', '-12,000']]);
+    expect(salary).toMatchObject({ type: 'income', category: 'Salary', amount: 85000, error: null, selected: true });
+    expect(premium).toMatchObject({ type: 'expense', category: 'Insurance', amount: 12000, error: null, selected: true });
+  });
+
+  it('rejects dates the BS calendar cannot show instead of importing them', () => {
+    const afterTable = bsToAd({ year: MAX_BS_YEAR, month: 12, day: 1 }).replace(/^\d{4}/, (year) => String(+year + 1));
+    const rows = map([['2013-04-13', 'Before BS 2070', '500'], [afterTable, 'After the table', '500'], ['2013-04-14', 'First day', '500']]);
+
+    expect(rows[0]).toMatchObject({ date: null, selected: false, error: expect.stringMatching(/outside the supported calendar/) });
+    expect(rows[1]).toMatchObject({ date: null, selected: false, error: expect.stringMatching(/outside the supported calendar/) });
+    expect(rows[2]).toMatchObject({ date: '2013-04-14', error: null });
+    // Every date the preview will render can be shown in BS
+    rows.filter((row) => row.date).forEach((row) => expect(() => formatBsDate(row.date)).not.toThrow());
+  });
+
+  it('imports a miti column as AD dates', () => {
+    const [row] = map([['2081-04-15', 'SALARY', '85000']]);
+    expect(row).toMatchObject({ date: bsToAd({ year: 2081, month: 4, day: 15 }), error: null, selected: true });
+  });
+
+  it('marks an impossible date as unreadable', () => {
+    expect(map([['31/02/2024', 'SALARY', '85000']])[0]).toMatchObject({ date: null, error: 'Unreadable date', selected: false });
+  });
+
+  it('flags rows matching an earlier row as duplicates', () => {
+    const rows = map([['2024-07-16', 'SALARY', '85000'], ['16/07/2024', 'SALARY again', '85000']]);
+    expect(rows[1]).toMatchObject({ duplicate: true, selected: false });
+  });
+});
@@ -0,0 +1,57 @@
+// Small JSON wrapper around localStorage so a corrupt or missing key never crashes the app
+const PREFIX = 'taxease:';
+
+export function loadState(key, fallback) {
+  try {
+    const raw = localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveState(key, value) {
+  try {
+    localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch {
+    // Storage full or disabled (private mode) - keep working in memory
+  }
+}
+
+export function removeState(key) {
+  try {
+    localStorage.removeItem(PREFIX + key);
+  } catch {
+    // Nothing to clean up when storage is unavailable
+  }
+}
+
+// Per-profile data lives under its own namespace, e.g. 'profile:abc:ledger'
+export function scopedKey(profileId, key) {
+  return `profile:${profileId}:${key}`;
+}
+
+export function listScopedKeys(profileId) {
+  const prefix = PREFIX + scopedKey(profileId, '');
+  try {
+    return Object.keys(localStorage)
+      .filter((key) => key.startsWith(prefix))
+      .map((key) => key.slice(PREFIX.length));
+  } catch {
+    return [];
+  }
+}
+
+export function clearScope(profileId) {
+  listScopedKeys(profileId).forEach(removeState);
+}
+
+// Data saved before profiles existed moves into the first profile's namespace
+export function migrateLegacyKeys(profileId, keys) {
+  keys.forEach((key) => {
+    const value = loadState(key, undefined);
+    if (value === undefined) return;
+    saveState(scopedKey(profileId, key), value);
+    removeState(key);
+  });
+}
@@ -1,15 +1,136 @@
-// Nepali tax slabs example for FY 2080/81
-export function calculateTax(income) {
-  let tax = 0;
-  if (income <= 500000) tax = income * 0.01; // 1%
-  else if (income <= 1000000) tax = 5000 + (income - 500000) * 0.10;
-  else if (income <= 2000000) tax = 55000 + (income - 1000000) * 0.20;
-  else tax = 255000 + (income - 2000000) * 0.30;
+import { TAX_SLABS } from '../data/taxSlabs';
+import { PENALTY_RULES } from '../data/penaltyRules';
+import { applyDeductions } from './deductions';
+import { advanceTaxInstallments, returnDueDate } from './deadlines';
+import { CURRENT_FISCAL_YEAR, rulesForYear } from './fiscalYears';
+import { daysBetween, elapsedBsMonths } from './nepaliCalendar';
 
-  return Math.round(tax);
+export const ASSESSEE_STATUSES = {
+  individual: 'Individual',
+  couple: 'Couple',
+};
+
+export const RESIDENCIES = {
+  resident: 'Resident',
+  nonResident: 'Non-resident',
+};
+
+export function getSlabs({ fiscalYear = CURRENT_FISCAL_YEAR, status = 'individual', residency = 'resident' } = {}) {
+  const { rules } = rulesForYear(TAX_SLABS, fiscalYear);
+  return residency === 'nonResident' ? rules.nonResident : rules[status];
+}
+
+// Deduct allowable claims from gross income, then apply the slab table and return the tax falling in each slab
+export function computeTax(income, options = {}) {
+  const {
+    fiscalYear = CURRENT_FISCAL_YEAR,
+    status = 'individual',
+    residency = 'resident',
+    deductions,
+  } = options;
+  // Section 63 deductions and the medical credit are only available to residents
+  const waterfall = applyDeductions(income, residency === 'resident' ? deductions : undefined, fiscalYear);
+  const { taxableIncome, ssfContributor } = waterfall;
+  const slabs = getSlabs({ fiscalYear, status, residency });
+
+  let lower = 0;
+  const breakdown = slabs.map((slab) => {
+    const taxable = Math.max(0, Math.min(taxableIncome, slab.limit) - lower);
+    // SSF contributors are exempt from the 1% social security tax
+    const waived = Boolean(slab.socialSecurity) && ssfContributor;
+    const row = {
+      from: lower,
+      to: slab.limit,
+      rate: slab.rate,
+      socialSecurity: Boolean(slab.socialSecurity),
+      waived,
+      taxable,
+      tax: waived ? 0 : taxable * slab.rate,
+    };
+    lower = slab.limit;
+    return row;
+  });
+
+  const slabTax = breakdown.reduce((sum, row) => sum + row.tax, 0);
+  const totalTax = Math.max(0, slabTax - waterfall.medicalCredit);
+  const topSlab = [...breakdown].reverse().find((row) => row.taxable > 0);
+
+  return {
+    fiscalYear,
+    rateYear: rulesForYear(TAX_SLABS, fiscalYear).year,
+    status,
+    residency,
+    grossIncome: waterfall.grossIncome,
+    deductions: waterfall.steps,
+    totalDeductions: waterfall.totalDeductions,
+    taxableIncome,
+    slabs: breakdown,
+    slabTax,
+    medicalCredit: Math.min(waterfall.medicalCredit, slabTax),
+    totalTax: Math.round(totalTax),
+    marginalRate: topSlab && !topSlab.waived ? topSlab.rate : 0,
+    effectiveRate: waterfall.grossIncome > 0 ? totalTax / waterfall.grossIncome : 0,
+  };
 }
 
-export function calculatePenalty(taxDue, daysLate) {
-  const dailyRate = 0.001; // 0.1% per day
-  return Math.round(taxDue * dailyRate * daysLate);
+export function calculateTax(income, options) {
+  return computeTax(income, options).totalTax;
+}
+
+// Late fees and interest for a fiscal year's tax, given when the return was filed and the tax paid.
+// Installment interest runs until the return due date; after that, unpaid tax attracts section 119 interest.
+export function calculatePenalty({
+  fiscalYear = CURRENT_FISCAL_YEAR,
+  taxDue,
+  assessableIncome = 0,
+  filingDate,
+  paymentDate,
+  installmentsPaidOnTime = false,
+}) {
+  const rules = rulesForYear(PENALTY_RULES, fiscalYear).rules;
+  const dueDate = returnDueDate(fiscalYear);
+  const components = [];
+
+  const filingMonths = elapsedBsMonths(dueDate, filingDate);
+  const monthlyFee = Math.max(assessableIncome * rules.lateFilingAnnualRate / 12, rules.lateFilingMonthlyMinimum);
+  components.push({
+    key: 'lateFiling',
+    label: 'Late filing fee (sec 117)',
+    months: filingMonths,
+    amount: filingMonths * monthlyFee,
+  });
+
+  if (!installmentsPaidOnTime) {
+    let previousShare = 0;
+    advanceTaxInstallments(fiscalYear).forEach((installment, i) => {
+      const shortfall = taxDue * (installment.share - previousShare);
+      previousShare = installment.share;
+      const paidBy = paymentDate < dueDate ? paymentDate : dueDate;
+      const months = elapsedBsMonths(installment.date, paidBy);
+      components.push({
+        key: `installment-${i + 1}`,
+        label: `Interest on installment ${i + 1} shortfall (sec 118)`,
+        months,
+        amount: shortfall * rules.installmentInterestRate * months / 12,
+      });
+    });
+  }
+
+  const paymentMonths = elapsedBsMonths(dueDate, paymentDate);
+  components.push({
+    key: 'lateInterest',
+    label: 'Interest on unpaid tax (sec 119)',
+    months: paymentMonths,
+    amount: taxDue * rules.lateInterestRate * paymentMonths / 12,
+  });
+
+  const rounded = components.map((c) => ({ ...c, amount: Math.round(c.amount) }));
+  return {
+    fiscalYear,
+    dueDate,
+    daysLateFiling: Math.max(0, daysBetween(dueDate, filingDate)),
+    daysLatePayment: Math.max(0, daysBetween(dueDate, paymentDate)),
+    components: rounded,
+    total: rounded.reduce((sum, c) => sum + c.amount, 0),
+  };
 }
@@ -0,0 +1,256 @@
+import { describe, expect, it } from 'vitest';
+import fc from 'fast-check';
+import { calculatePenalty, calculateTax, computeTax, getSlabs } from './taxCalculations';
+import { advanceTaxInstallments, returnDueDate } from './deadlines';
+import { FISCAL_YEARS } from '../data/taxSlabs';
+import { REMOTE_AREA_GRADES } from '../data/deductionRules';
+import { bsToAd, endOfBsMonth } from './nepaliCalendar';
+
+// [income, tax] pairs worked out by hand from each Finance Act's schedule, no deductions
+const GOLDEN = {
+  '2079/80': {
+    individual: [
+      [0, 0],
+      [400000, 4000],
+      [500000, 5000],
+      [700000, 25000],
+      [1000000, 85000],
+      [1500000, 235000],
+      [2000000, 385000],
+      [2500000, 565000],
+      [60000000, 21265000],
+    ],
+    couple: [
+      [600000, 6000],
+      [800000, 26000],
+      [1100000, 86000],
+      [2000000, 356000],
+      [3000000, 716000],
+      [60000000, 21236000],
+    ],
+    nonResident: [
+      [1000000, 250000],
+      [60000000, 15000000],
+    ],
+  },
+  '2080/81': {
+    individual: [
+      [0, 0],
+      [500000, 5000],
+      [1000000, 85000],
+      [2000000, 385000],
+      [5000000, 1465000],
+      [10000000, 3415000],
+      [50000000, 19015000],
+      [60000000, 22915000],
+    ],
+    couple: [
+      [600000, 6000],
+      [1100000, 86000],
+      [2000000, 356000],
+      [5000000, 1436000],
+      [10000000, 3386000],
+      [50000000, 18986000],
+      [60000000, 22886000],
+    ],
+    nonResident: [
+      [1000000, 250000],
+    ],
+  },
+  '2081/82': {
+    individual: [
+      [500000, 5000],
+      [1500000, 235000],
+      [10000000, 3415000],
+      [60000000, 22915000],
+    ],
+    couple: [
+      [800000, 26000],
+      [60000000, 22886000],
+    ],
+    nonResident: [
+      [2000000, 500000],
+    ],
+  },
+};
+
+const optionsFor = (fiscalYear, key) => (key === 'nonResident'
+  ? { fiscalYear, residency: 'nonResident' }
+  : { fiscalYear, status: key, residency: 'resident' });
+
+// Every slab table the engine can pick: each fiscal year with each status, plus non-residents
+const TABLES = FISCAL_YEARS.flatMap((fiscalYear) => ['individual', 'couple', 'nonResident']
+  .map((key) => ({ fiscalYear, key, options: optionsFor(fiscalYear, key) })));
+
+const income = fc.integer({ min: 0, max: 100000000 });
+const amount = (max) => fc.integer({ min: 0, max });
+const deductions = fc.record({
+  ssf: amount(1000000),
+  providentFund: amount(1000000),
+  lifeInsurance: amount(100000),
+  healthInsurance: amount(50000),
+  medicalExpenses: amount(20000),
+  remoteArea: fc.constantFrom('', ...REMOTE_AREA_GRADES),
+});
+
+describe('computeTax golden tables', () => {
+  Object.entries(GOLDEN).forEach(([fiscalYear, byStatus]) => {
+    Object.entries(byStatus).forEach(([key, rows]) => {
+      it.each(rows)(`FY ${fiscalYear} ${key}: NPR %i owes %i`, (gross, expected) => {
+        expect(calculateTax(gross, optionsFor(fiscalYear, key))).toBe(expected);
+      });
+    });
+  });
+
+  it('uses the latest earlier slab table for a year without its own', () => {
+    const result = computeTax(1500000, { fiscalYear: '2085/86' });
+    expect(result.rateYear).toBe('2081/82');
+    expect(result.totalTax).toBe(235000);
+  });
+
+  it('rejects a year before the first published table', () => {
+    expect(() => computeTax(1000000, { fiscalYear: '2070/71' })).toThrow('No rules published for fiscal year 2070/71');
+  });
+
+  it('caps retirement contributions at the year\'s limit', () => {
+    const deductionsClaimed = { providentFund: 600000 };
+    // A third of 1,200,000 is 400,000; FY 2079/80 caps it further at 300,000
+    expect(computeTax(1200000, { fiscalYear: '2079/80', deductions: deductionsClaimed }).totalTax).toBe(65000);
+    // FY 2080/81 raised the cap to 500,000, so the one-third rule binds
+    const result = computeTax(1200000, { fiscalYear: '2080/81', deductions: deductionsClaimed });
+    expect(result.deductions[0]).toMatchObject({ key: 'retirement', claimed: 600000, allowed: 400000 });
+    expect(result.totalTax).toBe(45000);
+  });
+
+  it('waives the social security slab for SSF contributors', () => {
+    const result = computeTax(1200000, { fiscalYear: '2080/81', deductions: { ssf: 100000 } });
+    expect(result.slabs[0]).toMatchObject({ socialSecurity: true, waived: true, tax: 0 });
+    expect(result.totalTax).toBe(110000);
+  });
+
+  it('takes the medical credit off the tax, capped at NPR 750', () => {
+    expect(calculateTax(1000000, { fiscalYear: '2080/81', deductions: { medicalExpenses: 2000 } })).toBe(84700);
+    expect(calculateTax(1000000, { fiscalYear: '2080/81', deductions: { medicalExpenses: 10000 } })).toBe(84250);
+  });
+
+  it('ignores deductions for non-residents', () => {
+    const result = computeTax(1000000, { fiscalYear: '2080/81', residency: 'nonResident', deductions: { providentFund: 100000 } });
+    expect(result.totalDeductions).toBe(0);
+    expect(result.totalTax).toBe(250000);
+  });
+
+  it('reports the marginal and effective rates', () => {
+    const result = computeTax(1500000, { fiscalYear: '2080/81' });
+    expect(result.marginalRate).toBe(0.3);
+    expect(result.effectiveRate).toBeCloseTo(235000 / 1500000);
+  });
+});
+
+describe('computeTax properties', () => {
+  it.each(TABLES)('FY $fiscalYear $key: tax never falls as income rises', ({ options }) => {
+    fc.assert(fc.property(income, income, (a, b) => {
+      const [low, high] = a <= b ? [a, b] : [b, a];
+      expect(calculateTax(low, options)).toBeLessThanOrEqual(calculateTax(high, options));
+    }));
+  });
+
+  it.each(TABLES)('FY $fiscalYear $key: tax is continuous across each slab limit', ({ options }) => {
+    const slabs = getSlabs(options);
+    const topRate = Math.max(...slabs.map((slab) => slab.rate));
+    const limits = slabs.map((slab) => slab.limit).filter(Number.isFinite);
+    if (limits.length === 0) return;
+    // Just either side of a limit the unrounded tax may differ by no more than the gap at the top rate
+    fc.assert(fc.property(fc.constantFrom(...limits), fc.double({ min: 0.01, max: 1000, noNaN: true }), (limit, gap) => {
+      const below = computeTax(limit - gap, options).slabTax;
+      const above = computeTax(limit + gap, options).slabTax;
+      expect(above - below).toBeGreaterThanOrEqual(0);
+      expect(above - below).toBeLessThanOrEqual(2 * gap * topRate + 1e-6);
+    }));
+  });
+
+  it.each(TABLES)('FY $fiscalYear $key: deductions never increase tax', ({ options }) => {
+    fc.assert(fc.property(income, deductions, (gross, claimed) => {
+      expect(calculateTax(gross, { ...options, deductions: claimed })).toBeLessThanOrEqual(calculateTax(gross, options));
+    }));
+  });
+
+  it('keeps taxable income between zero and gross income', () => {
+    fc.assert(fc.property(income, deductions, fc.constantFrom(...FISCAL_YEARS), (gross, claimed, fiscalYear) => {
+      const result = computeTax(gross, { fiscalYear, deductions: claimed });
+      expect(result.taxableIncome).toBeGreaterThanOrEqual(0);
+      expect(result.taxableIncome).toBeLessThanOrEqual(gross);
+      expect(result.totalTax).toBeGreaterThanOrEqual(0);
+    }));
+  });
+});
+
+describe('calculatePenalty', () => {
+  const fiscalYear = '2080/81';
+  const dueDate = returnDueDate(fiscalYear);
+  const amountOf = (penalty, key) => penalty.components.find((c) => c.key === key).amount;
+
+  it('charges nothing when everything is on time', () => {
+    const penalty = calculatePenalty({
+      fiscalYear,
+      taxDue: 120000,
+      assessableIncome: 1200000,
+      filingDate: dueDate,
+      paymentDate: dueDate,
+      installmentsPaidOnTime: true,
+    });
+    expect(penalty.dueDate).toBe(endOfBsMonth(2081, 6));
+    expect(penalty.total).toBe(0);
+    expect(penalty.components.map((c) => c.key)).toEqual(['lateFiling', 'lateInterest']);
+  });
+
+  it('charges interest on each missed advance installment up to the due date', () => {
+    const penalty = calculatePenalty({ fiscalYear, taxDue: 120000, filingDate: dueDate, paymentDate: dueDate });
+    // 40% / 30% / 30% shortfalls at 15% a year for 9, 6 and 3 months
+    expect(penalty.components.slice(1, 4)).toEqual([
+      expect.objectContaining({ key: 'installment-1', months: 9, amount: 5400 }),
+      expect.objectContaining({ key: 'installment-2', months: 6, amount: 2700 }),
+      expect.objectContaining({ key: 'installment-3', months: 3, amount: 1350 }),
+    ]);
+    expect(penalty.total).toBe(9450);
+  });
+
+  it('stops installment interest when the tax is paid early', () => {
+    const [first] = advanceTaxInstallments(fiscalYear);
+    const penalty = calculatePenalty({ fiscalYear, taxDue: 120000, filingDate: dueDate, paymentDate: first.date });
+    expect(penalty.total).toBe(0);
+  });
+
+  it('charges the monthly minimum filing fee and late interest per started month', () => {
+    const late = bsToAd({ year: 2081, month: 9, day: 1 });
+    const penalty = calculatePenalty({
+      fiscalYear,
+      taxDue: 120000,
+      assessableIncome: 1200000,
+      filingDate: late,
+      paymentDate: late,
+      installmentsPaidOnTime: true,
+    });
+    // Asoj end to 1 Poush starts a third month
+    expect(penalty.components).toEqual([
+      expect.objectContaining({ key: 'lateFiling', months: 3, amount: 300 }),
+      expect.objectContaining({ key: 'lateInterest', months: 3, amount: 4500 }),
+    ]);
+    expect(penalty.daysLateFiling).toBeGreaterThan(60);
+  });
+
+  it('scales the filing fee with income above the minimum', () => {
+    const late = endOfBsMonth(2081, 7);
+    const penalty = calculatePenalty({ fiscalYear, taxDue: 0, assessableIncome: 24000000, filingDate: late, paymentDate: dueDate, installmentsPaidOnTime: true });
+    expect(amountOf(penalty, 'lateFiling')).toBe(2000);
+  });
+
+  it('never falls as payment slips later', () => {
+    const start = Date.parse(dueDate);
+    const day = fc.integer({ min: -400, max: 800 }).map((n) => new Date(start + n * 86400000).toISOString().slice(0, 10));
+    fc.assert(fc.property(day, day, amount(5000000), fc.boolean(), (a, b, taxDue, onTime) => {
+      const [earlier, later] = a <= b ? [a, b] : [b, a];
+      const run = (paymentDate) => calculatePenalty({ fiscalYear, taxDue, filingDate: dueDate, paymentDate, installmentsPaidOnTime: onTime });
+      expect(run(earlier).total).toBeLessThanOrEqual(run(later).total);
+    }));
+  });
+});
@@ -0,0 +1,95 @@
+import { BUSINESS_RULES } from '../data/businessRules';
+import { rulesForYear } from './fiscalYears';
+import { adToBs, bsMonthsBetween, bsToAd, daysBetween, daysInBsMonth, fiscalYearRange, isInFiscalYear } from './nepaliCalendar';
+
+export function getBusinessRules(fiscalYear) {
+  return rulesForYear(BUSINESS_RULES, fiscalYear).rules;
+}
+
+// Output VAT minus input VAT for each BS month of the fiscal year; excess input credit carries forward
+export function monthlyVatSummary(entries, fiscalYear) {
+  const rules = getBusinessRules(fiscalYear);
+  const { start, end } = fiscalYearRange(fiscalYear);
+  const months = bsMonthsBetween(start, end).map(({ year, month, ...rest }) => {
+    const next = month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
+    return {
+      ...rest,
+      year,
+      month,
+      dueDate: bsToAd({ ...next, day: Math.min(rules.vatReturnDay, daysInBsMonth(next.year, next.month)) }),
+      sales: 0,
+      outputVat: 0,
+      purchases: 0,
+      inputVat: 0,
+    };
+  });
+
+  entries
+    .filter((entry) => (entry.type === 'sale' || entry.type === 'purchase') && isInFiscalYear(entry.date, fiscalYear))
+    .forEach((entry) => {
+      const { year, month } = adToBs(entry.date);
+      const row = months.find((m) => m.year === year && m.month === month);
+      if (entry.type === 'sale') {
+        row.sales += entry.amount;
+        row.outputVat += entry.vat || 0;
+      } else {
+        row.purchases += entry.amount;
+        row.inputVat += entry.vat || 0;
+      }
+    });
+
+  let credit = 0;
+  return months.map((row) => {
+    const net = row.outputVat - row.inputVat - credit;
+    credit = Math.max(0, -net);
+    return { ...row, payable: Math.max(0, net), creditCarriedForward: credit };
+  });
+}
+
+// Sales (excluding VAT) over the 365 days ending on `asOf`
+export function rollingTurnover(entries, asOf) {
+  return entries
+    .filter((entry) => entry.type === 'sale')
+    .filter((entry) => {
+      const age = daysBetween(entry.date, asOf);
+      return age >= 0 && age < 365;
+    })
+    .reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+export function vatThresholdStatus(entries, business, fiscalYear, asOf) {
+  const rules = getBusinessRules(fiscalYear);
+  const threshold = rules.vatThreshold[business.type];
+  const turnover = rollingTurnover(entries, asOf);
+  return {
+    turnover,
+    threshold,
+    crossed: turnover > threshold,
+    mustRegister: turnover > threshold && !business.vatRegistered,
+  };
+}
+
+// Sales (excluding VAT) dated in the fiscal year: the basis for the year's presumptive tax.
+// The VAT threshold uses rollingTurnover instead, as the VAT Act counts any 12 months.
+export function fiscalYearTurnover(entries, fiscalYear) {
+  return entries
+    .filter((entry) => entry.type === 'sale' && isInFiscalYear(entry.date, fiscalYear))
+    .reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+// Fixed presumptive tax on the fiscal year's turnover, or null when the business does not qualify
+// or had no sales that year
+export function presumptiveTax(turnover, business, fiscalYear) {
+  const rules = getBusinessRules(fiscalYear);
+  if (turnover <= 0 || business.vatRegistered || turnover > rules.presumptiveTurnoverLimit) return null;
+  return rules.presumptiveTax[business.location];
+}
+
+// Presumptive tax for the profile's fiscal year, or null when the filer is assessed on the slabs:
+// only resident business owners whose sole assessable income is their turnover within the limit qualify
+export function presumptiveTaxFor(entries, { mode, residency, business, fiscalYear }) {
+  if (mode !== 'business' || residency !== 'resident') return null;
+  const fyEntries = entries.filter((entry) => isInFiscalYear(entry.date, fiscalYear));
+  if (fyEntries.some((entry) => entry.type === 'income' && entry.category !== 'Business')) return null;
+  return presumptiveTax(fiscalYearTurnover(fyEntries, fiscalYear), business, fiscalYear);
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { fiscalYearTurnover, presumptiveTax } from './vat';
+import { bsToAd } from './nepaliCalendar';
+
+const business = { type: 'goods', location: 'metropolitan', vatRegistered: false };
+
+describe('fiscalYearTurnover', () => {
+  it('adds up sales dated in the fiscal year only', () => {
+    const entries = [
+      { type: 'sale', amount: 400000, date: bsToAd({ year: 2080, month: 5, day: 1 }) },
+      { type: 'sale', amount: 250000, date: bsToAd({ year: 2081, month: 2, day: 10 }) },
+      { type: 'sale', amount: 900000, date: bsToAd({ year: 2081, month: 5, day: 1 }) },
+      { type: 'purchase', amount: 100000, date: bsToAd({ year: 2080, month: 6, day: 1 }) },
+    ];
+    expect(fiscalYearTurnover(entries, '2080/81')).toBe(650000);
+  });
+});
+
+describe('presumptiveTax', () => {
+  it('charges the fixed amount for the location within the turnover limit', () => {
+    expect(presumptiveTax(1000000, business, '2080/81')).toBe(7500);
+    expect(presumptiveTax(1000000, { ...business, location: 'other' }, '2080/81')).toBe(2500);
+  });
+
+  it('does not apply without sales, above the limit or once VAT registered', () => {
+    expect(presumptiveTax(0, business, '2080/81')).toBeNull();
+    expect(presumptiveTax(3000001, business, '2080/81')).toBeNull();
+    expect(presumptiveTax(1000000, { ...business, vatRegistered: true }, '2080/81')).toBeNull();
+  });
+});
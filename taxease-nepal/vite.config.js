@@ -1,13 +1,45 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { VitePWA } from 'vite-plugin-pwa'
 
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(),
         tailwindcss(),
+        VitePWA({
+          // New builds wait for the user to accept the update prompt instead of
+          // swapping the app out from under a half-filled form
+          registerType: 'prompt',
+          includeAssets: ['apple-touch-icon-180x180.png'],
+          manifest: {
+            name: 'TaxEase Nepal',
+            short_name: 'TaxEase',
+            description: 'Personal income tax, VAT and deadline tracking for Nepal, working offline.',
+            lang: 'en',
+            theme_color: '#2563eb',
+            background_color: '#f3f4f6',
+            display: 'standalone',
+            start_url: '/',
+            icons: [
+              { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+              { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+              { src: 'maskable-icon-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+            ],
+          },
+          workbox: {
+            // Precache the whole app shell, including lazily loaded chunks and the PDF fonts,
+            // so every feature works after the first visit without a connection
+            globPatterns: ['**/*.{js,css,html,svg,png,ttf}'],
+            navigateFallback: 'index.html',
+            cleanupOutdatedCaches: true,
+          },
+        }),
 
   ],
+  test: {
+    // Engine tests run in node; component tests opt into jsdom with a file docblock
+    environment: 'node',
+  },
 })
-  
\ No newline at end of file